@@ -2,16 +2,24 @@
 // Dedicated Web Worker for KittenTTS inferences.
 
 let KittenTTS = null;
+let openPlaybackSink = null;
 let tts = null;
 let workerQueue = Promise.resolve();
+// One AbortController per queued/running generate request, keyed by request id.
+const requestControllers = new Map();
 
-async function handleMessage(type, payload, id) {
+function isAbortError(err) {
+    return err?.name === 'AbortError';
+}
+
+async function handleMessage(type, payload, id, signal) {
     if (type === 'init') {
         // 1. Import the pre-built library. In dev, this is the adjacent `bundle.js`.
         // When inlined for standalone, the bundle.js script is pushed to the worker blob FIRST.
         if (!KittenTTS) {
             const mod = await import('./bundle.js');
             KittenTTS = mod.KittenTTS;
+            openPlaybackSink = mod.openPlaybackSink;
         }
 
         // 2. Clear old model memory if one exists, then download and load the HuggingFace model into ONNX
@@ -25,6 +33,8 @@ async function handleMessage(type, payload, id) {
             runtime: runtimeNorm,
             wasmThreads: payload.wasmThreads,
             wasmSimd: payload.wasmSimd,
+            // Relay per-file download progress so the page can show more than a spinner.
+            onProgress: (progress) => self.postMessage({ type: 'init-progress', id, payload: progress }),
         };
         tts = await KittenTTS.from_pretrained(payload.modelId, initOpts);
 
@@ -46,15 +56,16 @@ async function handleMessage(type, payload, id) {
         const { text, ...opts } = payload;
 
         // 3. Generate audio using ONNX Runtime Wasm in the background thread
-        const audio = await tts.generate(text, opts);
+        const audio = await tts.generate(text, { ...opts, signal });
 
         // Create a perfectly sized copy of the array because the underlying .buffer 
         // from ONNX Runtime often contains trailing unallocated WASM memory (silence)
         const exactSizedArr = new Float32Array(audio.data);
         const sampleRate = audio.sampling_rate;
 
+        // `timings` is only present when the caller passed `timestamps: true`.
         self.postMessage(
-            { type: 'generate-done', id, payload: { floatArr: exactSizedArr, sampleRate } },
+            { type: 'generate-done', id, payload: { floatArr: exactSizedArr, sampleRate, timings: audio.timings } },
             [exactSizedArr.buffer]
         );
         return;
@@ -63,13 +74,17 @@ async function handleMessage(type, payload, id) {
     if (type === 'generate-stream') {
         if (!tts) throw new Error("TTS Model not loaded yet.");
 
-        const { text, ...opts } = payload;
+        // `playback` is a WorkletPlayer sink handle: chunks are also written straight to the
+        // AudioWorklet (ring buffer or port), bypassing the main thread.
+        const { text, playback, ...opts } = payload;
+        const sink = playback && openPlaybackSink ? openPlaybackSink(playback) : null;
         let chunkIndex = 0;
 
-        for await (const part of tts.stream(text, opts)) {
+        for await (const part of tts.stream(text, { ...opts, signal })) {
             const chunkData = part?.audio?.data || [];
             const exactSizedArr = new Float32Array(chunkData);
             const sampleRate = part?.audio?.sampling_rate || 24000;
+            if (sink) await sink.write(exactSizedArr, signal);
 
             self.postMessage(
                 {
@@ -80,6 +95,7 @@ async function handleMessage(type, payload, id) {
                         text: part?.text || '',
                         floatArr: exactSizedArr,
                         sampleRate,
+                        timings: part?.audio?.timings,
                     },
                 },
                 [exactSizedArr.buffer]
@@ -88,6 +104,7 @@ async function handleMessage(type, payload, id) {
             chunkIndex += 1;
         }
 
+        sink?.end();
         self.postMessage({
             type: 'generate-stream-done',
             id,
@@ -100,10 +117,30 @@ async function handleMessage(type, payload, id) {
 self.onmessage = async (e) => {
     const { type, payload, id = Date.now() } = e.data;
 
+    // `cancel` bypasses the queue so it can reach work that is queued or already running.
+    if (type === 'cancel') {
+        requestControllers.get(id)?.abort();
+        return;
+    }
+
+    const controller = type === 'generate' || type === 'generate-stream' ? new AbortController() : null;
+    if (controller) requestControllers.set(id, controller);
+
     workerQueue = workerQueue
-        .then(() => handleMessage(type, payload, id))
+        .then(() => {
+            // Skip requests cancelled while they were waiting in the queue.
+            if (controller?.signal.aborted) throw new DOMException('Synthesis cancelled', 'AbortError');
+            return handleMessage(type, payload, id, controller?.signal);
+        })
         .catch((err) => {
+            if (isAbortError(err)) {
+                self.postMessage({ type: 'cancelled', id });
+                return;
+            }
             self.postMessage({ type: 'error', id, payload: err.message });
+        })
+        .finally(() => {
+            if (controller) requestControllers.delete(id);
         });
 
     await workerQueue;
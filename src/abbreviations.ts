@@ -0,0 +1,170 @@
+/**
+ * Abbreviation and acronym tables shared by the text preprocessor (expansion) and the sentence
+ * splitters (an abbreviation's period does not end a sentence).
+ */
+
+/** How one abbreviation reads in each context; contexts without an entry leave it unexpanded. */
+export interface AbbreviationRule {
+  /** Before a capitalized word: "Dr. Smith" → "Doctor Smith". */
+  beforeName?: string;
+  /** Before a number: "No. 5" → "number 5". */
+  beforeNumber?: string;
+  /** After a number: "6 ft." → "6 feet". */
+  afterNumber?: string;
+  /** Any other position. */
+  otherwise?: string;
+  /** The abbreviation may close a sentence, so its period splits before a capitalized word ("etc. Then"). */
+  endsSentence?: boolean;
+}
+
+/** A plain string reads the same everywhere and never ends a sentence. */
+export type Abbreviation = string | AbbreviationRule;
+
+/** Read an all-caps token as a word ("NASA") or letter by letter ("FBI"). */
+export type AcronymReading = 'word' | 'letters';
+
+/** Keys are lowercase and written without the final period. */
+export const DEFAULT_ABBREVIATIONS: Record<string, Abbreviation> = {
+  // Titles
+  mr: 'Mister', mrs: 'Missus', prof: 'Professor', sr: 'Senior', jr: 'Junior',
+  rev: 'Reverend', hon: 'Honorable', gov: 'Governor', sen: 'Senator', rep: 'Representative',
+  capt: 'Captain', lt: 'Lieutenant', sgt: 'Sergeant', col: 'Colonel', gen: 'General', cmdr: 'Commander',
+  // "Ms." is also milliseconds after a number
+  ms: { beforeName: 'Miz', afterNumber: 'milliseconds', endsSentence: true },
+  // Titles that double as street types
+  dr: { beforeName: 'Doctor', otherwise: 'Drive', endsSentence: true },
+  st: { beforeName: 'Saint', otherwise: 'Street', endsSentence: true },
+  mt: { beforeName: 'Mount', otherwise: 'Mount' },
+  ft: { beforeName: 'Fort', afterNumber: 'feet', endsSentence: true },
+  // Street types
+  ave: { otherwise: 'Avenue', endsSentence: true },
+  blvd: { otherwise: 'Boulevard', endsSentence: true },
+  rd: { otherwise: 'Road', endsSentence: true },
+  ln: { otherwise: 'Lane', endsSentence: true },
+  ct: { otherwise: 'Court', endsSentence: true },
+  hwy: { otherwise: 'Highway', endsSentence: true },
+  pkwy: { otherwise: 'Parkway', endsSentence: true },
+  apt: 'apartment', dept: 'department', univ: 'university', inc: { otherwise: 'Incorporated', endsSentence: true },
+  ltd: { otherwise: 'Limited', endsSentence: true }, corp: { otherwise: 'Corporation', endsSentence: true },
+  // Units (after a number only, so "come in." stays a verb)
+  in: { afterNumber: 'inches', endsSentence: true },
+  yd: { afterNumber: 'yards', endsSentence: true },
+  mi: { afterNumber: 'miles', endsSentence: true },
+  lb: { afterNumber: 'pounds', endsSentence: true },
+  lbs: { afterNumber: 'pounds', endsSentence: true },
+  oz: { afterNumber: 'ounces', endsSentence: true },
+  pt: { afterNumber: 'pints', endsSentence: true },
+  qt: { afterNumber: 'quarts', endsSentence: true },
+  gal: { afterNumber: 'gallons', endsSentence: true },
+  sec: { afterNumber: 'seconds', endsSentence: true },
+  min: { afterNumber: 'minutes', endsSentence: true },
+  hr: { afterNumber: 'hours', endsSentence: true },
+  hrs: { afterNumber: 'hours', endsSentence: true },
+  // References and Latin
+  no: { beforeNumber: 'number' },
+  nos: { beforeNumber: 'numbers' },
+  vol: { beforeNumber: 'volume', otherwise: 'volume' },
+  fig: { beforeNumber: 'figure', otherwise: 'figure' },
+  p: { beforeNumber: 'page' },
+  pp: { beforeNumber: 'pages' },
+  approx: 'approximately', est: 'established', vs: 'versus',
+  'e.g': 'for example', 'i.e': 'that is', cf: 'compare', viz: 'namely', 'et al': 'and others',
+  etc: { otherwise: 'et cetera', endsSentence: true },
+};
+
+/** Acronyms the pronounceability check gets wrong, and short words commonly written in caps for emphasis. */
+export const DEFAULT_ACRONYMS: Record<string, AcronymReading> = {
+  GIF: 'word', PIN: 'word', RAM: 'word', ROM: 'word', SIM: 'word', LAN: 'word', WAN: 'word',
+  NOAA: 'word', UCLA: 'letters', OECD: 'letters', HVAC: 'letters', CMYK: 'letters',
+  NO: 'word', NOT: 'word', DO: 'word', NOW: 'word', YES: 'word', ALL: 'word', THE: 'word',
+  AND: 'word', OR: 'word', IS: 'word', ARE: 'word', BE: 'word', IN: 'word', ON: 'word', AT: 'word',
+  TO: 'word', OF: 'word', GO: 'word', SO: 'word', UP: 'word', WE: 'word', ME: 'word', MY: 'word',
+  HE: 'word', IT: 'word', BUT: 'word', CAN: 'word', YOU: 'word', WHY: 'word', HOW: 'word', WHO: 'word',
+  NEW: 'word', BIG: 'word', HOT: 'word', OFF: 'word', OUT: 'word',
+};
+
+const VOWELS = 'AEIOUY';
+
+/**
+ * Guess how an unlisted all-caps token is read. Four or more letters with vowels and no long
+ * consonant or vowel runs ("NASA", "SCUBA", "JSON") read as words; the rest ("FBI", "HTML") are spelled.
+ */
+export function acronymReading(token: string, overrides?: ReadonlyMap<string, AcronymReading>): AcronymReading {
+  const listed = overrides?.get(token);
+  if (listed) return listed;
+  if (token.length < 4) return 'letters';
+  const vowels = [...token].filter(ch => VOWELS.includes(ch)).length;
+  if (vowels === 0 || vowels === token.length) return 'letters';
+  return /[^AEIOUY]{3,}|[AEIOU]{3,}/.test(token) ? 'letters' : 'word';
+}
+
+export interface AbbreviationMatch {
+  /** Expansion, with a period when the abbreviation ends the sentence. */
+  text: string;
+  /** The period after the abbreviation also ends the sentence. */
+  sentenceEnd: boolean;
+}
+
+/** True when `before` ends in a capitalized word that does not start its sentence ("Main" in "on Main St."). */
+function followsName(before: string): boolean {
+  const m = /(\S?)\s*\p{Lu}[\p{L}'’-]*\s+$/u.exec(before);
+  return !!m && m[1] !== '' && !/[.!?]/.test(m[1]);
+}
+
+/**
+ * Expand the abbreviation `key` (lowercase, no final period) given the text around it, or null
+ * when it has no reading in this context.
+ */
+export function resolveAbbreviation(
+  table: ReadonlyMap<string, Abbreviation>,
+  key: string,
+  before: string,
+  after: string,
+): AbbreviationMatch | null {
+  const entry = table.get(key);
+  if (entry === undefined) return null;
+  const rule: AbbreviationRule = typeof entry === 'string' ? { otherwise: entry } : entry;
+  if (rule.beforeNumber && /^\s+\d/.test(after)) return { text: rule.beforeNumber, sentenceEnd: false };
+  // A unit after a number wins over a title before a name: "20 ms. Then" is milliseconds.
+  const afterNumber = !!rule.afterNumber && /\d\s*$/.test(before);
+  if (rule.beforeName && !afterNumber && /^\s+\p{Lu}/u.test(after) && !(rule.otherwise && followsName(before))) {
+    return { text: rule.beforeName, sentenceEnd: false };
+  }
+  const text = afterNumber ? rule.afterNumber : rule.otherwise;
+  if (!text) return null;
+  const sentenceEnd = !after.trim() || (!!rule.endsSentence && /^\s+["'“‘(]?\p{Lu}/u.test(after));
+  return { text, sentenceEnd };
+}
+
+/** Table keys longest first, as a pattern matching `key.` at a word start. */
+export function abbreviationPattern(table: ReadonlyMap<string, Abbreviation>): RegExp | null {
+  const keys = [...table.keys()].sort((a, b) => b.length - a.length).map(k => k.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return keys.length ? new RegExp(`(?<![\\p{L}\\p{N}.])(${keys.join('|')})\\.`, 'giu') : null;
+}
+
+/**
+ * True when the period ending `before` belongs to an abbreviation or an initial ("J. Doe")
+ * rather than closing a sentence. The pronoun "I" is not an initial ("So did I. Then…").
+ */
+export function isAbbreviationPeriod(table: ReadonlyMap<string, Abbreviation>, before: string, after: string): boolean {
+  const word = periodWord(table, before);
+  if (!word) return false;
+  if (isInitial(word)) return true;
+  const key = word.toLowerCase();
+  const match = resolveAbbreviation(table, key, before.slice(0, -key.length - 1), after);
+  return !!match && !match.sentenceEnd;
+}
+
+/**
+ * The initial or `table` abbreviation whose period ends `before`, or null when that period can
+ * only end a sentence whatever follows.
+ */
+export function periodWord(table: ReadonlyMap<string, Abbreviation>, before: string): string | null {
+  const word = /(?:^|[^\p{L}\p{N}.])([\p{L}.]+(?: al)?)\.$/u.exec(before)?.[1];
+  if (!word) return null;
+  return isInitial(word) || table.has(word.toLowerCase()) ? word : null;
+}
+
+function isInitial(word: string): boolean {
+  return word !== 'I' && /^\p{Lu}$/u.test(word);
+}
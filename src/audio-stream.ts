@@ -0,0 +1,127 @@
+/**
+ * Progressive audio output: turns a `stream()` generator into bytes as chunks arrive, either as a
+ * WAV with an open-ended header or as raw headerless samples. The bytes can be consumed as a web
+ * `ReadableStream` or written to a Node.js `Writable` (file, socket, HTTP response) with backpressure.
+ */
+
+import { encodePcm, wavHeader, type RawAudio, type WavOptions } from './audio.ts';
+
+/** Output rate of KittenTTS models; used for the header of a stream that yields no audio. */
+const DEFAULT_SAMPLE_RATE = 24000;
+
+export interface AudioStreamOptions extends WavOptions {
+  /**
+   * `wav`: a RIFF header with unknown (0xFFFFFFFF) sizes, then samples. `pcm`: samples only, in the
+   * encoding given by `encoding`/`bitDepth`/`channels`. Default: 'wav'
+   */
+  container?: 'wav' | 'pcm';
+}
+
+export interface PipeOptions extends AudioStreamOptions {
+  /** End the writable once the audio is complete. Default: true */
+  end?: boolean;
+}
+
+/** What `stream()`/`streamFromText()` yield, or bare clips. */
+export type AudioChunkSource = AsyncIterable<RawAudio | { audio: RawAudio }>;
+
+/** The subset of a Node.js `Writable` used by `pipeTo`. */
+export interface NodeWritable {
+  write(chunk: Uint8Array): boolean;
+  end(): unknown;
+  on(event: 'drain' | 'close' | 'error', listener: (...args: unknown[]) => void): unknown;
+  off(event: 'drain' | 'close' | 'error', listener: (...args: unknown[]) => void): unknown;
+}
+
+/** Encoded bytes for each chunk of `source`, preceded by the WAV header unless `container` is 'pcm'. */
+export async function* encodeAudioStream(source: AudioChunkSource, opts: AudioStreamOptions = {}): AsyncGenerator<Uint8Array> {
+  const container = opts.container ?? 'wav';
+  if (container !== 'wav' && container !== 'pcm') throw new Error(`Unsupported stream container: ${container as string}`);
+  // Validates the WAV options before any audio is generated.
+  const { container: _container, ...wav } = opts;
+  wavHeader(DEFAULT_SAMPLE_RATE, wav);
+
+  let rate: number | null = null;
+  for await (const chunk of source) {
+    const audio = 'audio' in chunk ? chunk.audio : chunk;
+    if (rate === null) {
+      rate = audio.sampling_rate;
+      if (container === 'wav') yield wavHeader(rate, wav);
+    } else if (audio.sampling_rate !== rate) {
+      throw new Error(`Stream chunks must share a sample rate (${rate} Hz vs ${audio.sampling_rate} Hz)`);
+    }
+    if (audio.data.length) yield encodePcm(audio.data, wav);
+  }
+  if (rate === null && container === 'wav') yield wavHeader(DEFAULT_SAMPLE_RATE, { ...wav, numSamples: 0 });
+}
+
+/**
+ * A web `ReadableStream` of encoded audio. Chunks are generated on demand as the stream is read;
+ * cancelling it stops the underlying generator.
+ */
+export function toReadableStream(source: AudioChunkSource, opts: AudioStreamOptions = {}): ReadableStream<Uint8Array> {
+  const bytes = encodeAudioStream(source, opts);
+  return new ReadableStream<Uint8Array>({
+    async pull(controller) {
+      const { value, done } = await bytes.next();
+      if (done) controller.close();
+      else controller.enqueue(value);
+    },
+    async cancel() {
+      await bytes.return(undefined);
+    },
+  });
+}
+
+function isWebWritable(target: NodeWritable | WritableStream<Uint8Array>): target is WritableStream<Uint8Array> {
+  return typeof (target as WritableStream).getWriter === 'function';
+}
+
+/** Resolves once the writable drains, closes or fails, whichever comes first. */
+function settled(writable: NodeWritable): Promise<void> {
+  return new Promise((resolve) => {
+    const done = () => {
+      writable.off('drain', done);
+      writable.off('close', done);
+      writable.off('error', done);
+      resolve();
+    };
+    writable.on('drain', done);
+    writable.on('close', done);
+    writable.on('error', done);
+  });
+}
+
+/**
+ * Write encoded audio to a Node.js `Writable` (e.g. `fs.createWriteStream`, an HTTP response) or a
+ * web `WritableStream`, waiting for `drain` when the destination is full. If the destination
+ * closes early — a client disconnecting — generation stops and the promise resolves.
+ */
+export async function pipeTo(
+  source: AudioChunkSource,
+  writable: NodeWritable | WritableStream<Uint8Array>,
+  opts: PipeOptions = {},
+): Promise<void> {
+  const { end = true, ...streamOpts } = opts;
+  if (isWebWritable(writable)) {
+    return toReadableStream(source, streamOpts).pipeTo(writable, { preventClose: !end });
+  }
+
+  let failure: { error: unknown } | null = null;
+  let closed = false;
+  const onError = (error: unknown) => { failure = { error }; };
+  const onClose = () => { closed = true; };
+  writable.on('error', onError);
+  writable.on('close', onClose);
+  try {
+    for await (const bytes of encodeAudioStream(source, streamOpts)) {
+      if (failure || closed) break;
+      if (!writable.write(bytes)) await settled(writable);
+    }
+    if (failure) throw (failure as { error: unknown }).error;
+    if (end && !closed) writable.end();
+  } finally {
+    writable.off('error', onError);
+    writable.off('close', onClose);
+  }
+}
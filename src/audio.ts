@@ -1,67 +1,273 @@
 /**
  * RawAudio: wraps a Float32Array waveform with sampling_rate metadata.
- * Provides WAV export for both Node.js and browser.
+ * Provides WAV, FLAC, MP3 and Ogg Opus export for both Node.js and browser.
  */
 
-export function encodeWav(samples: Float32Array, sampleRate: number): ArrayBuffer {
-  const numSamples = samples.length;
-  const bitsPerSample = 16;
-  const numChannels = 1;
-  const byteRate = (sampleRate * numChannels * bitsPerSample) / 8;
-  const blockAlign = (numChannels * bitsPerSample) / 8;
-  const dataSize = numSamples * blockAlign;
-  const buffer = new ArrayBuffer(44 + dataSize);
-  const view = new DataView(buffer);
+import { concatTimings, offsetTimings, sliceTimings, type AudioTimings } from './timings.ts';
+import { encodeFlac } from './flac.ts';
+import { encodeMp3, type Mp3Options } from './mp3.ts';
+import { encodeOggOpus, type OpusOptions } from './ogg-opus.ts';
+import { resample, type ResampleOptions } from './resample.ts';
+import { log } from './logger.ts';
+
+export type AudioFormat = 'wav' | 'flac' | 'mp3' | 'opus';
+
+export interface EncodeOptions extends WavOptions {
+  /** Bitrate in kbps for lossy formats. Default: 48 for MP3, 24 for Opus */
+  bitrate?: number;
+}
+
+export interface SaveOptions extends EncodeOptions {
+  /** Output format. Default: from the file extension, WAV when unrecognized */
+  format?: AudioFormat;
+}
+
+const EXTENSION_FORMATS: Record<string, AudioFormat> = {
+  wav: 'wav', flac: 'flac', mp3: 'mp3', ogg: 'opus', oga: 'opus', opus: 'opus',
+};
+
+/** Output format implied by a file name's extension; unknown extensions map to WAV. */
+export function formatFromPath(filePath: string): AudioFormat {
+  const ext = /\.([^./\\]+)$/.exec(filePath)?.[1]?.toLowerCase() ?? '';
+  return EXTENSION_FORMATS[ext] ?? 'wav';
+}
+
+/** Float samples → 16-bit PCM, with the same clamping and scaling as `encodeWav`. */
+export function toInt16(samples: Float32Array): Int16Array {
+  const pcm = new Int16Array(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    const s = Math.max(-1, Math.min(1, samples[i]));
+    pcm[i] = s < 0 ? s * 0x8000 : s * 0x7fff;
+  }
+  return pcm;
+}
+
+export type WavEncoding = 'pcm' | 'float' | 'mulaw' | 'alaw';
+
+export interface WavOptions {
+  /** Sample encoding. `float` is 32-bit IEEE; `mulaw`/`alaw` are 8-bit G.711. Default: 'pcm' */
+  encoding?: WavEncoding;
+  /** Bits per sample for `pcm`: 8 (unsigned), 16, 24 or 32. Default: 16 */
+  bitDepth?: 8 | 16 | 24 | 32;
+  /** Output channels; the mono signal is copied to each. Default: 1 */
+  channels?: number;
+}
+
+/** WAVE format tags. */
+const WAV_FORMAT_TAGS: Record<WavEncoding, number> = { pcm: 1, float: 3, alaw: 6, mulaw: 7 };
+
+/** G.711 mu-law byte for a 16-bit sample. */
+function mulaw(sample: number): number {
+  const BIAS = 0x84;
+  const sign = sample < 0 ? 0x80 : 0;
+  let magnitude = Math.min(Math.abs(sample), 32635) + BIAS;
+  let exponent = 7;
+  for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) exponent--;
+  const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+/** G.711 A-law byte for a 16-bit sample. */
+function alaw(sample: number): number {
+  const sign = sample >= 0 ? 0x80 : 0;
+  const scaled = sample >> 3;
+  const magnitude = scaled >= 0 ? scaled : -scaled - 1;
+  let byte: number;
+  if (magnitude < 32) {
+    byte = magnitude >> 1;
+  } else {
+    let exponent = 1;
+    while (magnitude >> (exponent + 5)) exponent++;
+    byte = (exponent << 4) | ((magnitude >> exponent) & 0x0f);
+  }
+  return (byte | sign) ^ 0x55;
+}
+
+interface WavFormat {
+  encoding: WavEncoding;
+  bitsPerSample: number;
+  numChannels: number;
+}
+
+function resolveWavFormat(opts: WavOptions): WavFormat {
+  const encoding = opts.encoding ?? 'pcm';
+  if (!WAV_FORMAT_TAGS[encoding]) throw new Error(`Unsupported WAV encoding: ${encoding}`);
+  const bitsPerSample = encoding === 'pcm' ? opts.bitDepth ?? 16 : encoding === 'float' ? 32 : 8;
+  if (![8, 16, 24, 32].includes(bitsPerSample)) {
+    throw new Error(`Unsupported WAV bit depth: ${bitsPerSample}. Use 8, 16, 24 or 32.`);
+  }
+  if (encoding !== 'pcm' && opts.bitDepth !== undefined && opts.bitDepth !== bitsPerSample) {
+    throw new Error(`WAV encoding '${encoding}' is always ${bitsPerSample}-bit`);
+  }
+  const numChannels = opts.channels ?? 1;
+  if (!Number.isInteger(numChannels) || numChannels < 1 || numChannels > 8) {
+    throw new Error(`WAV channel count must be an integer in 1…8, got ${numChannels}`);
+  }
+  return { encoding, bitsPerSample, numChannels };
+}
+
+/** Size field value for streams whose length is unknown when the header is written. */
+const UNKNOWN_SIZE = 0xffffffff;
+
+/**
+ * The RIFF/WAVE header for `numSamples` frames. Without `numSamples` the size fields are set to
+ * 0xFFFFFFFF, the usual marker for a stream of unknown length that players read until EOF.
+ */
+export function wavHeader(sampleRate: number, opts: WavOptions & { numSamples?: number } = {}): Uint8Array {
+  const { encoding, bitsPerSample, numChannels } = resolveWavFormat(opts);
+  const blockAlign = numChannels * (bitsPerSample / 8);
+  const known = opts.numSamples !== undefined;
+  const dataSize = known ? opts.numSamples! * blockAlign : UNKNOWN_SIZE;
+  // Non-PCM formats carry cbSize in 'fmt ' and a 'fact' chunk with the frame count.
+  const extended = encoding !== 'pcm';
+  const header = new Uint8Array(extended ? 58 : 44);
+  const view = new DataView(header.buffer);
 
   const writeStr = (offset: number, str: string) => {
     for (let i = 0; i < str.length; i++) view.setUint8(offset + i, str.charCodeAt(i));
   };
   writeStr(0, 'RIFF');
-  view.setUint32(4, 36 + dataSize, true);
+  view.setUint32(4, known ? header.length - 8 + dataSize + (dataSize % 2) : UNKNOWN_SIZE, true);
   writeStr(8, 'WAVE');
   writeStr(12, 'fmt ');
-  view.setUint32(16, 16, true);
-  view.setUint16(20, 1, true);
+  view.setUint32(16, extended ? 18 : 16, true);
+  view.setUint16(20, WAV_FORMAT_TAGS[encoding], true);
   view.setUint16(22, numChannels, true);
   view.setUint32(24, sampleRate, true);
-  view.setUint32(28, byteRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
   view.setUint16(32, blockAlign, true);
   view.setUint16(34, bitsPerSample, true);
-  writeStr(36, 'data');
-  view.setUint32(40, dataSize, true);
+  let offset = 36;
+  if (extended) {
+    view.setUint16(36, 0, true);
+    writeStr(38, 'fact');
+    view.setUint32(42, 4, true);
+    view.setUint32(46, known ? opts.numSamples! : UNKNOWN_SIZE, true);
+    offset = 50;
+  }
+  writeStr(offset, 'data');
+  view.setUint32(offset + 4, dataSize, true);
+  return header;
+}
 
-  let offset = 44;
-  for (let i = 0; i < numSamples; i++) {
-    const s = Math.max(-1, Math.min(1, samples[i]));
-    view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7fff, true);
-    offset += 2;
+/** Headerless sample data in a WAV encoding: raw interleaved PCM, float or G.711 bytes. */
+export function encodePcm(samples: Float32Array, opts: WavOptions = {}): Uint8Array {
+  const { encoding, bitsPerSample, numChannels } = resolveWavFormat(opts);
+  const bytesPerSample = bitsPerSample / 8;
+  const bytes = new Uint8Array(samples.length * numChannels * bytesPerSample);
+  const view = new DataView(bytes.buffer);
+  let offset = 0;
+
+  const writeSample = (s: number) => {
+    switch (encoding) {
+      case 'float': view.setFloat32(offset, s, true); break;
+      case 'mulaw': view.setUint8(offset, mulaw(s < 0 ? s * 0x8000 : s * 0x7fff)); break;
+      case 'alaw': view.setUint8(offset, alaw(s < 0 ? s * 0x8000 : s * 0x7fff)); break;
+      default:
+        switch (bitsPerSample) {
+          case 8: view.setUint8(offset, Math.round(s * 127.5 + 127.5)); break;
+          case 16: view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7fff, true); break;
+          case 24: {
+            const v = Math.trunc(s < 0 ? s * 0x800000 : s * 0x7fffff);
+            view.setUint8(offset, v & 0xff);
+            view.setUint8(offset + 1, (v >> 8) & 0xff);
+            view.setUint8(offset + 2, (v >> 16) & 0xff);
+            break;
+          }
+          default: view.setInt32(offset, Math.trunc(s < 0 ? s * 0x80000000 : s * 0x7fffffff), true);
+        }
+    }
+    offset += bytesPerSample;
+  };
+  for (let i = 0; i < samples.length; i++) {
+    // Float output keeps overs (> 0 dBFS) intact; integer formats clip.
+    const s = encoding === 'float' ? samples[i] : Math.max(-1, Math.min(1, samples[i]));
+    for (let c = 0; c < numChannels; c++) writeSample(s);
   }
+  return bytes;
+}
 
+export function encodeWav(samples: Float32Array, sampleRate: number, opts: WavOptions = {}): ArrayBuffer {
+  const header = wavHeader(sampleRate, { ...opts, numSamples: samples.length });
+  const data = encodePcm(samples, opts);
+  // RIFF chunks are word-aligned: an odd-sized data chunk gets one pad byte.
+  const buffer = new ArrayBuffer(header.length + data.length + (data.length % 2));
+  const bytes = new Uint8Array(buffer);
+  bytes.set(header);
+  bytes.set(data, header.length);
   return buffer;
 }
 
+function msToSamples(ms: number, sampleRate: number): number {
+  if (!Number.isFinite(ms) || ms < 0) throw new Error(`Duration must be a non-negative number of ms, got ${ms}`);
+  return Math.round((ms * sampleRate) / 1000);
+}
+
+function assertSameRate(expected: number, actual: number): void {
+  if (expected !== actual) {
+    throw new Error(`Sample rates differ (${expected} Hz vs ${actual} Hz); resample() one clip first`);
+  }
+}
+
 export class RawAudio {
   readonly data: Float32Array;
   readonly sampling_rate: number;
+  /** Word/phoneme timestamps, present when generated with `timestamps: true`. */
+  readonly timings?: AudioTimings;
 
-  constructor(data: Float32Array, sampling_rate: number) {
+  constructor(data: Float32Array, sampling_rate: number, timings?: AudioTimings) {
     this.data = data;
     this.sampling_rate = sampling_rate;
+    if (timings) this.timings = timings;
+  }
+
+  toWav(opts: WavOptions = {}): ArrayBuffer {
+    return encodeWav(this.data, this.sampling_rate, opts);
+  }
+
+  /** Band-limited conversion to `targetRate` Hz; timings are in seconds and carry over unchanged. */
+  resample(targetRate: number, opts: ResampleOptions = {}): RawAudio {
+    if (targetRate === this.sampling_rate) return this;
+    return new RawAudio(resample(this.data, this.sampling_rate, targetRate, opts), targetRate, this.timings);
+  }
+
+  /** Lossless FLAC, typically about half the size of WAV for speech. */
+  toFlac(): Uint8Array {
+    return encodeFlac(toInt16(this.data), this.sampling_rate);
+  }
+
+  /** CBR MP3 via lamejs. */
+  toMp3(opts: Mp3Options = {}): Promise<Uint8Array> {
+    return encodeMp3(toInt16(this.data), this.sampling_rate, opts);
   }
 
-  toWav(): ArrayBuffer {
-    return encodeWav(this.data, this.sampling_rate);
+  /** Ogg Opus; uses WebCodecs when available, libopus WASM otherwise. */
+  toOggOpus(opts: OpusOptions = {}): Promise<Uint8Array> {
+    return encodeOggOpus(toInt16(this.data), this.sampling_rate, opts);
   }
 
-  async save(filePath: string): Promise<void> {
+  /** Encode in any supported format. */
+  async encode(format: AudioFormat = 'wav', opts: EncodeOptions = {}): Promise<Uint8Array> {
+    switch (format) {
+      case 'wav': return new Uint8Array(this.toWav(opts));
+      case 'flac': return this.toFlac();
+      case 'mp3': return this.toMp3(opts);
+      case 'opus': return this.toOggOpus(opts);
+      default: throw new Error(`Unsupported audio format: ${format as string}`);
+    }
+  }
+
+  /** Write the audio to disk (Node.js), picking the encoder from `opts.format` or the file extension. */
+  async save(filePath: string, opts: SaveOptions = {}): Promise<void> {
     const { default: fs } = await import('fs');
-    const wav = this.toWav();
-    fs.writeFileSync(filePath, Buffer.from(wav));
-    console.log(`[kitten-tts] Saved WAV: ${filePath} (${this.data.length} samples @ ${this.sampling_rate} Hz)`);
+    const format = opts.format ?? formatFromPath(filePath);
+    const bytes = await this.encode(format, opts);
+    await fs.promises.writeFile(filePath, bytes);
+    log.info(`Saved ${format.toUpperCase()}: ${filePath} (${this.data.length} samples @ ${this.sampling_rate} Hz)`);
   }
 
-  toBlob(): Blob {
-    return new Blob([this.toWav()], { type: 'audio/wav' });
+  toBlob(opts: WavOptions = {}): Blob {
+    return new Blob([this.toWav(opts)], { type: 'audio/wav' });
   }
 
   toAudioBuffer(audioContext: AudioContext): AudioBuffer {
@@ -70,6 +276,107 @@ export class RawAudio {
     return audioBuf;
   }
 
+  // ─── Editing ───────────────────────────────────────────────────────────────
+  // Every helper returns a new RawAudio and leaves its inputs untouched.
+
+  /** Join clips end to end with `gapMs` of silence between them. All clips must share a sample rate. */
+  static concat(clips: RawAudio[], opts: { gapMs?: number } = {}): RawAudio {
+    if (clips.length === 0) throw new Error('RawAudio.concat needs at least one clip');
+    const rate = clips[0].sampling_rate;
+    for (const clip of clips) assertSameRate(rate, clip.sampling_rate);
+    const gap = msToSamples(opts.gapMs ?? 0, rate);
+    const starts: number[] = [];
+    let length = 0;
+    clips.forEach((clip, i) => {
+      if (i > 0) length += gap;
+      starts.push(length);
+      length += clip.data.length;
+    });
+    const data = new Float32Array(length);
+    clips.forEach((clip, i) => data.set(clip.data, starts[i]));
+    const timed = clips.flatMap((clip, i) => clip.timings ? [{ timings: clip.timings, offset: starts[i] / rate }] : []);
+    return new RawAudio(data, rate, timed.length ? concatTimings(timed) : undefined);
+  }
+
+  /** The part between `startSec` and `endSec` (clamped to the clip). Timings inside the range are kept. */
+  slice(startSec = 0, endSec = this.duration): RawAudio {
+    const start = Math.max(0, Math.min(this.data.length, Math.round(startSec * this.sampling_rate)));
+    const end = Math.max(0, Math.min(this.data.length, Math.round(endSec * this.sampling_rate)));
+    if (end < start) throw new Error(`slice end (${endSec}s) is before start (${startSec}s)`);
+    const timings = this.timings && sliceTimings(this.timings, start / this.sampling_rate, end / this.sampling_rate);
+    return new RawAudio(this.data.slice(start, end), this.sampling_rate, timings);
+  }
+
+  /** Equal-power fade in over the first `ms` milliseconds. */
+  fadeIn(ms: number): RawAudio {
+    return this._fade(ms, false);
+  }
+
+  /** Equal-power fade out over the last `ms` milliseconds. */
+  fadeOut(ms: number): RawAudio {
+    return this._fade(ms, true);
+  }
+
+  /** Scale by `db` decibels; no clipping is applied. */
+  gain(db: number): RawAudio {
+    if (!Number.isFinite(db)) throw new Error(`gain must be a finite number of dB, got ${db}`);
+    const factor = 10 ** (db / 20);
+    return new RawAudio(this.data.map(s => s * factor), this.sampling_rate, this.timings);
+  }
+
+  /** Scale so the sample peak sits at `peakDb` dBFS. Silence is returned unchanged. */
+  normalize(peakDb = -1): RawAudio {
+    let peak = 0;
+    for (const s of this.data) peak = Math.max(peak, Math.abs(s));
+    if (peak === 0) return new RawAudio(this.data.slice(), this.sampling_rate, this.timings);
+    return this.gain(peakDb - 20 * Math.log10(peak));
+  }
+
+  /**
+   * Overlay `other` starting `offsetSec` seconds in, summing samples. The result is long enough
+   * for both; timings of both clips are merged in time order.
+   */
+  mix(other: RawAudio, offsetSec = 0): RawAudio {
+    assertSameRate(this.sampling_rate, other.sampling_rate);
+    if (!(offsetSec >= 0)) throw new Error(`mix offset must be non-negative, got ${offsetSec}`);
+    const offset = Math.round(offsetSec * this.sampling_rate);
+    const data = new Float32Array(Math.max(this.data.length, offset + other.data.length));
+    data.set(this.data);
+    for (let i = 0; i < other.data.length; i++) data[offset + i] += other.data[i];
+
+    let timings: AudioTimings | undefined;
+    if (this.timings || other.timings) {
+      const parts = [
+        ...(this.timings ? [{ timings: this.timings, offset: 0 }] : []),
+        ...(other.timings ? [{ timings: other.timings, offset: offset / this.sampling_rate }] : []),
+      ];
+      timings = concatTimings(parts);
+      timings.words.sort((a, b) => a.start - b.start);
+      timings.phonemes.sort((a, b) => a.start - b.start);
+    }
+    return new RawAudio(data, this.sampling_rate, timings);
+  }
+
+  /** Add silence before and/or after the clip; timings shift by the leading silence. */
+  padSilence(opts: { startMs?: number; endMs?: number } = {}): RawAudio {
+    const before = msToSamples(opts.startMs ?? 0, this.sampling_rate);
+    const after = msToSamples(opts.endMs ?? 0, this.sampling_rate);
+    const data = new Float32Array(before + this.data.length + after);
+    data.set(this.data, before);
+    const timings = this.timings && offsetTimings(this.timings, before / this.sampling_rate);
+    return new RawAudio(data, this.sampling_rate, timings);
+  }
+
+  private _fade(ms: number, out: boolean): RawAudio {
+    const n = Math.min(this.data.length, msToSamples(ms, this.sampling_rate));
+    const data = this.data.slice();
+    for (let k = 0; k < n; k++) {
+      const g = Math.sin((Math.PI / 2) * ((k + 0.5) / n));
+      data[out ? data.length - 1 - k : k] *= g;
+    }
+    return new RawAudio(data, this.sampling_rate, this.timings);
+  }
+
   get duration(): number {
     return this.data.length / this.sampling_rate;
   }
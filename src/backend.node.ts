@@ -0,0 +1,48 @@
+/**
+ * Node.js backend: onnxruntime-node on the CPU execution provider, JS eSpeak phonemizer.
+ *
+ * The ORT module is passed in rather than imported, so the isomorphic entry point can load it
+ * lazily and fall back to the web runtime when the native binding is unavailable.
+ */
+
+import { phonemizeNode } from './phonemizer.node.ts';
+import type { OrtModule, TTSBackend } from './base-kitten-tts.ts';
+
+export interface NodeBackendOptions {
+  /** Intra-op thread count. Default: ORT's choice */
+  numThreads?: number;
+  /** Explicit execution provider list. Only 'cpu' is supported. */
+  nodeExecutionProviders?: string[];
+}
+
+export function resolveNodeExecutionProviders(opts: NodeBackendOptions = {}): string[] {
+  if (Array.isArray(opts.nodeExecutionProviders) && opts.nodeExecutionProviders.length > 0) {
+    const normalizedProviders = opts.nodeExecutionProviders.map((provider) => String(provider).toLowerCase());
+    const unsupportedProvider = normalizedProviders.find((provider) => provider !== 'cpu');
+    if (unsupportedProvider) {
+      throw new Error(`Unsupported Node execution provider override: ${unsupportedProvider}. Node runtime is CPU-only.`);
+    }
+  }
+  return ['cpu'];
+}
+
+export function createNodeBackend(ort: OrtModule, opts: NodeBackendOptions = {}): TTSBackend {
+  return {
+    ort,
+    async createSession(modelBuffer) {
+      const executionProviders = resolveNodeExecutionProviders(opts);
+      const intraOpNumThreads = Number.isInteger(opts.numThreads) && opts.numThreads! > 0
+        ? opts.numThreads
+        : undefined;
+      const session = await ort.InferenceSession.create(modelBuffer, {
+        executionProviders,
+        ...(intraOpNumThreads ? { intraOpNumThreads } : {}),
+      });
+      return { session, runtimeActual: 'cpu', executionProviders };
+    },
+    phonemize: phonemizeNode,
+    disposeTensor(tensor) {
+      tensor.dispose?.();
+    },
+  };
+}
@@ -0,0 +1,148 @@
+/**
+ * Web backend: onnxruntime-web on WASM, or WebGPU when requested, with the eSpeak-NG WASM
+ * phonemizer.
+ *
+ * Fallback policy: WebGPU session creation can succeed while the first OrtRun fails (e.g. BERT
+ * `/bert/Expand` — invalid expand shape). When that happens on WebGPU, or whenever `gpu` was
+ * requested, the session is recreated once on WASM from the cached model bytes.
+ */
+
+import { loadModelSource, type ModelSource } from './model-loader.ts';
+import { phonemize } from './phonemizer.ts';
+import { log } from './logger.ts';
+import type { BackendSession, OrtModule, TTSBackend } from './base-kitten-tts.ts';
+
+export interface WebBackendOptions {
+  /** WASM thread override. Default: min(hardwareConcurrency, 4), 1 on mobile or without cross-origin isolation */
+  wasmThreads?: number;
+  /** WASM SIMD toggle. Default: true */
+  wasmSimd?: boolean;
+  /** Explicit execution provider list; bypasses runtime selection. */
+  browserExecutionProviders?: Array<'wasm' | 'webgpu'>;
+  /** Forwarded to `loadModelSource` when the fallback re-reads the model. */
+  [key: string]: unknown;
+}
+
+function isCoarseMobileUa(): boolean {
+  if (typeof navigator === 'undefined') return false;
+  return /Android|iPhone|iPad|iPod|Mobile|webOS|BlackBerry|IEMobile|Opera Mini/i.test(
+    navigator.userAgent || '',
+  );
+}
+
+export function executionProvidersUseWebGpu(
+  eps: readonly (string | { name?: string })[],
+): boolean {
+  return eps.some((p) => {
+    const n = typeof p === 'string' ? p : p?.name;
+    return String(n || '').toLowerCase() === 'webgpu';
+  });
+}
+
+function inferErrorText(e: unknown): string {
+  if (e instanceof Error) {
+    let m = e.message;
+    const c = (e as Error & { cause?: unknown }).cause;
+    if (c instanceof Error) m += ` ${c.message}`;
+    return m;
+  }
+  if (e && typeof e === 'object' && 'message' in e) {
+    return String((e as { message: unknown }).message);
+  }
+  return String(e);
+}
+
+export function resolveWasmThreads(opts: WebBackendOptions = {}): number {
+  if (Number.isInteger(opts.wasmThreads) && opts.wasmThreads! > 0) {
+    return isCoarseMobileUa() ? 1 : opts.wasmThreads!;
+  }
+  // SharedArrayBuffer (required for WASM threads) is only available when the page
+  // is cross-origin isolated (COOP + COEP headers). Without it, ORT's pthread_create
+  // will fail with a cryptic error. Fall back to single-threaded execution.
+  if (typeof crossOriginIsolated !== 'undefined' && !crossOriginIsolated) return 1;
+  if (isCoarseMobileUa()) return 1;
+  if (typeof navigator !== 'undefined' && Number.isInteger(navigator.hardwareConcurrency) && navigator.hardwareConcurrency > 0) {
+    return Math.min(navigator.hardwareConcurrency, 4);
+  }
+  return 4;
+}
+
+function configureWasm(ort: OrtModule, opts: WebBackendOptions): void {
+  if (!ort.env.wasm.wasmPaths) {
+    // Use location.href (reliable in both main thread and workers) rather than
+    // import.meta.url, which Rolldown may replace with a data URL in lib mode.
+    const base = (typeof globalThis.location !== 'undefined' && globalThis.location?.href)
+      ? new URL('.', globalThis.location.href).href
+      : 'https://cdn.jsdelivr.net/npm/onnxruntime-web@1.24.2/dist/';
+    ort.env.wasm.wasmPaths = base;
+  }
+  ort.env.wasm.numThreads = resolveWasmThreads(opts);
+  ort.env.wasm.simd = opts.wasmSimd !== false;
+  // Hide benign WASM warnings (unknown CPU vendor in browser, shape ops on CPU) — not errors.
+  ort.env.logLevel = 'error';
+}
+
+async function createWebSession(
+  ort: OrtModule,
+  modelBuffer: ArrayBuffer,
+  runtimeRequested: string,
+  opts: WebBackendOptions,
+): Promise<BackendSession> {
+  if (Array.isArray(opts.browserExecutionProviders) && opts.browserExecutionProviders.length > 0) {
+    const executionProviders = opts.browserExecutionProviders;
+    const session = await ort.InferenceSession.create(modelBuffer, { executionProviders });
+    return {
+      session,
+      runtimeActual: executionProvidersUseWebGpu(executionProviders) ? 'gpu' : 'cpu',
+      executionProviders,
+    };
+  }
+
+  // `auto` uses WASM only: WebGPU often creates a session then fails at BERT `/bert/Expand` on OrtRun.
+  // Use runtime `gpu` to opt into WebGPU (with one-shot WASM session reload if inference fails).
+  if (runtimeRequested === 'cpu' || runtimeRequested === 'wasm' || runtimeRequested === 'auto') {
+    const executionProviders = ['wasm'];
+    const session = await ort.InferenceSession.create(modelBuffer, { executionProviders });
+    return { session, runtimeActual: 'cpu', executionProviders };
+  }
+
+  // `gpu` only: WebGPU first, else WASM at session create.
+  try {
+    const executionProviders = ['webgpu'];
+    const session = await ort.InferenceSession.create(modelBuffer, { executionProviders });
+    return { session, runtimeActual: 'gpu', executionProviders };
+  } catch (error) {
+    log.warn(`Requested browser runtime "${runtimeRequested}" failed; using WASM fallback.`, (error as Error)?.message || error);
+    const executionProviders = ['wasm'];
+    const session = await ort.InferenceSession.create(modelBuffer, { executionProviders });
+    return { session, runtimeActual: 'cpu', executionProviders, fallbackError: error as Error };
+  }
+}
+
+/**
+ * @param source  Model to re-read (from cache) if the WASM fallback has to rebuild the session.
+ */
+export function createWebBackend(ort: OrtModule, source: ModelSource, opts: WebBackendOptions = {}): TTSBackend {
+  configureWasm(ort, opts);
+  return {
+    ort,
+    createSession: (modelBuffer, runtimeRequested) => createWebSession(ort, modelBuffer, runtimeRequested, opts),
+    phonemize,
+    disposeTensor(tensor) {
+      tensor.dispose?.();
+    },
+    fallback(error, current) {
+      // Reload on WASM if WebGPU is active, or if the user asked for GPU (covers EP metadata quirks
+      // and the case where session create fell back to WASM but we still want one clean WASM reinit).
+      if (!executionProvidersUseWebGpu(current.executionProviders) && current.runtimeRequested !== 'gpu') return null;
+      log.warn('Inference failed; reloading session on WASM (CPU).', inferErrorText(error));
+      return async () => {
+        const { browserExecutionProviders: _ep, ...rest } = opts;
+        const optsCpu: WebBackendOptions = { ...rest, runtime: 'cpu' };
+        const { modelBuffer } = await loadModelSource(source, optsCpu);
+        configureWasm(ort, optsCpu);
+        return createWebSession(ort, modelBuffer, 'cpu', optsCpu);
+      };
+    },
+  };
+}
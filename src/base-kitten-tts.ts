@@ -1,19 +1,36 @@
 /**
- * BaseKittenTTS — shared runtime logic for all KittenTTS variants.
+ * BaseKittenTTS — the single synthesis implementation behind every KittenTTS entry point.
  *
- * The three concrete classes (KittenTTS, BrowserKittenTTS, NodeKittenTTS) differ
- * only in how they acquire an ORT session (dynamic vs static import) and which
- * phonemizer function they call. Everything else lives here.
+ * Environment differences are confined to a `TTSBackend`: how an ORT session is created, which
+ * phonemizer runs, how tensors are freed, and what to do when inference fails. Chunking, voice
+ * selection, input preparation and audio assembly live here, so Node and browser output match.
  */
 
+import { loadModelSource, MODELS, type ModelSource } from './model-loader.ts';
 import { loadNpz, type NpzResult } from './npz-loader.ts';
 import { TextCleaner, basic_english_tokenize } from './text-cleaner.ts';
 import { TextPreprocessor } from './preprocess.ts';
+import { applyLexicon, Lexicon, type LexiconInput } from './lexicon.ts';
+import { isAbbreviationPeriod } from './abbreviations.ts';
 import { RawAudio } from './audio.ts';
+import { planSpeech, phonemizeUnit, type SpeechUnit } from './ssml.ts';
+import { findDurationOutput } from './timings.ts';
+import { assembleAudio, resolveJoin, StreamAssembler, type SynthesizedUnit, type JoinOptions } from './join.ts';
+import { applyEffects, validateEffects } from './effects.ts';
+import { LanePool, runConcurrent, type BatchProgress, type BatchResult } from './batch.ts';
+import { createPacer, lowLatencyUnits, type LowLatencyOptions } from './latency.ts';
+import { segmentTextStream, type TextSegmenterOptions } from './text-stream.ts';
+import { log } from './logger.ts';
+import {
+  blendEmbeddings, decodeVoice, encodeNpy, encodeNpz, encodeVoiceJson,
+  type VoiceEmbedding, type VoiceFormat, type VoiceSource, type VoiceWeight,
+} from './voices.ts';
 
 export const SAMPLE_RATE = 24000;
 export const AUDIO_TRIM = 5000;
-export const MAX_CHUNK_CHARS = 400;
+export const MAX_CHUNK_CHARS = 250;
+/** Longest input the model accepts, including the pad tokens. */
+export const MAX_INPUT_IDS = 510;
 
 export const DEFAULT_VOICE_ALIASES: Record<string, string> = {
   Bella: 'expr-voice-2-f',
@@ -32,6 +49,7 @@ export const DEFAULT_VOICE = 'Leo';
 
 export interface OrtTensor {
   data: Float32Array;
+  dispose?(): void;
 }
 
 export interface OrtSession {
@@ -45,6 +63,7 @@ export interface OrtModule {
   };
   Tensor: new (type: string, data: BigInt64Array | Float32Array, dims: readonly number[]) => OrtTensor;
   env: {
+    logLevel?: string;
     wasm: {
       wasmPaths?: string;
       numThreads: number;
@@ -53,6 +72,36 @@ export interface OrtModule {
   };
 }
 
+// ─── Backend interface ────────────────────────────────────────────────────────
+
+export interface BackendSession {
+  session: OrtSession;
+  /** Runtime actually in use, e.g. 'cpu' or 'gpu'. */
+  runtimeActual: string;
+  executionProviders: string[];
+  /** Set when the requested runtime failed at session creation and a fallback was used. */
+  fallbackError?: Error | null;
+}
+
+export interface TTSBackend {
+  /** ORT module used to build input tensors. */
+  readonly ort: OrtModule;
+  /** Session factory: create an inference session for the model under a runtime request. */
+  createSession(modelBuffer: ArrayBuffer, runtimeRequested: string): Promise<BackendSession>;
+  /** Text → IPA phonemes. */
+  phonemize(text: string): Promise<string>;
+  /** Free a tensor once inference no longer needs it. */
+  disposeTensor(tensor: OrtTensor): void;
+  /**
+   * Fallback policy, consulted at most once per instance when inference fails. Return a factory
+   * for a replacement session to retry on, or null to rethrow the error.
+   */
+  fallback?(
+    error: unknown,
+    current: { runtimeRequested: string; executionProviders: readonly string[] },
+  ): (() => Promise<BackendSession>) | null;
+}
+
 // ─── Shared types ─────────────────────────────────────────────────────────────
 
 export interface ModelConfig {
@@ -62,14 +111,102 @@ export interface ModelConfig {
 }
 
 export interface RuntimeMeta {
+  runtimeRequested?: string;
   runtimeActual?: string;
   executionProviders?: string[];
+  fallbackError?: Error | null;
+  /** Re-reads the model bytes (normally from cache) so `generateBatch` can open extra sessions. */
+  loadModel?: () => Promise<ArrayBuffer>;
 }
 
 export interface GenerateOptions {
   voice?: string;
   speed?: number;
   clean?: boolean;
+  /** Parse input as SSML. Default: auto-detect a leading `<speak>` element. */
+  ssml?: boolean;
+  /** Attach word/phoneme timestamps to the returned `RawAudio` (`audio.timings`). Default: false */
+  timestamps?: boolean;
+  /** Abort synthesis; pending chunks are dropped and the call rejects with the abort reason. */
+  signal?: AbortSignal;
+  /**
+   * Join chunks with energy-based silence trimming, punctuation-dependent pauses and crossfades.
+   * Default: on for `generate()`, off for `stream()`; `false` restores raw concatenation.
+   */
+  join?: boolean | JoinOptions;
+  /** Pitch shift in semitones (-12…12), applied to the waveform with duration preserved. */
+  pitch?: number;
+  /** Normalize integrated loudness to this target in LUFS, e.g. -16. Streams normalize each chunk. */
+  loudness?: number;
+  /**
+   * Silence after `.`, `?` and `!` in ms, overriding the join pauses. Turns joining on for
+   * streams; cannot be combined with `join: false`.
+   */
+  sentencePauseMs?: number;
+  /**
+   * Pronunciations for this call, merged over `tts.lexicon` (entries here win). Plain objects are
+   * accepted so the option survives `postMessage()`.
+   */
+  lexicon?: Lexicon | LexiconInput;
+}
+
+export interface StreamOptions extends GenerateOptions {
+  /**
+   * Latency-oriented chunking: split the first chunk at clause boundaries and grow chunk size
+   * while staying ahead of playback. `true` uses defaults.
+   */
+  lowLatency?: boolean | LowLatencyOptions;
+}
+
+/** A batch entry: plain text, or text with per-item options that override the batch defaults. */
+export type BatchItem = string | ({ text: string } & GenerateOptions);
+
+export interface BatchOptions extends GenerateOptions {
+  /** Items in flight at once (phonemizing or waiting for a session). Default: 4 */
+  concurrency?: number;
+  /**
+   * ORT sessions to spread inference over. Extra sessions are created on first use and kept until
+   * `release()`. Pays off on Node, where each session runs on its own native threads. Default: 1
+   */
+  sessions?: number;
+  /** Called after each item finishes, in completion order. */
+  onProgress?: (progress: BatchProgress) => void;
+}
+
+/** Options for `streamFromText()`: stream options plus how incoming text is segmented. */
+export interface TextStreamOptions extends StreamOptions, Omit<TextSegmenterOptions, 'abbreviations'> {}
+
+/** Resolve `join` together with a per-call `sentencePauseMs` override. */
+function resolveCallJoin(opts: GenerateOptions, byDefault: boolean): ReturnType<typeof resolveJoin> {
+  const ms = opts.sentencePauseMs;
+  if (ms === undefined) return resolveJoin(opts.join, byDefault);
+  if (!Number.isFinite(ms) || ms < 0) throw new Error(`sentencePauseMs must be a non-negative number, got ${ms}`);
+  if (opts.join === false) throw new Error('sentencePauseMs requires chunk joining; remove join: false');
+  const join = typeof opts.join === 'object' ? opts.join : {};
+  return resolveJoin({ ...join, pauses: { ...join.pauses, sentence: ms, question: ms, exclamation: ms } }, true);
+}
+
+async function releaseSession(session: OrtSession | null): Promise<void> {
+  if (!session?.release) return;
+  try { await session.release(); }
+  catch (err) { log.warn('Failed to release ONNX session:', err); }
+}
+
+/** Throw the signal's abort reason (an `AbortError` by default) if it has been aborted. */
+export function throwIfAborted(signal?: AbortSignal): void {
+  if (!signal?.aborted) return;
+  throw signal.reason ?? new DOMException('Synthesis aborted', 'AbortError');
+}
+
+export interface InferenceOutput {
+  /** Waveform after the fixed end trim. */
+  audio: Float32Array;
+  /** Full model waveform; the join stage trims it by energy instead. `audio` is a view into it. */
+  raw: Float32Array;
+  /** Per-token durations (frames) when the graph exposes them. */
+  durations: number[] | null;
+  /** Waveform length before the end trim. */
+  rawLength: number;
 }
 
 interface PreparedInputs {
@@ -77,20 +214,32 @@ interface PreparedInputs {
   style: Float32Array;
   styleDim: number;
   speed: number;
+  phonemes: string;
+  text: string;
 }
 
 // ─── Base class ───────────────────────────────────────────────────────────────
 
-export abstract class BaseKittenTTS {
+export class BaseKittenTTS {
   protected _session: OrtSession | null;
-  protected _ort: OrtModule | undefined;
+  protected _backend: TTSBackend | undefined;
   protected _voices: NpzResult;
   protected _config: ModelConfig;
+  protected _fallbackError: Error | null;
+  private _runtime: string;
+  private _executionProviders: string[];
+  private _fallbackUsed = false;
+  private _customVoices = new Set<string>();
+  private _loadModel: (() => Promise<ArrayBuffer>) | null;
+  private _extraSessions: OrtSession[] = [];
   private _cleaner: TextCleaner;
-  private _preprocessor: TextPreprocessor;
+  /** Text normalization applied before phonemization; add rules here for domain terms. */
+  readonly preprocessor: TextPreprocessor;
+  /** Word pronunciations consulted before phonemization, for every call on this instance. */
+  readonly lexicon: Lexicon;
 
-  readonly _runtime: string;
-  readonly _executionProviders: string[];
+  /** Requested runtime after alias normalization. */
+  readonly runtimeRequested: string;
   readonly sampleRate: number;
   readonly voiceAliases: Record<string, string>;
   readonly speedPriors: Record<string, number>;
@@ -100,17 +249,21 @@ export abstract class BaseKittenTTS {
     session: OrtSession | null,
     voices: NpzResult,
     config: ModelConfig,
-    ort?: OrtModule,
+    backend?: TTSBackend,
     runtimeMeta: RuntimeMeta = {}
   ) {
     this._session = session;
-    this._ort = ort;
+    this._backend = backend;
     this._voices = voices;
     this._config = config;
-    this._runtime = runtimeMeta.runtimeActual || 'auto';
-    this._executionProviders = runtimeMeta.executionProviders || [];
+    this.runtimeRequested = runtimeMeta.runtimeRequested || 'auto';
+    this._runtime = runtimeMeta.runtimeActual || 'cpu';
+    this._executionProviders = [...(runtimeMeta.executionProviders || [])];
+    this._fallbackError = runtimeMeta.fallbackError || null;
+    this._loadModel = runtimeMeta.loadModel || null;
     this._cleaner = new TextCleaner();
-    this._preprocessor = new TextPreprocessor({ remove_punctuation: false });
+    this.preprocessor = new TextPreprocessor({ remove_punctuation: false });
+    this.lexicon = new Lexicon();
 
     this.sampleRate = config.sample_rate || SAMPLE_RATE;
     this.voiceAliases = { ...DEFAULT_VOICE_ALIASES, ...(config.voice_aliases || {}) };
@@ -118,43 +271,170 @@ export abstract class BaseKittenTTS {
     this.availableVoices = Object.keys(this._voices);
   }
 
-  protected abstract _phonemize(text: string): Promise<string>;
+  /**
+   * Load a model onto an explicit backend. `from_pretrained()` on each entry point is this with
+   * the environment's default backend; pass your own to plug in another runtime.
+   */
+  static async from_backend<T extends BaseKittenTTS>(
+    this: new (session: OrtSession | null, voices: NpzResult, config: ModelConfig, backend?: TTSBackend, meta?: RuntimeMeta) => T,
+    backend: TTSBackend,
+    source: ModelSource,
+    opts: { runtime?: string; [key: string]: unknown } = {},
+  ): Promise<T> {
+    let runtimeRequested = opts.runtime || 'auto';
+    const runtimes = typeof source === 'string' ? MODELS[source]?.runtimes : undefined;
+    if (runtimeRequested === 'gpu' && runtimes && !runtimes.includes('gpu')) {
+      log.warn(`${source} is registered for ${runtimes.join('/')} only; using cpu instead of gpu.`);
+      runtimeRequested = 'cpu';
+    }
+    const { modelBuffer, voicesBuffer, config } = await loadModelSource(source, opts);
+    const loaded = await backend.createSession(modelBuffer, runtimeRequested);
+    const voices = await loadNpz(voicesBuffer);
+    const loadModel = async () => (await loadModelSource(source, opts)).modelBuffer;
+    return new this(loaded.session, voices, config as ModelConfig, backend, { runtimeRequested, ...loaded, loadModel });
+  }
+
+  /** Actual runtime used after backend selection (and any fallback). */
+  get runtime(): string {
+    return this._runtime;
+  }
+
+  /** Actual ONNX execution providers in use. */
+  get executionProviders(): string[] {
+    return this._executionProviders;
+  }
 
   // ─── Public API ─────────────────────────────────────────────────────────────
 
   list_voices(): string[] {
-    return Object.keys(this.voiceAliases);
+    return [...Object.keys(this.voiceAliases), ...this._customVoices];
   }
 
-  async generate(text: string, opts: GenerateOptions = {}): Promise<RawAudio> {
-    const { voice = DEFAULT_VOICE, speed = 1.0, clean = true } = opts;
-    const chunks = this._chunkText(text);
-    const audioChunks: Float32Array[] = [];
+  /**
+   * Register a voice embedding under `name`, usable as `voice` in every synthesis call. Existing
+   * voice names and aliases are only replaced with `{ overwrite: true }`.
+   */
+  async addVoice(name: string, source: VoiceSource, opts: { overwrite?: boolean } = {}): Promise<void> {
+    this._registerVoice(name, await decodeVoice(source, name), opts.overwrite);
+  }
+
+  /**
+   * Register a weighted interpolation of existing voices, e.g.
+   * `blendVoices('Brand', { Bella: 0.7, Luna: 0.3 })`. Speed priors are blended with the same
+   * weights.
+   */
+  blendVoices(
+    name: string,
+    weights: Record<string, number> | VoiceWeight[],
+    opts: { overwrite?: boolean } = {},
+  ): void {
+    const parts = (Array.isArray(weights) ? weights : Object.entries(weights).map(([voice, weight]) => ({ voice, weight })))
+      .map(({ voice, weight }) => {
+        const key = this._resolveVoice(voice);
+        return { key, weight, embedding: this._voices[key] };
+      });
+    const embedding = blendEmbeddings(parts);
+    const total = parts.reduce((sum, p) => sum + p.weight, 0);
+    const prior = parts.reduce((sum, p) => sum + (p.weight / total) * (this.speedPriors[p.key] || 1), 0);
+    this._registerVoice(name, embedding, opts.overwrite);
+    if (prior !== 1) this.speedPriors[name] = prior;
+  }
 
-    for (const chunk of chunks) {
-      const inputs = await this._prepareInputs(chunk, voice, speed, clean);
-      audioChunks.push(await this._runInference(inputs));
+  /** Serialize a voice (built-in, alias or custom) for `addVoice` to load later. */
+  exportVoice(name: string, format: 'json'): Promise<string>;
+  exportVoice(name: string, format?: 'npy' | 'npz'): Promise<Uint8Array>;
+  async exportVoice(name: string, format: VoiceFormat = 'npy'): Promise<Uint8Array | string> {
+    const embedding = this._voices[this._resolveVoice(name)];
+    switch (format) {
+      case 'npy': return encodeNpy(embedding);
+      case 'npz': return encodeNpz({ [name]: embedding });
+      case 'json': return encodeVoiceJson(name, embedding);
+      default: throw new Error(`Unsupported voice format: ${format as string}`);
     }
+  }
 
-    const combined = new Float32Array(audioChunks.reduce((n, a) => n + a.length, 0));
-    let offset = 0;
-    for (const chunk of audioChunks) { combined.set(chunk, offset); offset += chunk.length; }
-    return new RawAudio(combined, SAMPLE_RATE);
+  async generate(text: string, opts: GenerateOptions = {}): Promise<RawAudio> {
+    return this._generate(text, opts, (inputs) => this._runInference(inputs));
   }
 
-  async *stream(text: string, opts: GenerateOptions = {}): AsyncGenerator<{ text: string; audio: RawAudio }> {
-    const { voice = DEFAULT_VOICE, speed = 1.0, clean = true } = opts;
-    for (const chunk of this._chunkText(text)) {
-      const inputs = await this._prepareInputs(chunk, voice, speed, clean);
-      yield { text: chunk, audio: new RawAudio(await this._runInference(inputs), SAMPLE_RATE) };
+  /**
+   * Synthesize many items concurrently. Results come back in input order; a failing item gets an
+   * `error` instead of `audio` and does not stop the rest. Aborting `signal` rejects the batch.
+   */
+  async generateBatch(items: BatchItem[], opts: BatchOptions = {}): Promise<BatchResult[]> {
+    const { concurrency = 4, sessions = 1, onProgress, ...defaults } = opts;
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error(`concurrency must be a positive integer, got ${concurrency}`);
+    }
+    if (!Number.isInteger(sessions) || sessions < 1) {
+      throw new Error(`sessions must be a positive integer, got ${sessions}`);
     }
+    throwIfAborted(opts.signal);
+    const pool = new LanePool(await this._inferenceLanes(sessions));
+
+    const results: BatchResult[] = new Array(items.length);
+    let completed = 0;
+    await runConcurrent(items.length, concurrency, async (index) => {
+      const item = items[index];
+      const { text, ...itemOpts } = typeof item === 'string' ? { text: item } : item;
+      try {
+        const audio = await this._generate(text, { ...defaults, ...itemOpts }, (inputs) => pool.use(run => run(inputs)));
+        results[index] = { index, text, audio };
+      } catch (err) {
+        if (opts.signal?.aborted) throw err;
+        results[index] = { index, text, error: err instanceof Error ? err : new Error(String(err)) };
+      }
+      completed += 1;
+      onProgress?.({ completed, total: items.length, result: results[index] });
+    });
+    return results;
   }
 
-  async release(): Promise<void> {
-    if (this._session?.release) {
-      try { await this._session.release(); }
-      catch (err) { console.warn('[kitten-tts] Failed to release ONNX session:', err); }
+  private async _generate(
+    text: string,
+    opts: GenerateOptions,
+    infer: (inputs: PreparedInputs) => Promise<InferenceOutput>,
+  ): Promise<RawAudio> {
+    validateEffects(opts);
+    const join = resolveCallJoin(opts, true);
+    const units = this._planSpeech(text, opts);
+    const synthesized: SynthesizedUnit[] = [];
+    for (const unit of units) {
+      throwIfAborted(opts.signal);
+      const inputs = await this._prepareInputs(unit);
+      throwIfAborted(opts.signal);
+      const output = await infer(inputs);
+      throwIfAborted(opts.signal);
+      synthesized.push({ unit, prepared: inputs, output });
     }
+    return applyEffects(assembleAudio(synthesized, SAMPLE_RATE, { join, timestamps: opts.timestamps }), opts);
+  }
+
+  async *stream(text: string, opts: StreamOptions = {}): AsyncGenerator<{ text: string; audio: RawAudio }> {
+    yield* this._streamText([text], opts);
+  }
+
+  /**
+   * Synthesize text that arrives incrementally (e.g. LLM tokens). Each sentence — or clause, once
+   * enough text is pending — is synthesized as soon as it completes; the rest is flushed at end of input.
+   * Input is treated as plain text.
+   */
+  async *streamFromText(
+    tokens: AsyncIterable<string> | Iterable<string>,
+    opts: TextStreamOptions = {},
+  ): AsyncGenerator<{ text: string; audio: RawAudio }> {
+    const segments = segmentTextStream(tokens, {
+      maxChars: MAX_CHUNK_CHARS,
+      ...opts,
+      abbreviations: this.preprocessor.config.abbreviations,
+    });
+    yield* this._streamText(segments, { ...opts, ssml: false });
+  }
+
+  async release(): Promise<void> {
+    const sessions = [this._session, ...this._extraSessions];
+    this._extraSessions = [];
+    for (const session of sessions) await releaseSession(session);
   }
 
   // ─── Internal helpers ────────────────────────────────────────────────────────
@@ -165,10 +445,33 @@ export abstract class BaseKittenTTS {
     return /[.!?,;:]$/.test(t) ? t : t + ',';
   }
 
+  _planSpeech(text: string, opts: GenerateOptions = {}): SpeechUnit[] {
+    const { voice = DEFAULT_VOICE, speed = 1.0, clean = true, ssml } = opts;
+    const units = planSpeech(text, { voice, speed, clean, ssml }, (t) => this._chunkText(t));
+    const lexicon = opts.lexicon ? this.lexicon.extend(opts.lexicon) : this.lexicon;
+    if (!lexicon.size) return units;
+    return units.map(unit => ({ ...unit, parts: applyLexicon(unit.parts, lexicon) }));
+  }
+
+  /** Split at sentence punctuation and newlines, except after abbreviations ("Dr. Smith") and initials. */
+  _splitSentences(text: string): string[] {
+    const abbreviations = this.preprocessor.config.abbreviations;
+    const sentences: string[] = [];
+    let start = 0;
+    for (const m of text.matchAll(/(?<=[.!?;])\s+|\n+/g)) {
+      const end = m.index!;
+      if (text[end - 1] === '.' && !m[0].includes('\n') && isAbbreviationPeriod(abbreviations, text.slice(start, end), text.slice(end))) continue;
+      sentences.push(text.slice(start, end));
+      start = end + m[0].length;
+    }
+    sentences.push(text.slice(start));
+    return sentences;
+  }
+
   _chunkText(text: string): string[] {
     const chunks: string[] = [];
-    for (const s of text.split(/[.!?]+/)) {
-      const sentence = s.trim();
+    for (const seg of this._splitSentences(text)) {
+      const sentence = seg.trim();
       if (!sentence) continue;
       if (sentence.length <= MAX_CHUNK_CHARS) {
         chunks.push(this._ensurePunctuation(sentence));
@@ -188,36 +491,148 @@ export abstract class BaseKittenTTS {
     return chunks;
   }
 
-  private async _prepareInputs(chunk: string, voiceName: string, speed: number, clean: boolean): Promise<PreparedInputs> {
-    const processedText = clean ? this._preprocessor.process(chunk) : chunk;
-    let phonemes = await this._phonemize(processedText);
-    phonemes = basic_english_tokenize(phonemes).join(' ');
-    const tokenIds = this._cleaner.clean(phonemes);
+  private async *_streamText(
+    texts: AsyncIterable<string> | Iterable<string>,
+    opts: StreamOptions,
+  ): AsyncGenerator<{ text: string; audio: RawAudio }> {
+    validateEffects(opts);
+    const pacer = createPacer(opts.lowLatency, MAX_CHUNK_CHARS);
+    const assembler = new StreamAssembler(SAMPLE_RATE, resolveCallJoin(opts, false), opts.timestamps);
+    for await (const text of texts) {
+      const units = this._planSpeech(text, opts);
+      for (const unit of pacer ? lowLatencyUnits(units, pacer) : units) {
+        throwIfAborted(opts.signal);
+        const started = performance.now();
+        const inputs = await this._prepareInputs(unit);
+        throwIfAborted(opts.signal);
+        const output = await this._runInference(inputs);
+        throwIfAborted(opts.signal);
+        const audio = applyEffects(assembler.next({ unit, prepared: inputs, output }), opts);
+        pacer?.record(unit.text.length, performance.now() - started, audio.duration * 1000);
+        yield { text: unit.text, audio };
+      }
+      throwIfAborted(opts.signal);
+    }
+  }
 
-    if (this.voiceAliases[voiceName]) voiceName = this.voiceAliases[voiceName];
-    if (!this._voices[voiceName]) {
-      throw new Error(`Voice '${voiceName}' not found. Available: ${this.availableVoices.join(', ')}`);
+  private _requireBackend(): TTSBackend {
+    if (!this._backend) {
+      throw new Error('No backend attached: load models with from_pretrained() or from_backend().');
     }
+    return this._backend;
+  }
+
+  /** Map a friendly alias or custom name to its key in `_voices`. */
+  private _resolveVoice(name: string): string {
+    const key = this.voiceAliases[name] || name;
+    if (!this._voices[key]) {
+      throw new Error(`Voice '${key}' not found. Available: ${this.availableVoices.join(', ')}`);
+    }
+    return key;
+  }
+
+  private _registerVoice(name: string, embedding: VoiceEmbedding, overwrite = false): void {
+    if (!name) throw new Error('Voice name must be a non-empty string');
+    if (!overwrite && (this.voiceAliases[name] || this._voices[name])) {
+      throw new Error(`Voice '${name}' already exists; pass { overwrite: true } to replace it`);
+    }
+    const reference = Object.values(this._voices)[0];
+    if (reference && reference.shape[1] !== embedding.shape[1]) {
+      throw new Error(`Voice '${name}' has style size ${embedding.shape[1]}; this model expects ${reference.shape[1]}`);
+    }
+    // A custom voice shadows any alias of the same name.
+    delete this.voiceAliases[name];
+    delete this.speedPriors[name];
+    this._voices[name] = embedding;
+    if (!this.availableVoices.includes(name)) this.availableVoices.push(name);
+    this._customVoices.add(name);
+  }
+
+  private async _prepareInputs(unit: SpeechUnit): Promise<PreparedInputs> {
+    const backend = this._requireBackend();
+    let { voice: voiceName, speed } = unit;
+    const spoken = await phonemizeUnit(unit, (t) => backend.phonemize(t), (t) => this.preprocessor.process(t));
+    const phonemes = basic_english_tokenize(spoken.phonemes).join(' ');
+    let tokenIds = this._cleaner.clean(phonemes);
+    if (tokenIds.length > MAX_INPUT_IDS) {
+      tokenIds = [...tokenIds.slice(0, MAX_INPUT_IDS - 2), 10, 0];
+    }
+
+    voiceName = this._resolveVoice(voiceName);
     const { data: voiceData, shape: [numStyles, styleDim] } = this._voices[voiceName];
     if (this.speedPriors[voiceName]) speed *= this.speedPriors[voiceName];
     const refId = Math.min(tokenIds.length, numStyles - 1);
     const style = voiceData.slice(refId * styleDim, (refId + 1) * styleDim);
 
-    return { input_ids: tokenIds, style, styleDim, speed };
+    return { input_ids: tokenIds, style, styleDim, speed, phonemes, text: spoken.text };
+  }
+
+  /** Run inference, applying the backend's fallback policy once if the session fails. */
+  private async _runInference(inputs: PreparedInputs): Promise<InferenceOutput> {
+    try {
+      return await this._runOnce(inputs);
+    } catch (err) {
+      const reload = this._fallbackUsed ? null : this._backend?.fallback?.(err, {
+        runtimeRequested: this.runtimeRequested,
+        executionProviders: this._executionProviders,
+      });
+      if (!reload) throw err;
+      this._fallbackUsed = true;
+      await releaseSession(this._session);
+      const next = await reload();
+      this._session = next.session;
+      this._runtime = next.runtimeActual;
+      this._executionProviders = [...next.executionProviders];
+      return await this._runOnce(inputs);
+    }
   }
 
-  private async _runInference({ input_ids, style, styleDim, speed }: PreparedInputs): Promise<Float32Array> {
-    const ort = this._ort!;
+  /**
+   * One inference function per session: the main session keeps the fallback policy, extra
+   * sessions (loaded on demand from `loadModel`) run without it.
+   */
+  private async _inferenceLanes(count: number): Promise<Array<(inputs: PreparedInputs) => Promise<InferenceOutput>>> {
+    if (count > 1 + this._extraSessions.length) {
+      const backend = this._requireBackend();
+      if (!this._loadModel) {
+        throw new Error('Extra sessions need the model bytes: load models with from_pretrained() or from_backend().');
+      }
+      const modelBuffer = await this._loadModel();
+      while (this._extraSessions.length < count - 1) {
+        this._extraSessions.push((await backend.createSession(modelBuffer, this.runtimeRequested)).session);
+      }
+    }
+    return [
+      (inputs) => this._runInference(inputs),
+      ...this._extraSessions.slice(0, count - 1).map(session => (inputs: PreparedInputs) => this._runOnce(inputs, session)),
+    ];
+  }
+
+  private async _runOnce(
+    { input_ids, style, styleDim, speed }: PreparedInputs,
+    session: OrtSession | null = this._session,
+  ): Promise<InferenceOutput> {
+    const backend = this._requireBackend();
+    const { Tensor } = backend.ort;
     const seqLen = input_ids.length;
+    const feeds = {
+      input_ids: new Tensor('int64', BigInt64Array.from(input_ids.map(BigInt)), [1, seqLen]),
+      style:     new Tensor('float32', new Float32Array(style), [1, styleDim]),
+      speed:     new Tensor('float32', new Float32Array([speed]), [1]),
+    };
 
-    const results = await this._session!.run({
-      input_ids: new ort.Tensor('int64', BigInt64Array.from(input_ids.map(BigInt)), [1, seqLen]),
-      style:     new ort.Tensor('float32', new Float32Array(style), [1, styleDim]),
-      speed:     new ort.Tensor('float32', new Float32Array([speed]), [1]),
-    });
+    let results: Record<string, OrtTensor>;
+    try {
+      results = await session!.run(feeds);
+    } finally {
+      for (const tensor of Object.values(feeds)) backend.disposeTensor(tensor);
+    }
 
-    const audioData = results[Object.keys(results)[0]].data;
-    return new Float32Array(audioData.slice(0, Math.max(0, audioData.length - AUDIO_TRIM)));
+    const outputKey = Object.keys(results)[0];
+    const raw = new Float32Array(results[outputKey].data);
+    const durations = findDurationOutput(results, outputKey, seqLen);
+    for (const tensor of Object.values(results)) backend.disposeTensor(tensor);
+    return { audio: raw.subarray(0, Math.max(0, raw.length - AUDIO_TRIM)), raw, durations, rawLength: raw.length };
   }
 }
 
@@ -0,0 +1,62 @@
+/**
+ * Batch synthesis plumbing: a bounded worker loop over item indices and a pool of inference
+ * lanes (one per ORT session) that items borrow for each model run.
+ *
+ * Items outnumber lanes on purpose: while one item holds a lane for inference, the others
+ * phonemize and prepare their next chunk, so the session never waits on text processing.
+ */
+
+import type { RawAudio } from './audio.ts';
+
+export interface BatchResult {
+  /** Position of the item in the input array. */
+  index: number;
+  text: string;
+  /** Present when the item succeeded. */
+  audio?: RawAudio;
+  /** Present when the item failed; other items are unaffected. */
+  error?: Error;
+}
+
+export interface BatchProgress {
+  /** Items finished so far, successful or not. */
+  completed: number;
+  total: number;
+  /** The item that just finished. */
+  result: BatchResult;
+}
+
+/** Run `task(0…count-1)` with at most `concurrency` in flight, starting them in index order. */
+export async function runConcurrent(
+  count: number,
+  concurrency: number,
+  task: (index: number) => Promise<void>,
+): Promise<void> {
+  let next = 0;
+  const worker = async () => {
+    while (next < count) await task(next++);
+  };
+  await Promise.all(Array.from({ length: Math.min(count, Math.max(1, concurrency)) }, worker));
+}
+
+/** Hands out lanes one caller at a time; callers queue in FIFO order while all lanes are busy. */
+export class LanePool<T> {
+  private readonly _idle: T[];
+  private readonly _waiting: Array<(lane: T) => void> = [];
+
+  constructor(lanes: T[]) {
+    if (lanes.length === 0) throw new Error('LanePool needs at least one lane');
+    this._idle = [...lanes];
+  }
+
+  async use<R>(fn: (lane: T) => Promise<R>): Promise<R> {
+    const lane = this._idle.shift() ?? await new Promise<T>(resolve => this._waiting.push(resolve));
+    try {
+      return await fn(lane);
+    } finally {
+      const waiter = this._waiting.shift();
+      if (waiter) waiter(lane);
+      else this._idle.push(lane);
+    }
+  }
+}
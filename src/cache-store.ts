@@ -0,0 +1,373 @@
+/**
+ * Storage backends for downloaded model files: a directory on disk (Node), the Cache API or the
+ * Origin Private File System (browsers). Each model gets its own folder (or key prefix) named by
+ * `modelCacheKey` in model-loader.ts; every file may carry the SHA-256 recorded when it was
+ * downloaded, and a `.source` marker names the model or URL the folder came from.
+ *
+ * Disk writes go to a temporary file that is renamed into place, so an interrupted process never
+ * leaves a truncated file under the final name. OPFS writables commit atomically on close.
+ */
+
+export const CACHE_DIR_NAME = 'kitten-tts';
+/** Environment variable that relocates the Node cache when no `cacheDir` is passed. */
+export const CACHE_DIR_ENV = 'KITTEN_TTS_CACHE_DIR';
+
+const SOURCE_FILE = '.source';
+const SHA256_HEADER = 'x-kitten-sha256';
+const SIZE_HEADER = 'x-kitten-size';
+
+export type BrowserCacheKind = 'cache-api' | 'opfs';
+
+export interface CacheStoreOptions {
+  /** Node cache directory. Default: `$KITTEN_TTS_CACHE_DIR`, else `~/.cache/kitten-tts` */
+  cacheDir?: string;
+  /** Browser storage for downloads. Default: 'cache-api' */
+  browserCache?: BrowserCacheKind;
+}
+
+export interface CachedFile {
+  buffer: ArrayBuffer;
+  sha256?: string;
+  /** Byte length recorded with the checksum; a cheap check that the file is whole. */
+  size?: number;
+}
+
+/** Checksum and length of a stored file, recorded next to it. */
+export interface FileRecord {
+  sha256: string;
+  size: number;
+}
+
+export interface CachedModelFile {
+  name: string;
+  size: number;
+}
+
+export interface CachedModel {
+  /** Folder (or key prefix) name in the store. */
+  key: string;
+  /** Hub ID or URL the files were downloaded for, when recorded. */
+  source?: string;
+  files: CachedModelFile[];
+  /** Total bytes of `files`. */
+  size: number;
+}
+
+/** Where downloaded bytes go: memory, or a `.partial` file in the Node cache that survives interruptions. */
+export interface DownloadSink {
+  /** Bytes already held, i.e. where a resumed request starts. */
+  readonly offset: number;
+  write(chunk: Uint8Array): Promise<void>;
+  /** Drop what was held, e.g. when the server ignores the range request. */
+  restart(): Promise<void>;
+  finish(): Promise<ArrayBuffer>;
+  close(): Promise<void>;
+}
+
+export interface CacheStore {
+  /** Human-readable location, for messages. */
+  readonly location: string;
+  get(model: string, file: string): Promise<CachedFile | null>;
+  /** Store `buffer`, or with `buffer` null only record the checksum of the existing entry. */
+  set(model: string, file: string, buffer: ArrayBuffer | null, record: FileRecord, source: string): Promise<void>;
+  /** Remove one file, or the whole model when `file` is omitted. */
+  delete(model: string, file?: string): Promise<void>;
+  list(): Promise<CachedModel[]>;
+  clear(): Promise<void>;
+  /** Resumable download target; stores without one download into memory. */
+  partial?(model: string, file: string, source: string): Promise<DownloadSink>;
+}
+
+/** `.sha256` sidecar contents: the checksum, then the size (absent in entries written by older versions). */
+function formatRecord({ sha256, size }: FileRecord): string {
+  return `${sha256} ${size}`;
+}
+
+function parseRecord(text: string | undefined): Pick<CachedFile, 'sha256' | 'size'> {
+  const [sha256, size] = (text ?? '').trim().split(/\s+/);
+  return { sha256: sha256 || undefined, size: size ? Number(size) : undefined };
+}
+
+function isNode(): boolean {
+  return typeof process !== 'undefined' && !!process.versions?.node;
+}
+
+function isHidden(name: string): boolean {
+  return name === SOURCE_FILE || /\.(sha256|partial|tmp)$/.test(name);
+}
+
+function sumSizes(files: CachedModelFile[]): number {
+  return files.reduce((total, f) => total + f.size, 0);
+}
+
+/** The cache store for `opts` in the current environment; null where nothing can be persisted. */
+export async function openCacheStore(opts: CacheStoreOptions = {}): Promise<CacheStore | null> {
+  if (isNode()) return fsStore(await resolveCacheDir(opts.cacheDir));
+  if (opts.browserCache === 'opfs') {
+    if (typeof navigator === 'undefined' || !navigator.storage?.getDirectory) {
+      throw new Error('browserCache: "opfs" needs the Origin Private File System (navigator.storage.getDirectory)');
+    }
+    return opfsStore();
+  }
+  if (opts.browserCache !== undefined && opts.browserCache !== 'cache-api') {
+    throw new Error(`Unknown browserCache: ${opts.browserCache as string}. Use 'cache-api' or 'opfs'.`);
+  }
+  return typeof caches === 'undefined' ? null : cacheApiStore();
+}
+
+/** `cacheDir`, else the environment variable, else `~/.cache/kitten-tts`; `~` is expanded. */
+export async function resolveCacheDir(cacheDir?: string): Promise<string> {
+  const [path, os] = await Promise.all([import('path'), import('os')]);
+  const dir = cacheDir || process.env[CACHE_DIR_ENV] || path.join(os.homedir(), '.cache', CACHE_DIR_NAME);
+  return path.resolve(dir.replace(/^~(?=$|[\\/])/, os.homedir()));
+}
+
+// ─── Node: a directory on disk ────────────────────────────────────────────────
+
+async function fsStore(root: string): Promise<CacheStore> {
+  const [{ promises: fs }, path] = await Promise.all([import('fs'), import('path')]);
+  const exists = (file: string) => fs.stat(file).then(() => true, () => false);
+  const filePath = (model: string, file: string) => path.join(root, model, file);
+
+  /** Write to a temporary sibling, then rename over `target`. */
+  async function writeAtomic(target: string, data: Uint8Array | string): Promise<void> {
+    const tmp = `${target}.${process.pid}.${Math.random().toString(36).slice(2)}.tmp`;
+    try {
+      await fs.writeFile(tmp, data);
+      await fs.rename(tmp, target);
+    } catch (error) {
+      await fs.rm(tmp, { force: true });
+      throw error;
+    }
+  }
+
+  async function ensureModelDir(model: string, source: string): Promise<void> {
+    await fs.mkdir(path.join(root, model), { recursive: true });
+    const marker = filePath(model, SOURCE_FILE);
+    if (!await exists(marker)) await writeAtomic(marker, source);
+  }
+
+  const store: CacheStore = {
+    location: root,
+
+    async get(model, file) {
+      const target = filePath(model, file);
+      let buf: Buffer;
+      try {
+        buf = await fs.readFile(target);
+      } catch {
+        return null;
+      }
+      const record = parseRecord(await fs.readFile(`${target}.sha256`, 'utf8').catch(() => undefined));
+      return { buffer: buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength) as ArrayBuffer, ...record };
+    },
+
+    async set(model, file, buffer, record, source) {
+      await ensureModelDir(model, source);
+      const target = filePath(model, file);
+      if (buffer) {
+        const partial = `${target}.partial`;
+        // A completed resumable download already holds exactly these bytes.
+        const partialSize = await fs.stat(partial).then(s => s.size, () => -1);
+        if (partialSize === buffer.byteLength) await fs.rename(partial, target);
+        else await writeAtomic(target, new Uint8Array(buffer));
+      }
+      await writeAtomic(`${target}.sha256`, formatRecord(record));
+    },
+
+    async delete(model, file) {
+      if (file === undefined) {
+        await fs.rm(path.join(root, model), { recursive: true, force: true });
+        return;
+      }
+      const target = filePath(model, file);
+      await Promise.all([target, `${target}.sha256`, `${target}.partial`].map(f => fs.rm(f, { force: true })));
+    },
+
+    async list() {
+      const entries = await fs.readdir(root, { withFileTypes: true }).catch(() => []);
+      const models: CachedModel[] = [];
+      for (const entry of entries) {
+        if (!entry.isDirectory()) continue;
+        const dir = path.join(root, entry.name);
+        // Only folders this library created; a shared cacheDir may hold anything else.
+        const source = await fs.readFile(path.join(dir, SOURCE_FILE), 'utf8').catch(() => null);
+        if (source === null) continue;
+        const files: CachedModelFile[] = [];
+        for (const name of (await fs.readdir(dir)).sort()) {
+          if (isHidden(name)) continue;
+          files.push({ name, size: (await fs.stat(path.join(dir, name))).size });
+        }
+        models.push({ key: entry.name, source: source || undefined, files, size: sumSizes(files) });
+      }
+      return models;
+    },
+
+    async clear() {
+      for (const model of await store.list()) await store.delete(model.key);
+    },
+
+    async partial(model, file, source) {
+      await ensureModelDir(model, source);
+      const partial = `${filePath(model, file)}.partial`;
+      let offset = await fs.stat(partial).then(s => s.size, () => 0);
+      const handle = await fs.open(partial, 'a');
+      let open = true;
+      const close = async () => {
+        if (open) await handle.close();
+        open = false;
+      };
+      return {
+        get offset() { return offset; },
+        async write(chunk) { await handle.write(chunk); offset += chunk.length; },
+        async restart() { await handle.truncate(0); offset = 0; },
+        async finish() {
+          await close();
+          const buf = await fs.readFile(partial);
+          return buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength) as ArrayBuffer;
+        },
+        close,
+      };
+    },
+  };
+  return store;
+}
+
+// ─── Browser: Cache API ───────────────────────────────────────────────────────
+
+function cacheApiStore(): CacheStore {
+  const open = () => caches.open(CACHE_DIR_NAME);
+  const url = (model: string, file: string) => `/${model}/${file}`;
+
+  return {
+    location: `Cache API "${CACHE_DIR_NAME}"`,
+
+    async get(model, file) {
+      const resp = await (await open()).match(url(model, file));
+      if (!resp) return null;
+      const size = resp.headers.get(SIZE_HEADER);
+      return {
+        buffer: await resp.arrayBuffer(),
+        sha256: resp.headers.get(SHA256_HEADER) ?? undefined,
+        size: size ? Number(size) : undefined,
+      };
+    },
+
+    async set(model, file, buffer, record, source) {
+      const cache = await open();
+      const body = buffer ?? await (await cache.match(url(model, file)))?.arrayBuffer();
+      if (!body) return;
+      await cache.put(url(model, file), new Response(body, { headers: { [SHA256_HEADER]: record.sha256, [SIZE_HEADER]: String(record.size) } }));
+      await cache.put(url(model, SOURCE_FILE), new Response(source));
+    },
+
+    async delete(model, file) {
+      const cache = await open();
+      const prefix = `/${model}/`;
+      const requests = file === undefined
+        ? (await cache.keys()).filter(req => new URL(req.url).pathname.startsWith(prefix))
+        : [url(model, file)];
+      await Promise.all(requests.map(req => cache.delete(req)));
+    },
+
+    async list() {
+      const cache = await open();
+      const models = new Map<string, CachedModel>();
+      for (const req of await cache.keys()) {
+        const [, key, name] = /^\/([^/]+)\/(.+)$/.exec(decodeURIComponent(new URL(req.url).pathname)) ?? [];
+        if (!key) continue;
+        let model = models.get(key);
+        if (!model) models.set(key, model = { key, files: [], size: 0 });
+        const resp = await cache.match(req);
+        if (name === SOURCE_FILE) model.source = await resp?.text();
+        else model.files.push({ name, size: (await resp?.blob())?.size ?? 0 });
+      }
+      for (const model of models.values()) model.size = sumSizes(model.files);
+      return [...models.values()];
+    },
+
+    async clear() {
+      await caches.delete(CACHE_DIR_NAME);
+    },
+  };
+}
+
+// ─── Browser: Origin Private File System ──────────────────────────────────────
+
+/** `entries()` is missing from the DOM typings this package compiles against. */
+type IterableDirectory = FileSystemDirectoryHandle & {
+  entries(): AsyncIterable<[string, FileSystemDirectoryHandle | FileSystemFileHandle]>;
+};
+
+function opfsStore(): CacheStore {
+  const root = async () => (await navigator.storage.getDirectory()).getDirectoryHandle(CACHE_DIR_NAME, { create: true });
+  const modelDir = async (model: string, create = false) => {
+    try {
+      return await (await root()).getDirectoryHandle(model, { create });
+    } catch {
+      return null;
+    }
+  };
+  const readFile = async (dir: FileSystemDirectoryHandle, name: string) => {
+    try {
+      return await (await dir.getFileHandle(name)).getFile();
+    } catch {
+      return null;
+    }
+  };
+  const writeFile = async (dir: FileSystemDirectoryHandle, name: string, data: ArrayBuffer | string) => {
+    const writable = await (await dir.getFileHandle(name, { create: true })).createWritable();
+    await writable.write(data);
+    await writable.close();
+  };
+
+  return {
+    location: `OPFS /${CACHE_DIR_NAME}`,
+
+    async get(model, file) {
+      const dir = await modelDir(model);
+      const blob = dir && await readFile(dir, file);
+      if (!dir || !blob) return null;
+      const record = parseRecord(await (await readFile(dir, `${file}.sha256`))?.text());
+      return { buffer: await blob.arrayBuffer(), ...record };
+    },
+
+    async set(model, file, buffer, record, source) {
+      const dir = (await modelDir(model, true))!;
+      if (buffer) await writeFile(dir, file, buffer);
+      await writeFile(dir, `${file}.sha256`, formatRecord(record));
+      if (!await readFile(dir, SOURCE_FILE)) await writeFile(dir, SOURCE_FILE, source);
+    },
+
+    async delete(model, file) {
+      if (file === undefined) {
+        await (await root()).removeEntry(model, { recursive: true }).catch(() => {});
+        return;
+      }
+      const dir = await modelDir(model);
+      if (!dir) return;
+      for (const name of [file, `${file}.sha256`]) await dir.removeEntry(name).catch(() => {});
+    },
+
+    async list() {
+      const models: CachedModel[] = [];
+      for await (const [key, handle] of (await root() as IterableDirectory).entries()) {
+        if (handle.kind !== 'directory') continue;
+        const files: CachedModelFile[] = [];
+        let source: string | undefined;
+        for await (const [name, child] of (handle as IterableDirectory).entries()) {
+          if (child.kind !== 'file') continue;
+          const blob = await (child as FileSystemFileHandle).getFile();
+          if (name === SOURCE_FILE) source = await blob.text();
+          else if (!isHidden(name)) files.push({ name, size: blob.size });
+        }
+        models.push({ key, source, files, size: sumSizes(files) });
+      }
+      return models;
+    },
+
+    async clear() {
+      await (await navigator.storage.getDirectory()).removeEntry(CACHE_DIR_NAME, { recursive: true }).catch(() => {});
+    },
+  };
+}
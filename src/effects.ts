@@ -0,0 +1,201 @@
+/**
+ * Waveform post-processing: duration-preserving pitch shift and loudness normalization.
+ *
+ * Both work on the finished waveform rather than model inputs, so they behave the same for every
+ * model. Pitch shift is WSOLA time-stretch followed by resampling back to the original length;
+ * loudness is integrated LUFS per ITU-R BS.1770 (K-weighting, 400 ms gated blocks).
+ */
+
+import { RawAudio } from './audio.ts';
+
+export interface EffectOptions {
+  /** Pitch shift in semitones; duration is preserved. Range -12…12. */
+  pitch?: number;
+  /** Normalize integrated loudness to this many LUFS (e.g. -16 for speech, -23 for broadcast). */
+  loudness?: number;
+}
+
+const MAX_PITCH_SEMITONES = 12;
+/** Gain is capped so sample peaks stay below this after loudness normalization. */
+const PEAK_CEILING_DB = -1;
+const WSOLA_FRAME_MS = 30;
+const WSOLA_TOLERANCE_MS = 8;
+/** Correlation is evaluated on every Nth sample while searching for the best frame alignment. */
+const WSOLA_CORR_STEP = 4;
+
+const LUFS_BLOCK_MS = 400;
+const LUFS_ABSOLUTE_GATE = -70;
+const LUFS_RELATIVE_GATE = -10;
+
+export function validateEffects(opts: EffectOptions): void {
+  if (opts.pitch !== undefined && (!Number.isFinite(opts.pitch) || Math.abs(opts.pitch) > MAX_PITCH_SEMITONES)) {
+    throw new Error(`pitch must be a number of semitones between -${MAX_PITCH_SEMITONES} and ${MAX_PITCH_SEMITONES}, got ${opts.pitch}`);
+  }
+  if (opts.loudness !== undefined && (!Number.isFinite(opts.loudness) || opts.loudness >= 0)) {
+    throw new Error(`loudness must be a negative LUFS target, got ${opts.loudness}`);
+  }
+}
+
+/** Apply `pitch` then `loudness` to `audio`, keeping its timings (neither changes duration). */
+export function applyEffects(audio: RawAudio, opts: EffectOptions): RawAudio {
+  let data = audio.data;
+  if (opts.pitch) data = pitchShift(data, audio.sampling_rate, opts.pitch);
+  if (opts.loudness !== undefined) data = normalizeLoudness(data, audio.sampling_rate, opts.loudness);
+  return data === audio.data ? audio : new RawAudio(data, audio.sampling_rate, audio.timings);
+}
+
+// ─── Pitch ────────────────────────────────────────────────────────────────────
+
+/**
+ * WSOLA time-stretch: output is about `rate` times as long as the input with the same pitch. Each
+ * frame is taken from near its nominal position, shifted within a small tolerance to best
+ * continue the previous frame, and overlap-added with a Hann window.
+ */
+export function timeStretch(samples: Float32Array, sampleRate: number, rate: number): Float32Array {
+  const frame = Math.max(4, Math.round((WSOLA_FRAME_MS * sampleRate) / 1000) & ~1);
+  const hop = frame / 2;
+  const tolerance = Math.round((WSOLA_TOLERANCE_MS * sampleRate) / 1000);
+  const outLength = Math.round(samples.length * rate);
+  if (samples.length === 0 || outLength === 0) return new Float32Array(outLength);
+
+  // Zero padding keeps every candidate frame in range without bounds checks.
+  const input = new Float32Array(tolerance + samples.length + frame + 2 * tolerance + Math.ceil(hop * rate) + hop);
+  input.set(samples, tolerance);
+  const window = new Float32Array(frame);
+  for (let i = 0; i < frame; i++) window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / frame);
+
+  const out = new Float32Array(outLength + frame);
+  const weight = new Float32Array(outLength + frame);
+  const maxStart = input.length - frame;
+  let prev = tolerance;
+  for (let k = 0; k * hop < outLength; k++) {
+    const nominal = tolerance + Math.round((k * hop) / rate);
+    let start = Math.min(nominal, maxStart);
+    if (k > 0) {
+      // The frame that would naturally follow the previous one; pick the candidate most like it.
+      const target = Math.min(prev + hop, maxStart);
+      let best = -Infinity;
+      const lo = Math.max(0, nominal - tolerance);
+      const hi = Math.min(maxStart, nominal + tolerance);
+      for (let c = lo; c <= hi; c++) {
+        let corr = 0;
+        for (let i = 0; i < frame; i += WSOLA_CORR_STEP) corr += input[c + i] * input[target + i];
+        if (corr > best) {
+          best = corr;
+          start = c;
+        }
+      }
+    }
+    const at = k * hop;
+    for (let i = 0; i < frame; i++) {
+      out[at + i] += input[start + i] * window[i];
+      weight[at + i] += window[i];
+    }
+    prev = start;
+  }
+  for (let i = 0; i < outLength; i++) if (weight[i] > 1e-3) out[i] /= weight[i];
+  return out.subarray(0, outLength);
+}
+
+/** Linear-interpolation resample of `samples` to exactly `length` samples. */
+function resampleTo(samples: Float32Array, length: number): Float32Array {
+  const out = new Float32Array(length);
+  if (samples.length === 0) return out;
+  const step = length > 1 ? (samples.length - 1) / (length - 1) : 0;
+  for (let i = 0; i < length; i++) {
+    const pos = i * step;
+    const j = Math.floor(pos);
+    const frac = pos - j;
+    out[i] = j + 1 < samples.length ? samples[j] * (1 - frac) + samples[j + 1] * frac : samples[j];
+  }
+  return out;
+}
+
+/** Shift pitch by `semitones` while keeping the number of samples (and so duration) unchanged. */
+export function pitchShift(samples: Float32Array, sampleRate: number, semitones: number): Float32Array {
+  if (!semitones) return samples;
+  const ratio = 2 ** (semitones / 12);
+  return resampleTo(timeStretch(samples, sampleRate, ratio), samples.length);
+}
+
+// ─── Loudness ─────────────────────────────────────────────────────────────────
+
+type Biquad = [b0: number, b1: number, b2: number, a1: number, a2: number];
+
+/** BS.1770 K-weighting (high shelf + high pass), derived for any sample rate. */
+function kWeighting(sampleRate: number): [Biquad, Biquad] {
+  let K = Math.tan((Math.PI * 1681.974450955533) / sampleRate);
+  const Vh = 10 ** (3.999843853973347 / 20);
+  const Vb = Vh ** 0.4996667741545416;
+  let Q = 0.7071752369554196;
+  let a0 = 1 + K / Q + K * K;
+  const shelf: Biquad = [
+    (Vh + (Vb * K) / Q + K * K) / a0,
+    (2 * (K * K - Vh)) / a0,
+    (Vh - (Vb * K) / Q + K * K) / a0,
+    (2 * (K * K - 1)) / a0,
+    (1 - K / Q + K * K) / a0,
+  ];
+  K = Math.tan((Math.PI * 38.13547087602444) / sampleRate);
+  Q = 0.5003270373238773;
+  a0 = 1 + K / Q + K * K;
+  const highPass: Biquad = [1, -2, 1, (2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0];
+  return [shelf, highPass];
+}
+
+function filter(samples: Float32Array, [b0, b1, b2, a1, a2]: Biquad): Float32Array {
+  const out = new Float32Array(samples.length);
+  let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const x = samples[i];
+    const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+    x2 = x1; x1 = x;
+    y2 = y1; y1 = y;
+    out[i] = y;
+  }
+  return out;
+}
+
+const blockLoudness = (meanSquare: number) => -0.691 + 10 * Math.log10(meanSquare);
+
+/**
+ * Integrated loudness of a mono waveform in LUFS: mean square of K-weighted 400 ms blocks (75%
+ * overlap) after the absolute (-70 LUFS) and relative (-10 LU) gates. Clips shorter than one
+ * block are measured as a single block. Returns `-Infinity` for silence.
+ */
+export function measureLoudness(samples: Float32Array, sampleRate: number): number {
+  const [shelf, highPass] = kWeighting(sampleRate);
+  const weighted = filter(filter(samples, shelf), highPass);
+  const block = Math.min(weighted.length, Math.round((LUFS_BLOCK_MS * sampleRate) / 1000));
+  if (block === 0) return -Infinity;
+  const step = Math.max(1, Math.round(block / 4));
+
+  const blocks: number[] = [];
+  for (let start = 0; start + block <= weighted.length; start += step) {
+    let sum = 0;
+    for (let i = start; i < start + block; i++) sum += weighted[i] * weighted[i];
+    blocks.push(sum / block);
+  }
+
+  const gated = (threshold: number) => blocks.filter(ms => ms > 0 && blockLoudness(ms) > threshold);
+  const absolute = gated(LUFS_ABSOLUTE_GATE);
+  if (absolute.length === 0) return -Infinity;
+  const mean = (xs: number[]) => xs.reduce((a, b) => a + b, 0) / xs.length;
+  const relative = gated(blockLoudness(mean(absolute)) + LUFS_RELATIVE_GATE);
+  return blockLoudness(mean(relative));
+}
+
+/**
+ * Scale `samples` to `targetLufs` integrated loudness. Gain is limited so the sample peak stays at
+ * or below -1 dBFS, so very quiet targets are met exactly but loud ones may land slightly under.
+ */
+export function normalizeLoudness(samples: Float32Array, sampleRate: number, targetLufs: number): Float32Array {
+  const measured = measureLoudness(samples, sampleRate);
+  if (!Number.isFinite(measured)) return samples;
+  let peak = 0;
+  for (let i = 0; i < samples.length; i++) peak = Math.max(peak, Math.abs(samples[i]));
+  const gain = Math.min(10 ** ((targetLufs - measured) / 20), 10 ** (PEAK_CEILING_DB / 20) / peak);
+  const out = new Float32Array(samples.length);
+  for (let i = 0; i < samples.length; i++) out[i] = samples[i] * gain;
+  return out;
+}
@@ -0,0 +1,244 @@
+/**
+ * FLAC encoder: 16-bit mono PCM → native FLAC stream, pure TypeScript.
+ *
+ * Each fixed-size block is stored as CONSTANT, VERBATIM or the best FIXED predictor (order 0–4)
+ * with a partitioned Rice residual, whichever is smallest. That skips LPC but already gets speech
+ * to roughly half of WAV size, losslessly.
+ */
+
+const DEFAULT_BLOCK_SIZE = 4096;
+const MAX_FIXED_ORDER = 4;
+const MAX_PARTITION_ORDER = 8;
+/** Rice parameter 15 is the escape code in 4-bit partitions. */
+const MAX_RICE_PARAM = 14;
+
+/** Frame header sample-rate codes; other rates are read from STREAMINFO (code 0). */
+const SAMPLE_RATE_CODES: Record<number, number> = {
+  88200: 1, 176400: 2, 192000: 3, 8000: 4, 16000: 5, 22050: 6, 24000: 7, 32000: 8, 44100: 9, 48000: 10, 96000: 11,
+};
+
+class BitWriter {
+  private _bytes = new Uint8Array(1024);
+  private _length = 0;
+  private _acc = 0;
+  private _bits = 0;
+
+  /** Append the low `count` bits of `value` (count ≤ 24), most significant first. */
+  write(value: number, count: number): void {
+    this._acc = (this._acc << count) | (value & ((1 << count) - 1));
+    this._bits += count;
+    while (this._bits >= 8) {
+      this._bits -= 8;
+      this._push((this._acc >>> this._bits) & 0xff);
+    }
+    this._acc &= (1 << this._bits) - 1;
+  }
+
+  /** Write a value wider than 24 bits in two parts. */
+  writeLong(value: number, count: number): void {
+    const high = count - 24;
+    this.write(Math.floor(value / 2 ** 24), high);
+    this.write(value % 2 ** 24, 24);
+  }
+
+  writeUnary(zeros: number): void {
+    for (; zeros >= 24; zeros -= 24) this.write(0, 24);
+    this.write(1, zeros + 1);
+  }
+
+  alignToByte(): void {
+    if (this._bits > 0) this.write(0, 8 - this._bits);
+  }
+
+  get length(): number {
+    return this._length;
+  }
+
+  bytes(from = 0, to = this._length): Uint8Array {
+    return this._bytes.subarray(from, to);
+  }
+
+  private _push(byte: number): void {
+    if (this._length === this._bytes.length) {
+      const grown = new Uint8Array(this._bytes.length * 2);
+      grown.set(this._bytes);
+      this._bytes = grown;
+    }
+    this._bytes[this._length++] = byte;
+  }
+}
+
+function crc8(bytes: Uint8Array): number {
+  let crc = 0;
+  for (const byte of bytes) {
+    crc ^= byte;
+    for (let i = 0; i < 8; i++) crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xff : (crc << 1) & 0xff;
+  }
+  return crc;
+}
+
+function crc16(bytes: Uint8Array): number {
+  let crc = 0;
+  for (const byte of bytes) {
+    crc ^= byte << 8;
+    for (let i = 0; i < 8; i++) crc = crc & 0x8000 ? ((crc << 1) ^ 0x8005) & 0xffff : (crc << 1) & 0xffff;
+  }
+  return crc;
+}
+
+/** FLAC's UTF-8-style variable-length frame number. */
+function writeFrameNumber(w: BitWriter, n: number): void {
+  if (n < 0x80) {
+    w.write(n, 8);
+    return;
+  }
+  const bytes: number[] = [];
+  let limit = 0x3f;
+  while (n > limit) {
+    bytes.unshift(0x80 | (n & 0x3f));
+    n = Math.floor(n / 64);
+    limit >>= 1;
+  }
+  const lead = (0xff00 >> (bytes.length + 1)) & 0xff;
+  w.write(lead | n, 8);
+  for (const b of bytes) w.write(b, 8);
+}
+
+/** Residual of the order-`order` fixed polynomial predictor, for samples `order…n-1`. */
+function fixedResidual(x: Int16Array, order: number): Int32Array {
+  const r = new Int32Array(x.length - order);
+  for (let i = order; i < x.length; i++) {
+    switch (order) {
+      case 0: r[i] = x[i]; break;
+      case 1: r[i - 1] = x[i] - x[i - 1]; break;
+      case 2: r[i - 2] = x[i] - 2 * x[i - 1] + x[i - 2]; break;
+      case 3: r[i - 3] = x[i] - 3 * x[i - 1] + 3 * x[i - 2] - x[i - 3]; break;
+      default: r[i - 4] = x[i] - 4 * x[i - 1] + 6 * x[i - 2] - 4 * x[i - 3] + x[i - 4];
+    }
+  }
+  return r;
+}
+
+const zigzag = (v: number) => (v >= 0 ? v * 2 : -v * 2 - 1);
+
+/** Best Rice parameter and its bit cost for `count` residuals starting at `start`. */
+function riceParam(u: Uint32Array, start: number, count: number): { k: number; bits: number } {
+  let sum = 0;
+  for (let i = start; i < start + count; i++) sum += u[i];
+  const guess = count > 0 && sum > count ? Math.min(MAX_RICE_PARAM, Math.floor(Math.log2(sum / count))) : 0;
+  let best = { k: 0, bits: Infinity };
+  for (let k = Math.max(0, guess - 1); k <= Math.min(MAX_RICE_PARAM, guess + 1); k++) {
+    let bits = count * (k + 1);
+    for (let i = start; i < start + count; i++) bits += u[i] >>> k;
+    if (bits < best.bits) best = { k, bits };
+  }
+  return best;
+}
+
+/** Choose the partition order (and per-partition Rice parameters) with the fewest bits. */
+function planResidual(residual: Int32Array, blockSize: number, order: number) {
+  const u = Uint32Array.from(residual, zigzag);
+  let best = { partitionOrder: 0, params: [] as number[], bits: Infinity };
+  for (let p = 0; p <= MAX_PARTITION_ORDER; p++) {
+    const size = blockSize >> p;
+    if (blockSize % (1 << p) !== 0 || size <= order) break;
+    const params: number[] = [];
+    let bits = 6;
+    let start = 0;
+    for (let part = 0; part < 1 << p; part++) {
+      const count = part === 0 ? size - order : size;
+      const { k, bits: cost } = riceParam(u, start, count);
+      params.push(k);
+      bits += 4 + cost;
+      start += count;
+    }
+    if (bits < best.bits) best = { partitionOrder: p, params, bits };
+  }
+  return { ...best, u };
+}
+
+function writeSubframe(w: BitWriter, block: Int16Array): void {
+  if (block.every(s => s === block[0])) {
+    w.write(0b00000000, 8);
+    w.write(block[0], 16);
+    return;
+  }
+
+  let best: { order: number; plan: ReturnType<typeof planResidual> } | null = null;
+  for (let order = 0; order <= Math.min(MAX_FIXED_ORDER, block.length - 1); order++) {
+    const plan = planResidual(fixedResidual(block, order), block.length, order);
+    if (!best || plan.bits + 16 * order < best.plan.bits + 16 * best.order) best = { order, plan };
+  }
+
+  if (!best || best.plan.bits + 16 * best.order >= 16 * block.length) {
+    w.write(0b00000010, 8);
+    for (const s of block) w.write(s, 16);
+    return;
+  }
+
+  const { order, plan } = best;
+  w.write(0b00010000 | (order << 1), 8);
+  for (let i = 0; i < order; i++) w.write(block[i], 16);
+  w.write(0, 2);
+  w.write(plan.partitionOrder, 4);
+  const size = block.length >> plan.partitionOrder;
+  let i = 0;
+  plan.params.forEach((k, part) => {
+    w.write(k, 4);
+    const end = i + (part === 0 ? size - order : size);
+    for (; i < end; i++) {
+      const v = plan.u[i];
+      w.writeUnary(v >>> k);
+      if (k > 0) w.write(v, k);
+    }
+  });
+}
+
+/**
+ * Encode 16-bit mono PCM as a FLAC file. The STREAMINFO MD5 is left zero ("not computed"),
+ * which decoders accept.
+ */
+export function encodeFlac(pcm: Int16Array, sampleRate: number, opts: { blockSize?: number } = {}): Uint8Array {
+  const blockSize = opts.blockSize ?? DEFAULT_BLOCK_SIZE;
+  if (!Number.isInteger(blockSize) || blockSize < 16 || blockSize > 65535) {
+    throw new Error(`FLAC block size must be an integer in 16…65535, got ${blockSize}`);
+  }
+  if (!Number.isInteger(sampleRate) || sampleRate <= 0 || sampleRate >= 2 ** 20) {
+    throw new Error(`Unsupported FLAC sample rate: ${sampleRate}`);
+  }
+  const rateCode = SAMPLE_RATE_CODES[sampleRate] ?? 0;
+
+  const w = new BitWriter();
+  for (const c of 'fLaC') w.write(c.charCodeAt(0), 8);
+  // STREAMINFO, flagged as the last metadata block.
+  w.write(0x80, 8);
+  w.write(34, 24);
+  w.write(blockSize, 16); // min and max block size; only the last block may be shorter
+  w.write(blockSize, 16);
+  w.write(0, 24);
+  w.write(0, 24);
+  w.write(sampleRate, 20);
+  w.write(0, 3); // channels - 1
+  w.write(15, 5); // bits per sample - 1
+  w.writeLong(pcm.length, 36);
+  for (let i = 0; i < 16; i++) w.write(0, 8);
+
+  for (let start = 0, frame = 0; start < pcm.length; start += blockSize, frame++) {
+    const block = pcm.subarray(start, Math.min(pcm.length, start + blockSize));
+    const frameStart = w.length;
+    w.write(0xfff8 >> 2, 14);
+    w.write(0, 2); // reserved + fixed block size
+    w.write(0b0111, 4); // 16-bit (block size - 1) follows
+    w.write(rateCode, 4);
+    w.write(0, 4); // mono
+    w.write(0b100, 3); // 16 bits per sample
+    w.write(0, 1);
+    writeFrameNumber(w, frame);
+    w.write(block.length - 1, 16);
+    w.write(crc8(w.bytes(frameStart)), 8);
+    writeSubframe(w, block);
+    w.alignToByte();
+    w.write(crc16(w.bytes(frameStart)), 16);
+  }
+  return w.bytes().slice();
+}
@@ -5,8 +5,21 @@
 export interface ModelOptions {
   /** Quantization / precision hint. Default: 'fp32' */
   dtype?: 'fp32' | 'fp16' | 'q8' | 'q4';
-  /** Override local cache directory (Node.js only). Default: ~/.cache/kitten-tts */
+  /** Override local cache directory (Node.js only). Default: `$KITTEN_TTS_CACHE_DIR`, else ~/.cache/kitten-tts */
   cacheDir?: string;
+  /** Browser storage for downloaded files. Default: 'cache-api' */
+  browserCache?: BrowserCacheKind;
+  /** Hugging Face-compatible mirror for hub IDs: `{hubUrl}/{repoId}/resolve/{revision}/{file}`. Skips the `MODELS` check. */
+  hubUrl?: string;
+  /** Hub branch, tag or commit hash to load; cached separately per revision. Default: the registered `revision`, else 'main' */
+  revision?: string;
+  /** Called as downloaded bytes arrive, and once per file served from the cache. */
+  onProgress?: (progress: DownloadProgress) => void;
+  /**
+   * Check downloads against the hub's LFS SHA-256, and cached files against the size recorded
+   * when they were downloaded (older entries are hashed once); corrupted cache entries are fetched again. Default: true
+   */
+  verify?: boolean;
   /** Runtime mode selector. Node: auto/cpu. Browser: auto/cpu/gpu (wasm kept as legacy cpu alias). */
   runtime?: 'auto' | 'cpu' | 'gpu' | 'wasm';
   /** Node-only explicit execution provider list override. Only 'cpu' is supported. */
@@ -23,6 +36,28 @@ export interface ModelOptions {
   phonemizer?: 'js';
 }
 
+/** Progress of one model file. `total` is undefined when the size is unknown. */
+export interface DownloadProgress {
+  /** Repo-relative file name, e.g. `onnx/model.onnx`. */
+  file: string;
+  loaded: number;
+  total?: number;
+}
+
+/** Model files supplied directly. */
+export interface ModelBuffers {
+  model: ArrayBuffer | Uint8Array;
+  voices: ArrayBuffer | Uint8Array;
+  /** `config.json` contents. Default: {} */
+  config?: Record<string, unknown> | ArrayBuffer | Uint8Array | string;
+}
+
+/**
+ * A hub repo ID, a local directory or `file://` URL (Node.js), an http(s) URL of a directory
+ * laid out like the hub repo, or the model files themselves.
+ */
+export type ModelSource = string | ModelBuffers;
+
 export interface GenerateOptions {
   /**
    * Friendly voice name (e.g. 'Bella', 'Leo') or internal key (e.g. 'expr-voice-2-f').
@@ -33,6 +68,129 @@ export interface GenerateOptions {
   speed?: number;
   /** Run text preprocessor (number/currency/time expansion). Default: true */
   clean?: boolean;
+  /**
+   * Treat input as SSML (`<speak>`, `<break>`, `<prosody rate>`, `<say-as>`, `<sub>`, `<voice>`, `<phoneme>`).
+   * Default: auto-detect a leading `<speak>` element.
+   */
+  ssml?: boolean;
+  /** Attach word/phoneme timestamps to the result (`audio.timings`, and per chunk in `stream()`). Default: false */
+  timestamps?: boolean;
+  /** Cancel synthesis; pending chunks are dropped and the call rejects with the abort reason. */
+  signal?: AbortSignal;
+  /**
+   * Join chunks with energy-based silence trimming, punctuation-dependent pauses and crossfades.
+   * Default: true for `generate()`, false for `stream()`.
+   */
+  join?: boolean | JoinOptions;
+  /** Pitch shift in semitones (-12…12); duration is preserved. */
+  pitch?: number;
+  /** Normalize integrated loudness to this target in LUFS (e.g. -16). Streams normalize each chunk. */
+  loudness?: number;
+  /** Silence after `.`, `?` and `!` in ms. Enables joining for streams; incompatible with `join: false`. */
+  sentencePauseMs?: number;
+  /** Pronunciations for this call, merged over `tts.lexicon`. Plain objects survive `postMessage()`. */
+  lexicon?: Lexicon | LexiconInput;
+}
+
+export interface JoinPauses {
+  /** After `.` and `…`. Default: 300 */
+  sentence: number;
+  /** After `?`. Default: 350 */
+  question: number;
+  /** After `!`. Default: 300 */
+  exclamation: number;
+  /** After `,` `;` `:` and dashes. Default: 120 */
+  clause: number;
+  /** After a paragraph (blank line, SSML `</p>`). Default: 700 */
+  paragraph: number;
+}
+
+export interface JoinOptions {
+  /** Inter-chunk silence in ms, by how the previous chunk ends. SSML breaks override these. */
+  pauses?: Partial<JoinPauses>;
+  /** Fade length at chunk edges; chunks overlap by this much when the pause is zero. Default: 10 */
+  crossfadeMs?: number;
+  /** Frames quieter than this (dB relative to the chunk peak) count as silence. Default: -40 */
+  silenceDb?: number;
+  /** Silence kept around detected speech. Default: 25 */
+  padMs?: number;
+}
+
+export interface LowLatencyOptions {
+  /** Target time to first audio in ms; sizes the first chunk. Default: 300 */
+  firstChunkMs?: number;
+  /** Max growth factor between consecutive chunk sizes. Default: 2 */
+  growth?: number;
+  /** Smallest chunk worth a separate inference. Default: 12 characters */
+  minChars?: number;
+  /** Initial synthesis cost estimate before the first measurement. Default: 6 ms/char */
+  msPerChar?: number;
+}
+
+export interface StreamOptions extends GenerateOptions {
+  /**
+   * Split the first chunk at clause boundaries for fast first audio, then grow chunk size
+   * while staying ahead of playback. `true` uses defaults. Default: false
+   */
+  lowLatency?: boolean | LowLatencyOptions;
+}
+
+export interface TextStreamOptions extends StreamOptions {
+  /** Emit at clause punctuation (`,` `;` `:` dashes) once this much text is pending. Default: 80 */
+  clauseMinChars?: number;
+  /** Force a split at the last word boundary beyond this length. Default: the model's chunk size */
+  maxChars?: number;
+}
+
+/** A batch entry: plain text, or text with per-item options overriding the batch defaults. */
+export type BatchItem = string | ({ text: string } & GenerateOptions);
+
+export interface BatchOptions extends GenerateOptions {
+  /** Items in flight at once (phonemizing or waiting for a session). Default: 4 */
+  concurrency?: number;
+  /** ORT sessions to spread inference over; extra ones are kept until `release()`. Default: 1 */
+  sessions?: number;
+  /** Called after each item finishes, in completion order. */
+  onProgress?: (progress: BatchProgress) => void;
+}
+
+export interface BatchResult {
+  /** Position of the item in the input array. */
+  index: number;
+  text: string;
+  /** Present when the item succeeded. */
+  audio?: RawAudio;
+  /** Present when the item failed. */
+  error?: Error;
+}
+
+export interface BatchProgress {
+  completed: number;
+  total: number;
+  result: BatchResult;
+}
+
+export interface PhonemeTiming {
+  phoneme: string;
+  /** Start time in seconds. */
+  start: number;
+  /** End time in seconds. */
+  end: number;
+}
+
+export interface WordTiming {
+  word: string;
+  /** IPA for the word as fed to the model. */
+  phonemes: string;
+  start: number;
+  end: number;
+}
+
+export interface AudioTimings {
+  words: WordTiming[];
+  phonemes: PhonemeTiming[];
+  /** `duration` when read from the model's duration output, `estimate` when aligned heuristically. */
+  source: 'duration' | 'estimate';
 }
 
 export interface StreamChunk {
@@ -42,30 +200,159 @@ export interface StreamChunk {
   audio: RawAudio;
 }
 
+export type AudioFormat = 'wav' | 'flac' | 'mp3' | 'opus';
+
+export type WavEncoding = 'pcm' | 'float' | 'mulaw' | 'alaw';
+
+export interface WavOptions {
+  /** Sample encoding. `float` is 32-bit IEEE; `mulaw`/`alaw` are 8-bit G.711. Default: 'pcm' */
+  encoding?: WavEncoding;
+  /** Bits per sample for `pcm`: 8 (unsigned), 16, 24 or 32. Default: 16 */
+  bitDepth?: 8 | 16 | 24 | 32;
+  /** Output channels; the mono signal is copied to each. Default: 1 */
+  channels?: number;
+}
+
+export interface ResampleOptions {
+  /** Kernel half-width in sinc zero crossings; higher is sharper and slower. Default: 32 */
+  zeroCrossings?: number;
+  /** Kaiser window shape. Default: 8.6 (~90 dB stopband) */
+  beta?: number;
+}
+
+/** Encode options; WAV fields apply to WAV output only. */
+export interface EncodeOptions extends WavOptions {
+  /** Bitrate in kbps for lossy formats. Default: 48 for MP3, 24 for Opus */
+  bitrate?: number;
+}
+
+export interface SaveOptions extends EncodeOptions {
+  /** Output format. Default: from the file extension (.wav, .flac, .mp3, .ogg/.opus), WAV otherwise */
+  format?: AudioFormat;
+}
+
 export declare class RawAudio {
   /** Raw PCM samples (mono Float32). */
   readonly data: Float32Array;
   /** Sampling rate in Hz (typically 24000). */
   readonly sampling_rate: number;
+  /** Word/phoneme timestamps in seconds, present when generated with `timestamps: true`. */
+  readonly timings?: AudioTimings;
+
+  constructor(data: Float32Array, sampling_rate: number, timings?: AudioTimings);
+
+  /** Encode to WAV bytes. Default: 16-bit PCM, mono. */
+  toWav(opts?: WavOptions): ArrayBuffer;
+
+  /** Band-limited (windowed-sinc) conversion to `targetRate` Hz. Timings carry over unchanged. */
+  resample(targetRate: number, opts?: ResampleOptions): RawAudio;
+
+  /** Encode to lossless FLAC bytes (16-bit, mono). */
+  toFlac(): Uint8Array;
+
+  /** Encode to CBR MP3 bytes via lamejs. */
+  toMp3(opts?: EncodeOptions): Promise<Uint8Array>;
 
-  constructor(data: Float32Array, sampling_rate: number);
+  /** Encode to Ogg Opus bytes (WebCodecs in browsers, libopus WASM otherwise). */
+  toOggOpus(opts?: EncodeOptions): Promise<Uint8Array>;
 
-  /** Encode to WAV bytes (16-bit PCM, mono). */
-  toWav(): ArrayBuffer;
+  /** Encode in any supported format. Default: 'wav' */
+  encode(format?: AudioFormat, opts?: EncodeOptions): Promise<Uint8Array>;
 
-  /** Save WAV to a file path (Node.js only). */
-  save(filePath: string): Promise<void>;
+  /** Save to a file path (Node.js only); the format follows `opts.format` or the file extension. */
+  save(filePath: string, opts?: SaveOptions): Promise<void>;
 
-  /** Create a Blob for browser download/playback. */
-  toBlob(): Blob;
+  /** Create a WAV Blob for browser download/playback. */
+  toBlob(opts?: WavOptions): Blob;
 
   /** Create a Web Audio API AudioBuffer. */
   toAudioBuffer(audioContext: AudioContext): AudioBuffer;
 
   /** Duration in seconds. */
   readonly duration: number;
+
+  /** Join clips end to end with `gapMs` of silence between them; sample rates must match. */
+  static concat(clips: RawAudio[], opts?: { gapMs?: number }): RawAudio;
+
+  /** The part between `startSec` and `endSec` (clamped); timings inside the range are kept. */
+  slice(startSec?: number, endSec?: number): RawAudio;
+
+  /** Equal-power fade in over the first `ms` milliseconds. */
+  fadeIn(ms: number): RawAudio;
+
+  /** Equal-power fade out over the last `ms` milliseconds. */
+  fadeOut(ms: number): RawAudio;
+
+  /** Scale by `db` decibels (no clipping). */
+  gain(db: number): RawAudio;
+
+  /** Peak-normalize to `peakDb` dBFS. Default: -1 */
+  normalize(peakDb?: number): RawAudio;
+
+  /** Overlay `other` starting `offsetSec` seconds in; timings are merged. */
+  mix(other: RawAudio, offsetSec?: number): RawAudio;
+
+  /** Add leading and/or trailing silence; timings shift by the leading part. */
+  padSilence(opts?: { startMs?: number; endMs?: number }): RawAudio;
+}
+
+export interface BackendSession {
+  session: unknown;
+  /** Runtime actually in use, e.g. 'cpu' or 'gpu'. */
+  runtimeActual: string;
+  executionProviders: string[];
+  /** Set when the requested runtime failed at session creation and a fallback was used. */
+  fallbackError?: Error | null;
+}
+
+export interface TTSBackend {
+  /** ORT module (onnxruntime-node, onnxruntime-web or compatible) used to build input tensors. */
+  readonly ort: unknown;
+  /** Session factory: create an inference session for the model under a runtime request. */
+  createSession(modelBuffer: ArrayBuffer, runtimeRequested: string): Promise<BackendSession>;
+  /** Text → IPA phonemes. */
+  phonemize(text: string): Promise<string>;
+  /** Free a tensor once inference no longer needs it. */
+  disposeTensor(tensor: unknown): void;
+  /**
+   * Fallback policy, consulted at most once per instance when inference fails. Return a factory
+   * for a replacement session to retry on, or null to rethrow the error.
+   */
+  fallback?(
+    error: unknown,
+    current: { runtimeRequested: string; executionProviders: readonly string[] }
+  ): (() => Promise<BackendSession>) | null;
+}
+
+/** Default Node backend: onnxruntime-node on CPU. */
+export declare function createNodeBackend(
+  ort: unknown,
+  opts?: { numThreads?: number; nodeExecutionProviders?: string[] }
+): TTSBackend;
+
+/** Default web backend: onnxruntime-web on WASM or WebGPU, with a one-shot WASM fallback. */
+export declare function createWebBackend(
+  ort: unknown,
+  source: ModelSource,
+  opts?: { wasmThreads?: number; wasmSimd?: boolean; browserExecutionProviders?: Array<'wasm' | 'webgpu'> }
+): TTSBackend;
+
+/** A voice style matrix: `shape` is `[numStyles, styleDim]`. */
+export interface VoiceEmbedding {
+  data: Float32Array;
+  shape: number[];
+  dtype: string;
 }
 
+/** JSON voice form produced by `exportVoice(name, 'json')`. */
+export interface VoiceJson {
+  name?: string;
+  shape: number[];
+  data: number[];
+}
+
+export type VoiceSource = VoiceEmbedding | Float32Array | number[] | ArrayBuffer | Uint8Array | string | VoiceJson;
+
 export declare class KittenTTS {
   /** Requested runtime after alias normalization. */
   readonly runtimeRequested: string;
@@ -73,10 +360,14 @@ export declare class KittenTTS {
   readonly runtime: string;
   /** Actual ONNX execution providers in use. */
   readonly executionProviders: string[];
+  /** Text normalization applied before phonemization; add rules here for domain terms. */
+  readonly preprocessor: TextPreprocessor;
+  /** Word pronunciations consulted before phonemization, for every call on this instance. */
+  readonly lexicon: Lexicon;
   /**
-   * Load a KittenTTS model from HuggingFace Hub.
+   * Load a KittenTTS model from HuggingFace Hub, a mirror, local files or buffers.
    *
-   * @param modelId HuggingFace repo ID. Default: 'KittenML/kitten-tts-nano-0.8'
+   * @param modelId HuggingFace repo ID or another `ModelSource`. Default: 'KittenML/kitten-tts-nano-0.8'
    * @param opts    Download / dtype options.
    */
   /**
@@ -85,13 +376,48 @@ export declare class KittenTTS {
   * 'onnx-community/KittenTTS-Nano-v0.8-ONNX', 'onnx-community/KittenTTS-Micro-v0.8-ONNX', 'onnx-community/KittenTTS-Mini-v0.8-ONNX'
    */
   static from_pretrained(
-    modelId?: string,
+    modelId?: ModelSource,
+    opts?: ModelOptions
+  ): Promise<KittenTTS>;
+
+  /**
+   * Load a model onto an explicit backend (custom runtime, phonemizer or fallback policy).
+   *
+   * @param backend  Session factory, phonemizer, tensor disposal and optional fallback policy.
+   * @param modelId  HuggingFace repo ID or another `ModelSource`.
+   * @param opts     Download / runtime options; `runtime` is passed to `backend.createSession`.
+   */
+  static from_backend(
+    backend: TTSBackend,
+    modelId: ModelSource,
     opts?: ModelOptions
   ): Promise<KittenTTS>;
 
-  /** List available friendly voice names (e.g. ['Bella', 'Leo', …]). */
+  /** List available friendly voice names (e.g. ['Bella', 'Leo', …]), then custom voices. */
   list_voices(): string[];
 
+  /**
+   * Register a voice embedding under `name`.
+   *
+   * @param source  `.npy`/`.npz` bytes, JSON, a `{ data, shape }` embedding or a single style vector.
+   * @param opts    `overwrite: true` to replace an existing voice or alias.
+   */
+  addVoice(name: string, source: VoiceSource, opts?: { overwrite?: boolean }): Promise<void>;
+
+  /**
+   * Register a weighted interpolation of existing voices, e.g. `{ Bella: 0.7, Luna: 0.3 }`.
+   * Weights are normalized to sum to 1.
+   */
+  blendVoices(
+    name: string,
+    weights: Record<string, number> | Array<{ voice: string; weight: number }>,
+    opts?: { overwrite?: boolean }
+  ): void;
+
+  /** Serialize a voice as `.npy` (default), `.npz` or JSON. */
+  exportVoice(name: string, format: 'json'): Promise<string>;
+  exportVoice(name: string, format?: 'npy' | 'npz'): Promise<Uint8Array>;
+
   /**
    * Synthesize text to audio.
    *
@@ -100,13 +426,44 @@ export declare class KittenTTS {
    */
   generate(text: string, opts?: GenerateOptions): Promise<RawAudio>;
 
+  /**
+   * Synthesize many items concurrently. Results are in input order; failed items carry `error`
+   * instead of `audio` without stopping the batch. Aborting `signal` rejects the whole batch.
+   *
+   * @param items  Texts, or `{ text, ...GenerateOptions }` overrides per item.
+   * @param opts   Shared generate options plus `concurrency`, `sessions` and `onProgress`.
+   */
+  generateBatch(items: BatchItem[], opts?: BatchOptions): Promise<BatchResult[]>;
+
   /**
    * Stream synthesized audio sentence-by-sentence.
    *
    * @param text  Input text.
-   * @param opts  Voice, speed, and preprocessing options.
+   * @param opts  Voice, speed, preprocessing and low-latency options.
+   */
+  stream(text: string, opts?: StreamOptions): AsyncGenerator<StreamChunk>;
+
+  /**
+   * Stream audio from incrementally arriving text (e.g. LLM tokens), one chunk per completed
+   * sentence or clause. Pending text is flushed at end of input.
+   *
+   * @param tokens  Async or sync iterable of text fragments.
+   * @param opts    Stream options plus segmentation thresholds.
+   */
+  streamFromText(tokens: AsyncIterable<string> | Iterable<string>, opts?: TextStreamOptions): AsyncGenerator<StreamChunk>;
+}
+
+/** Accumulates text fragments and returns sentences/clauses as they complete. */
+export declare class TextSegmenter {
+  /**
+   * `abbreviations`: periods that need not end a sentence, as in `TextPreprocessorConfig.abbreviations`.
+   * Default: the built-in table; `streamFromText()` uses its preprocessor's.
    */
-  stream(text: string, opts?: GenerateOptions): AsyncGenerator<StreamChunk>;
+  constructor(opts?: { clauseMinChars?: number; maxChars?: number; abbreviations?: ReadonlyMap<string, Abbreviation> });
+  /** Add a fragment; returns the segments it completed (possibly none). */
+  push(token: string): string[];
+  /** End of input: returns whatever is still pending. */
+  flush(): string[];
 }
 
 export declare class TextCleaner {
@@ -118,26 +475,476 @@ export declare class TextCleaner {
   readonly vocabSize: number;
 }
 
+export interface TextPreprocessorConfig {
+  lowercase: boolean;
+  replace_numbers: boolean;
+  replace_floats: boolean;
+  expand_contractions: boolean;
+  expand_model_names: boolean;
+  expand_ordinals: boolean;
+  expand_percentages: boolean;
+  expand_currency: boolean;
+  expand_time: boolean;
+  expand_ranges: boolean;
+  expand_units: boolean;
+  expand_scale_suffixes: boolean;
+  expand_scientific_notation: boolean;
+  expand_fractions: boolean;
+  expand_decades: boolean;
+  /** ISO, numeric and month-name dates, and abbreviated weekdays before a date. Default: true */
+  expand_dates: boolean;
+  /** Year ranges ("2019–2021"), years after "in", "since", "by"… and BC/AD years. Default: true */
+  expand_years: boolean;
+  /** Titles, street types, units and Latin abbreviations ("Dr.", "St.", "e.g."). Default: true */
+  expand_abbreviations: boolean;
+  /** Spell out initialisms ("FBI") while pronounceable acronyms ("NASA") stay words. Default: true */
+  expand_acronyms: boolean;
+  /** Abbreviation table keyed by lowercase abbreviation without the final period; add or override entries. */
+  abbreviations: Map<string, Abbreviation>;
+  /** All-caps tokens with a fixed reading, overriding the pronounceability guess. */
+  acronyms: Map<string, AcronymReading>;
+  /** How to read ambiguous numeric dates: 3/4/2024 is March 4th (`mdy`, US) or April 3rd (`dmy`, EU). Default: 'mdy' */
+  date_order: 'mdy' | 'dmy';
+  expand_phone_numbers: boolean;
+  expand_ip_addresses: boolean;
+  normalize_leading_decimals: boolean;
+  /** "Chapter IV" → "Chapter four", "Louis XIV" → "Louis the fourteenth". Default: false */
+  expand_roman_numerals: boolean;
+  remove_urls: boolean;
+  remove_emails: boolean;
+  remove_html: boolean;
+  remove_hashtags: boolean;
+  remove_mentions: boolean;
+  remove_punctuation: boolean;
+  /** Drop common function words ("the", "of", "is"…). Default: false */
+  remove_stopwords: boolean;
+  normalize_unicode: boolean;
+  /** Strip diacritics from Latin letters ("café" → "cafe"). Default: false */
+  remove_accents: boolean;
+  remove_extra_whitespace: boolean;
+}
+
+/** A `TextPreprocessorConfig` flag that switches a built-in rule on or off. */
+export type TextPreprocessorFlag = keyof TextPreprocessorConfig;
+
+/** One named step of the normalization pipeline. */
+export interface NormalizerRule {
+  name: string;
+  /** Built-in rules run only while this config flag is true. */
+  flag?: TextPreprocessorFlag;
+  apply(text: string, config: TextPreprocessorConfig): string;
+}
+
+/** A rule given as a regex; every match is replaced (the `g` flag is implied). */
+export interface RegexRule {
+  name: string;
+  pattern: RegExp;
+  replacement: string | ((match: string, ...groups: string[]) => string);
+}
+
+export type RuleSpec = NormalizerRule | RegexRule;
+
+/** Where `addRule` / `moveRule` put a rule: next to a named rule, or at an index. Default: the end. */
+export interface RulePosition {
+  before?: string;
+  after?: string;
+  index?: number;
+}
+
+export interface TextPreprocessorOptions extends Partial<Omit<TextPreprocessorConfig, 'abbreviations' | 'acronyms'>> {
+  /** Extra rules, appended in order after the built-in ones. */
+  rules?: RuleSpec[];
+  /** Entries added to (or replacing) the built-in abbreviation table. */
+  abbreviations?: Record<string, Abbreviation>;
+  /** Entries added to (or replacing) the built-in acronym readings. */
+  acronyms?: Record<string, AcronymReading>;
+}
+
+/** How one abbreviation reads in each context; contexts without an entry leave it unexpanded. */
+export interface AbbreviationRule {
+  /** Before a capitalized word: "Dr. Smith" → "Doctor Smith". */
+  beforeName?: string;
+  /** Before a number: "No. 5" → "number 5". */
+  beforeNumber?: string;
+  /** After a number: "6 ft." → "6 feet". */
+  afterNumber?: string;
+  /** Any other position. */
+  otherwise?: string;
+  /** The abbreviation may close a sentence, so its period splits before a capitalized word ("etc. Then"). */
+  endsSentence?: boolean;
+}
+
+/** A plain string reads the same everywhere and never ends a sentence. */
+export type Abbreviation = string | AbbreviationRule;
+
+/** Read an all-caps token as a word ("NASA") or letter by letter ("FBI"). */
+export type AcronymReading = 'word' | 'letters';
+
+/**
+ * Ordered pipeline of named normalizer rules. Built-in rules are named after the config flag
+ * that enables them; custom rules can be inserted anywhere, and any rule removed or moved.
+ */
 export declare class TextPreprocessor {
+  constructor(options?: TextPreprocessorOptions);
+  config: TextPreprocessorConfig;
+  /** Rule names in the order they run. */
+  readonly rules: string[];
+  getRule(name: string): NormalizerRule | undefined;
+  /** Insert a rule; names must be unique. */
+  addRule(rule: RuleSpec, position?: RulePosition): this;
+  /** Replace the rule called `name` in place, keeping its position. */
+  replaceRule(name: string, rule: RuleSpec): this;
+  /** Returns false when no rule has that name. */
+  removeRule(name: string): boolean;
+  moveRule(name: string, position: RulePosition): this;
   /** Normalize text: expand numbers, currency, abbreviations, URLs, etc. */
   process(text: string): string;
 }
 
+/** `ipa` bypasses eSpeak; `say` is phonemized in place of the word. */
+export type LexiconEntry = { ipa: string } | { say: string };
+
+/** Word → pronunciation; a string wrapped in slashes (`"/ˈɒnɪks/"`) is IPA, any other a respelling. */
+export type LexiconInput = Record<string, string | LexiconEntry>;
+
+export interface LexiconMatch {
+  /** The text that matched, inflection included. */
+  text: string;
+  /** Key of the entry that was used. */
+  word: string;
+  entry: LexiconEntry;
+}
+
+/**
+ * User pronunciation lexicon. Lowercase keys match any capitalization, keys with capitals only
+ * that form; `-s`, `-es`, `'s`, `-ed`, `-d` and `-ing` forms are derived from the base entry.
+ */
+export declare class Lexicon {
+  constructor(entries?: LexiconInput | Lexicon);
+  /** An object of word → pronunciation, or an array of `{ word, ipa }` / `{ word, say }` records. */
+  static fromJSON(json: string | LexiconInput | Array<{ word: string; ipa?: string; say?: string }>): Lexicon;
+  /** `word,pronunciation` rows, or a header row naming `word`, `ipa` and/or `say` columns. */
+  static fromCSV(csv: string): Lexicon;
+  /** Read a `.json` or `.csv` file (Node) or URL. */
+  static load(source: string | URL): Promise<Lexicon>;
+  readonly size: number;
+  set(word: string, value: string | LexiconEntry): this;
+  get(word: string): LexiconEntry | undefined;
+  has(word: string): boolean;
+  delete(word: string): boolean;
+  clear(): void;
+  entries(): IterableIterator<[string, LexiconEntry]>;
+  /** Add every entry of `other`, replacing entries for the same word. */
+  merge(other: Lexicon | LexiconInput): this;
+  /** A new lexicon with this one's entries, overridden by `other`'s. */
+  extend(other: Lexicon | LexiconInput): Lexicon;
+  toJSON(): Record<string, LexiconEntry>;
+  /** Pronunciation of one word, with case and inflection handling. */
+  lookup(word: string): LexiconMatch | null;
+  /** Every match in `text`, in order and non-overlapping. */
+  matches(text: string): Array<LexiconMatch & { index: number }>;
+}
+
+export type SsmlSegment =
+  | { type: 'text'; text: string; display: string; voice?: string; rate: number; verbatim: boolean; phonemes?: string }
+  | { type: 'break'; ms: number }
+  | { type: 'boundary' }
+  | { type: 'paragraph' };
+
+/** Parse an SSML document into text / break / boundary / paragraph segments. */
+export declare function parseSsml(ssml: string): SsmlSegment[];
+
+/** True when the text starts with a `<speak>` root element. */
+export declare function isSsml(text: string): boolean;
+
 /** Phonemize text using eSpeak-NG. */
 export declare function phonemize(text: string): Promise<string>;
 export declare function phonemizeJs(text: string): Promise<string>;
 export declare function phonemizeNode(text: string): Promise<string>;
 
+/** Encode mono float samples as WAV. Default: 16-bit PCM, mono. */
+export declare function encodeWav(samples: Float32Array, sampleRate: number, opts?: WavOptions): ArrayBuffer;
+
+/** WAV header for `numSamples` frames; without it, a streamable header with 0xFFFFFFFF sizes. */
+export declare function wavHeader(sampleRate: number, opts?: WavOptions & { numSamples?: number }): Uint8Array;
+
+/** Headerless sample bytes in a WAV encoding (raw PCM, float or G.711). */
+export declare function encodePcm(samples: Float32Array, opts?: WavOptions): Uint8Array;
+
+export interface AudioStreamOptions extends WavOptions {
+  /** `wav`: streamable header (unknown length) then samples; `pcm`: samples only. Default: 'wav' */
+  container?: 'wav' | 'pcm';
+}
+
+export interface PipeOptions extends AudioStreamOptions {
+  /** End the writable once the audio is complete. Default: true */
+  end?: boolean;
+}
+
+/** What `stream()` / `streamFromText()` yield, or bare clips. */
+export type AudioChunkSource = AsyncIterable<RawAudio | { audio: RawAudio }>;
+
+/** The subset of a Node.js `Writable` used by `pipeTo`. */
+export interface NodeWritable {
+  write(chunk: Uint8Array): boolean;
+  end(): unknown;
+  on(event: 'drain' | 'close' | 'error', listener: (...args: unknown[]) => void): unknown;
+  off(event: 'drain' | 'close' | 'error', listener: (...args: unknown[]) => void): unknown;
+}
+
+/** Encoded bytes for each chunk as it arrives. */
+export declare function encodeAudioStream(source: AudioChunkSource, opts?: AudioStreamOptions): AsyncGenerator<Uint8Array>;
+
+/** Encoded audio as a web ReadableStream; cancelling it stops generation. */
+export declare function toReadableStream(source: AudioChunkSource, opts?: AudioStreamOptions): ReadableStream<Uint8Array>;
+
+/** Write encoded audio to a Node.js Writable or web WritableStream with backpressure. */
+export declare function pipeTo(
+  source: AudioChunkSource,
+  writable: NodeWritable | WritableStream<Uint8Array>,
+  opts?: PipeOptions
+): Promise<void>;
+
+export interface StreamingPlayerOptions {
+  /** Context to play on. Default: a new `AudioContext` */
+  context?: AudioContext;
+  /** Node the chunks connect to. Default: `context.destination` */
+  destination?: AudioNode;
+  /** Lead time before the first chunk, and after an underrun, in ms. Default: 50 */
+  startDelayMs?: number;
+}
+
+/** A `stream()` item, a bare `RawAudio`, or a worker `generate-stream-chunk` payload. */
+export type PlayerChunk =
+  | RawAudio
+  | { audio: RawAudio; text?: string }
+  | { floatArr: Float32Array; sampleRate: number; text?: string; timings?: AudioTimings };
+
+export interface ChunkStartDetail {
+  /** Position of the chunk in the stream, from 0. */
+  index: number;
+  text?: string;
+  /** Stream position in seconds where the chunk starts. */
+  offset: number;
+  duration: number;
+  timings?: AudioTimings;
+}
+
+export type PlayerState = 'idle' | 'playing' | 'paused';
+
+/** Gapless Web Audio playback of streamed chunks. */
+export declare class StreamingPlayer extends EventTarget {
+  constructor(opts?: StreamingPlayerOptions);
+  readonly context: AudioContext;
+  readonly state: PlayerState;
+  /** Seconds of the stream played so far. */
+  readonly position: number;
+  /** Seconds of audio scheduled but not yet played. */
+  readonly bufferedAhead: number;
+  /** Schedule a chunk right after everything queued so far. */
+  enqueue(chunk: PlayerChunk): void;
+  /** No more chunks are coming; `ended` fires when the queued audio finishes. */
+  end(): void;
+  /** Enqueue every chunk as it arrives, then resolve when playback finishes; `stop()` or a new `play()` stops it and closes the source. */
+  play(source: AsyncIterable<PlayerChunk> | Iterable<PlayerChunk>): Promise<void>;
+  /** Suspend the context. */
+  pause(): Promise<void>;
+  resume(): Promise<void>;
+  /** Stop immediately and drop queued audio; the player can be reused. */
+  stop(): void;
+  addEventListener(type: 'chunkstart', listener: (event: CustomEvent<ChunkStartDetail>) => void, options?: boolean | AddEventListenerOptions): void;
+  addEventListener(type: 'ended', listener: (event: Event) => void, options?: boolean | AddEventListenerOptions): void;
+  addEventListener(type: string, listener: EventListenerOrEventListenerObject | null, options?: boolean | AddEventListenerOptions): void;
+}
+
+/** Lock-free single-producer/single-consumer sample ring, shareable across threads. */
+export declare class AudioRingBuffer {
+  /** Allocate room for `samples` samples; shared memory when available. */
+  static allocate(samples: number, shared?: boolean): AudioRingBuffer;
+  /** Wrap memory from `allocate()`, e.g. after posting it to another thread. */
+  constructor(buffer: SharedArrayBuffer | ArrayBuffer);
+  readonly buffer: SharedArrayBuffer | ArrayBuffer;
+  readonly capacity: number;
+  readonly availableRead: number;
+  readonly availableWrite: number;
+  /** Total samples consumed so far. */
+  readonly consumed: number;
+  /** End-of-stream flag, set by the producer. */
+  ended: boolean;
+  /** Copy as many samples as fit; returns the count written. */
+  push(samples: Float32Array): number;
+  /** Fill `out` from the buffer; returns the count read. */
+  pull(out: Float32Array): number;
+  /** Drop buffered samples and clear the end flag. */
+  discard(): void;
+}
+
+/** How a producer (e.g. a Web Worker) reaches a `WorkletPlayer`. */
+export type PlaybackHandle =
+  | { transport: 'shared'; ring: SharedArrayBuffer; sampleRate: number }
+  | { transport: 'message'; port: MessagePort };
+
+export interface PlaybackSink {
+  /** Queue samples; waits while a shared ring is full. */
+  write(samples: Float32Array, signal?: AbortSignal): Promise<void>;
+  /** The current stream is complete. */
+  end(): void;
+}
+
+/** Producer side of a `PlaybackHandle`. */
+export declare function openPlaybackSink(handle: PlaybackHandle): PlaybackSink;
+
+export interface WorkletPlayerOptions {
+  /** Context to play on; must run at `sampleRate`. Default: a new `AudioContext` */
+  context?: AudioContext;
+  /** Default: `context.destination` */
+  destination?: AudioNode;
+  /** Default: 24000 */
+  sampleRate?: number;
+  /** Ring size for the shared transport, in seconds. Default: 30 */
+  bufferSeconds?: number;
+  /** Default: 'shared' when cross-origin isolated, else 'message' */
+  transport?: 'shared' | 'message';
+}
+
+/** AudioWorklet playback fed through a shared ring buffer or message port. */
+export declare class WorkletPlayer extends EventTarget {
+  static create(opts?: WorkletPlayerOptions): Promise<WorkletPlayer>;
+  readonly context: AudioContext;
+  readonly node: AudioWorkletNode;
+  readonly transport: 'shared' | 'message';
+  readonly sampleRate: number;
+  /** Seconds played since the last `ended` or `stop()`. */
+  readonly position: number;
+  /** Seconds of audio waiting in the buffer. */
+  readonly bufferedAhead: number;
+  /** Handle for a producer in another thread, plus the objects to transfer with it. */
+  createSinkHandle(): { handle: PlaybackHandle; transfer: Transferable[] };
+  /** Queue samples from this thread. */
+  write(samples: Float32Array, signal?: AbortSignal): Promise<void>;
+  /** Mark the current stream complete; `ended` fires once it has played out. */
+  end(): void;
+  pause(): Promise<void>;
+  resume(): Promise<void>;
+  /** Drop buffered audio. */
+  stop(): void;
+  /** Disconnect, closing the context if the player created it. */
+  close(): Promise<void>;
+  addEventListener(type: 'ended' | 'underrun', listener: (event: Event) => void, options?: boolean | AddEventListenerOptions): void;
+  addEventListener(type: string, listener: EventListenerOrEventListenerObject | null, options?: boolean | AddEventListenerOptions): void;
+}
+
+export type LogLevel = 'silent' | 'error' | 'warn' | 'info';
+
+export interface Logger {
+  info(...args: unknown[]): void;
+  warn(...args: unknown[]): void;
+  error(...args: unknown[]): void;
+}
+
+export interface LoggingOptions {
+  /** Most verbose level that is emitted. Default: 'warn' */
+  level?: LogLevel;
+  /** Destination for messages. Default: `console` */
+  logger?: Logger;
+}
+
+/** Set the library log level and/or destination. */
+export declare function configureLogging(opts: LoggingOptions): void;
+
+/** Band-limited resampling of mono float samples. */
+export declare function resample(samples: Float32Array, fromRate: number, toRate: number, opts?: ResampleOptions): Float32Array;
+
+/** Shift pitch by `semitones` with duration preserved (WSOLA + resampling). */
+export declare function pitchShift(samples: Float32Array, sampleRate: number, semitones: number): Float32Array;
+
+/** Integrated loudness in LUFS (ITU-R BS.1770); `-Infinity` for silence. */
+export declare function measureLoudness(samples: Float32Array, sampleRate: number): number;
+
+/** Scale to a target integrated loudness, keeping sample peaks at or below -1 dBFS. */
+export declare function normalizeLoudness(samples: Float32Array, sampleRate: number, targetLufs: number): Float32Array;
+
 /** Load a .npz archive into a map of Float32Array tensors. */
 export declare function loadNpz(
   npzBuffer: ArrayBuffer | Buffer
 ): Promise<Record<string, { data: Float32Array; shape: number[] }>>;
 
-/** Download model files from HuggingFace Hub. */
+/** Download model files from HuggingFace Hub, or the `hubUrl` mirror. */
 export declare function downloadModel(
   repoId: string,
   opts?: ModelOptions
 ): Promise<{ modelBuffer: ArrayBuffer; voicesBuffer: ArrayBuffer; config: Record<string, unknown> }>;
 
-/** Available model IDs. */
-export declare const MODELS: Record<string, { label: string }>;
+/** Load model files from any source; only hub IDs without `hubUrl` are checked against `MODELS`. */
+export declare function loadModelSource(
+  source: ModelSource,
+  opts?: ModelOptions
+): Promise<{ modelBuffer: ArrayBuffer; voicesBuffer: ArrayBuffer; config: Record<string, unknown> }>;
+
+export type BrowserCacheKind = 'cache-api' | 'opfs';
+
+export interface CachedModelFile {
+  name: string;
+  size: number;
+}
+
+export interface CachedModel {
+  /** Folder (or key prefix) name in the store. */
+  key: string;
+  /** Hub ID or URL the files were downloaded for, when recorded. */
+  source?: string;
+  files: CachedModelFile[];
+  /** Total bytes of `files`. */
+  size: number;
+}
+
+export interface ModelCacheOptions extends Pick<ModelOptions, 'cacheDir' | 'browserCache'> {
+  /** Mirror that hub IDs passed to `delete()` and `prefetch()` refer to. */
+  hubUrl?: string;
+}
+
+export interface PrefetchOptions {
+  /** Hub branch, tag or commit hash. Default: the registered `revision`, else 'main' */
+  revision?: string;
+  onProgress?: (progress: DownloadProgress) => void;
+  /** Default: true */
+  verify?: boolean;
+}
+
+/** Inspect and manage downloaded models. Local directories and buffers are never cached. */
+export declare class ModelCache {
+  constructor(opts?: ModelCacheOptions);
+  /** Cached models with their files; empty where nothing can be persisted. */
+  list(): Promise<CachedModel[]>;
+  /** Bytes used by one model (hub ID, URL or `list()` key), or by the whole cache. */
+  size(modelId?: string, revision?: string): Promise<number>;
+  /** Remove one model's files (at `revision`, for hub IDs); resolves to false when it was not cached. */
+  delete(modelId: string, revision?: string): Promise<boolean>;
+  /** Remove every model this library cached. */
+  clear(): Promise<void>;
+  /** Download (or verify) a model now so a later `from_pretrained()` starts from the cache. */
+  prefetch(modelId: string, opts?: PrefetchOptions): Promise<CachedModel | null>;
+}
+
+export type ModelTier = 'nano' | 'micro' | 'mini';
+
+export interface ModelInfo {
+  label: string;
+  /** Size tier, for picking a model by footprint. */
+  tier?: ModelTier;
+  /** Runtimes the model works on; a `gpu` request falls back to `cpu` when 'gpu' is missing. Default: any */
+  runtimes?: Array<'cpu' | 'gpu'>;
+  /** Repo-relative model and voices files; override `config.json`, which then becomes optional. */
+  files?: { model?: string; voices?: string };
+  /** Branch, tag or commit hash to load unless a load passes its own `revision`. Default: 'main' */
+  revision?: string;
+}
+
+/** Available model IDs: the built-in ones plus any added with `registerModel`. */
+export declare const MODELS: Record<string, ModelInfo>;
+
+/** Add (or replace) a hub model so `from_pretrained()` accepts its ID without `hubUrl`. */
+export declare function registerModel(repoId: string, info: ModelInfo): void;
+
+/** Remove a registered model; returns false when it was not registered. */
+export declare function unregisterModel(repoId: string): boolean;
@@ -3,9 +3,38 @@
  */
 
 export { KittenTTS } from './kitten-tts.ts';
-export { RawAudio, encodeWav } from './audio.ts';
+export { createNodeBackend } from './backend.node.ts';
+export { createWebBackend } from './backend.web.ts';
+export type { TTSBackend, BackendSession, BatchItem, BatchOptions } from './base-kitten-tts.ts';
+export type { BatchResult, BatchProgress } from './batch.ts';
+export { RawAudio, encodeWav, encodePcm, wavHeader } from './audio.ts';
+export { encodeAudioStream, toReadableStream, pipeTo } from './audio-stream.ts';
+export type { AudioStreamOptions, PipeOptions, AudioChunkSource, NodeWritable } from './audio-stream.ts';
+export { configureLogging, type LogLevel, type Logger, type LoggingOptions } from './logger.ts';
+export { StreamingPlayer } from './streaming-player.ts';
+export type { StreamingPlayerOptions, PlayerChunk, ChunkStartDetail, PlayerState } from './streaming-player.ts';
+export { WorkletPlayer, openPlaybackSink } from './worklet-player.ts';
+export type { WorkletPlayerOptions, PlaybackHandle, PlaybackSink } from './worklet-player.ts';
+export { AudioRingBuffer } from './ring-buffer.ts';
+export type { AudioFormat, EncodeOptions, SaveOptions, WavOptions, WavEncoding } from './audio.ts';
+export { resample, type ResampleOptions } from './resample.ts';
+export { pitchShift, measureLoudness, normalizeLoudness } from './effects.ts';
+export type { AudioTimings, WordTiming, PhonemeTiming } from './timings.ts';
 export { TextCleaner } from './text-cleaner.ts';
 export { TextPreprocessor } from './preprocess.ts';
+export type { NormalizerRule, RegexRule, RulePosition, RuleSpec, TextPreprocessorConfig, TextPreprocessorFlag, TextPreprocessorOptions } from './preprocess.ts';
+export type { Abbreviation, AbbreviationRule, AcronymReading } from './abbreviations.ts';
+export { Lexicon } from './lexicon.ts';
+export type { LexiconEntry, LexiconInput, LexiconMatch } from './lexicon.ts';
+export { parseSsml, isSsml } from './ssml.ts';
+export type { LowLatencyOptions } from './latency.ts';
+export type { JoinOptions, JoinPauses } from './join.ts';
+export { TextSegmenter } from './text-stream.ts';
 export { phonemize } from './phonemizer.ts';
 export { loadNpz } from './npz-loader.ts';
-export { downloadModel, MODELS } from './model-loader.ts';
+export type { VoiceEmbedding, VoiceJson, VoiceSource } from './voices.ts';
+export { downloadModel, loadModelSource, MODELS, registerModel, unregisterModel } from './model-loader.ts';
+export type { DownloadProgress, ModelInfo, ModelSource, ModelBuffers, ModelTier } from './model-loader.ts';
+export { ModelCache } from './model-cache.ts';
+export type { ModelCacheOptions, PrefetchOptions } from './model-cache.ts';
+export type { BrowserCacheKind, CachedModel, CachedModelFile } from './cache-store.ts';
@@ -0,0 +1,233 @@
+/**
+ * Chunk joining: turns per-unit model output into one continuous waveform.
+ *
+ * Each chunk's leading/trailing silence is found by frame energy rather than a fixed sample cut,
+ * the gap between chunks depends on how the previous chunk ended (sentence, question, clause,
+ * paragraph), and chunk edges get short equal-power fades — overlapped into a crossfade when
+ * there is no gap — so joins neither click nor drift in length.
+ */
+
+import { RawAudio } from './audio.ts';
+import { applyPauses, type SpeechUnit } from './ssml.ts';
+import { unitTimings, concatTimings, offsetTimings, type AudioTimings } from './timings.ts';
+import type { InferenceOutput } from './base-kitten-tts.ts';
+
+export interface JoinPauses {
+  /** After `.` and `…`. Default: 300 */
+  sentence: number;
+  /** After `?`. Default: 350 */
+  question: number;
+  /** After `!`. Default: 300 */
+  exclamation: number;
+  /** After `,` `;` `:` and dashes, e.g. when a long sentence is split. Default: 120 */
+  clause: number;
+  /** After a paragraph (blank line, SSML `</p>`). Default: 700 */
+  paragraph: number;
+}
+
+export interface JoinOptions {
+  /** Inter-chunk silence in ms, by how the previous chunk ends. SSML breaks override these. */
+  pauses?: Partial<JoinPauses>;
+  /** Fade length at chunk edges; chunks overlap by this much when the gap is zero. Default: 10 ms */
+  crossfadeMs?: number;
+  /** Frames quieter than this (dB relative to the chunk peak) count as silence. Default: -40 */
+  silenceDb?: number;
+  /** Silence kept around detected speech so onsets and releases are not clipped. Default: 25 ms */
+  padMs?: number;
+}
+
+type ResolvedJoin = Required<Omit<JoinOptions, 'pauses'>> & { pauses: JoinPauses };
+
+export type ChunkBoundary = keyof JoinPauses;
+
+const DEFAULT_PAUSES: JoinPauses = { sentence: 300, question: 350, exclamation: 300, clause: 120, paragraph: 700 };
+const DEFAULT_CROSSFADE_MS = 10;
+const DEFAULT_SILENCE_DB = -40;
+const DEFAULT_PAD_MS = 25;
+const FRAME_MS = 10;
+/** Absolute floor so near-silent chunks are not "trimmed" down to noise. */
+const MIN_THRESHOLD = 1e-3;
+
+/** One synthesized unit as handed to the join stage. */
+export interface SynthesizedUnit {
+  unit: SpeechUnit;
+  prepared: { phonemes: string; text: string };
+  output: InferenceOutput;
+}
+
+/** Resolve a `join` option; `undefined` falls back to `byDefault`. Returns null when joining is off. */
+export function resolveJoin(join: boolean | JoinOptions | undefined, byDefault: boolean): ResolvedJoin | null {
+  if (join === undefined) join = byDefault;
+  if (!join) return null;
+  const opts = join === true ? {} : join;
+  return {
+    pauses: { ...DEFAULT_PAUSES, ...opts.pauses },
+    crossfadeMs: opts.crossfadeMs ?? DEFAULT_CROSSFADE_MS,
+    silenceDb: opts.silenceDb ?? DEFAULT_SILENCE_DB,
+    padMs: opts.padMs ?? DEFAULT_PAD_MS,
+  };
+}
+
+/** How a unit ends, which decides the natural pause after it. */
+export function boundaryOf(unit: SpeechUnit): ChunkBoundary {
+  if (unit.paragraphEnd) return 'paragraph';
+  const last = unit.text.replace(/["'”’)\]\s]+$/, '').slice(-1);
+  if (last === '?') return 'question';
+  if (last === '!') return 'exclamation';
+  if (/[,;:—–-]/.test(last)) return 'clause';
+  return 'sentence';
+}
+
+/** Silence between two consecutive units: explicit SSML breaks win over punctuation pauses. */
+function gapMs(prev: SpeechUnit, next: SpeechUnit, pauses: JoinPauses): number {
+  const explicit = prev.pauseAfterMs + next.pauseBeforeMs;
+  return explicit > 0 ? explicit : pauses[boundaryOf(prev)];
+}
+
+const msToSamples = (ms: number, sampleRate: number) => Math.round((ms * sampleRate) / 1000);
+
+/** [start, end) sample range of the audible part of `samples`, padded by `padMs`. */
+export function speechBounds(
+  samples: Float32Array,
+  sampleRate: number,
+  opts: Pick<JoinOptions, 'silenceDb' | 'padMs'> = {},
+): [number, number] {
+  let peak = 0;
+  for (let i = 0; i < samples.length; i++) peak = Math.max(peak, Math.abs(samples[i]));
+  const threshold = Math.max(MIN_THRESHOLD, peak * 10 ** ((opts.silenceDb ?? DEFAULT_SILENCE_DB) / 20));
+  if (peak < threshold) return [0, 0];
+
+  const frame = Math.max(1, msToSamples(FRAME_MS, sampleRate));
+  const frames = Math.ceil(samples.length / frame);
+  const loud = (f: number) => {
+    const end = Math.min(samples.length, (f + 1) * frame);
+    let sum = 0;
+    for (let i = f * frame; i < end; i++) sum += samples[i] * samples[i];
+    return Math.sqrt(sum / (end - f * frame)) >= threshold;
+  };
+
+  let first = 0;
+  while (first < frames && !loud(first)) first++;
+  if (first === frames) return [0, 0];
+  let last = frames - 1;
+  while (last > first && !loud(last)) last--;
+
+  const pad = msToSamples(opts.padMs ?? DEFAULT_PAD_MS, sampleRate);
+  return [Math.max(0, first * frame - pad), Math.min(samples.length, (last + 1) * frame + pad)];
+}
+
+/** Copy of `samples` with equal-power fade-in and fade-out of up to `length` samples. */
+function withFades(samples: Float32Array, length: number): Float32Array {
+  const out = new Float32Array(samples);
+  const n = Math.min(length, Math.floor(out.length / 2));
+  for (let k = 0; k < n; k++) {
+    const gain = Math.sin((Math.PI / 2) * ((k + 0.5) / n));
+    out[k] *= gain;
+    out[out.length - 1 - k] *= gain;
+  }
+  return out;
+}
+
+/**
+ * Join raw chunk waveforms. `offsets[i]` is where sample 0 of chunk i's raw waveform lands in
+ * the output (negative when its leading silence was trimmed away), for shifting timestamps.
+ */
+export function joinChunks(
+  chunks: Array<{ samples: Float32Array; unit: SpeechUnit }>,
+  sampleRate: number,
+  opts: JoinOptions = {},
+): { audio: Float32Array; offsets: number[] } {
+  const join = resolveJoin(opts, true)!;
+  const fade = msToSamples(join.crossfadeMs, sampleRate);
+  const bounds = chunks.map(c => speechBounds(c.samples, sampleRate, join));
+  const speech = chunks.map((c, i) => withFades(c.samples.subarray(...bounds[i]), fade));
+
+  const starts: number[] = [];
+  let cursor = chunks.length ? msToSamples(chunks[0].unit.pauseBeforeMs, sampleRate) : 0;
+  chunks.forEach((c, i) => {
+    if (i > 0) {
+      const gap = msToSamples(gapMs(chunks[i - 1].unit, c.unit, join.pauses), sampleRate);
+      cursor += gap > 0 ? gap : -Math.min(fade, speech[i - 1].length, speech[i].length);
+    }
+    starts.push(cursor);
+    cursor += speech[i].length;
+  });
+  const last = chunks[chunks.length - 1];
+  if (last) cursor += msToSamples(last.unit.pauseAfterMs + (last.unit.paragraphEnd ? join.pauses.paragraph : 0), sampleRate);
+
+  const audio = new Float32Array(cursor);
+  speech.forEach((s, i) => {
+    for (let k = 0; k < s.length; k++) audio[starts[i] + k] += s[k];
+  });
+  return { audio, offsets: starts.map((s, i) => s - bounds[i][0]) };
+}
+
+/** Timings for a unit whose raw waveform starts at `offset` samples into the output. */
+function joinedTimings(u: SynthesizedUnit, offset: number, sampleRate: number): AudioTimings {
+  return offsetTimings(unitTimings(u.prepared, { ...u.output, audio: u.output.raw }, 0, sampleRate), offset / sampleRate);
+}
+
+/** Combine every unit of a `generate()` call into one `RawAudio`. */
+export function assembleAudio(
+  units: SynthesizedUnit[],
+  sampleRate: number,
+  opts: { join: ResolvedJoin | null; timestamps?: boolean },
+): RawAudio {
+  if (opts.join) {
+    const { audio, offsets } = joinChunks(units.map(u => ({ samples: u.output.raw, unit: u.unit })), sampleRate, opts.join);
+    const timings = opts.timestamps
+      ? concatTimings(units.map((u, i) => ({ timings: joinedTimings(u, offsets[i], sampleRate), offset: 0 })))
+      : undefined;
+    return new RawAudio(audio, sampleRate, timings);
+  }
+
+  const chunks = units.map(u => applyPauses(u.output.audio, u.unit, sampleRate));
+  const combined = new Float32Array(chunks.reduce((n, c) => n + c.length, 0));
+  const timingParts: Array<{ timings: AudioTimings; offset: number }> = [];
+  let offset = 0;
+  chunks.forEach((chunk, i) => {
+    const u = units[i];
+    if (opts.timestamps) {
+      timingParts.push({ timings: unitTimings(u.prepared, u.output, u.unit.pauseBeforeMs, sampleRate), offset: offset / sampleRate });
+    }
+    combined.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return new RawAudio(combined, sampleRate, opts.timestamps ? concatTimings(timingParts) : undefined);
+}
+
+/**
+ * Per-chunk assembly for `stream()`. With joining on, each chunk is energy-trimmed, faded and
+ * prefixed with the pause owed to the previous chunk's ending, so played back-to-back the chunks
+ * sound like `generate()` output (minus overlap, which would need the next chunk in advance).
+ */
+export class StreamAssembler {
+  private readonly _sampleRate: number;
+  private readonly _join: ResolvedJoin | null;
+  private readonly _timestamps: boolean;
+  private _prev: SpeechUnit | null = null;
+
+  constructor(sampleRate: number, join: ResolvedJoin | null, timestamps = false) {
+    this._sampleRate = sampleRate;
+    this._join = join;
+    this._timestamps = timestamps;
+  }
+
+  next(u: SynthesizedUnit): RawAudio {
+    const sr = this._sampleRate;
+    if (!this._join) {
+      const timings = this._timestamps ? unitTimings(u.prepared, u.output, u.unit.pauseBeforeMs, sr) : undefined;
+      return new RawAudio(applyPauses(u.output.audio, u.unit, sr), sr, timings);
+    }
+
+    const [start, end] = speechBounds(u.output.raw, sr, this._join);
+    const speech = withFades(u.output.raw.subarray(start, end), msToSamples(this._join.crossfadeMs, sr));
+    const leadMs = this._prev ? gapMs(this._prev, u.unit, this._join.pauses) : u.unit.pauseBeforeMs;
+    const lead = msToSamples(leadMs, sr);
+    this._prev = u.unit;
+
+    const audio = new Float32Array(lead + speech.length);
+    audio.set(speech, lead);
+    return new RawAudio(audio, sr, this._timestamps ? joinedTimings(u, lead - start, sr) : undefined);
+  }
+}
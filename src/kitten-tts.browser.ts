@@ -1,411 +1,43 @@
-import { downloadModel } from './model-loader.ts';
-import { loadNpz, type NpzResult } from './npz-loader.ts';
-import { TextCleaner, basic_english_tokenize } from './text-cleaner.ts';
-import { TextPreprocessor } from './preprocess.ts';
-import { phonemize } from './phonemizer.ts';
-import { RawAudio } from './audio.ts';
+/**
+ * BrowserKittenTTS — browser entry point with onnxruntime-web imported statically.
+ *
+ * `runtime: 'gpu'` tries WebGPU first; the web backend's fallback policy reloads the session on
+ * WASM once if WebGPU inference fails.
+ */
+
+import { BaseKittenTTS, type OrtModule } from './base-kitten-tts.ts';
+import { createWebBackend } from './backend.web.ts';
+import type { CacheStoreOptions } from './cache-store.ts';
+import type { DownloadProgress, ModelSource } from './model-loader.ts';
 import * as ort from 'onnxruntime-web';
 
-const SAMPLE_RATE = 24000;
-const AUDIO_TRIM = 5000;
-const MAX_CHUNK_CHARS = 250;
-const MAX_INPUT_IDS = 510;
-
-const DEFAULT_VOICE_ALIASES: Record<string, string> = {
-  Bella: 'expr-voice-2-f',
-  Jasper: 'expr-voice-2-m',
-  Luna: 'expr-voice-3-f',
-  Bruno: 'expr-voice-3-m',
-  Rosie: 'expr-voice-4-f',
-  Hugo: 'expr-voice-4-m',
-  Kiki: 'expr-voice-5-f',
-  Leo: 'expr-voice-5-m',
-};
-const DEFAULT_VOICE = 'Leo';
-
-interface ModelConfig {
-  sample_rate?: number;
-  voice_aliases?: Record<string, string>;
-  speed_priors?: Record<string, number>;
-}
-
-interface BrowserSessionMeta {
-  runtimeRequested?: string;
-  runtimeActual?: string;
-  executionProviders?: string[];
-  fallbackError?: Error | null;
-}
-
-export interface BrowserFromPretrainedOptions {
+/** Downloads are cached in the browser store picked by `browserCache`; there is no `cacheDir`. */
+export interface BrowserFromPretrainedOptions extends Pick<CacheStoreOptions, 'browserCache'> {
   dtype?: string;
-  cacheDir?: string;
+  /** Hugging Face-compatible mirror to download hub IDs from. */
+  hubUrl?: string;
+  /** Hub branch, tag or commit hash to load. Default: the registered `revision`, else 'main' */
+  revision?: string;
+  /** Per-file download progress; cache hits report once with `loaded === total`. */
+  onProgress?: (progress: DownloadProgress) => void;
+  /** Verify downloads against their SHA-256 and cached files against their recorded size. Default: true */
+  verify?: boolean;
   runtime?: 'auto' | 'cpu' | 'gpu' | 'wasm';
   wasmThreads?: number;
   wasmSimd?: boolean;
   browserExecutionProviders?: Array<'wasm' | 'webgpu'>;
 }
 
-interface PreparedInputs {
-  input_ids: number[];
-  style: Float32Array;
-  styleDim: number;
-  speed: number;
-}
-
-function isCoarseMobileUa(): boolean {
-  if (typeof navigator === 'undefined') return false;
-  return /Android|iPhone|iPad|iPod|Mobile|webOS|BlackBerry|IEMobile|Opera Mini/i.test(
-    navigator.userAgent || '',
-  );
-}
-
-function executionProvidersUseWebGpu(
-  eps: readonly (string | { name?: string })[],
-): boolean {
-  return eps.some((p) => {
-    const n = typeof p === 'string' ? p : p?.name;
-    return String(n || '').toLowerCase() === 'webgpu';
-  });
-}
-
-function inferErrorText(e: unknown): string {
-  if (e instanceof Error) {
-    let m = e.message;
-    const c = (e as Error & { cause?: unknown }).cause;
-    if (c instanceof Error) m += ` ${c.message}`;
-    return m;
-  }
-  if (e && typeof e === 'object' && 'message' in e) {
-    return String((e as { message: unknown }).message);
-  }
-  return String(e);
-}
-
-function resolveBrowserWasmThreads(opts: BrowserFromPretrainedOptions = {}): number {
-  if (Number.isInteger(opts.wasmThreads) && opts.wasmThreads! > 0) {
-    return isCoarseMobileUa() ? 1 : opts.wasmThreads!;
-  }
-  // SharedArrayBuffer (required for WASM threads) is only available when the page
-  // is cross-origin isolated (COOP + COEP headers). Without it, ORT's pthread_create
-  // will fail with a cryptic error. Fall back to single-threaded execution.
-  if (typeof crossOriginIsolated !== 'undefined' && !crossOriginIsolated) return 1;
-  if (isCoarseMobileUa()) return 1;
-  if (typeof navigator !== 'undefined' && Number.isInteger(navigator.hardwareConcurrency) && navigator.hardwareConcurrency > 0) {
-    return Math.min(navigator.hardwareConcurrency, 4);
-  }
-  return 4;
-}
-
-async function createBrowserSession(
-  modelBuffer: ArrayBuffer,
-  runtimeRequested: string,
-  opts: BrowserFromPretrainedOptions
-): Promise<{ session: ort.InferenceSession; runtimeActual: 'cpu' | 'gpu'; executionProviders: string[]; fallbackError?: Error }> {
-  if (Array.isArray(opts.browserExecutionProviders) && opts.browserExecutionProviders.length > 0) {
-    const executionProviders = opts.browserExecutionProviders;
-    const session = await ort.InferenceSession.create(modelBuffer, { executionProviders });
-    return {
-      session,
-      runtimeActual: executionProvidersUseWebGpu(executionProviders) ? 'gpu' : 'cpu',
-      executionProviders,
-    };
-  }
-
-  // `auto` uses WASM only: WebGPU often creates a session then fails at BERT `/bert/Expand` on OrtRun.
-  // Use runtime `gpu` to opt into WebGPU (with one-shot WASM session reload if inference fails).
-  if (runtimeRequested === 'cpu' || runtimeRequested === 'wasm' || runtimeRequested === 'auto') {
-    const executionProviders = ['wasm'];
-    const session = await ort.InferenceSession.create(modelBuffer, { executionProviders });
-    return {
-      session,
-      runtimeActual: 'cpu',
-      executionProviders,
-    };
-  }
-
-  // `gpu` only: WebGPU first, else WASM at session create.
-  try {
-    const executionProviders = ['webgpu'];
-    const session = await ort.InferenceSession.create(modelBuffer, { executionProviders });
-    return {
-      session,
-      runtimeActual: 'gpu',
-      executionProviders,
-    };
-  } catch (error) {
-    const executionProviders = ['wasm'];
-    const session = await ort.InferenceSession.create(modelBuffer, { executionProviders });
-    return {
-      session,
-      runtimeActual: 'cpu',
-      executionProviders,
-      fallbackError: error as Error,
-    };
-  }
-}
-
-export class BrowserKittenTTS {
-  private _session: ort.InferenceSession;
-  private _voices: NpzResult;
-  private _config: ModelConfig;
-  private _fallbackError: Error | null;
-  readonly _runtimeRequested: string;
-  private _runtimeLabel: string;
-  private _providersArr: string[];
-  private readonly _reloadModelId: string;
-  private readonly _reloadOpts: BrowserFromPretrainedOptions;
-  /** After one WebGPU OrtRun failure, reload session on WASM once. */
-  private _wasmInferenceFallbackDone = false;
-  private _cleaner: TextCleaner;
-  private _preprocessor: TextPreprocessor;
-
-  readonly runtimeRequested: string;
-  readonly sampleRate: number;
-  readonly voiceAliases: Record<string, string>;
-  readonly speedPriors: Record<string, number>;
-  readonly availableVoices: string[];
-
-  get runtime(): string {
-    return this._runtimeLabel;
-  }
-
-  get executionProviders(): readonly string[] {
-    return this._providersArr;
-  }
-
-  constructor(
-    session: ort.InferenceSession,
-    voices: NpzResult,
-    config: ModelConfig,
-    meta: BrowserSessionMeta = {},
-    reloadModelId = '',
-    reloadOpts: BrowserFromPretrainedOptions = {},
-  ) {
-    this._session = session;
-    this._voices = voices;
-    this._config = config;
-    this._runtimeRequested = meta.runtimeRequested || 'auto';
-    this._runtimeLabel = meta.runtimeActual || 'cpu';
-    this._providersArr = [...(meta.executionProviders || ['wasm'])];
-    this._fallbackError = meta.fallbackError || null;
-    this._reloadModelId = reloadModelId;
-    this._reloadOpts = { ...reloadOpts };
-    this._cleaner = new TextCleaner();
-    this._preprocessor = new TextPreprocessor({ remove_punctuation: false });
-    this.runtimeRequested = this._runtimeRequested;
-    this.sampleRate = config.sample_rate || SAMPLE_RATE;
-    this.voiceAliases = { ...DEFAULT_VOICE_ALIASES, ...(config.voice_aliases || {}) };
-    this.speedPriors = config.speed_priors || {};
-    this.availableVoices = Object.keys(this._voices);
-  }
-
+export class BrowserKittenTTS extends BaseKittenTTS {
   static async from_pretrained(
-    modelId = 'KittenML/kitten-tts-nano-0.8',
+    modelId: ModelSource = 'KittenML/kitten-tts-nano-0.8',
     opts: BrowserFromPretrainedOptions = {}
   ): Promise<BrowserKittenTTS> {
     if (opts.runtime && !['auto', 'cpu', 'gpu', 'wasm'].includes(opts.runtime)) {
       throw new Error(`Unsupported runtime mode: ${opts.runtime}`);
     }
 
-    const { modelBuffer, voicesBuffer, config } = await downloadModel(modelId, opts as unknown as Record<string, unknown>);
-    if (!ort.env.wasm.wasmPaths) {
-      // Use location.href (reliable in both main thread and workers) rather than
-      // import.meta.url, which Rolldown may replace with a data URL in lib mode.
-      const base = (typeof globalThis.location !== 'undefined' && globalThis.location?.href)
-        ? new URL('.', globalThis.location.href).href
-        : 'https://cdn.jsdelivr.net/npm/onnxruntime-web@1.24.2/dist/';
-      ort.env.wasm.wasmPaths = base;
-    }
-    ort.env.wasm.numThreads = resolveBrowserWasmThreads(opts);
-    ort.env.wasm.simd = opts.wasmSimd !== false;
-    // Hide benign WASM warnings (unknown CPU vendor in browser, shape ops on CPU) — not errors.
-    ort.env.logLevel = 'error';
-
-    const runtimeRequested = opts.runtime || 'auto';
-    const { session, runtimeActual, executionProviders, fallbackError } = await createBrowserSession(modelBuffer, runtimeRequested, opts);
-    const voices = await loadNpz(voicesBuffer);
-
-    if (fallbackError) {
-      console.warn(`[kitten-tts] Requested browser runtime "${runtimeRequested}" failed; using WASM fallback.`, fallbackError?.message || fallbackError);
-    }
-
-    return new BrowserKittenTTS(
-      session,
-      voices,
-      config as ModelConfig,
-      {
-        runtimeRequested,
-        runtimeActual,
-        executionProviders,
-        fallbackError,
-      },
-      modelId,
-      opts,
-    );
-  }
-
-  list_voices(): string[] {
-    return Object.keys(this.voiceAliases);
-  }
-
-  async generate(text: string, opts: { voice?: string; speed?: number; clean?: boolean } = {}): Promise<RawAudio> {
-    const { voice = DEFAULT_VOICE, speed = 1.0, clean = false } = opts;
-    const chunks = this._chunkText(text);
-    const audioChunks: Float32Array[] = [];
-    for (const chunk of chunks) {
-      const inputs = await this._prepareInputs(chunk, voice, speed, clean);
-      const chunkAudio = await this._runInference(inputs);
-      audioChunks.push(chunkAudio);
-    }
-    const totalLen = audioChunks.reduce((s, a) => s + a.length, 0);
-    const combined = new Float32Array(totalLen);
-    let offset = 0;
-    for (const chunk of audioChunks) {
-      combined.set(chunk, offset);
-      offset += chunk.length;
-    }
-    return new RawAudio(combined, SAMPLE_RATE);
-  }
-
-  async *stream(text: string, opts: { voice?: string; speed?: number; clean?: boolean } = {}): AsyncGenerator<{ text: string; audio: RawAudio }> {
-    const { voice = DEFAULT_VOICE, speed = 1.0, clean = false } = opts;
-    const chunks = this._chunkText(text);
-    for (const chunk of chunks) {
-      const inputs = await this._prepareInputs(chunk, voice, speed, clean);
-      const chunkAudio = await this._runInference(inputs);
-      yield { text: chunk, audio: new RawAudio(chunkAudio, SAMPLE_RATE) };
-    }
-  }
-
-  async release(): Promise<void> {
-    if (this._session && typeof this._session.release === 'function') {
-      await this._session.release();
-    }
-  }
-
-  private _ensurePunctuation(text: string): string {
-    let t = text.trim();
-    if (!t) return t;
-    const last = t[t.length - 1];
-    if (!['.', '!', '?', ',', ';', ':'].includes(last)) t += ',';
-    return t;
-  }
-
-  private _chunkText(text: string): string[] {
-    const segments = text.split(/(?<=[.!?;])\s+|\n+/);
-    const chunks: string[] = [];
-    for (const seg of segments) {
-      const sentence = seg.trim();
-      if (!sentence) continue;
-      if (sentence.length <= MAX_CHUNK_CHARS) {
-        chunks.push(this._ensurePunctuation(sentence));
-      } else {
-        const words = sentence.split(/\s+/);
-        let tempChunk = '';
-        for (const word of words) {
-          if (tempChunk.length + word.length + 1 <= MAX_CHUNK_CHARS) {
-            tempChunk += tempChunk ? ` ${word}` : word;
-          } else {
-            if (tempChunk) chunks.push(this._ensurePunctuation(tempChunk.trim()));
-            tempChunk = word;
-          }
-        }
-        if (tempChunk) chunks.push(this._ensurePunctuation(tempChunk.trim()));
-      }
-    }
-    return chunks;
-  }
-
-  private async _prepareInputs(chunk: string, voiceName: string, speed: number, clean: boolean): Promise<PreparedInputs> {
-    const processedText = clean ? this._preprocessor.process(chunk) : chunk;
-    let phonemes = await phonemize(processedText);
-    phonemes = basic_english_tokenize(phonemes).join(' ');
-    let tokenIds = this._cleaner.clean(phonemes);
-    if (tokenIds.length > MAX_INPUT_IDS) {
-      tokenIds = [...tokenIds.slice(0, MAX_INPUT_IDS - 2), 10, 0];
-    }
-    if (this.voiceAliases[voiceName]) voiceName = this.voiceAliases[voiceName];
-    if (!this._voices[voiceName]) {
-      throw new Error(`Voice '${voiceName}' not found. Available: ${this.availableVoices.join(', ')}`);
-    }
-    const voiceEntry = this._voices[voiceName];
-    const voiceData = voiceEntry.data;
-    const [numStyles, styleDim] = voiceEntry.shape;
-    if (this.speedPriors[voiceName]) speed = speed * this.speedPriors[voiceName];
-    const refId = Math.min(chunk.length, numStyles - 1);
-    const style = voiceData.slice(refId * styleDim, (refId + 1) * styleDim);
-    return { input_ids: tokenIds, style, styleDim, speed };
-  }
-
-  /**
-   * WebGPU session creation can succeed while the first OrtRun fails (e.g. BERT `/bert/Expand` — invalid expand shape).
-   * Recreate the ONNX session on WASM only; model bytes are re-fetched from the same cache as `from_pretrained`.
-   */
-  private async _reinitSessionWasmOnly(): Promise<void> {
-    if (!this._reloadModelId) {
-      throw new Error('Cannot fall back to WASM: internal model id missing.');
-    }
-    await this.release();
-    const { browserExecutionProviders: _ep, ...restReload } = this._reloadOpts;
-    const optsCpu: BrowserFromPretrainedOptions = { ...restReload, runtime: 'cpu' };
-    const { modelBuffer } = await downloadModel(this._reloadModelId, optsCpu as unknown as Record<string, unknown>);
-    ort.env.wasm.numThreads = resolveBrowserWasmThreads(optsCpu);
-    ort.env.wasm.simd = optsCpu.wasmSimd !== false;
-    const { session, runtimeActual, executionProviders } = await createBrowserSession(modelBuffer, 'cpu', optsCpu);
-    this._session = session;
-    this._runtimeLabel = runtimeActual === 'gpu' ? 'gpu' : 'cpu';
-    this._providersArr = [...executionProviders];
-  }
-
-  private _usesWebGpuProvider(): boolean {
-    return executionProvidersUseWebGpu(this._providersArr);
-  }
-
-  private async _runInference({ input_ids, style, styleDim, speed }: PreparedInputs): Promise<Float32Array> {
-    const runOnce = async (): Promise<Float32Array> => {
-      const seqLen = input_ids.length;
-      const inputIdsTensor = new ort.Tensor('int64', BigInt64Array.from(input_ids.map(BigInt)), [1, seqLen]);
-      const styleTensor = new ort.Tensor('float32', new Float32Array(style), [1, styleDim]);
-      const speedTensor = new ort.Tensor('float32', new Float32Array([speed]), [1]);
-      let results: Record<string, ort.Tensor>;
-      try {
-        results = await this._session.run({
-          input_ids: inputIdsTensor,
-          style: styleTensor,
-          speed: speedTensor,
-        });
-      } finally {
-        inputIdsTensor.dispose();
-        styleTensor.dispose();
-        speedTensor.dispose();
-      }
-      const outputKey = Object.keys(results)[0];
-      const outTensor = results[outputKey];
-      const audioData = outTensor.data as Float32Array;
-      const trimmed = audioData.slice(0, Math.max(0, audioData.length - AUDIO_TRIM));
-      const copy = new Float32Array(trimmed);
-      for (const k of Object.keys(results)) {
-        results[k].dispose();
-      }
-      return copy;
-    };
-
-    try {
-      return await runOnce();
-    } catch (e) {
-      const msg = inferErrorText(e);
-      // Reload on WASM if WebGPU is active, or if the user asked for GPU (covers EP metadata quirks
-      // and the case where session create fell back to WASM but we still want one clean WASM reinit).
-      const tryWasm =
-        !this._wasmInferenceFallbackDone &&
-        (this._usesWebGpuProvider() || this._runtimeRequested === 'gpu');
-      if (tryWasm) {
-        this._wasmInferenceFallbackDone = true;
-        console.warn('[kitten-tts] Inference failed; reloading session on WASM (CPU).', msg);
-        await this._reinitSessionWasmOnly();
-        return await runOnce();
-      }
-      throw e;
-    }
+    const backend = createWebBackend(ort as unknown as OrtModule, modelId, { ...opts });
+    return BrowserKittenTTS.from_backend(backend, modelId, { ...opts });
   }
 }
@@ -0,0 +1,151 @@
+/**
+ * Low-latency streaming: splits the first chunk aggressively at clause boundaries and then grows
+ * chunk size, so the first audio arrives quickly and later chunks stay ahead of playback.
+ *
+ * `LatencyPacer` keeps a running estimate of synthesis cost per character and of how much audio
+ * is buffered ahead of playback; `lowLatencyUnits` asks it for the next chunk size before each split.
+ */
+
+import type { SpeechUnit } from './ssml.ts';
+
+export interface LowLatencyOptions {
+  /** Target time to first audio in ms; sizes the first chunk. Default: 300 */
+  firstChunkMs?: number;
+  /** Max growth factor between consecutive chunk sizes. Default: 2 */
+  growth?: number;
+  /** Smallest chunk worth a separate inference. Default: 12 characters */
+  minChars?: number;
+  /** Initial synthesis cost estimate before the first measurement. Default: 6 ms/char */
+  msPerChar?: number;
+}
+
+const DEFAULT_FIRST_CHUNK_MS = 300;
+const DEFAULT_GROWTH = 2;
+const DEFAULT_MIN_CHARS = 12;
+const DEFAULT_MS_PER_CHAR = 6;
+/** Fraction of buffered audio the next chunk may spend synthesizing. */
+const BUFFER_SAFETY = 0.8;
+
+const CONJUNCTIONS = ['and', 'but', 'or', 'so', 'because', 'which', 'while', 'although', 'though',
+  'whereas', 'then', 'yet', 'unless', 'until', 'where', 'when'];
+const CLAUSE_PUNCT_RE = /[,;:—–]\s+/g;
+const CONJUNCTION_RE = new RegExp(`\\s+(?=(?:${CONJUNCTIONS.join('|')})\\b)`, 'gi');
+
+const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+function ensureClauseEnd(text: string): string {
+  const t = text.trim();
+  return !t || /[.!?,;:]$/.test(t) ? t : t + ',';
+}
+
+/**
+ * Split `text` into a head of at most `maxChars` and the remaining tail, preferring clause
+ * punctuation, then conjunctions, then the last word boundary. Heads shorter than `minChars`
+ * are not produced unless nothing else fits.
+ */
+export function splitAtClause(text: string, maxChars: number, minChars = DEFAULT_MIN_CHARS): [string, string] {
+  const t = text.trim();
+  if (t.length <= maxChars) return [t, ''];
+
+  const cut = (idx: number): [string, string] => [t.slice(0, idx).trim(), t.slice(idx).trim()];
+  // Last boundary that fits; `before` splits ahead of the match (conjunctions start the next clause).
+  const best = (re: RegExp, before: boolean): number => {
+    let found = -1;
+    for (const m of t.matchAll(re)) {
+      const end = before ? m.index! : m.index! + m[0].length;
+      if (end > maxChars) break;
+      if (end >= minChars) found = end;
+    }
+    return found;
+  };
+
+  const punct = best(CLAUSE_PUNCT_RE, false);
+  if (punct > 0) return cut(punct);
+  const conj = best(CONJUNCTION_RE, true);
+  if (conj > 0) return cut(conj);
+
+  const space = t.lastIndexOf(' ', maxChars);
+  if (space > 0) return cut(space);
+  const next = t.indexOf(' ', maxChars);
+  return next > 0 ? cut(next) : [t, ''];
+}
+
+export class LatencyPacer {
+  private readonly _firstChunkMs: number;
+  private readonly _growth: number;
+  private readonly _maxChars: number;
+  readonly minChars: number;
+  private _msPerChar: number;
+  private _measured = false;
+  private _lastChars = 0;
+  private _audioMs = 0;
+  private _playbackStart: number | null = null;
+
+  constructor(maxChars: number, opts: LowLatencyOptions = {}) {
+    this._maxChars = maxChars;
+    this._firstChunkMs = opts.firstChunkMs ?? DEFAULT_FIRST_CHUNK_MS;
+    this._growth = opts.growth ?? DEFAULT_GROWTH;
+    this.minChars = opts.minChars ?? DEFAULT_MIN_CHARS;
+    this._msPerChar = opts.msPerChar ?? DEFAULT_MS_PER_CHAR;
+  }
+
+  /** Chunk size (in characters) for the next inference. */
+  nextChunkChars(): number {
+    let chars: number;
+    if (this._playbackStart === null) {
+      chars = this._firstChunkMs / this._msPerChar;
+    } else {
+      const bufferedMs = this._audioMs - (now() - this._playbackStart);
+      const budget = (Math.max(0, bufferedMs) * BUFFER_SAFETY) / this._msPerChar;
+      chars = Math.min(this._lastChars * this._growth, Math.max(budget, this._lastChars));
+    }
+    this._lastChars = Math.round(Math.min(this._maxChars, Math.max(this.minChars, chars)));
+    return this._lastChars;
+  }
+
+  /** Record one inference: characters synthesized, wall time spent, audio produced. */
+  record(chars: number, synthMs: number, audioMs: number): void {
+    if (chars > 0 && synthMs > 0) {
+      const sample = synthMs / chars;
+      this._msPerChar = this._measured ? 0.5 * this._msPerChar + 0.5 * sample : sample;
+      this._measured = true;
+    }
+    if (this._playbackStart === null) this._playbackStart = now();
+    this._audioMs += audioMs;
+  }
+}
+
+/** Pacer for a `lowLatency` stream option, or null when the option is off. */
+export function createPacer(lowLatency: boolean | LowLatencyOptions | undefined, maxChars: number): LatencyPacer | null {
+  if (!lowLatency) return null;
+  return new LatencyPacer(maxChars, lowLatency === true ? {} : lowLatency);
+}
+
+/**
+ * Re-split planned units for low latency. Lazily consumed so each split sees the pacer state
+ * recorded for the previous chunk. Units with SSML inline parts are passed through whole.
+ */
+export function* lowLatencyUnits(units: SpeechUnit[], pacer: LatencyPacer): Generator<SpeechUnit> {
+  for (const unit of units) {
+    const [part] = unit.parts;
+    if (unit.parts.length !== 1 || part.phonemes !== undefined) {
+      yield unit;
+      continue;
+    }
+    let rest = part.text;
+    let first = true;
+    while (rest) {
+      const [head, tail] = splitAtClause(rest, pacer.nextChunkChars(), pacer.minChars);
+      const text = ensureClauseEnd(head);
+      yield {
+        ...unit,
+        text,
+        parts: [{ ...part, text }],
+        pauseBeforeMs: first ? unit.pauseBeforeMs : 0,
+        pauseAfterMs: tail ? 0 : unit.pauseAfterMs,
+      };
+      rest = tail;
+      first = false;
+    }
+  }
+}
@@ -0,0 +1,315 @@
+/**
+ * User pronunciation lexicon, consulted before phonemization. Each entry maps a word (or phrase)
+ * to IPA, which bypasses eSpeak, or to a respelling that eSpeak reads instead of the word.
+ *
+ * Lowercase keys match any capitalization; keys containing capitals ("ONNX", "US") match only
+ * that exact form. Plural/possessive `-s`, `-es`, `'s`, past `-ed`/`-d` and `-ing` forms of an
+ * entry are derived automatically ("baking" from `bake`, "grokked" from `grok`) unless the
+ * inflected form has its own entry.
+ */
+
+import type { SpeechPart } from './ssml.ts';
+
+/** IPA is fed to the tokenizer as-is; `say` is phonemized in place of the word. */
+export type LexiconEntry = { ipa: string } | { say: string };
+
+/**
+ * Word → pronunciation. A string wrapped in slashes (`"/ˈɒnɪks/"`) is IPA, any other string a
+ * respelling.
+ */
+export type LexiconInput = Record<string, string | LexiconEntry>;
+
+export interface LexiconMatch {
+  /** The text that matched, inflection included. */
+  text: string;
+  /** Key of the entry that was used. */
+  word: string;
+  entry: LexiconEntry;
+}
+
+const WORD_CHAR = '[\\p{L}\\p{N}]';
+// Longest first, so that `es` wins over `s` and `ed` over `d`.
+const SUFFIXES = ["'s", '’s', 'ing', 'es', 'ed', 's', 'd'];
+
+function escapeRegex(text: string): string {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function toEntry(word: string, value: string | LexiconEntry): LexiconEntry {
+  if (typeof value === 'string') {
+    const ipa = /^\/(.+)\/$/s.exec(value.trim());
+    return ipa ? { ipa: ipa[1] } : { say: value };
+  }
+  if (value && typeof (value as { ipa?: unknown }).ipa === 'string') return { ipa: (value as { ipa: string }).ipa };
+  if (value && typeof (value as { say?: unknown }).say === 'string') return { say: (value as { say: string }).say };
+  throw new Error(`Lexicon entry for "${word}" must be a string, { ipa } or { say }`);
+}
+
+/** IPA for an inflected form, following English voicing rules for the ending. */
+function inflectIpa(ipa: string, suffix: string): string {
+  const stem = ipa.replace(/[ˈˌːˑ\s]+$/u, '');
+  if (suffix === 'ing') return `${stem}ɪŋ`;
+  if (suffix === 'ed' || suffix === 'd') {
+    if (/[td]$/.test(stem)) return `${stem}ɪd`;
+    return /(?:[pkfθsʃ]|tʃ)$/.test(stem) ? `${stem}t` : `${stem}d`;
+  }
+  if (/(?:[szʃʒ]|tʃ|dʒ)$/.test(stem)) return `${stem}ɪz`;
+  return /[ptkfθ]$/.test(stem) ? `${stem}s` : `${stem}z`;
+}
+
+function inflect(entry: LexiconEntry, suffix: string): LexiconEntry {
+  if (!suffix) return entry;
+  if ('ipa' in entry) return { ipa: inflectIpa(entry.ipa, suffix.replace('’', "'").replace("'s", 's')) };
+  return { say: entry.say + suffix };
+}
+
+const CONSONANT = /[b-df-hj-np-tv-z]$/i;
+
+/** Spellings of `word` that `-ing` / `-ed` attach to: a silent "e" dropped, or a final consonant doubled. */
+function inflectionStems(word: string): string[] {
+  if (/e$/i.test(word)) return [word.slice(0, -1)];
+  return CONSONANT.test(word) ? [word + word.slice(-1)] : [];
+}
+
+/** Dictionary forms an inflected word may come from: "bak" + "ing" → "bake", "grokk" + "ed" → "grok". */
+function stemCandidates(base: string, suffix: string): string[] {
+  if (suffix !== 'ing' && suffix !== 'ed') return [base];
+  const candidates = [base, `${base}e`];
+  if (/([b-df-hj-np-tv-z])\1$/i.test(base)) candidates.push(base.slice(0, -1));
+  return candidates;
+}
+
+/** Split a CSV line, honouring double-quoted fields. */
+function splitCsvLine(line: string): string[] {
+  const cells: string[] = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+export class Lexicon {
+  private _entries = new Map<string, LexiconEntry>();
+  private _pattern: RegExp | null = null;
+
+  constructor(entries: LexiconInput | Lexicon = {}) {
+    if (entries instanceof Lexicon) {
+      for (const [word, entry] of entries._entries) this._entries.set(word, entry);
+    } else {
+      for (const [word, value] of Object.entries(entries)) this.set(word, value);
+    }
+  }
+
+  /**
+   * Parse JSON: an object of word → pronunciation, or an array of `{ word, ipa }` /
+   * `{ word, say }` records.
+   */
+  static fromJSON(json: string | LexiconInput | Array<{ word: string } & Partial<Record<'ipa' | 'say', string>>>): Lexicon {
+    const data = typeof json === 'string' ? JSON.parse(json) as unknown : json;
+    if (!Array.isArray(data)) {
+      if (!data || typeof data !== 'object') throw new Error('Lexicon JSON must be an object or an array');
+      return new Lexicon(data as LexiconInput);
+    }
+    const lexicon = new Lexicon();
+    for (const record of data as Array<Record<string, string>>) {
+      const { word, ...value } = record ?? {};
+      if (!word) throw new Error(`Lexicon JSON records need a "word": ${JSON.stringify(record)}`);
+      lexicon.set(word, value as LexiconEntry);
+    }
+    return lexicon;
+  }
+
+  /**
+   * Parse CSV with `word,pronunciation` rows (slashes mark IPA), or a header row naming the
+   * columns: `word` plus `ipa` and/or `say`. Blank lines and lines starting with `#` are skipped.
+   */
+  static fromCSV(csv: string): Lexicon {
+    const lexicon = new Lexicon();
+    let columns: string[] | null = null;
+    const lines = csv.split(/\r?\n/);
+    lines.forEach((line, i) => {
+      if (!line.trim() || line.trimStart().startsWith('#')) return;
+      const cells = splitCsvLine(line);
+      if (!columns && lexicon.size === 0 && cells[0].toLowerCase() === 'word') {
+        columns = cells.map(c => c.toLowerCase());
+        return;
+      }
+      const [word, value] = cells;
+      if (!word || cells.length < 2) throw new Error(`Lexicon CSV line ${i + 1}: expected "word,pronunciation"`);
+      if (!columns) {
+        lexicon.set(word, value);
+        return;
+      }
+      const cols = columns as string[];
+      const ipa = cells[cols.indexOf('ipa')];
+      const say = cells[cols.indexOf('say')] ?? cells[cols.indexOf('respelling')];
+      if (ipa) lexicon.set(word, { ipa });
+      else if (say) lexicon.set(word, { say });
+      else throw new Error(`Lexicon CSV line ${i + 1}: no ipa or say value for "${word}"`);
+    });
+    return lexicon;
+  }
+
+  /** Read a `.json` or `.csv` lexicon from a file path (Node) or URL. */
+  static async load(source: string | URL): Promise<Lexicon> {
+    const location = String(source);
+    let text: string;
+    const isNode = typeof process !== 'undefined' && !!process.versions?.node;
+    if (isNode && !/^https?:\/\//i.test(location)) {
+      const [{ promises: fs }, { fileURLToPath }] = await Promise.all([import('fs'), import('url')]);
+      text = await fs.readFile(/^file:/i.test(location) ? fileURLToPath(location) : location, 'utf8');
+    } else {
+      const resp = await fetch(location);
+      if (!resp.ok) throw new Error(`HTTP ${resp.status} fetching ${location}`);
+      text = await resp.text();
+    }
+    if (/\.csv(?:[?#]|$)/i.test(location)) return Lexicon.fromCSV(text);
+    if (/\.json(?:[?#]|$)/i.test(location)) return Lexicon.fromJSON(text);
+    return /^\s*[[{]/.test(text) ? Lexicon.fromJSON(text) : Lexicon.fromCSV(text);
+  }
+
+  get size(): number {
+    return this._entries.size;
+  }
+
+  set(word: string, value: string | LexiconEntry): this {
+    const key = word.trim();
+    if (!key) throw new Error('Lexicon words must be non-empty');
+    this._entries.set(key, toEntry(key, value));
+    this._pattern = null;
+    return this;
+  }
+
+  get(word: string): LexiconEntry | undefined {
+    return this._entries.get(word.trim());
+  }
+
+  has(word: string): boolean {
+    return this._entries.has(word.trim());
+  }
+
+  delete(word: string): boolean {
+    this._pattern = null;
+    return this._entries.delete(word.trim());
+  }
+
+  clear(): void {
+    this._entries.clear();
+    this._pattern = null;
+  }
+
+  entries(): IterableIterator<[string, LexiconEntry]> {
+    return this._entries.entries();
+  }
+
+  /** Add every entry of `other`, replacing entries for the same word. */
+  merge(other: Lexicon | LexiconInput): this {
+    for (const [word, entry] of (other instanceof Lexicon ? other : new Lexicon(other))._entries) {
+      this._entries.set(word, entry);
+    }
+    this._pattern = null;
+    return this;
+  }
+
+  /** A new lexicon with this one's entries, overridden by `other`'s. */
+  extend(other: Lexicon | LexiconInput): Lexicon {
+    return new Lexicon(this).merge(other);
+  }
+
+  toJSON(): Record<string, LexiconEntry> {
+    return Object.fromEntries(this._entries);
+  }
+
+  /** Pronunciation of one word, with case and inflection handling; null when there is none. */
+  lookup(word: string): LexiconMatch | null {
+    const exact = this._resolve(word);
+    if (exact) return { text: word, ...exact };
+    for (const suffix of SUFFIXES) {
+      if (word.length <= suffix.length || !word.toLowerCase().endsWith(suffix)) continue;
+      for (const candidate of stemCandidates(word.slice(0, -suffix.length), suffix)) {
+        const stem = this._resolve(candidate);
+        if (stem) return { text: word, word: stem.word, entry: inflect(stem.entry, word.slice(-suffix.length).toLowerCase()) };
+      }
+    }
+    return null;
+  }
+
+  /** Every lexicon match in `text`, in order and non-overlapping. */
+  matches(text: string): Array<LexiconMatch & { index: number }> {
+    if (!this._entries.size) return [];
+    const out: Array<LexiconMatch & { index: number }> = [];
+    for (const m of text.matchAll(this._regex())) {
+      const match = this.lookup(m[0]);
+      if (match) out.push({ ...match, index: m.index! });
+    }
+    return out;
+  }
+
+  private _resolve(text: string): { word: string; entry: LexiconEntry } | null {
+    const entry = this._entries.get(text);
+    if (entry) return { word: text, entry };
+    const lower = text.toLowerCase();
+    const folded = this._entries.get(lower);
+    // Only all-lowercase keys are case-insensitive.
+    return folded ? { word: lower, entry: folded } : null;
+  }
+
+  private _regex(): RegExp {
+    if (!this._pattern) {
+      // Also the spellings `-ing` / `-ed` attach to: "bak(ing)", "grokk(ed)"; lookup() rejects stray hits.
+      const forms = new Set([...this._entries.keys()].flatMap(key => [key, ...inflectionStems(key)]));
+      const words = [...forms].sort((a, b) => b.length - a.length).map(escapeRegex);
+      const suffixes = SUFFIXES.map(escapeRegex).join('|');
+      this._pattern = new RegExp(`(?<!${WORD_CHAR})(?:${words.join('|')})(?:${suffixes})?(?!${WORD_CHAR})`, 'giu');
+    }
+    return this._pattern;
+  }
+}
+
+/**
+ * Split speech parts around lexicon matches: IPA entries become phoneme parts, respellings are
+ * phonemized without preprocessing, and the text in between keeps its `clean` setting.
+ */
+export function applyLexicon(parts: SpeechPart[], lexicon: Lexicon): SpeechPart[] {
+  if (!lexicon.size) return parts;
+  const out: SpeechPart[] = [];
+  for (const part of parts) {
+    if (part.phonemes !== undefined) {
+      out.push(part);
+      continue;
+    }
+    let last = 0;
+    for (const match of lexicon.matches(part.text)) {
+      const before = part.text.slice(last, match.index);
+      if (before.trim()) out.push({ ...part, text: before.trim() });
+      out.push('ipa' in match.entry
+        ? { text: match.text, clean: false, phonemes: match.entry.ipa }
+        : { text: match.entry.say, clean: false });
+      last = match.index + match.text.length;
+    }
+    const rest = part.text.slice(last);
+    if (last === 0) out.push(part);
+    else if (rest.trim()) out.push({ ...part, text: rest.trim() });
+  }
+  return out;
+}
@@ -0,0 +1,46 @@
+/**
+ * Library logging. Informational messages (downloads, saved files) are off by default; warnings
+ * about runtime fallbacks are shown. `configureLogging` changes the level or routes messages to
+ * another logger.
+ */
+
+export type LogLevel = 'silent' | 'error' | 'warn' | 'info';
+
+/** Anything with console-style methods, e.g. `console` or a pino/winston instance. */
+export interface Logger {
+  info(...args: unknown[]): void;
+  warn(...args: unknown[]): void;
+  error(...args: unknown[]): void;
+}
+
+export interface LoggingOptions {
+  /** Most verbose level that is emitted. Default: 'warn' */
+  level?: LogLevel;
+  /** Destination for messages. Default: `console` */
+  logger?: Logger;
+}
+
+const LEVELS: Record<LogLevel, number> = { silent: 0, error: 1, warn: 2, info: 3 };
+const PREFIX = '[kitten-tts]';
+
+let currentLevel: LogLevel = 'warn';
+let sink: Logger = console;
+
+export function configureLogging(opts: LoggingOptions): void {
+  if (opts.level !== undefined) {
+    if (!(opts.level in LEVELS)) throw new Error(`Unknown log level: ${opts.level as string}`);
+    currentLevel = opts.level;
+  }
+  if (opts.logger !== undefined) sink = opts.logger;
+}
+
+function emit(level: Exclude<LogLevel, 'silent'>, message: string, extra: unknown[]): void {
+  if (LEVELS[level] <= LEVELS[currentLevel]) sink[level](`${PREFIX} ${message}`, ...extra);
+}
+
+/** Internal logging entry points; each prefixes the message with `[kitten-tts]`. */
+export const log = {
+  info: (message: string, ...extra: unknown[]) => emit('info', message, extra),
+  warn: (message: string, ...extra: unknown[]) => emit('warn', message, extra),
+  error: (message: string, ...extra: unknown[]) => emit('error', message, extra),
+};
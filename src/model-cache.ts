@@ -0,0 +1,76 @@
+/**
+ * Inspect and manage downloaded models: the Node cache directory, or the browser's Cache API or
+ * OPFS store. Local directories and buffers are read in place and never show up here.
+ */
+
+import { openCacheStore, type CachedModel, type CacheStore, type CacheStoreOptions } from './cache-store.ts';
+import { loadModelSource, modelCacheKey, type DownloadProgress } from './model-loader.ts';
+
+export interface ModelCacheOptions extends CacheStoreOptions {
+  /** Mirror that hub IDs passed to `delete()` and `prefetch()` refer to. */
+  hubUrl?: string;
+}
+
+export interface PrefetchOptions {
+  /** Hub branch, tag or commit hash. Default: the registered `revision`, else 'main' */
+  revision?: string;
+  onProgress?: (progress: DownloadProgress) => void;
+  /** Default: true */
+  verify?: boolean;
+}
+
+export class ModelCache {
+  private readonly _opts: ModelCacheOptions;
+
+  /** Use the same `cacheDir` / `browserCache` / `hubUrl` as the `from_pretrained()` calls it manages. */
+  constructor(opts: ModelCacheOptions = {}) {
+    this._opts = { ...opts };
+  }
+
+  /** Cached models with their files; empty where nothing can be persisted. */
+  async list(): Promise<CachedModel[]> {
+    return (await this._store())?.list() ?? [];
+  }
+
+  /** Bytes used by one model (hub ID, URL or `list()` key), or by the whole cache. */
+  async size(modelId?: string, revision?: string): Promise<number> {
+    const models = await this.list();
+    const key = modelId === undefined ? null : this._key(modelId, models, revision);
+    return models.filter(m => key === null || m.key === key).reduce((total, m) => total + m.size, 0);
+  }
+
+  /** Remove one model's files (at `revision`, for hub IDs); resolves to false when it was not cached. */
+  async delete(modelId: string, revision?: string): Promise<boolean> {
+    const store = await this._store();
+    if (!store) return false;
+    const models = await store.list();
+    const key = this._key(modelId, models, revision);
+    if (key === null) return false;
+    const cached = models.some(m => m.key === key);
+    await store.delete(key); // also drops partial downloads of a model that never completed
+    return cached;
+  }
+
+  /** Remove every model this library cached. */
+  async clear(): Promise<void> {
+    await (await this._store())?.clear();
+  }
+
+  /** Download (or verify) a model now so a later `from_pretrained()` starts from the cache. */
+  async prefetch(modelId: string, opts: PrefetchOptions = {}): Promise<CachedModel | null> {
+    const key = modelCacheKey(modelId, this._opts.hubUrl, opts.revision);
+    if (key === null) throw new Error(`Nothing to prefetch for ${modelId}: local models are read in place`);
+    await loadModelSource(modelId, { ...this._opts, ...opts });
+    return (await this.list()).find(m => m.key === key) ?? null;
+  }
+
+  private _store(): Promise<CacheStore | null> {
+    return openCacheStore(this._opts);
+  }
+
+  /** A `list()` key as given, else the folder a hub ID or URL is cached under. */
+  private _key(modelId: string, models: CachedModel[], revision?: string): string | null {
+    if (models.some(m => m.key === modelId)) return modelId;
+    return modelCacheKey(modelId, this._opts.hubUrl, revision);
+  }
+}
@@ -1,9 +1,23 @@
 /**
- * model-loader.ts — downloads KittenTTS ONNX model + voices from HuggingFace Hub.
+ * model-loader.ts — loads KittenTTS ONNX model + voices from HuggingFace Hub, a mirror, local
+ * files or caller-supplied buffers.
  */
 
+import { openCacheStore, type CacheStore, type CacheStoreOptions, type DownloadSink } from './cache-store.ts';
+import { log } from './logger.ts';
+
+export type ModelTier = 'nano' | 'micro' | 'mini';
+
 export interface ModelInfo {
   label: string;
+  /** Size tier, for picking a model by footprint. */
+  tier?: ModelTier;
+  /** Runtimes the model works on; a `gpu` request falls back to `cpu` when 'gpu' is missing. Default: any */
+  runtimes?: Array<'cpu' | 'gpu'>;
+  /** Repo-relative model and voices files; override `config.json`, which then becomes optional. */
+  files?: { model?: string; voices?: string };
+  /** Branch, tag or commit hash to load unless a load passes its own `revision`. Default: 'main' */
+  revision?: string;
 }
 
 export interface DownloadResult {
@@ -13,20 +27,51 @@ export interface DownloadResult {
 }
 
 const HF_BASE = 'https://huggingface.co';
-const CACHE_DIR_NAME = 'kitten-tts';
 
 export const MODELS: Record<string, ModelInfo> = {
-  'KittenML/kitten-tts-nano-0.8-int8': { label: 'nano int8 (~24 MB)' },
-  'KittenML/kitten-tts-nano-0.8-fp32': { label: 'nano fp32 (~57 MB)' },
+  'KittenML/kitten-tts-nano-0.8-int8': { label: 'nano int8 (~24 MB)', tier: 'nano' },
+  'KittenML/kitten-tts-nano-0.8-fp32': { label: 'nano fp32 (~57 MB)', tier: 'nano' },
   // Legacy alias — HuggingFace redirects this to kitten-tts-nano-0.8-fp32
-  'KittenML/kitten-tts-nano-0.8': { label: 'nano fp32 (~57 MB)' },
-  'KittenML/kitten-tts-micro-0.8': { label: 'micro (~40 MB)' },
-  'KittenML/kitten-tts-mini-0.8': { label: 'mini (~80 MB)' },
-  'onnx-community/KittenTTS-Nano-v0.8-ONNX': { label: 'nano fp32 ONNX (~60 MB, WebGPU + WASM)' },
-  'onnx-community/KittenTTS-Micro-v0.8-ONNX': { label: 'micro int8 ONNX (~45 MB, WASM only)' },
-  'onnx-community/KittenTTS-Mini-v0.8-ONNX': { label: 'mini int8 ONNX (~82 MB, WASM only)' },
+  'KittenML/kitten-tts-nano-0.8': { label: 'nano fp32 (~57 MB)', tier: 'nano' },
+  'KittenML/kitten-tts-micro-0.8': { label: 'micro (~40 MB)', tier: 'micro' },
+  'KittenML/kitten-tts-mini-0.8': { label: 'mini (~80 MB)', tier: 'mini' },
+  'onnx-community/KittenTTS-Nano-v0.8-ONNX': { label: 'nano fp32 ONNX (~60 MB, WebGPU + WASM)', tier: 'nano', runtimes: ['cpu', 'gpu'] },
+  'onnx-community/KittenTTS-Micro-v0.8-ONNX': { label: 'micro int8 ONNX (~45 MB, WASM only)', tier: 'micro', runtimes: ['cpu'] },
+  'onnx-community/KittenTTS-Mini-v0.8-ONNX': { label: 'mini int8 ONNX (~82 MB, WASM only)', tier: 'mini', runtimes: ['cpu'] },
 };
 
+const REPO_ID = /^[\w.-]+\/[\w.-]+$/;
+
+/**
+ * Add (or replace) a hub model so `from_pretrained()` accepts its ID without `hubUrl`. Pin
+ * `revision` to keep an upstream push from changing what production loads.
+ */
+export function registerModel(repoId: string, info: ModelInfo): void {
+  if (!REPO_ID.test(repoId)) throw new Error(`Model ID must look like "owner/name", got ${JSON.stringify(repoId)}`);
+  if (!info?.label) throw new Error(`Model ${repoId} needs a label`);
+  if (info.revision !== undefined) checkRevision(info.revision);
+  MODELS[repoId] = { ...info };
+}
+
+/** Remove a model added with `registerModel`; returns false when it was not registered. */
+export function unregisterModel(repoId: string): boolean {
+  if (!(repoId in MODELS)) return false;
+  delete MODELS[repoId];
+  return true;
+}
+
+function checkRevision(revision: string): string {
+  if (!/^[\w.\/-]+$/.test(revision) || revision.includes('..')) {
+    throw new Error(`Invalid revision ${JSON.stringify(revision)}: expected a branch, tag or commit hash`);
+  }
+  return revision;
+}
+
+/** The revision a load of `repoId` resolves: `opts.revision`, the registered one, else 'main'. */
+export function resolveRevision(repoId: string, revision?: string): string {
+  return checkRevision(revision ?? MODELS[repoId]?.revision ?? 'main');
+}
+
 // ─── Node.js helpers ──────────────────────────────────────────────────────────
 
 let _fs: typeof import('fs') | null = null;
@@ -45,74 +90,295 @@ function isNode(): boolean {
   return typeof process !== 'undefined' && !!process.versions?.node;
 }
 
-async function fetchBuffer(url: string): Promise<ArrayBuffer> {
-  const resp = await fetch(url);
-  if (!resp.ok) throw new Error(`HTTP ${resp.status} fetching ${url}`);
-  return resp.arrayBuffer();
+// ─── Downloads ────────────────────────────────────────────────────────────────
+
+/** Progress of one file. `total` is undefined when neither the server nor the hub reports a size. */
+export interface DownloadProgress {
+  file: string;
+  loaded: number;
+  total?: number;
 }
 
-// ─── Cache helpers ────────────────────────────────────────────────────────────
+function memorySink(): DownloadSink {
+  let chunks: Uint8Array[] = [];
+  let offset = 0;
+  return {
+    get offset() { return offset; },
+    async write(chunk) { chunks.push(chunk); offset += chunk.length; },
+    async restart() { chunks = []; offset = 0; },
+    async finish() {
+      const out = new Uint8Array(offset);
+      let at = 0;
+      for (const chunk of chunks) {
+        out.set(chunk, at);
+        at += chunk.length;
+      }
+      return out.buffer;
+    },
+    async close() {},
+  };
+}
 
-async function nodeCacheGet(cacheKey: string): Promise<ArrayBuffer | null> {
-  const { fs, path, os } = await getNodeModules();
-  const cacheDir = path.join(os.homedir(), '.cache', CACHE_DIR_NAME);
-  const filePath = path.join(cacheDir, cacheKey);
-  if (fs.existsSync(filePath)) {
-    const buf = fs.readFileSync(filePath);
-    return buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength);
+/** Fetch `url` into `sink`, continuing from `sink.offset` with a range request when it holds bytes. */
+async function download(
+  url: string,
+  file: string,
+  sink: DownloadSink,
+  onProgress?: (progress: DownloadProgress) => void,
+  expectedSize?: number,
+): Promise<ArrayBuffer> {
+  let resp = await fetch(url, sink.offset > 0 ? { headers: { Range: `bytes=${sink.offset}-` } } : undefined);
+  if (resp.status === 416) {
+    // The partial file does not fit the current remote file; start over.
+    await sink.restart();
+    resp = await fetch(url);
+  }
+  if (!resp.ok) throw new Error(`HTTP ${resp.status} fetching ${url}`);
+  if (sink.offset > 0 && resp.status !== 206) await sink.restart();
+  else if (sink.offset > 0) log.info(`Resuming ${url} at byte ${sink.offset}`);
+
+  const length = Number(resp.headers.get('content-length'));
+  const total = length > 0 ? sink.offset + length : expectedSize;
+  let loaded = sink.offset;
+  onProgress?.({ file, loaded, total });
+  if (!resp.body) {
+    await sink.write(new Uint8Array(await resp.arrayBuffer()));
+    onProgress?.({ file, loaded: sink.offset, total });
+    return sink.finish();
   }
+  const reader = resp.body.getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    await sink.write(value);
+    loaded += value.length;
+    onProgress?.({ file, loaded, total });
+  }
+  return sink.finish();
+}
+
+async function sha256Hex(buffer: ArrayBuffer): Promise<string> {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', buffer));
+  return Array.from(digest, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// ─── Main download logic ──────────────────────────────────────────────────────
+
+/** Model files supplied directly, e.g. bundled with an app or fetched by the caller. */
+export interface ModelBuffers {
+  model: ArrayBuffer | Uint8Array;
+  voices: ArrayBuffer | Uint8Array;
+  /** `config.json` contents (voice aliases, speed priors). Default: {} */
+  config?: Record<string, unknown> | ArrayBuffer | Uint8Array | string;
+}
+
+/**
+ * Where to load a model from: a hub repo ID, a local directory or `file://` URL (Node.js), an
+ * http(s) URL of a directory with the repo's files, or the files themselves.
+ */
+export type ModelSource = string | ModelBuffers;
+
+export interface LoadOptions extends CacheStoreOptions {
+  /** Hugging Face-compatible mirror; files resolve at `{hubUrl}/{repoId}/resolve/{revision}/{file}`. */
+  hubUrl?: string;
+  /** Hub branch, tag or commit hash. Default: the registered `revision`, else 'main' */
+  revision?: string;
+  /** Called as each downloaded file's bytes arrive, and once for each file served from the cache. */
+  onProgress?: (progress: DownloadProgress) => void;
+  /**
+   * Check downloads against the hub's LFS SHA-256, and cached files against the size recorded at
+   * download time (entries without a record are hashed once); corrupted entries are fetched again. Default: true
+   */
+  verify?: boolean;
+  [key: string]: unknown;
+}
+
+/** Reads one file of a model repo by its repo-relative name. */
+type FileReader = (filename: string) => Promise<ArrayBuffer>;
+
+/** What a file should be, per the hub's tree listing. `sha256` is only known for LFS files. */
+interface FileDigest {
+  sha256?: string;
+  size?: number;
+}
+
+type DigestLookup = (filename: string) => Promise<FileDigest | null>;
+
+const noDigests: DigestLookup = async () => null;
+
+function hubUrl(base: string, repoId: string, revision: string, filename: string): string {
+  return `${base.replace(/\/+$/, '')}/${repoId}/resolve/${encodeURIComponent(revision)}/${filename}`;
+}
+
+const repoDigests = new Map<string, Promise<Map<string, FileDigest> | null>>();
+
+/** Sizes and LFS checksums of a hub repo's files, fetched once per process; null when unavailable. */
+function hubDigests(base: string, repoId: string, revision: string): DigestLookup {
+  const url = `${base.replace(/\/+$/, '')}/api/models/${repoId}/tree/${encodeURIComponent(revision)}?recursive=true`;
+  return async (filename) => {
+    let listing = repoDigests.get(url);
+    if (!listing) {
+      listing = (async () => {
+        try {
+          const resp = await fetch(url);
+          if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+          const entries = await resp.json() as { path: string; size?: number; lfs?: { oid: string; size: number } }[];
+          return new Map(entries.map(e => [e.path, { sha256: e.lfs?.oid, size: e.lfs?.size ?? e.size }]));
+        } catch (error) {
+          log.info(`No file metadata for ${repoId} (${String((error as Error)?.message || error)}); skipping checksum verification`);
+          repoDigests.delete(url); // retry on the next load
+          return null;
+        }
+      })();
+      repoDigests.set(url, listing);
+    }
+    return (await listing)?.get(filename) ?? null;
+  };
+}
+
+/** Why `buffer` does not match `expected`, or null when it does (or nothing is known). */
+function digestMismatch(sha256: string, size: number, expected: FileDigest | null | undefined): string | null {
+  if (expected?.sha256 && expected.sha256 !== sha256) return `sha256 ${sha256}, expected ${expected.sha256}`;
+  if (expected?.size !== undefined && expected.size !== size) return `${size} bytes, expected ${expected.size}`;
   return null;
 }
 
-async function nodeCacheSet(cacheKey: string, buffer: ArrayBuffer): Promise<void> {
-  const { fs, path, os } = await getNodeModules();
-  const cacheDir = path.join(os.homedir(), '.cache', CACHE_DIR_NAME);
-  if (!fs.existsSync(cacheDir)) fs.mkdirSync(cacheDir, { recursive: true });
-  const filePath = path.join(cacheDir, cacheKey);
-  fs.writeFileSync(filePath, Buffer.from(buffer));
+const inFlight = new Map<string, Promise<ArrayBuffer>>();
+
+/** One fetch per cache entry at a time; concurrent loads would otherwise share a `.partial` file. */
+async function fetchCached(target: CacheTarget, url: string, file: string, opts: LoadOptions, digests: DigestLookup): Promise<ArrayBuffer> {
+  const store = await openCacheStore(opts);
+  const key = `${store?.location}/${target.model}/${cacheFileName(file)}`;
+  let pending = inFlight.get(key);
+  if (!pending) {
+    pending = fetchCachedOnce(store, target, url, file, opts, digests).finally(() => inFlight.delete(key));
+    inFlight.set(key, pending);
+  }
+  return pending;
+}
+
+/** Cache folder for one model, and what to record as its source. */
+interface CacheTarget {
+  model: string;
+  source: string;
+}
+
+function cacheFileName(file: string): string {
+  return file.replace(/\//g, '_');
 }
 
-async function browserCacheGet(cacheKey: string): Promise<ArrayBuffer | null> {
-  if (typeof caches === 'undefined') return null;
-  const cache = await caches.open(CACHE_DIR_NAME);
-  const resp = await cache.match('/' + cacheKey);
-  if (!resp) return null;
-  return resp.arrayBuffer();
+async function fetchCachedOnce(
+  store: CacheStore | null,
+  { model, source }: CacheTarget,
+  url: string,
+  file: string,
+  opts: LoadOptions,
+  digests: DigestLookup,
+): Promise<ArrayBuffer> {
+  const verify = opts.verify !== false;
+  const name = cacheFileName(file);
+  const cached = await store?.get(model, name);
+  if (store && cached) {
+    const size = cached.buffer.byteLength;
+    let problem: string | null = null;
+    if (verify && cached.sha256 && cached.size !== undefined) {
+      // Hashed at download time; a damaged or truncated file shows up as a different length.
+      if (cached.size !== size) problem = `${size} bytes, expected ${cached.size}`;
+    } else if (verify) {
+      const sha256 = await sha256Hex(cached.buffer);
+      const expected = cached.sha256 ? { sha256: cached.sha256 } : await digests(file);
+      problem = digestMismatch(sha256, size, expected);
+      // Entries from before checksums and sizes were recorded get them once they check out.
+      if (!problem && expected) await store.set(model, name, null, { sha256, size }, source);
+    }
+    if (!problem) {
+      opts.onProgress?.({ file, loaded: cached.buffer.byteLength, total: cached.buffer.byteLength });
+      return cached.buffer;
+    }
+    log.warn(`Cached ${file} is corrupted (${problem}); downloading it again.`);
+    await store.delete(model, name);
+  }
+
+  const expected = verify ? await digests(file) : null;
+  for (let attempt = 0; ; attempt++) {
+    log.info(`Downloading ${url} …`);
+    const sink = await store?.partial?.(model, name, source) ?? memorySink();
+    const resumed = sink.offset > 0;
+    let buffer: ArrayBuffer;
+    try {
+      buffer = await download(url, file, sink, opts.onProgress, expected?.size);
+    } catch (error) {
+      if (sink.offset === 0) await store?.delete(model, name); // nothing worth resuming, e.g. a 404
+      throw error;
+    } finally {
+      await sink.close();
+    }
+    const sha256 = await sha256Hex(buffer);
+    const problem = digestMismatch(sha256, buffer.byteLength, expected);
+    if (!problem) {
+      await store?.set(model, name, buffer, { sha256, size: buffer.byteLength }, source);
+      return buffer;
+    }
+    await store?.delete(model, name);
+    // A stale partial file from an older revision can poison a resumed download; retry once from scratch.
+    if (!resumed || attempt > 0) throw new Error(`Checksum mismatch for ${file} from ${url}: got ${problem}`);
+  }
 }
 
-async function browserCacheSet(cacheKey: string, buffer: ArrayBuffer): Promise<void> {
-  if (typeof caches === 'undefined') return;
-  const cache = await caches.open(CACHE_DIR_NAME);
-  await cache.put('/' + cacheKey, new Response(buffer));
+function sanitize(text: string): string {
+  return text.replace(/^\w+:\/\//, '').replace(/[^\w.-]+/g, '_').replace(/^_+|_+$/g, '');
 }
 
-async function cacheGet(key: string): Promise<ArrayBuffer | null> {
-  return isNode() ? nodeCacheGet(key) : browserCacheGet(key);
+/**
+ * Name of the cache folder that files downloaded for `source` are stored under, or null for
+ * sources that are never cached (local paths, `file://` URLs). Mirrors and revisions other than
+ * 'main' get their own folders, so a pinned load never reads files cached for another one.
+ */
+export function modelCacheKey(source: string, hubUrl?: string, revision?: string): string | null {
+  if (/^file:/i.test(source) || looksLikePath(source)) return null;
+  if (/^https?:\/\//i.test(source)) return sanitize(new URL(source).href);
+  const base = hubUrl ?? HF_BASE;
+  const rev = resolveRevision(source, revision);
+  const repo = source.replace('/', '__') + (rev === 'main' ? '' : `@${sanitize(rev)}`);
+  return base === HF_BASE ? repo : `${sanitize(base)}__${repo}`;
 }
 
-async function cacheSet(key: string, buffer: ArrayBuffer): Promise<void> {
-  return isNode() ? nodeCacheSet(key, buffer) : browserCacheSet(key, buffer);
+function hubReader(repoId: string, base: string, opts: LoadOptions): FileReader {
+  const revision = resolveRevision(repoId, opts.revision);
+  const label = (base === HF_BASE ? repoId : `${base.replace(/\/+$/, '')}/${repoId}`) + (revision === 'main' ? '' : `@${revision}`);
+  const target = { model: modelCacheKey(repoId, base, revision)!, source: label };
+  const digests = hubDigests(base, repoId, revision);
+  return (filename) => fetchCached(target, hubUrl(base, repoId, revision, filename), filename, opts, digests);
 }
 
-// ─── Main download logic ──────────────────────────────────────────────────────
+function urlReader(baseUrl: string, opts: LoadOptions): FileReader {
+  const base = baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`;
+  // Browser-relative paths are keyed by where they resolved to.
+  const absolute = new URL(base, globalThis.location?.href).href;
+  const target = { model: modelCacheKey(absolute)!, source: absolute };
+  return (filename) => fetchCached(target, `${base}${filename}`, filename, opts, noDigests);
+}
 
-function hfUrl(repoId: string, filename: string): string {
-  return `${HF_BASE}/${repoId}/resolve/main/${filename}`;
+async function localReader(dir: string): Promise<FileReader> {
+  const { fs, path } = await getNodeModules();
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) throw new Error(`Model directory not found: ${dir}`);
+  return async (filename) => {
+    const buf = await fs.promises.readFile(path.join(dir, filename));
+    return buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength) as ArrayBuffer;
+  };
 }
 
-async function fetchCached(repoId: string, filename: string): Promise<ArrayBuffer> {
-  const cacheKey = `${repoId.replace('/', '__')}__${filename.replace(/\//g, '_')}`;
-  const cached = await cacheGet(cacheKey);
-  if (cached) return cached;
+/** Relative, absolute or home-relative filesystem path (vs. a `user/repo` hub ID). */
+function looksLikePath(source: string): boolean {
+  return /^(\.{1,2}[\\/]|[\\/]|~(?=$|[\\/])|[A-Za-z]:[\\/])/.test(source);
+}
 
-  const url = hfUrl(repoId, filename);
-  console.log(`[kitten-tts] Downloading ${url} …`);
-  const buffer = await fetchBuffer(url);
-  await cacheSet(cacheKey, buffer);
-  return buffer;
+function isMissingFile(error: unknown): boolean {
+  return String((error as Error)?.message || error).includes('HTTP 404')
+    || (error as { code?: string })?.code === 'ENOENT';
 }
 
-async function fetchFirstAvailable(repoId: string, filenames: string[]): Promise<{ buffer: ArrayBuffer; filename: string }> {
+async function fetchFirstAvailable(label: string, read: FileReader, filenames: string[]): Promise<{ buffer: ArrayBuffer; filename: string }> {
   const tried = new Set<string>();
   const errors: string[] = [];
 
@@ -121,61 +387,123 @@ async function fetchFirstAvailable(repoId: string, filenames: string[]): Promise
     tried.add(filename);
     try {
       return {
-        buffer: await fetchCached(repoId, filename),
+        buffer: await read(filename),
         filename,
       };
     } catch (error) {
-      const message = String((error as Error)?.message || error);
-      if (!message.includes('HTTP 404')) {
+      if (!isMissingFile(error)) {
         throw error;
       }
-      errors.push(`${filename}: ${message}`);
+      errors.push(`${filename}: ${String((error as Error)?.message || error)}`);
     }
   }
 
-  throw new Error(`None of the candidate files exist for ${repoId}: ${errors.join('; ')}`);
+  throw new Error(`None of the candidate files exist for ${label}: ${errors.join('; ')}`);
 }
 
 function decodeJson(buffer: ArrayBuffer): Record<string, unknown> {
   return JSON.parse(new TextDecoder().decode(buffer)) as Record<string, unknown>;
 }
 
-async function resolveModelConfig(repoId: string): Promise<Record<string, unknown>> {
-  const config = decodeJson(await fetchCached(repoId, 'config.json'));
-  if (typeof config.model_file === 'string' && config.model_file.length > 0) {
+async function resolveModelConfig(label: string, read: FileReader, modelFileKnown = false): Promise<Record<string, unknown>> {
+  const config = decodeJson(await read('config.json'));
+  if (modelFileKnown || (typeof config.model_file === 'string' && config.model_file.length > 0)) {
     return config;
   }
 
   try {
-    const kittenConfig = decodeJson(await fetchCached(repoId, 'kitten_config.json'));
+    const kittenConfig = decodeJson(await read('kitten_config.json'));
     return { ...config, ...kittenConfig };
   } catch (error) {
     throw new Error(
-      `No usable model config for ${repoId}. Checked config.json and kitten_config.json.`
+      `No usable model config for ${label}. Checked config.json and kitten_config.json.`
         + ` ${String((error as Error)?.message || error)}`
     );
   }
 }
 
-export async function downloadModel(repoId: string, opts: Record<string, unknown> = {}): Promise<DownloadResult> {
-  void opts;
-  if (!MODELS[repoId]) {
-    throw new Error(`Unknown model: ${repoId}. Available: ${Object.keys(MODELS).join(', ')}`);
+/**
+ * Read config, model and voices from a repo laid out like the KittenTTS Hugging Face repos.
+ * `files` (from the registry) name the model and voices directly; config.json is then optional.
+ */
+async function readModelRepo(label: string, read: FileReader, files: ModelInfo['files'] = {}): Promise<DownloadResult> {
+  let config: Record<string, unknown>;
+  try {
+    config = await resolveModelConfig(label, read, !!files.model);
+  } catch (error) {
+    if (!(files.model && files.voices && isMissingFile(error))) throw error;
+    config = {};
   }
 
-  const config = await resolveModelConfig(repoId);
-
-  const modelFile = config.model_file as string;
-  const voicesFile = (config.voices as string) || 'voices.npz';
+  const modelFile = files.model ?? config.model_file as string;
+  const voicesFile = files.voices ?? ((config.voices as string) || 'voices.npz');
 
-  if (!modelFile) throw new Error(`Model config missing 'model_file' for ${repoId}`);
+  if (!modelFile) throw new Error(`Model config missing 'model_file' for ${label}`);
 
   const modelCandidates = [modelFile, `onnx/${modelFile}`, 'onnx/model.onnx'];
 
   const [{ buffer: modelBuffer }, voicesBuffer] = await Promise.all([
-    fetchFirstAvailable(repoId, modelCandidates),
-    fetchCached(repoId, voicesFile),
+    fetchFirstAvailable(label, read, modelCandidates),
+    read(voicesFile),
   ]);
 
   return { modelBuffer, voicesBuffer, config };
 }
+
+function toArrayBuffer(bytes: ArrayBuffer | Uint8Array): ArrayBuffer {
+  if (bytes instanceof ArrayBuffer) return bytes;
+  return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength) as ArrayBuffer;
+}
+
+function fromBuffers(files: ModelBuffers): DownloadResult {
+  if (!files.model || !files.voices) throw new Error('Model buffers need both `model` and `voices`');
+  const { config = {} } = files;
+  return {
+    modelBuffer: toArrayBuffer(files.model),
+    voicesBuffer: toArrayBuffer(files.voices),
+    config: typeof config === 'string' ? JSON.parse(config) as Record<string, unknown>
+      : config instanceof ArrayBuffer || config instanceof Uint8Array ? decodeJson(toArrayBuffer(config))
+        : config,
+  };
+}
+
+/**
+ * Download a model from Hugging Face Hub (or the `hubUrl` mirror) at `opts.revision`, caching
+ * each file.
+ */
+export async function downloadModel(repoId: string, opts: LoadOptions = {}): Promise<DownloadResult> {
+  // The allowlist guards against typos on the public hub; a private mirror can host any repo.
+  if (!MODELS[repoId] && !opts.hubUrl) {
+    throw new Error(
+      `Unknown model: ${repoId}. Available: ${Object.keys(MODELS).join(', ')}.`
+        + ' Local directories, file:// and http(s) URLs, model buffers and `hubUrl` mirrors are also accepted.'
+    );
+  }
+  return readModelRepo(repoId, hubReader(repoId, opts.hubUrl ?? HF_BASE, opts), MODELS[repoId]?.files);
+}
+
+/**
+ * Load model files from any `ModelSource`. Only hub IDs without `hubUrl` are checked against
+ * `MODELS`; local files and buffers are never cached.
+ */
+export async function loadModelSource(source: ModelSource, opts: LoadOptions = {}): Promise<DownloadResult> {
+  if (typeof source !== 'string') return fromBuffers(source);
+
+  if (/^file:/i.test(source)) {
+    if (!isNode()) throw new Error(`file:// model sources need Node.js: ${source}`);
+    const { fileURLToPath } = await import('url');
+    return readModelRepo(source, await localReader(fileURLToPath(source)));
+  }
+  if (/^https?:\/\//i.test(source)) return readModelRepo(source, urlReader(source, opts));
+  if (MODELS[source] || opts.hubUrl) return downloadModel(source, opts);
+
+  if (isNode()) {
+    const { fs, os } = await getNodeModules();
+    const dir = source.replace(/^~(?=$|[\\/])/, os.homedir());
+    if (looksLikePath(source) || fs.existsSync(dir)) return readModelRepo(source, await localReader(dir));
+  } else if (looksLikePath(source)) {
+    // Relative to the page (or worker script) in browsers.
+    return readModelRepo(source, urlReader(source, opts));
+  }
+  return downloadModel(source, opts);
+}
@@ -0,0 +1,35 @@
+/**
+ * MP3 export through lamejs (pure JS LAME port), loaded on first use.
+ */
+
+export interface Mp3Options {
+  /** Constant bitrate in kbps. Default: 48 (MPEG-2 Layer III rates apply at 24 kHz) */
+  bitrate?: number;
+}
+
+/** LAME consumes input in multiples of one granule (576 samples); two per call keeps overhead low. */
+const CHUNK_SAMPLES = 1152;
+
+/** Encode 16-bit mono PCM as a CBR MP3 file. */
+export async function encodeMp3(pcm: Int16Array, sampleRate: number, opts: Mp3Options = {}): Promise<Uint8Array> {
+  const bitrate = opts.bitrate ?? 48;
+  if (!Number.isInteger(bitrate) || bitrate < 8 || bitrate > 320) {
+    throw new Error(`MP3 bitrate must be an integer of 8…320 kbps, got ${bitrate}`);
+  }
+  const { Mp3Encoder } = await import('@breezystack/lamejs');
+  const encoder = new Mp3Encoder(1, sampleRate, bitrate);
+  const parts: Uint8Array[] = [];
+  for (let start = 0; start < pcm.length; start += CHUNK_SAMPLES) {
+    parts.push(encoder.encodeBuffer(pcm.subarray(start, start + CHUNK_SAMPLES)));
+  }
+  parts.push(encoder.flush());
+
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let offset = 0;
+  for (const p of parts) {
+    // lamejs returns Int8Array views; copy the bytes as-is.
+    out.set(new Uint8Array(p.buffer, p.byteOffset, p.length), offset);
+    offset += p.length;
+  }
+  return out;
+}
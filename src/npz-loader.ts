@@ -14,7 +14,7 @@ export interface NpyArray {
 
 export type NpzResult = Record<string, NpyArray>;
 
-function parseNpy(buf: ArrayBuffer): NpyArray {
+export function parseNpy(buf: ArrayBuffer): NpyArray {
   const bytes = new Uint8Array(buf);
   for (let i = 0; i < 6; i++) {
     if (bytes[i] !== MAGIC.charCodeAt(i)) {
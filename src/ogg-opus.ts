@@ -0,0 +1,207 @@
+/**
+ * Ogg Opus export (RFC 7845): Opus packets muxed into an Ogg container.
+ *
+ * Packets come from WebCodecs' `AudioEncoder` where the platform has it (browsers), otherwise from
+ * libopus compiled to WASM (`opusscript`, loaded on first use). The container is written here, so
+ * both paths produce the same file layout.
+ */
+
+export interface OpusOptions {
+  /** Target bitrate in kbps. Default: 24 */
+  bitrate?: number;
+}
+
+/** Sample rates libopus accepts directly. */
+const OPUS_RATES = [8000, 12000, 16000, 24000, 48000];
+const FRAME_MS = 20;
+/** libopus encoder lookahead at 48 kHz: decoders drop this many samples from the start. */
+const PRE_SKIP = 312;
+/** Flush a page once it holds about this many bytes (the container allows up to 255 segments). */
+const PAGE_TARGET_BYTES = 4096;
+const VENDOR = 'kitten-tts-js';
+
+let crcTable: Uint32Array | null = null;
+
+function oggCrc(bytes: Uint8Array): number {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+      let r = i << 24;
+      for (let j = 0; j < 8; j++) r = r & 0x80000000 ? (r << 1) ^ 0x04c11db7 : r << 1;
+      crcTable[i] = r >>> 0;
+    }
+  }
+  let crc = 0;
+  for (const byte of bytes) crc = ((crc << 8) ^ crcTable[((crc >>> 24) ^ byte) & 0xff]) >>> 0;
+  return crc;
+}
+
+/** Builds Ogg pages for a single logical stream. */
+class OggWriter {
+  private readonly _pages: Uint8Array[] = [];
+  private readonly _serial = (Math.random() * 0x100000000) >>> 0;
+  private _sequence = 0;
+
+  /** Write `packets` as one page; `granule` is the sample position at the end of its last packet. */
+  page(packets: Uint8Array[], granule: number, flags = 0): void {
+    const lacing: number[] = [];
+    for (const p of packets) {
+      for (let n = p.length; ; n -= 255) {
+        lacing.push(Math.min(n, 255));
+        if (n < 255) break;
+      }
+    }
+    if (lacing.length > 255) throw new Error('Ogg page overflow: too many segments');
+    const bodyLength = packets.reduce((n, p) => n + p.length, 0);
+    const page = new Uint8Array(27 + lacing.length + bodyLength);
+    const view = new DataView(page.buffer);
+    page.set([0x4f, 0x67, 0x67, 0x53], 0); // "OggS"
+    page[5] = flags;
+    view.setUint32(6, granule % 0x100000000, true);
+    view.setUint32(10, Math.floor(granule / 0x100000000), true);
+    view.setUint32(14, this._serial, true);
+    view.setUint32(18, this._sequence++, true);
+    page[26] = lacing.length;
+    page.set(lacing, 27);
+    let offset = 27 + lacing.length;
+    for (const p of packets) {
+      page.set(p, offset);
+      offset += p.length;
+    }
+    view.setUint32(22, oggCrc(page), true);
+    this._pages.push(page);
+  }
+
+  bytes(): Uint8Array {
+    const out = new Uint8Array(this._pages.reduce((n, p) => n + p.length, 0));
+    let offset = 0;
+    for (const p of this._pages) {
+      out.set(p, offset);
+      offset += p.length;
+    }
+    return out;
+  }
+}
+
+function opusHead(sampleRate: number): Uint8Array {
+  const head = new Uint8Array(19);
+  const view = new DataView(head.buffer);
+  head.set(new TextEncoder().encode('OpusHead'), 0);
+  head[8] = 1; // version
+  head[9] = 1; // channels
+  view.setUint16(10, PRE_SKIP, true);
+  view.setUint32(12, sampleRate, true);
+  view.setInt16(16, 0, true); // output gain
+  head[18] = 0; // mapping family: mono/stereo
+  return head;
+}
+
+function opusTags(): Uint8Array {
+  const vendor = new TextEncoder().encode(VENDOR);
+  const tags = new Uint8Array(8 + 4 + vendor.length + 4);
+  const view = new DataView(tags.buffer);
+  tags.set(new TextEncoder().encode('OpusTags'), 0);
+  view.setUint32(8, vendor.length, true);
+  tags.set(vendor, 12);
+  view.setUint32(12 + vendor.length, 0, true); // no user comments
+  return tags;
+}
+
+/** Mux 20 ms Opus packets into an Ogg Opus file covering `sampleCount` input samples. */
+export function muxOggOpus(packets: Uint8Array[], sampleRate: number, sampleCount: number): Uint8Array {
+  const ogg = new OggWriter();
+  ogg.page([opusHead(sampleRate)], 0, 0x02);
+  ogg.page([opusTags()], 0);
+
+  // Granule positions always count 48 kHz samples; the last page's value trims the final frame's padding.
+  const packetGranule = 48 * FRAME_MS;
+  const finalGranule = PRE_SKIP + Math.round((sampleCount * 48000) / sampleRate);
+  let pending: Uint8Array[] = [];
+  let pendingBytes = 0;
+  let pendingSegments = 0;
+  let granule = PRE_SKIP;
+  packets.forEach((packet, i) => {
+    const segments = Math.floor(packet.length / 255) + 1;
+    if (pending.length > 0 && (pendingBytes + packet.length > PAGE_TARGET_BYTES || pendingSegments + segments > 255)) {
+      ogg.page(pending, granule);
+      pending = [];
+      pendingBytes = 0;
+      pendingSegments = 0;
+    }
+    pending.push(packet);
+    pendingBytes += packet.length;
+    pendingSegments += segments;
+    granule = i === packets.length - 1 ? finalGranule : granule + packetGranule;
+  });
+  ogg.page(pending, finalGranule, 0x04);
+  return ogg.bytes();
+}
+
+async function opusscriptPackets(pcm: Int16Array, sampleRate: number, bitrate: number): Promise<Uint8Array[]> {
+  const { default: OpusScript } = await import('opusscript');
+  const encoder = new OpusScript(sampleRate as 24000, 1, OpusScript.Application.AUDIO);
+  try {
+    encoder.setBitrate(bitrate * 1000);
+    const frame = (sampleRate * FRAME_MS) / 1000;
+    const packets: Uint8Array[] = [];
+    const padded = new Int16Array(Math.max(1, Math.ceil(pcm.length / frame)) * frame);
+    padded.set(pcm);
+    for (let start = 0; start < padded.length; start += frame) {
+      // opusscript takes interleaved s16le bytes.
+      const bytes = new Uint8Array(padded.buffer, start * 2, frame * 2);
+      packets.push(new Uint8Array(encoder.encode(bytes as unknown as Buffer, frame)));
+    }
+    return packets;
+  } finally {
+    encoder.delete();
+  }
+}
+
+async function webCodecsPackets(pcm: Int16Array, sampleRate: number, bitrate: number): Promise<Uint8Array[]> {
+  const packets: Uint8Array[] = [];
+  let failure: unknown = null;
+  const encoder = new AudioEncoder({
+    output: (chunk) => {
+      const packet = new Uint8Array(chunk.byteLength);
+      chunk.copyTo(packet);
+      packets.push(packet);
+    },
+    error: (e) => { failure = e; },
+  });
+  encoder.configure({
+    codec: 'opus',
+    sampleRate,
+    numberOfChannels: 1,
+    bitrate: bitrate * 1000,
+    opus: { frameDuration: FRAME_MS * 1000 },
+  } as AudioEncoderConfig);
+  const data = new AudioData({
+    format: 's16',
+    sampleRate,
+    numberOfChannels: 1,
+    numberOfFrames: pcm.length,
+    timestamp: 0,
+    data: pcm as Int16Array<ArrayBuffer>,
+  });
+  encoder.encode(data);
+  data.close();
+  await encoder.flush();
+  encoder.close();
+  if (failure) throw failure;
+  return packets;
+}
+
+/** Encode 16-bit mono PCM as an Ogg Opus file. */
+export async function encodeOggOpus(pcm: Int16Array, sampleRate: number, opts: OpusOptions = {}): Promise<Uint8Array> {
+  if (!OPUS_RATES.includes(sampleRate)) {
+    throw new Error(`Opus needs a sample rate of ${OPUS_RATES.join(', ')} Hz; resample ${sampleRate} Hz audio first`);
+  }
+  const bitrate = opts.bitrate ?? 24;
+  if (!Number.isFinite(bitrate) || bitrate < 6 || bitrate > 510) {
+    throw new Error(`Opus bitrate must be 6…510 kbps, got ${bitrate}`);
+  }
+  const packets = typeof AudioEncoder !== 'undefined'
+    ? await webCodecsPackets(pcm, sampleRate, bitrate)
+    : await opusscriptPackets(pcm, sampleRate, bitrate);
+  return muxOggOpus(packets, sampleRate, pcm.length);
+}
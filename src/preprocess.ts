@@ -3,6 +3,11 @@
  * Direct 1:1 port of KittenTTS Python preprocess.py
  */
 
+import {
+  abbreviationPattern, acronymReading, DEFAULT_ABBREVIATIONS, DEFAULT_ACRONYMS, resolveAbbreviation,
+  type Abbreviation, type AcronymReading,
+} from './abbreviations.ts';
+
 const _ONES = ["", "one", "two", "three", "four", "five", "six", "seven", "eight", "nine",
   "ten", "eleven", "twelve", "thirteen", "fourteen", "fifteen", "sixteen",
   "seventeen", "eighteen", "nineteen"];
@@ -20,7 +25,36 @@ const _CURRENCY_SYMBOLS: Record<string, string> = {
   "₹": "rupee", "₩": "won", "₿": "bitcoin",
 };
 
-const _RE_ROMAN = /\b(M{0,4})(CM|CD|D?C{0,3})(XC|XL|L?X{0,3})(IX|IV|V?I{0,3})\b/g;
+const _MONTHS = ["January", "February", "March", "April", "May", "June", "July",
+  "August", "September", "October", "November", "December"];
+
+const _WEEKDAYS: Record<string, string> = {
+  "mon": "Monday", "tue": "Tuesday", "tues": "Tuesday", "wed": "Wednesday", "thu": "Thursday",
+  "thur": "Thursday", "thurs": "Thursday", "fri": "Friday", "sat": "Saturday", "sun": "Sunday",
+};
+
+// Non-empty Roman numeral up to 4999, uppercase only so that "mix" and "did" are left alone.
+const _ROMAN = "(?=[MDCLXVI])M{0,4}(?:CM|CD|D?C{0,3})(?:XC|XL|L?X{0,3})(?:IX|IV|V?I{0,3})";
+
+// Words after which a numeral is a count ("Chapter IV" → "Chapter four").
+const _ROMAN_CARDINAL_CONTEXT = ["chapter", "part", "volume", "vol", "book", "act", "scene", "section", "article",
+  "appendix", "phase", "stage", "level", "round", "season", "episode", "war", "bowl", "type", "class", "category",
+  "grade", "title", "amendment", "psalm", "canto", "step", "tier", "series", "mark", "mk"];
+
+// Capitalized words followed by a letter that is not a regnal number ("Malcolm X", "Model S").
+const _ROMAN_NOT_REGNAL = new Set(["Malcolm", "Generation", "Model", "Planet", "Project", "Brand", "Windows",
+  "Mac", "Vitamin", "Factor", "Hepatitis", "Sector", "Area", "Plan", "Exhibit", "Figure", "Table", "Gen"]);
+
+const _STOPWORDS = new Set([
+  "a", "an", "the", "and", "or", "but", "if", "of", "at", "by", "for", "with", "about", "to", "from",
+  "in", "on", "into", "onto", "over", "under", "then", "so", "than", "too", "very", "just", "is", "am",
+  "are", "was", "were", "be", "been", "being", "do", "does", "did", "has", "have", "had", "this", "that",
+  "these", "those", "it", "its", "as", "there", "here", "some", "such", "can", "will", "would", "should",
+]);
+
+const _LETTER_FOLDS: Record<string, string> = {
+  "ø": "o", "Ø": "O", "ł": "l", "Ł": "L", "đ": "d", "Đ": "D", "ħ": "h", "Ħ": "H", "ı": "i",
+};
 
 function _three_digits_to_words(n: number): string {
   if (n === 0) return "";
@@ -95,6 +129,38 @@ export function roman_to_int(s: string): number {
   return result;
 }
 
+export function year_to_words(n: number | string): string {
+  const y = typeof n === 'number' ? n : parseInt(n, 10);
+  if (isNaN(y)) return "";
+  if (y < 1000 || y > 9999) return number_to_words(y);
+  const hi = Math.floor(y / 100), lo = y % 100;
+  if (y % 1000 < 10 && hi % 10 === 0) {
+    // 2000 → "two thousand", 2007 → "two thousand seven"
+    return number_to_words(y);
+  }
+  if (lo === 0) return `${number_to_words(hi)} hundred`;
+  if (lo < 10) return `${number_to_words(hi)} oh ${_ONES[lo]}`;
+  return `${number_to_words(hi)} ${number_to_words(lo)}`;
+}
+
+const _LETTER_NAMES: Record<string, string> = {
+  a: "ay", b: "bee", c: "see", d: "dee", e: "ee", f: "eff", g: "jee", h: "aitch",
+  i: "eye", j: "jay", k: "kay", l: "el", m: "em", n: "en", o: "oh", p: "pee",
+  q: "cue", r: "ar", s: "ess", t: "tee", u: "you", v: "vee", w: "double you",
+  x: "ex", y: "why", z: "zee",
+};
+
+export function spell_characters(text: string): string {
+  const words: string[] = [];
+  for (const ch of text) {
+    const lower = ch.toLowerCase();
+    if (_LETTER_NAMES[lower]) words.push(_LETTER_NAMES[lower]);
+    else if (/\d/.test(ch)) words.push(ch === "0" ? "zero" : _ONES[parseInt(ch, 10)]);
+    else if (/\p{L}/u.test(ch)) words.push(ch);
+  }
+  return words.join(" ");
+}
+
 // Regexes
 const _RE_URL = /https?:\/\/\S+|www\.\S+/g;
 const _RE_EMAIL = /\b[\w.+-]+@[\w-]+\.[a-z]{2,}\b/gi;
@@ -117,8 +183,130 @@ const _RE_FRACTION = /\b(\d+)\s*\/\s*(\d+)\b/g;
 const _RE_DECADE = /\b(\d{1,3})0s\b/gi;
 const _RE_LEAD_DEC = /(?<!\d)\.([\d])/g;
 
+// Dates and years. Month names must be capitalized so that "may" and "march" stay verbs.
+const _MONTH_NAMES = [..._MONTHS, "Jan", "Feb", "Mar", "Apr", "Jun", "Jul", "Aug", "Sept", "Sep", "Oct", "Nov", "Dec"].join("|");
+const _MONTH = `\\b(${_MONTH_NAMES})\\b\\.?`;
+const _RE_WEEKDAY_ABBR = new RegExp(`\\b(Mon|Tues?|Wed|Thu(?:rs?)?|Fri|Sat|Sun)\\b\\.?(?=,?\\s+(?:\\d|(?:${_MONTH_NAMES})\\b))`, "g");
+const _RE_ISO_DATE = /(?<![\w./-])(\d{4})-(\d{1,2})-(\d{1,2})(?:(T)(?=\d{1,2}:\d{2})|(?!\d|[/.-]\d))/g;
+const _RE_NUMERIC_DATE = /(?<![\w./-])(\d{1,2})([/.-])(\d{1,2})\2(\d{4}|\d{2})(?!\d|[/.-]\d)/g;
+const _RE_VERSION_BEFORE = /\b(?:v|ver|version|release|build|rev|revision|firmware|patch)\.?\s*$/i;
+const _RE_MONTH_DAY = new RegExp(`${_MONTH}\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?!:\\d)(?:,?\\s+(\\d{4})\\b)?`, "g");
+const _RE_DAY_MONTH = new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${_MONTH}(?:,?\\s+(\\d{4})\\b)?`, "g");
+const _RE_MONTH_YEAR = new RegExp(`${_MONTH},?\\s+(\\d{4})\\b`, "g");
+const _RE_YEAR_RANGE = /(?<![\w.,/-])(1\d{3}|20\d{2})\s*[-\u2013\u2014]\s*(\d{4}|\d{2})(?![\w/-]|[.,]\d)/g;
+const _RE_YEAR_CONTEXT = /\b((?:in|since|from|by|until|till|through|during|before|after|around|circa|year|(?:spring|summer|autumn|fall|winter)(?:\s+of)?)\s+|mid-)(1\d{3}|20\d{2})(?![\w%°]|[.,]\d)/gi;
+const _RE_YEAR_ERA = /\b(?:(\d{1,4})\s*(BCE|BC|CE|AD)|(AD)\s*(\d{1,4}))\b/g;
+const _capitalized_alternation = (words: string[]) => words.map(w => `[${w[0].toUpperCase()}${w[0]}]${w.slice(1)}`).join("|");
+const _RE_ROMAN_CARDINAL = new RegExp(`\\b(${_capitalized_alternation(_ROMAN_CARDINAL_CONTEXT)})(\\.?\\s+)(${_ROMAN})\\b`, "g");
+const _RE_ROMAN_REGNAL = new RegExp(`\\b([A-Z][a-z]+)(\\s+)(${_ROMAN})\\b`, "g");
+const _RE_WORD = /(?<![\p{L}\p{N}'])[\p{L}']+(?![\p{L}\p{N}'])/gu;
+const _RE_ROMAN_TOKEN = new RegExp(`^(?=[IVX]+$)${_ROMAN}$`);
+const _RE_ACRONYM = /(?<![\p{L}\p{N}'’.])([A-Z]{2,})(s?)(?![\p{L}\p{N}'’]|\.\p{L})/gu;
+const _RE_UNIT_AFTER = /^\s*(?:km|kg|mg|ml|gb|mb|kb|tb|hz|khz|mhz|ghz|mph|kph|ms|ns|µs)\b/i;
+
 // Helpers
-function _ordinal_suffix(n: number): string {
+const _month_number = (name: string): number =>
+  _MONTHS.findIndex(m => m.slice(0, 3).toLowerCase() === name.slice(0, 3).toLowerCase()) + 1;
+
+/** Two-digit years pivot at 50: "24" is 2024, "99" is 1999. */
+const _full_year = (raw: string): number => raw.length > 2 ? parseInt(raw, 10) : (parseInt(raw, 10) < 50 ? 2000 : 1900) + parseInt(raw, 10);
+
+/** "March fifteenth, twenty twenty-four"; null when the fields are not a calendar date. */
+export function date_to_words(year: number | null, month: number, day: number): string | null {
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+  const date = `${_MONTHS[month - 1]} ${ordinal_to_words(day)}`;
+  return year === null ? date : `${date}, ${year_to_words(year)}`;
+}
+
+function _expand_dates(text: string, cfg: TextPreprocessorConfig): string {
+  return text
+    .replace(_RE_WEEKDAY_ABBR, (_, day) => _WEEKDAYS[day.toLowerCase()])
+    .replace(_RE_ISO_DATE, (m, y, mo, d, time) => {
+      const date = date_to_words(parseInt(y, 10), parseInt(mo, 10), parseInt(d, 10));
+      return date === null ? m : time ? `${date} at ` : date;
+    })
+    .replace(_RE_NUMERIC_DATE, (m, a, sep, b, y, offset: number, whole: string) => {
+      // Dots are also version separators; only accept them with a four-digit year and not after "version".
+      if (sep === "." && (y.length !== 4 || _RE_VERSION_BEFORE.test(whole.slice(0, offset)))) return m;
+      let [month, day] = cfg.date_order === "dmy" ? [parseInt(b, 10), parseInt(a, 10)] : [parseInt(a, 10), parseInt(b, 10)];
+      if (month > 12 && day <= 12) [month, day] = [day, month];
+      return date_to_words(_full_year(y), month, day) ?? m;
+    })
+    .replace(_RE_MONTH_DAY, (m, name, d, y) =>
+      date_to_words(y ? parseInt(y, 10) : null, _month_number(name), parseInt(d, 10)) ?? m)
+    .replace(_RE_DAY_MONTH, (m, d, name, y, offset: number, whole: string) => {
+      const day = parseInt(d, 10);
+      if (day < 1 || day > 31) return m;
+      const the = /\bthe\s+$/i.test(whole.slice(0, offset)) ? "" : "the ";
+      const date = `${the}${ordinal_to_words(day)} of ${_MONTHS[_month_number(name) - 1]}`;
+      return y ? `${date} ${year_to_words(y)}` : date;
+    })
+    .replace(_RE_MONTH_YEAR, (_, name, y) => `${_MONTHS[_month_number(name) - 1]} ${year_to_words(y)}`);
+}
+
+function _expand_years(text: string): string {
+  return text
+    .replace(_RE_YEAR_RANGE, (m, lo, hi) => {
+      const from = parseInt(lo, 10);
+      const to = hi.length === 2 ? from - (from % 100) + parseInt(hi, 10) : parseInt(hi, 10);
+      if (to <= from || to > 2099) return m;
+      return `${year_to_words(from)} to ${year_to_words(to)}`;
+    })
+    .replace(_RE_YEAR_CONTEXT, (m, lead, y, offset: number, whole: string) => {
+      if (_RE_UNIT_AFTER.test(whole.slice(offset + m.length))) return m;
+      return `${lead}${year_to_words(y)}`;
+    })
+    .replace(_RE_YEAR_ERA, (_, y, era, eraFirst, yFirst) => {
+      const spell = (e: string) => e.split("").join(" ");
+      return era ? `${year_to_words(y)} ${spell(era)}` : `${spell(eraFirst)} ${year_to_words(yFirst)}`;
+    });
+}
+
+/**
+ * Roman numerals after a counting word are cardinals ("Chapter IV" → "Chapter four"); after another
+ * capitalized name they are regnal ordinals ("Louis XIV" → "Louis the fourteenth"). Regnal numbers
+ * are limited to II–XXXIX, which leaves the pronoun "I" and words like "CD" or "MIX" alone.
+ */
+function _expand_roman_numerals(text: string): string {
+  return text
+    .replace(_RE_ROMAN_CARDINAL, (_, word, gap, numeral) => `${word}${gap}${number_to_words(roman_to_int(numeral))}`)
+    .replace(_RE_ROMAN_REGNAL, (m, name, gap, numeral) => {
+      const n = roman_to_int(numeral);
+      if (n < 2 || n > 39 || _ROMAN_NOT_REGNAL.has(name)) return m;
+      return `${name}${gap}the ${ordinal_to_words(n)}`;
+    });
+}
+
+function _expand_abbreviations(text: string, cfg: TextPreprocessorConfig): string {
+  const pattern = abbreviationPattern(cfg.abbreviations);
+  if (!pattern) return text;
+  return text.replace(pattern, (m, key: string, offset: number, whole: string) => {
+    const match = resolveAbbreviation(cfg.abbreviations, key.toLowerCase(), whole.slice(0, offset), whole.slice(offset + m.length));
+    if (!match) return m;
+    return match.sentenceEnd ? `${match.text}.` : match.text;
+  });
+}
+
+/** Spell initialisms ("FBI" → "eff bee eye"); text without lowercase letters is shouting and left alone. */
+function _expand_acronyms(text: string, cfg: TextPreprocessorConfig): string {
+  if (!/\p{Ll}/u.test(text)) return text;
+  return text.replace(_RE_ACRONYM, (m, token, plural) => {
+    // "XIV" is left to expand_roman_numerals.
+    if (_RE_ROMAN_TOKEN.test(token) || acronymReading(token, cfg.acronyms) === "word") return m;
+    return `${spell_characters(token)}${plural && (/[HSX]$/.test(token) ? "es" : "s")}`;
+  });
+}
+
+/** Strip diacritics from Latin letters ("café" → "cafe"); marks in other scripts are kept. */
+function _remove_accents(text: string): string {
+  return text
+    .normalize("NFD")
+    .replace(/(\p{Script=Latin})\p{M}+/gu, "$1")
+    .replace(/[øØłŁđĐħĦı]/g, ch => _LETTER_FOLDS[ch])
+    .normalize("NFC");
+}
+
+export function ordinal_to_words(n: number): string {
   const word = number_to_words(n);
   let prefix = "", last = word, joiner = "";
   if (word.includes("-")) {
@@ -162,9 +350,24 @@ export interface TextPreprocessorConfig {
   expand_scientific_notation: boolean;
   expand_fractions: boolean;
   expand_decades: boolean;
+  /** ISO, numeric and month-name dates, and abbreviated weekdays before a date. */
+  expand_dates: boolean;
+  /** Year ranges ("2019–2021"), years after "in", "since", "by"… and BC/AD years. */
+  expand_years: boolean;
+  /** Titles, street types, units and Latin abbreviations ("Dr.", "St.", "e.g."). */
+  expand_abbreviations: boolean;
+  /** Spell out initialisms ("FBI") while pronounceable acronyms ("NASA") stay words. */
+  expand_acronyms: boolean;
+  /** Abbreviation table keyed by lowercase abbreviation without the final period; add or override entries. */
+  abbreviations: Map<string, Abbreviation>;
+  /** All-caps tokens with a fixed reading, overriding the pronounceability guess. */
+  acronyms: Map<string, AcronymReading>;
+  /** How to read ambiguous numeric dates: 3/4/2024 is March 4th (`mdy`, US) or April 3rd (`dmy`, EU). */
+  date_order: "mdy" | "dmy";
   expand_phone_numbers: boolean;
   expand_ip_addresses: boolean;
   normalize_leading_decimals: boolean;
+  /** "Chapter IV" → "Chapter four", "Louis XIV" → "Louis the fourteenth". */
   expand_roman_numerals: boolean;
   remove_urls: boolean;
   remove_emails: boolean;
@@ -172,16 +375,236 @@ export interface TextPreprocessorConfig {
   remove_hashtags: boolean;
   remove_mentions: boolean;
   remove_punctuation: boolean;
+  /** Drop common function words ("the", "of", "is"…). */
   remove_stopwords: boolean;
   normalize_unicode: boolean;
+  /** Strip diacritics from Latin letters ("café" → "cafe"). */
   remove_accents: boolean;
   remove_extra_whitespace: boolean;
 }
 
+type BooleanKeys<T> = { [K in keyof T]: T[K] extends boolean ? K : never }[keyof T];
+
+/** A `TextPreprocessorConfig` flag that switches a built-in rule on or off. */
+export type TextPreprocessorFlag = BooleanKeys<TextPreprocessorConfig>;
+
+/** One named step of the normalization pipeline. */
+export interface NormalizerRule {
+  name: string;
+  /** Built-in rules run only while this config flag is true. */
+  flag?: TextPreprocessorFlag;
+  apply(text: string, config: TextPreprocessorConfig): string;
+}
+
+/** A rule given as a regex; every match is replaced (the `g` flag is implied). */
+export interface RegexRule {
+  name: string;
+  pattern: RegExp;
+  replacement: string | ((match: string, ...groups: string[]) => string);
+}
+
+export type RuleSpec = NormalizerRule | RegexRule;
+
+/** Where `addRule` / `moveRule` put a rule: next to a named rule, or at an index. Default: the end. */
+export interface RulePosition {
+  before?: string;
+  after?: string;
+  index?: number;
+}
+
+export interface TextPreprocessorOptions extends Partial<Omit<TextPreprocessorConfig, "abbreviations" | "acronyms">> {
+  /** Extra rules, appended in order after the built-in ones. */
+  rules?: RuleSpec[];
+  /** Entries added to (or replacing) the built-in abbreviation table. */
+  abbreviations?: Record<string, Abbreviation>;
+  /** Entries added to (or replacing) the built-in acronym readings. */
+  acronyms?: Record<string, AcronymReading>;
+}
+
+const _DIGIT_WORDS: Record<string, string> = { "0": "zero", "1": "one", "2": "two", "3": "three", "4": "four", "5": "five", "6": "six", "7": "seven", "8": "eight", "9": "nine" };
+const _SCALE_WORDS: Record<string, string> = { "K": "thousand", "M": "million", "B": "billion", "T": "trillion" };
+
+const _CONTRACTIONS: [RegExp, string][] = [
+  [/\bcan't\b/gi, "cannot"], [/\bwon't\b/gi, "will not"], [/\bshan't\b/gi, "shall not"],
+  [/\bain't\b/gi, "is not"], [/\blet's\b/gi, "let us"], [/\b(\w+)n't\b/gi, "$1 not"],
+  [/\b(\w+)'re\b/gi, "$1 are"], [/\b(\w+)'ve\b/gi, "$1 have"], [/\b(\w+)'ll\b/gi, "$1 will"],
+  [/\b(\w+)'d\b/gi, "$1 would"], [/\b(\w+)'m\b/gi, "$1 am"], [/\bit's\b/gi, "it is"]
+];
+
+const _UNIT_WORDS: Record<string, string> = { "km": "kilometers", "kg": "kilograms", "mg": "milligrams", "ml": "milliliters", "gb": "gigabytes", "mb": "megabytes", "kb": "kilobytes", "tb": "terabytes", "hz": "hertz", "khz": "kilohertz", "mhz": "megahertz", "ghz": "gigahertz", "mph": "miles per hour", "kph": "kilometers per hour", "ms": "milliseconds", "ns": "nanoseconds", "µs": "microseconds", "°c": "degrees Celsius", "c°": "degrees Celsius", "°f": "degrees Fahrenheit", "f°": "degrees Fahrenheit" };
+
+const _DECADE_WORDS = ["hundreds", "tens", "twenties", "thirties", "forties", "fifties", "sixties", "seventies", "eighties", "nineties"];
+
+const _spell_digits = (s: string) => s.split("").map(c => _DIGIT_WORDS[c]).join(" ");
+
+/** The default pipeline, in order. Each rule is named after the config flag that enables it. */
+const BUILTIN_RULES: NormalizerRule[] = [
+  { name: "normalize_unicode", flag: "normalize_unicode", apply: t => t.normalize("NFC") },
+  { name: "remove_html", flag: "remove_html", apply: t => t.replace(_RE_HTML, " ") },
+  { name: "remove_urls", flag: "remove_urls", apply: t => t.replace(_RE_URL, "").trim() },
+  { name: "remove_emails", flag: "remove_emails", apply: t => t.replace(_RE_EMAIL, "").trim() },
+  { name: "remove_hashtags", flag: "remove_hashtags", apply: t => t.replace(_RE_HASHTAG, "") },
+  { name: "remove_mentions", flag: "remove_mentions", apply: t => t.replace(_RE_MENTION, "") },
+  { name: "remove_accents", flag: "remove_accents", apply: _remove_accents },
+  { name: "expand_abbreviations", flag: "expand_abbreviations", apply: _expand_abbreviations },
+  {
+    name: "expand_contractions", flag: "expand_contractions",
+    apply: t => _CONTRACTIONS.reduce((acc, [p, r]) => acc.replace(p, r), t),
+  },
+  {
+    name: "expand_ip_addresses", flag: "expand_ip_addresses",
+    apply: t => t.replace(/\b(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})\b/g, (_, a, b, c, d) =>
+      [a, b, c, d].map(_spell_digits).join(" dot ")),
+  },
+  { name: "expand_dates", flag: "expand_dates", apply: _expand_dates },
+  { name: "expand_years", flag: "expand_years", apply: _expand_years },
+  { name: "expand_roman_numerals", flag: "expand_roman_numerals", apply: _expand_roman_numerals },
+  {
+    name: "normalize_leading_decimals", flag: "normalize_leading_decimals",
+    apply: t => t.replace(/(?<!\d)(-)\.([\d])/g, "$10.$2").replace(_RE_LEAD_DEC, "0.$1"),
+  },
+  {
+    name: "expand_currency", flag: "expand_currency",
+    apply: t => t.replace(_RE_CURRENCY, (_, sym, raw, suffix) => {
+      raw = raw.replace(/,/g, "");
+      const unit = _CURRENCY_SYMBOLS[sym] || "dollar";
+      if (suffix) {
+        const num = raw.includes(".") ? float_to_words(raw) : number_to_words(parseInt(raw, 10));
+        return `${num} ${_SCALE_WORDS[suffix]} ${unit}${unit ? 's' : ''}`.trim();
+      }
+      if (raw.includes(".")) {
+        const [int_p, dec_p] = raw.split(".", 2);
+        const dec_val = parseInt(dec_p.substring(0, 2).padEnd(2, "0"), 10);
+        const int_words = number_to_words(parseInt(int_p, 10));
+        let res = unit ? `${int_words} ${unit}s` : int_words;
+        if (dec_val) res += ` and ${number_to_words(dec_val)} cent${dec_val !== 1 ? 's' : ''}`;
+        return res;
+      } else {
+        const val = parseInt(raw, 10);
+        return val === 1 ? `${number_to_words(val)} ${unit}` : `${number_to_words(val)} ${unit}s`;
+      }
+    }),
+  },
+  {
+    name: "expand_percentages", flag: "expand_percentages",
+    apply: t => t.replace(_RE_PERCENT, (_, raw) => {
+      raw = raw.replace(/,/g, "");
+      return (raw.includes(".") ? float_to_words(parseFloat(raw)) : number_to_words(parseInt(raw, 10))) + " percent";
+    }),
+  },
+  {
+    name: "expand_time", flag: "expand_time",
+    apply: t => t.replace(_RE_TIME, (_, h, m, _s, ampm) => {
+      const hh = number_to_words(parseInt(h, 10));
+      const mm = parseInt(m, 10);
+      const suf = ampm ? ` ${ampm.toLowerCase()}` : "";
+      if (mm === 0) return !ampm ? `${hh} hundred` : `${hh}${suf}`;
+      if (mm < 10) return `${hh} oh ${number_to_words(mm)}${suf}`;
+      return `${hh} ${number_to_words(mm)}${suf}`;
+    }),
+  },
+  {
+    name: "expand_ranges", flag: "expand_ranges",
+    apply: t => t.replace(_RE_RANGE, (_, lo, hi) => `${number_to_words(parseInt(lo, 10))} to ${number_to_words(parseInt(hi, 10))}`),
+  },
+  { name: "expand_model_names", flag: "expand_model_names", apply: t => t.replace(_RE_MODEL_VER, "$1 $2") },
+  {
+    name: "expand_units", flag: "expand_units",
+    apply: t => t.replace(_RE_UNIT, (_, raw, unit) => {
+      const exp = _UNIT_WORDS[unit.toLowerCase()] || unit;
+      const num = raw.includes(".") ? float_to_words(parseFloat(raw)) : number_to_words(parseInt(raw, 10));
+      return `${num} ${exp}`;
+    }),
+  },
+  {
+    name: "expand_scientific_notation", flag: "expand_scientific_notation",
+    apply: t => t.replace(_RE_SCI, (_, coeff, exp) => {
+      const cw = coeff.includes(".") ? float_to_words(coeff) : number_to_words(parseInt(coeff, 10));
+      const ew = number_to_words(Math.abs(parseInt(exp, 10)));
+      const sign = parseInt(exp, 10) < 0 ? "negative " : "";
+      return `${cw} times ten to the ${sign}${ew}`;
+    }),
+  },
+  {
+    name: "expand_scale_suffixes", flag: "expand_scale_suffixes",
+    apply: t => t.replace(_RE_SCALE, (_, raw, suf) => {
+      const num = raw.includes(".") ? float_to_words(raw) : number_to_words(parseInt(raw, 10));
+      return `${num} ${_SCALE_WORDS[suf] || suf}`;
+    }),
+  },
+  {
+    name: "expand_fractions", flag: "expand_fractions",
+    apply: t => t.replace(_RE_FRACTION, (m, nm, dn) => {
+      const n = parseInt(nm, 10), d = parseInt(dn, 10);
+      if (d === 0) return m;
+      const nw = number_to_words(n);
+      let dw: string;
+      if (d === 2) dw = n === 1 ? "half" : "halves";
+      else if (d === 4) dw = n === 1 ? "quarter" : "quarters";
+      else dw = ordinal_to_words(d) + (n !== 1 ? "s" : "");
+      return `${nw} ${dw}`;
+    }),
+  },
+  { name: "expand_ordinals", flag: "expand_ordinals", apply: t => t.replace(_RE_ORDINAL, (_, n) => ordinal_to_words(parseInt(n, 10))) },
+  {
+    name: "expand_decades", flag: "expand_decades",
+    apply: t => t.replace(_RE_DECADE, (_, yr) => {
+      const base = parseInt(yr, 10);
+      const dec = _DECADE_WORDS[base % 10] || "";
+      if (base < 10) return dec;
+      return `${number_to_words(Math.floor(base / 10))} ${dec}`;
+    }),
+  },
+  {
+    name: "expand_phone_numbers", flag: "expand_phone_numbers",
+    apply: t => t
+      .replace(/(?<!\d-)(?<!\d)\b(\d{1,2})-(\d{3})-(\d{3})-(\d{4})\b(?!-\d)/g, (_, a, b, c, d) => [a, b, c, d].map(_spell_digits).join(" "))
+      .replace(/(?<!\d-)(?<!\d)\b(\d{3})-(\d{3})-(\d{4})\b(?!-\d)/g, (_, a, b, c) => [a, b, c].map(_spell_digits).join(" "))
+      .replace(/(?<!\d-)\b(\d{3})-(\d{4})\b(?!-\d)/g, (_, a, b) => [a, b].map(_spell_digits).join(" ")),
+  },
+  { name: "expand_acronyms", flag: "expand_acronyms", apply: _expand_acronyms },
+  {
+    name: "replace_numbers", flag: "replace_numbers",
+    apply: (t, cfg) => t.replace(_RE_NUMBER, (m) => {
+      const raw = m.replace(/,/g, "");
+      if (raw.includes(".") && cfg.replace_floats) return float_to_words(raw);
+      return number_to_words(parseInt(raw, 10));
+    }),
+  },
+  {
+    name: "remove_stopwords", flag: "remove_stopwords",
+    apply: t => t.replace(_RE_WORD, w => _STOPWORDS.has(w.toLowerCase()) ? "" : w),
+  },
+  { name: "remove_punctuation", flag: "remove_punctuation", apply: t => t.replace(_RE_PUNCT, " ") },
+  { name: "lowercase", flag: "lowercase", apply: t => t.toLowerCase() },
+  { name: "remove_extra_whitespace", flag: "remove_extra_whitespace", apply: t => t.replace(_RE_SPACES, " ").trim() },
+];
+
+function toRule(spec: RuleSpec): NormalizerRule {
+  if (!spec?.name) throw new Error("Normalizer rules need a name");
+  if ("apply" in spec && typeof spec.apply === "function") return spec;
+  const { name, pattern, replacement } = spec as RegexRule;
+  if (!(pattern instanceof RegExp)) throw new Error(`Rule "${name}" needs an apply() function or a RegExp pattern`);
+  const global = pattern.flags.includes("g") ? pattern : new RegExp(pattern.source, pattern.flags + "g");
+  return {
+    name,
+    apply: typeof replacement === "function"
+      ? t => t.replace(global, replacement as (match: string, ...groups: string[]) => string)
+      : t => t.replace(global, replacement),
+  };
+}
+
+/**
+ * Ordered pipeline of named normalizer rules. The built-in rules follow the Python
+ * preprocess.py order and are toggled by `config` flags; custom rules can be inserted
+ * anywhere, and any rule can be removed or moved.
+ */
 export class TextPreprocessor {
   config: TextPreprocessorConfig;
+  private _rules: NormalizerRule[];
 
-  constructor(options: Partial<TextPreprocessorConfig> = {}) {
+  constructor(options: TextPreprocessorOptions = {}) {
+    const { rules = [], abbreviations = {}, acronyms = {}, ...flags } = options;
     this.config = {
       lowercase: true,
       replace_numbers: true,
@@ -198,6 +621,13 @@ export class TextPreprocessor {
       expand_scientific_notation: true,
       expand_fractions: true,
       expand_decades: true,
+      expand_dates: true,
+      expand_years: true,
+      expand_abbreviations: true,
+      expand_acronyms: true,
+      abbreviations: new Map(Object.entries({ ...DEFAULT_ABBREVIATIONS, ...abbreviations }).map(([k, v]) => [k.toLowerCase().replace(/\.$/, ""), v])),
+      acronyms: new Map(Object.entries({ ...DEFAULT_ACRONYMS, ...acronyms })),
+      date_order: "mdy",
       expand_phone_numbers: true,
       expand_ip_addresses: true,
       normalize_leading_decimals: true,
@@ -212,171 +642,75 @@ export class TextPreprocessor {
       normalize_unicode: true,
       remove_accents: false,
       remove_extra_whitespace: true,
-      ...options
+      ...flags
     };
+    this._rules = [...BUILTIN_RULES];
+    for (const rule of rules) this.addRule(rule);
   }
 
-  process(text: string): string {
-    let t = text;
-    const cfg = this.config;
-
-    if (cfg.normalize_unicode) t = t.normalize("NFC");
-    if (cfg.remove_html) t = t.replace(_RE_HTML, " ");
-    if (cfg.remove_urls) t = t.replace(_RE_URL, "").trim();
-    if (cfg.remove_emails) t = t.replace(_RE_EMAIL, "").trim();
-    if (cfg.remove_hashtags) t = t.replace(_RE_HASHTAG, "");
-    if (cfg.remove_mentions) t = t.replace(_RE_MENTION, "");
-
-    if (cfg.expand_contractions) {
-      const contractions: [RegExp, string][] = [
-        [/\bcan't\b/gi, "cannot"], [/\bwon't\b/gi, "will not"], [/\bshan't\b/gi, "shall not"],
-        [/\bain't\b/gi, "is not"], [/\blet's\b/gi, "let us"], [/\b(\w+)n't\b/gi, "$1 not"],
-        [/\b(\w+)'re\b/gi, "$1 are"], [/\b(\w+)'ve\b/gi, "$1 have"], [/\b(\w+)'ll\b/gi, "$1 will"],
-        [/\b(\w+)'d\b/gi, "$1 would"], [/\b(\w+)'m\b/gi, "$1 am"], [/\bit's\b/gi, "it is"]
-      ];
-      for (const [p, r] of contractions) {
-        t = t.replace(p, r);
-      }
-    }
-
-    if (cfg.expand_ip_addresses) {
-      t = t.replace(/\b(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})\b/g, (_, a, b, c, d) => {
-        const dmap: Record<string, string> = { "0": "zero", "1": "one", "2": "two", "3": "three", "4": "four", "5": "five", "6": "six", "7": "seven", "8": "eight", "9": "nine" };
-        const octet = (s: string) => s.split("").map(x => dmap[x]).join(" ");
-        return [a, b, c, d].map(octet).join(" dot ");
-      });
-    }
-
-    if (cfg.normalize_leading_decimals) {
-      t = t.replace(/(?<!\d)(-)\.([\d])/g, "$10.$2");
-      t = t.replace(_RE_LEAD_DEC, "0.$1");
-    }
-
-    if (cfg.expand_currency) {
-      const smap: Record<string, string> = { "K": "thousand", "M": "million", "B": "billion", "T": "trillion" };
-      t = t.replace(_RE_CURRENCY, (_, sym, raw, suffix) => {
-        raw = raw.replace(/,/g, "");
-        const unit = _CURRENCY_SYMBOLS[sym] || "dollar";
-        if (suffix) {
-          const num = raw.includes(".") ? float_to_words(raw) : number_to_words(parseInt(raw, 10));
-          return `${num} ${smap[suffix]} ${unit}${unit ? 's' : ''}`.trim();
-        }
-        if (raw.includes(".")) {
-          const [int_p, dec_p] = raw.split(".", 2);
-          const dec_val = parseInt(dec_p.substring(0, 2).padEnd(2, "0"), 10);
-          const int_words = number_to_words(parseInt(int_p, 10));
-          let res = unit ? `${int_words} ${unit}s` : int_words;
-          if (dec_val) res += ` and ${number_to_words(dec_val)} cent${dec_val !== 1 ? 's' : ''}`;
-          return res;
-        } else {
-          const val = parseInt(raw, 10);
-          return val === 1 ? `${number_to_words(val)} ${unit}` : `${number_to_words(val)} ${unit}s`;
-        }
-      });
-    }
-
-    if (cfg.expand_percentages) {
-      t = t.replace(_RE_PERCENT, (_, raw) => {
-        raw = raw.replace(/,/g, "");
-        return (raw.includes(".") ? float_to_words(parseFloat(raw)) : number_to_words(parseInt(raw, 10))) + " percent";
-      });
-    }
-
-    if (cfg.expand_time) {
-      t = t.replace(_RE_TIME, (_, h, m, _s, ampm) => {
-        const hh = number_to_words(parseInt(h, 10));
-        const mm = parseInt(m, 10);
-        const suf = ampm ? ` ${ampm.toLowerCase()}` : "";
-        if (mm === 0) return !ampm ? `${hh} hundred` : `${hh}${suf}`;
-        if (mm < 10) return `${hh} oh ${number_to_words(mm)}${suf}`;
-        return `${hh} ${number_to_words(mm)}${suf}`;
-      });
-    }
-
-    if (cfg.expand_ranges) {
-      t = t.replace(_RE_RANGE, (_, lo, hi) => `${number_to_words(parseInt(lo, 10))} to ${number_to_words(parseInt(hi, 10))}`);
-    }
-
-    if (cfg.expand_model_names) {
-      t = t.replace(_RE_MODEL_VER, "$1 $2");
-    }
-
-    if (cfg.expand_units) {
-      const umap: Record<string, string> = { "km": "kilometers", "kg": "kilograms", "mg": "milligrams", "ml": "milliliters", "gb": "gigabytes", "mb": "megabytes", "kb": "kilobytes", "tb": "terabytes", "hz": "hertz", "khz": "kilohertz", "mhz": "megahertz", "ghz": "gigahertz", "mph": "miles per hour", "kph": "kilometers per hour", "ms": "milliseconds", "ns": "nanoseconds", "µs": "microseconds", "°c": "degrees Celsius", "c°": "degrees Celsius", "°f": "degrees Fahrenheit", "f°": "degrees Fahrenheit" };
-      t = t.replace(_RE_UNIT, (_, raw, unit) => {
-        const exp = umap[unit.toLowerCase()] || unit;
-        const num = raw.includes(".") ? float_to_words(parseFloat(raw)) : number_to_words(parseInt(raw, 10));
-        return `${num} ${exp}`;
-      });
-    }
-
-    if (cfg.expand_scientific_notation) {
-      t = t.replace(_RE_SCI, (_, coeff, exp) => {
-        const cw = coeff.includes(".") ? float_to_words(coeff) : number_to_words(parseInt(coeff, 10));
-        const ew = number_to_words(Math.abs(parseInt(exp, 10)));
-        const sign = parseInt(exp, 10) < 0 ? "negative " : "";
-        return `${cw} times ten to the ${sign}${ew}`;
-      });
-    }
+  /** Rule names in the order they run. */
+  get rules(): string[] {
+    return this._rules.map(r => r.name);
+  }
 
-    if (cfg.expand_scale_suffixes) {
-      const smap: Record<string, string> = { "K": "thousand", "M": "million", "B": "billion", "T": "trillion" };
-      t = t.replace(_RE_SCALE, (_, raw, suf) => {
-        const num = raw.includes(".") ? float_to_words(raw) : number_to_words(parseInt(raw, 10));
-        return `${num} ${smap[suf] || suf}`;
-      });
-    }
+  getRule(name: string): NormalizerRule | undefined {
+    return this._rules.find(r => r.name === name);
+  }
 
-    if (cfg.expand_fractions) {
-      t = t.replace(_RE_FRACTION, (m, nm, dn) => {
-        const n = parseInt(nm, 10), d = parseInt(dn, 10);
-        if (d === 0) return m;
-        const nw = number_to_words(n);
-        let dw: string;
-        if (d === 2) dw = n === 1 ? "half" : "halves";
-        else if (d === 4) dw = n === 1 ? "quarter" : "quarters";
-        else dw = _ordinal_suffix(d) + (n !== 1 ? "s" : "");
-        return `${nw} ${dw}`;
-      });
-    }
+  /** Insert a rule; names must be unique. */
+  addRule(spec: RuleSpec, position: RulePosition = {}): this {
+    const rule = toRule(spec);
+    if (this.getRule(rule.name)) throw new Error(`Rule "${rule.name}" already exists`);
+    this._rules.splice(this._indexFor(position), 0, rule);
+    return this;
+  }
 
-    if (cfg.expand_ordinals) {
-      t = t.replace(_RE_ORDINAL, (_, n) => _ordinal_suffix(parseInt(n, 10)));
-    }
+  /** Replace the rule called `name` in place, keeping its position. */
+  replaceRule(name: string, spec: RuleSpec): this {
+    const index = this._indexOf(name);
+    const rule = toRule(spec);
+    if (rule.name !== name && this.getRule(rule.name)) throw new Error(`Rule "${rule.name}" already exists`);
+    this._rules[index] = rule;
+    return this;
+  }
 
-    if (cfg.expand_decades) {
-      const dmap = ["hundreds", "tens", "twenties", "thirties", "forties", "fifties", "sixties", "seventies", "eighties", "nineties"];
-      t = t.replace(_RE_DECADE, (_, yr) => {
-        const base = parseInt(yr, 10);
-        const dec = dmap[base % 10] || "";
-        if (base < 10) return dec;
-        return `${number_to_words(Math.floor(base / 10))} ${dec}`;
-      });
-    }
+  /** Returns false when no rule has that name. */
+  removeRule(name: string): boolean {
+    const index = this._rules.findIndex(r => r.name === name);
+    if (index < 0) return false;
+    this._rules.splice(index, 1);
+    return true;
+  }
 
-    if (cfg.expand_phone_numbers) {
-      const dmap: Record<string, string> = { "0": "zero", "1": "one", "2": "two", "3": "three", "4": "four", "5": "five", "6": "six", "7": "seven", "8": "eight", "9": "nine" };
-      const _d = (s: string) => s.split("").map(c => dmap[c]).join(" ");
-      t = t.replace(/(?<!\d-)(?<!\d)\b(\d{1,2})-(\d{3})-(\d{3})-(\d{4})\b(?!-\d)/g, (_, a, b, c, d) => [_d(a), _d(b), _d(c), _d(d)].join(" "));
-      t = t.replace(/(?<!\d-)(?<!\d)\b(\d{3})-(\d{3})-(\d{4})\b(?!-\d)/g, (_, a, b, c) => [_d(a), _d(b), _d(c)].join(" "));
-      t = t.replace(/(?<!\d-)\b(\d{3})-(\d{4})\b(?!-\d)/g, (_, a, b) => [_d(a), _d(b)].join(" "));
-    }
+  moveRule(name: string, position: RulePosition): this {
+    const from = this._indexOf(name);
+    if (position.before === name || position.after === name) return this;
+    this._indexFor(position); // unknown anchors throw before anything moves
+    const [rule] = this._rules.splice(from, 1);
+    this._rules.splice(this._indexFor(position), 0, rule);
+    return this;
+  }
 
-    if (cfg.replace_numbers) {
-      t = t.replace(_RE_NUMBER, (m) => {
-        const raw = m.replace(/,/g, "");
-        if (raw.includes(".") && cfg.replace_floats) return float_to_words(raw);
-        return number_to_words(parseInt(raw, 10));
-      });
+  process(text: string): string {
+    let t = text;
+    const cfg = this.config;
+    for (const rule of this._rules) {
+      if (rule.flag && !cfg[rule.flag]) continue;
+      t = rule.apply(t, cfg);
     }
+    return t;
+  }
 
-    if (cfg.remove_punctuation) t = t.replace(_RE_PUNCT, " ");
-    if (cfg.lowercase) t = t.toLowerCase();
-    if (cfg.remove_extra_whitespace) t = t.replace(_RE_SPACES, " ").trim();
+  private _indexOf(name: string): number {
+    const index = this._rules.findIndex(r => r.name === name);
+    if (index < 0) throw new Error(`Unknown rule "${name}". Rules: ${this.rules.join(", ")}`);
+    return index;
+  }
 
-    return t;
+  private _indexFor({ before, after, index }: RulePosition): number {
+    if (before !== undefined) return this._indexOf(before);
+    if (after !== undefined) return this._indexOf(after) + 1;
+    if (index !== undefined) return Math.max(0, Math.min(this._rules.length, index));
+    return this._rules.length;
   }
 }
-
-// suppress unused import warning for _RE_ROMAN (config option stub)
-void _RE_ROMAN;
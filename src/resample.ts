@@ -0,0 +1,90 @@
+/**
+ * Band-limited resampling with a Kaiser-windowed sinc kernel.
+ *
+ * Each output sample is a weighted sum of input samples around its position. The kernel cutoff
+ * follows the lower of the two Nyquist frequencies, so downsampling (e.g. 24 kHz → 8 kHz for
+ * telephony) filters out what would otherwise alias. The kernel is tabulated once per
+ * (zero crossings, beta) pair and read with linear interpolation.
+ */
+
+export interface ResampleOptions {
+  /** Kernel half-width in zero crossings of the sinc; higher is sharper and slower. Default: 32 */
+  zeroCrossings?: number;
+  /** Kaiser window shape; ~8.6 gives about 90 dB stopband attenuation. Default: 8.6 */
+  beta?: number;
+}
+
+const TABLE_RESOLUTION = 512;
+/** Passband edge as a fraction of the target Nyquist, leaving room for the transition band. */
+const ROLLOFF = 0.95;
+
+/** Zeroth-order modified Bessel function of the first kind, for the Kaiser window. */
+function besselI0(x: number): number {
+  let sum = 1;
+  let term = 1;
+  for (let k = 1; k < 50; k++) {
+    term *= (x / (2 * k)) ** 2;
+    sum += term;
+    if (term < sum * 1e-12) break;
+  }
+  return sum;
+}
+
+const kernelCache = new Map<string, Float64Array>();
+
+/** Windowed sinc sampled every 1/TABLE_RESOLUTION of a zero crossing, from 0 to `zeroCrossings`. */
+function kernelTable(zeroCrossings: number, beta: number): Float64Array {
+  const key = `${zeroCrossings}:${beta}`;
+  let table = kernelCache.get(key);
+  if (!table) {
+    table = new Float64Array(zeroCrossings * TABLE_RESOLUTION + 2);
+    const norm = besselI0(beta);
+    for (let i = 0; i < table.length; i++) {
+      const x = i / TABLE_RESOLUTION;
+      const r = x / zeroCrossings;
+      const window = r <= 1 ? besselI0(beta * Math.sqrt(1 - r * r)) / norm : 0;
+      table[i] = (x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x)) * window;
+    }
+    kernelCache.set(key, table);
+  }
+  return table;
+}
+
+/** Resample `samples` from `fromRate` to `toRate` Hz. */
+export function resample(
+  samples: Float32Array,
+  fromRate: number,
+  toRate: number,
+  opts: ResampleOptions = {},
+): Float32Array {
+  if (!(fromRate > 0) || !(toRate > 0) || !Number.isFinite(fromRate) || !Number.isFinite(toRate)) {
+    throw new Error(`Sample rates must be positive numbers, got ${fromRate} → ${toRate}`);
+  }
+  if (fromRate === toRate) return new Float32Array(samples);
+
+  const zeroCrossings = opts.zeroCrossings ?? 32;
+  const beta = opts.beta ?? 8.6;
+  const table = kernelTable(zeroCrossings, beta);
+
+  const ratio = fromRate / toRate;
+  // Cutoff relative to the input Nyquist; below 1 when downsampling.
+  const cutoff = Math.min(1, 1 / ratio) * ROLLOFF;
+  const halfWidth = zeroCrossings / cutoff;
+  const outLength = Math.round(samples.length / ratio);
+  const out = new Float32Array(outLength);
+
+  for (let i = 0; i < outLength; i++) {
+    const center = i * ratio;
+    const first = Math.max(0, Math.ceil(center - halfWidth));
+    const last = Math.min(samples.length - 1, Math.floor(center + halfWidth));
+    let sum = 0;
+    for (let j = first; j <= last; j++) {
+      const pos = Math.abs(center - j) * cutoff * TABLE_RESOLUTION;
+      const k = Math.floor(pos);
+      const frac = pos - k;
+      sum += samples[j] * (table[k] + (table[k + 1] - table[k]) * frac);
+    }
+    out[i] = sum * cutoff;
+  }
+  return out;
+}
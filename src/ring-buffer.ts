@@ -0,0 +1,96 @@
+/**
+ * Single-producer, single-consumer ring buffer of float samples for handing audio to an
+ * AudioWorklet without messages. The state lives in one buffer — a `SharedArrayBuffer` when
+ * threads share it — so each side can wrap the same memory with its own `AudioRingBuffer`.
+ *
+ * Layout: an Int32 header (read index, write index, frames consumed, end-of-stream flag), then
+ * `capacity` Float32 slots. One slot always stays empty so that read === write means "empty".
+ */
+
+export const RING_HEADER_INTS = 4;
+export const RING_READ = 0;
+export const RING_WRITE = 1;
+export const RING_CONSUMED = 2;
+export const RING_ENDED = 3;
+
+export class AudioRingBuffer {
+  readonly buffer: SharedArrayBuffer | ArrayBuffer;
+  /** Slots in the data area; `capacity - 1` samples fit at once. */
+  readonly capacity: number;
+  private readonly _header: Int32Array;
+  private readonly _data: Float32Array;
+
+  /** Allocate a ring holding up to `samples` samples, shared across threads when possible. */
+  static allocate(samples: number, shared = typeof SharedArrayBuffer !== 'undefined'): AudioRingBuffer {
+    if (!Number.isInteger(samples) || samples < 1) throw new Error(`Ring buffer size must be a positive integer, got ${samples}`);
+    const bytes = RING_HEADER_INTS * 4 + (samples + 1) * 4;
+    return new AudioRingBuffer(shared ? new SharedArrayBuffer(bytes) : new ArrayBuffer(bytes));
+  }
+
+  /** Wrap memory created by `allocate()`, e.g. after it was posted to another thread. */
+  constructor(buffer: SharedArrayBuffer | ArrayBuffer) {
+    const slots = (buffer.byteLength - RING_HEADER_INTS * 4) / 4;
+    if (!Number.isInteger(slots) || slots < 2) throw new Error('Not an AudioRingBuffer: unexpected byte length');
+    this.buffer = buffer;
+    this.capacity = slots;
+    this._header = new Int32Array(buffer, 0, RING_HEADER_INTS);
+    this._data = new Float32Array(buffer, RING_HEADER_INTS * 4, slots);
+  }
+
+  /** Samples ready for the consumer. */
+  get availableRead(): number {
+    const read = Atomics.load(this._header, RING_READ);
+    const write = Atomics.load(this._header, RING_WRITE);
+    return (write - read + this.capacity) % this.capacity;
+  }
+
+  /** Room for the producer. */
+  get availableWrite(): number {
+    return this.capacity - 1 - this.availableRead;
+  }
+
+  /** Total samples the consumer has taken so far. */
+  get consumed(): number {
+    return Atomics.load(this._header, RING_CONSUMED) >>> 0;
+  }
+
+  /** Set by the producer once the current stream is complete; cleared by the consumer when it drains. */
+  get ended(): boolean {
+    return Atomics.load(this._header, RING_ENDED) === 1;
+  }
+
+  set ended(value: boolean) {
+    Atomics.store(this._header, RING_ENDED, value ? 1 : 0);
+  }
+
+  /** Producer: copy as many of `samples` as fit; returns how many were written. */
+  push(samples: Float32Array): number {
+    const count = Math.min(samples.length, this.availableWrite);
+    let write = Atomics.load(this._header, RING_WRITE);
+    const first = Math.min(count, this.capacity - write);
+    this._data.set(samples.subarray(0, first), write);
+    this._data.set(samples.subarray(first, count), 0);
+    write = (write + count) % this.capacity;
+    Atomics.store(this._header, RING_WRITE, write);
+    return count;
+  }
+
+  /** Consumer: fill `out` from the front of the buffer; returns how many samples were read. */
+  pull(out: Float32Array): number {
+    const count = Math.min(out.length, this.availableRead);
+    let read = Atomics.load(this._header, RING_READ);
+    const first = Math.min(count, this.capacity - read);
+    out.set(this._data.subarray(read, read + first));
+    out.set(this._data.subarray(0, count - first), first);
+    read = (read + count) % this.capacity;
+    Atomics.store(this._header, RING_READ, read);
+    Atomics.add(this._header, RING_CONSUMED, count);
+    return count;
+  }
+
+  /** Consumer: drop everything buffered and clear the end flag. */
+  discard(): void {
+    Atomics.store(this._header, RING_READ, Atomics.load(this._header, RING_WRITE));
+    this.ended = false;
+  }
+}
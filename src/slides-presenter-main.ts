@@ -8,6 +8,7 @@ import {
   DIAGRAM_PRESETS,
   formatBulletsForPlaintext,
 } from './slides-deck-data.js';
+import type { DownloadProgress } from './model-loader.js';
 
 type DeckSlideContent = (typeof deck)[number];
 
@@ -35,21 +36,38 @@ const pendingRequests = new Map<
 
 worker.onmessage = (event: MessageEvent) => {
   const { type, id, payload } = event.data as { type: string; id: string; payload?: string };
+  if (type === 'init-progress') {
+    const { file, loaded, total } = payload as unknown as DownloadProgress;
+    const mb = (bytes: number) => (bytes / 1e6).toFixed(1);
+    const amount = total ? `${mb(loaded)} / ${mb(total)} MB (${Math.round((loaded / total) * 100)}%)` : `${mb(loaded)} MB`;
+    updateStatus(`Loading KittenTTS — ${file.split('/').pop()} ${amount}`);
+    return;
+  }
   const request = pendingRequests.get(id);
   if (!request) return;
   if (type === 'error') {
     request.reject(new Error(String(payload)));
+  } else if (type === 'cancelled') {
+    request.reject(new DOMException('Synthesis cancelled', 'AbortError'));
   } else {
     request.resolve(payload);
   }
   pendingRequests.delete(id);
 };
 
-function postToWorker(type: string, payload: unknown): Promise<unknown> {
+/** Aborting `signal` sends a worker `cancel` so queued or running synthesis is dropped. */
+function postToWorker(type: string, payload: unknown, signal?: AbortSignal): Promise<unknown> {
   return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException('Synthesis cancelled', 'AbortError'));
+      return;
+    }
     const id = `${Date.now()}-${Math.random()}`;
     pendingRequests.set(id, { resolve, reject });
     worker.postMessage({ type, id, payload });
+    signal?.addEventListener('abort', () => {
+      if (pendingRequests.has(id)) worker.postMessage({ type: 'cancel', id });
+    }, { once: true });
   });
 }
 
@@ -86,6 +104,8 @@ let activeNarrationUrl: string | null = null;
 let narrationInFlight = false;
 /** Bumped on slide change / replay so stale `generate` results are dropped. */
 let slideSpeechEpoch = 0;
+/** Aborted with each epoch bump so the worker stops synthesizing audio for the old slide. */
+let slideSpeechAbort = new AbortController();
 let stageWasFullscreen = false;
 
 /** In-memory WAV blob cache keyed by "slideIndex:voice:speed". */
@@ -308,6 +328,8 @@ async function ensureTtsReady(): Promise<void> {
 
 function bumpSlideSpeechEpoch(): void {
   slideSpeechEpoch += 1;
+  slideSpeechAbort.abort();
+  slideSpeechAbort = new AbortController();
   stopSpeech();
 }
 
@@ -420,6 +442,7 @@ async function synthesizeSlide(
   slideIdx: number,
   voice: string,
   speed: number,
+  signal?: AbortSignal,
 ): Promise<Blob> {
   const key = audioCacheKey(slideIdx, voice, speed);
   const cached = audioCache.get(key);
@@ -436,7 +459,7 @@ async function synthesizeSlide(
       audienceQuestion: meta.audienceQuestion,
     };
     const text = ttsPreprocess(buildNarrationText(slide));
-    const result = (await postToWorker('generate', { text, voice, speed })) as {
+    const result = (await postToWorker('generate', { text, voice, speed }, signal)) as {
       floatArr: Float32Array;
       sampleRate: number;
     };
@@ -471,6 +494,7 @@ function prefetchNextSlide(voice: string, speed: number): void {
  */
 async function speakCurrentSlide(): Promise<void> {
   const epoch = slideSpeechEpoch;
+  const { signal } = slideSpeechAbort;
   const slideIdx = currentSlideIndex;
   const slide = getActiveSlide();
   const text = buildNarrationText(slide);
@@ -495,7 +519,7 @@ async function speakCurrentSlide(): Promise<void> {
     }
     if (epoch !== slideSpeechEpoch) return;
 
-    const blob = await synthesizeSlide(slideIdx, voice, speed);
+    const blob = await synthesizeSlide(slideIdx, voice, speed, signal);
     if (epoch !== slideSpeechEpoch) return;
 
     const url = URL.createObjectURL(blob);
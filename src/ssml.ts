@@ -0,0 +1,386 @@
+/**
+ * SSML subset parser and speech planner.
+ *
+ * Supported elements: <speak>, <break time|strength>, <prosody rate>, <say-as interpret-as>,
+ * <sub alias>, <voice name>, <phoneme ph>, plus <s> as a sentence boundary and <p> as a paragraph.
+ * Unknown elements are ignored and their text content is kept.
+ *
+ * `planSpeech` turns plain text or SSML into `SpeechUnit`s — one model inference each — so the
+ * TTS classes share a single notion of chunk, voice/speed override and inter-chunk silence.
+ */
+
+import { number_to_words, float_to_words, ordinal_to_words, year_to_words, spell_characters } from './preprocess.ts';
+
+export type SsmlSegment =
+  | {
+    type: 'text';
+    /** Text to speak (already expanded for say-as / sub). */
+    text: string;
+    /** Text as it appeared in the document (differs for <sub> and <phoneme>). */
+    display: string;
+    voice?: string;
+    rate: number;
+    /** Skip TextPreprocessor — set for say-as, sub and phoneme content. */
+    verbatim: boolean;
+    /** IPA from <phoneme ph>, fed to the tokenizer without phonemization. */
+    phonemes?: string;
+  }
+  | { type: 'break'; ms: number }
+  | { type: 'boundary' }
+  | { type: 'paragraph' };
+
+export interface SpeechPart {
+  text: string;
+  clean: boolean;
+  phonemes?: string;
+}
+
+export interface SpeechUnit {
+  /** Chunk text as yielded by `stream()`. */
+  text: string;
+  parts: SpeechPart[];
+  voice: string;
+  speed: number;
+  pauseBeforeMs: number;
+  pauseAfterMs: number;
+  /** Last unit of a paragraph (blank line in plain text, `</p>` in SSML). */
+  paragraphEnd?: boolean;
+}
+
+export interface SpeechDefaults {
+  voice: string;
+  speed: number;
+  clean: boolean;
+  /** Force SSML parsing on/off. Default: auto-detect a leading `<speak>`. */
+  ssml?: boolean;
+}
+
+const BREAK_STRENGTH_MS: Record<string, number> = {
+  none: 0, 'x-weak': 100, weak: 250, medium: 400, strong: 750, 'x-strong': 1200,
+};
+const PARAGRAPH_BREAK_MS = BREAK_STRENGTH_MS.strong;
+
+const RATE_KEYWORDS: Record<string, number> = {
+  'x-slow': 0.5, slow: 0.75, medium: 1.0, default: 1.0, fast: 1.25, 'x-fast': 1.5,
+};
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+/** Inline parts are swapped for markers so the class chunker never splits or rewrites them. */
+const MARKER_OPEN = '\uE000';
+const MARKER_CLOSE = '\uE001';
+const MARKER_RE = /\uE000(\d+)\uE001/g;
+
+const CAPTURING_TAGS = new Set(['say-as', 'sub', 'phoneme']);
+
+export function isSsml(text: string): boolean {
+  return /^\s*(<\?xml[^>]*\?>\s*)?<speak[\s>/]/i.test(text);
+}
+
+function decodeEntities(text: string): string {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (_, ent: string) => {
+    const e = ent.toLowerCase();
+    if (e === 'amp') return '&';
+    if (e === 'lt') return '<';
+    if (e === 'gt') return '>';
+    if (e === 'quot') return '"';
+    if (e === 'apos') return "'";
+    return String.fromCodePoint(e.startsWith('#x') ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10));
+  });
+}
+
+function parseAttrs(raw: string): Record<string, string> {
+  const attrs: Record<string, string> = {};
+  for (const m of raw.matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+    attrs[m[1].toLowerCase()] = decodeEntities(m[2] ?? m[3] ?? '');
+  }
+  return attrs;
+}
+
+export function parseBreakTime(value: string): number {
+  const m = value.trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s)$/i);
+  if (!m) throw new Error(`Invalid SSML break time: "${value}". Use e.g. "500ms" or "1.5s".`);
+  const n = parseFloat(m[1]);
+  return Math.round(m[2].toLowerCase() === 's' ? n * 1000 : n);
+}
+
+export function parseProsodyRate(value: string): number {
+  const v = value.trim().toLowerCase();
+  if (RATE_KEYWORDS[v] !== undefined) return RATE_KEYWORDS[v];
+  const pct = v.match(/^([+-]?\d+(?:\.\d+)?)%$/);
+  if (pct) {
+    const n = parseFloat(pct[1]);
+    // "+20%" / "-10%" are relative changes; "120%" is an absolute percentage of normal rate.
+    const rate = /^[+-]/.test(pct[1]) ? 1 + n / 100 : n / 100;
+    if (rate > 0) return rate;
+  }
+  const num = v.match(/^\d+(?:\.\d+)?$/);
+  if (num && parseFloat(v) > 0) return parseFloat(v);
+  throw new Error(`Invalid SSML prosody rate: "${value}"`);
+}
+
+function expandDate(text: string, format = 'mdy'): string {
+  const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  const fields = iso ? [iso[1], iso[2], iso[3]] : text.split(/[-/.\s]+/).filter(Boolean);
+  const fmt = iso ? 'ymd' : format.toLowerCase();
+  if (fields.length !== fmt.length || !/^[dmy]+$/.test(fmt)) return text;
+
+  let day: number | undefined, month: number | undefined, year: number | undefined;
+  fields.forEach((f, i) => {
+    const n = parseInt(f, 10);
+    if (fmt[i] === 'd') day = n;
+    else if (fmt[i] === 'm') month = isNaN(n) ? MONTHS.findIndex(mn => mn.toLowerCase().startsWith(f.toLowerCase().slice(0, 3))) + 1 : n;
+    else year = n;
+  });
+  if (month !== undefined && (month < 1 || month > 12)) return text;
+
+  const words: string[] = [];
+  if (month !== undefined) words.push(MONTHS[month - 1]);
+  if (day !== undefined && !isNaN(day)) words.push(month !== undefined ? ordinal_to_words(day) : `the ${ordinal_to_words(day)}`);
+  let out = words.join(' ');
+  if (year !== undefined && !isNaN(year)) out = out ? `${out}, ${year_to_words(year)}` : year_to_words(year);
+  return out || text;
+}
+
+/** Expand <say-as> content into speakable words. Unknown interpretations return the text unchanged. */
+export function expandSayAs(text: string, interpretAs: string, format?: string): string {
+  const t = text.trim();
+  switch (interpretAs.toLowerCase()) {
+    case 'characters':
+    case 'spell-out':
+      return spell_characters(t);
+    case 'cardinal':
+    case 'number': {
+      const raw = t.replace(/,/g, '');
+      if (!/^-?\d+(\.\d+)?$/.test(raw)) return t;
+      return raw.includes('.') ? float_to_words(raw) : number_to_words(parseInt(raw, 10));
+    }
+    case 'ordinal': {
+      const n = parseInt(t.replace(/[^\d]/g, ''), 10);
+      return isNaN(n) ? t : ordinal_to_words(n);
+    }
+    case 'digits':
+      return spell_characters(t.replace(/[^\d]/g, ''));
+    case 'date':
+      return expandDate(t, format);
+    default:
+      return t;
+  }
+}
+
+interface Frame {
+  name: string;
+  voice?: string;
+  rate?: number;
+}
+
+/**
+ * Parse an SSML document into a flat list of text, break and boundary segments.
+ * Voice and rate are resolved from the enclosing <voice>/<prosody> elements; nested rates multiply.
+ */
+export function parseSsml(ssml: string): SsmlSegment[] {
+  const segments: SsmlSegment[] = [];
+  const stack: Frame[] = [];
+  let capture: { name: string; attrs: Record<string, string>; text: string } | null = null;
+
+  const currentVoice = () => {
+    for (let i = stack.length - 1; i >= 0; i--) if (stack[i].voice) return stack[i].voice;
+    return undefined;
+  };
+  const currentRate = () => stack.reduce((r, f) => r * (f.rate ?? 1), 1);
+  const pushText = (text: string, display: string, verbatim: boolean, phonemes?: string) => {
+    if (!text.trim() && !phonemes) return;
+    segments.push({ type: 'text', text, display, voice: currentVoice(), rate: currentRate(), verbatim, phonemes });
+  };
+
+  const TOKEN_RE = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<(\/?)([a-zA-Z][\w:-]*)((?:\s+[\w:-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+|<)/g;
+  for (const m of ssml.matchAll(TOKEN_RE)) {
+    const [, closing, rawName, rawAttrs = '', selfClosing, text] = m;
+    if (text !== undefined) {
+      const decoded = decodeEntities(text);
+      if (capture) capture.text += decoded;
+      else pushText(decoded, decoded, false);
+      continue;
+    }
+    if (!rawName) continue; // comment or processing instruction
+    const name = rawName.toLowerCase();
+
+    if (capture) {
+      if (closing && name === capture.name) {
+        const { attrs, text: inner } = capture;
+        capture = null;
+        if (name === 'sub') pushText(attrs.alias ?? inner, inner, true);
+        else if (name === 'phoneme') pushText(inner, inner, true, attrs.ph);
+        else {
+          const expanded = expandSayAs(inner, attrs['interpret-as'] || '', attrs.format);
+          pushText(expanded, inner, expanded !== inner.trim());
+        }
+      }
+      continue;
+    }
+
+    if (closing) {
+      const idx = stack.map(f => f.name).lastIndexOf(name);
+      if (idx !== -1) stack.length = idx;
+      if (name === 'p') segments.push({ type: 'paragraph' });
+      else if (name === 's') segments.push({ type: 'boundary' });
+      continue;
+    }
+
+    const attrs = parseAttrs(rawAttrs);
+    if (name === 'break') {
+      const ms = attrs.time !== undefined
+        ? parseBreakTime(attrs.time)
+        : BREAK_STRENGTH_MS[(attrs.strength || 'medium').toLowerCase()] ?? BREAK_STRENGTH_MS.medium;
+      segments.push({ type: 'break', ms });
+      continue;
+    }
+    if (CAPTURING_TAGS.has(name)) {
+      if (selfClosing) {
+        if (name === 'sub' && attrs.alias) pushText(attrs.alias, '', true);
+        else if (name === 'phoneme' && attrs.ph) pushText('', '', true, attrs.ph);
+      } else {
+        capture = { name, attrs, text: '' };
+      }
+      continue;
+    }
+    if (selfClosing) continue;
+
+    const frame: Frame = { name };
+    if (name === 'voice' && attrs.name) frame.voice = attrs.name;
+    if (name === 'prosody' && attrs.rate) frame.rate = parseProsodyRate(attrs.rate);
+    if (name === 's' || name === 'p') segments.push({ type: 'boundary' });
+    stack.push(frame);
+  }
+
+  return segments;
+}
+
+function plainUnits(text: string, defaults: SpeechDefaults, chunkText: (text: string) => string[]): SpeechUnit[] {
+  const units: SpeechUnit[] = [];
+  for (const paragraph of text.split(/\n\s*\n/)) {
+    if (units.length) units[units.length - 1].paragraphEnd = true;
+    for (const chunk of chunkText(paragraph)) {
+      units.push({
+        text: chunk,
+        parts: [{ text: chunk, clean: defaults.clean }],
+        voice: defaults.voice,
+        speed: defaults.speed,
+        pauseBeforeMs: 0,
+        pauseAfterMs: 0,
+      });
+    }
+  }
+  return units;
+}
+
+/**
+ * Split text (plain or SSML) into synthesis units using the caller's sentence chunker.
+ * Consecutive SSML text with the same voice and rate is chunked together; breaks become
+ * silence attached to the neighbouring unit.
+ */
+export function planSpeech(text: string, defaults: SpeechDefaults, chunkText: (text: string) => string[]): SpeechUnit[] {
+  const ssml = defaults.ssml ?? isSsml(text);
+  if (!ssml) return plainUnits(text, defaults, chunkText);
+
+  const units: SpeechUnit[] = [];
+  let pendingPauseMs = 0;
+  let run: Extract<SsmlSegment, { type: 'text' }>[] = [];
+
+  const flush = () => {
+    if (!run.length) return;
+    const { voice = defaults.voice, rate } = run[0];
+    const inline: Extract<SsmlSegment, { type: 'text' }>[] = [];
+    let flat = '';
+    for (const seg of run) {
+      if (seg.verbatim || seg.phonemes !== undefined) {
+        flat += `${MARKER_OPEN}${inline.length}${MARKER_CLOSE}`;
+        inline.push(seg);
+      } else {
+        flat += seg.text;
+      }
+    }
+    run = [];
+
+    for (const chunk of chunkText(flat)) {
+      const parts: SpeechPart[] = [];
+      let last = 0;
+      for (const m of chunk.matchAll(MARKER_RE)) {
+        const before = chunk.slice(last, m.index);
+        if (before.trim()) parts.push({ text: before.trim(), clean: defaults.clean });
+        const seg = inline[parseInt(m[1], 10)];
+        parts.push(seg.phonemes !== undefined
+          ? { text: seg.display, clean: false, phonemes: seg.phonemes }
+          : { text: seg.text.trim(), clean: false });
+        last = m.index! + m[0].length;
+      }
+      const rest = chunk.slice(last);
+      if (rest.trim()) parts.push({ text: rest.trim(), clean: defaults.clean });
+
+      const display = chunk.replace(MARKER_RE, (_, i: string) => inline[parseInt(i, 10)].display.trim());
+      units.push({
+        text: display.replace(/\s+/g, ' ').trim(),
+        parts,
+        voice,
+        speed: defaults.speed * rate,
+        pauseBeforeMs: pendingPauseMs,
+        pauseAfterMs: 0,
+      });
+      pendingPauseMs = 0;
+    }
+  };
+
+  for (const seg of parseSsml(text)) {
+    if (seg.type === 'text') {
+      if (run.length && (run[0].voice !== seg.voice || run[0].rate !== seg.rate)) flush();
+      run.push(seg);
+      continue;
+    }
+    flush();
+    if (seg.type === 'break') {
+      if (units.length) units[units.length - 1].pauseAfterMs += seg.ms;
+      else pendingPauseMs += seg.ms;
+    } else if (seg.type === 'paragraph' && units.length) {
+      units[units.length - 1].paragraphEnd = true;
+    }
+  }
+  flush();
+
+  return units;
+}
+
+/** Surround a unit's waveform with the silence requested by SSML breaks and paragraph ends. */
+export function applyPauses(samples: Float32Array, unit: SpeechUnit, sampleRate: number): Float32Array {
+  const afterMs = unit.pauseAfterMs + (unit.paragraphEnd ? PARAGRAPH_BREAK_MS : 0);
+  if (!unit.pauseBeforeMs && !afterMs) return samples;
+  const before = Math.round((unit.pauseBeforeMs * sampleRate) / 1000);
+  const after = Math.round((afterMs * sampleRate) / 1000);
+  const out = new Float32Array(before + samples.length + after);
+  out.set(samples, before);
+  return out;
+}
+
+/**
+ * Phonemize each part of a unit (preprocessing only where `clean` is set) and join the IPA.
+ * Also returns the spoken text, i.e. what was actually phonemized, for timing labels.
+ */
+export async function phonemizeUnit(
+  unit: SpeechUnit,
+  phonemize: (text: string) => Promise<string>,
+  preprocess: (text: string) => string,
+): Promise<{ phonemes: string; text: string }> {
+  const phonemes: string[] = [];
+  const spoken: string[] = [];
+  for (const part of unit.parts) {
+    if (part.phonemes !== undefined) {
+      phonemes.push(part.phonemes);
+      spoken.push(part.text);
+      continue;
+    }
+    const text = part.clean ? preprocess(part.text) : part.text;
+    phonemes.push(await phonemize(text));
+    spoken.push(text);
+  }
+  return { phonemes: phonemes.join(' '), text: spoken.join(' ') };
+}
@@ -0,0 +1,250 @@
+/**
+ * Gapless Web Audio playback for `stream()` output.
+ *
+ * Each chunk becomes an `AudioBufferSourceNode` started exactly where the previous one ends on the
+ * `AudioContext` clock. Chunks that arrive after playback has caught up start after a short lead
+ * time instead, so an underrun is a brief pause rather than a click.
+ */
+
+import type { RawAudio } from './audio.ts';
+import type { AudioTimings } from './timings.ts';
+
+export interface StreamingPlayerOptions {
+  /** Context to play on. Default: a new `AudioContext` */
+  context?: AudioContext;
+  /** Node the chunks connect to. Default: `context.destination` */
+  destination?: AudioNode;
+  /** Lead time before the first chunk, and after an underrun, in ms. Default: 50 */
+  startDelayMs?: number;
+}
+
+/**
+ * A chunk to play: a `stream()` item, a bare `RawAudio`, or the payload of the worker's
+ * `generate-stream-chunk` message.
+ */
+export type PlayerChunk =
+  | RawAudio
+  | { audio: RawAudio; text?: string }
+  | { floatArr: Float32Array; sampleRate: number; text?: string; timings?: AudioTimings };
+
+/** `detail` of the `chunkstart` event. */
+export interface ChunkStartDetail {
+  /** Position of the chunk in the stream, from 0. */
+  index: number;
+  text?: string;
+  /** Stream position in seconds where the chunk starts. */
+  offset: number;
+  duration: number;
+  timings?: AudioTimings;
+}
+
+export type PlayerState = 'idle' | 'playing' | 'paused';
+
+interface ScheduledChunk {
+  /** Context time the chunk starts at. */
+  startAt: number;
+  /** Stream position of the chunk's first sample. */
+  offset: number;
+  duration: number;
+}
+
+/** Shortest timer re-arm while the context is suspended. */
+const MIN_TIMER_MS = 20;
+
+function chunkSamples(chunk: PlayerChunk): { samples: Float32Array; sampleRate: number; text?: string; timings?: AudioTimings } {
+  if ('floatArr' in chunk) return { samples: chunk.floatArr, sampleRate: chunk.sampleRate, text: chunk.text, timings: chunk.timings };
+  if ('audio' in chunk) return { samples: chunk.audio.data, sampleRate: chunk.audio.sampling_rate, text: chunk.text, timings: chunk.audio.timings };
+  return { samples: chunk.data, sampleRate: chunk.sampling_rate, timings: chunk.timings };
+}
+
+/**
+ * Plays chunks back to back as they are enqueued. Events: `chunkstart` (a `CustomEvent` with
+ * `ChunkStartDetail`) when a chunk becomes audible, and `ended` once `end()` has been called and
+ * everything queued has played.
+ *
+ * Pause and resume suspend the whole context; pass a dedicated context if other audio shares it.
+ */
+export class StreamingPlayer extends EventTarget {
+  readonly context: AudioContext;
+  private readonly _destination: AudioNode;
+  private readonly _startDelay: number;
+  private readonly _sources = new Set<AudioBufferSourceNode>();
+  private readonly _timers = new Set<ReturnType<typeof setTimeout>>();
+  private _chunks: ScheduledChunk[] = [];
+  private _nextStart = 0;
+  private _ending = false;
+  private _paused = false;
+  private _finished: (() => void) | null = null;
+  /** Bumped by every `play()` and `stop()`, so a superseded `play()` loop enqueues nothing more. */
+  private _generation = 0;
+  private _closeSource: (() => void) | null = null;
+
+  constructor(opts: StreamingPlayerOptions = {}) {
+    super();
+    const startDelayMs = opts.startDelayMs ?? 50;
+    if (!Number.isFinite(startDelayMs) || startDelayMs < 0) {
+      throw new Error(`startDelayMs must be a non-negative number, got ${startDelayMs}`);
+    }
+    this.context = opts.context ?? new AudioContext();
+    this._destination = opts.destination ?? this.context.destination;
+    this._startDelay = startDelayMs / 1000;
+  }
+
+  get state(): PlayerState {
+    if (this._chunks.length === 0) return 'idle';
+    return this._paused ? 'paused' : 'playing';
+  }
+
+  /** Seconds of the stream played so far; stays put while paused or waiting for the next chunk. */
+  get position(): number {
+    const now = this.context.currentTime;
+    for (let i = this._chunks.length - 1; i >= 0; i--) {
+      const chunk = this._chunks[i];
+      if (chunk.startAt <= now) return chunk.offset + Math.min(now - chunk.startAt, chunk.duration);
+    }
+    return 0;
+  }
+
+  /** Seconds of audio scheduled but not yet played. */
+  get bufferedAhead(): number {
+    if (this._chunks.length === 0) return 0;
+    const last = this._chunks[this._chunks.length - 1];
+    return Math.max(0, last.offset + last.duration - this.position);
+  }
+
+  /** Schedule a chunk right after everything queued so far. */
+  enqueue(chunk: PlayerChunk): void {
+    if (this._ending) throw new Error('StreamingPlayer.enqueue() after end(); call stop() to start a new stream');
+    const { samples, sampleRate, text, timings } = chunkSamples(chunk);
+    if (!samples.length) return;
+    if (this.context.state === 'suspended' && !this._paused) {
+      // Autoplay policies can start the context suspended; ignore a refusal until the next gesture.
+      this.context.resume().catch(() => {});
+    }
+
+    const buffer = this.context.createBuffer(1, samples.length, sampleRate);
+    buffer.copyToChannel(new Float32Array(samples), 0);
+    const source = this.context.createBufferSource();
+    source.buffer = buffer;
+    source.connect(this._destination);
+    source.onended = () => this._sources.delete(source);
+
+    const last = this._chunks[this._chunks.length - 1];
+    const offset = last ? last.offset + last.duration : 0;
+    const startAt = Math.max(this.context.currentTime + this._startDelay, this._nextStart);
+    source.start(startAt);
+    this._sources.add(source);
+    this._nextStart = startAt + buffer.duration;
+
+    const index = this._chunks.length;
+    this._chunks.push({ startAt, offset, duration: buffer.duration });
+    const detail: ChunkStartDetail = { index, text, offset, duration: buffer.duration, timings };
+    this._at(startAt, () => this.dispatchEvent(new CustomEvent('chunkstart', { detail })));
+  }
+
+  /** No more chunks are coming; `ended` fires when the queued audio finishes. */
+  end(): void {
+    if (this._ending) return;
+    this._ending = true;
+    this._at(this._nextStart, () => {
+      this._reset();
+      this.dispatchEvent(new Event('ended'));
+    });
+  }
+
+  /**
+   * Enqueue every chunk of `source` as it arrives, then wait for playback to finish. Resolves early
+   * if `stop()` is called, or another `play()`, which stops this one's audio first; the source
+   * iterator is closed at that point.
+   */
+  async play(source: AsyncIterable<PlayerChunk> | Iterable<PlayerChunk>): Promise<void> {
+    // An earlier play() may still be draining after its end(); stop it so its promise resolves
+    // and the new stream is not refused as enqueue-after-end.
+    if (this._closeSource) this.stop();
+    const generation = ++this._generation;
+    const iterator: AsyncIterator<PlayerChunk> | Iterator<PlayerChunk> = Symbol.asyncIterator in source
+      ? (source as AsyncIterable<PlayerChunk>)[Symbol.asyncIterator]()
+      : (source as Iterable<PlayerChunk>)[Symbol.iterator]();
+    let closed!: () => void;
+    const stopped = new Promise<null>((resolve) => {
+      closed = () => resolve(null);
+    });
+    let done = false;
+    const close = () => {
+      closed();
+      if (!done) {
+        done = true;
+        // Don't wait: the generator may be blocked on its next chunk.
+        Promise.resolve(iterator.return?.()).catch(() => {});
+      }
+    };
+    this._closeSource = close;
+    const finished = new Promise<void>((resolve) => {
+      this._finished = resolve;
+    });
+    try {
+      for (;;) {
+        const step = await Promise.race([iterator.next(), stopped]);
+        if (!step || generation !== this._generation) return;
+        if (step.done) {
+          done = true;
+          break;
+        }
+        this.enqueue(step.value);
+      }
+      this.end();
+      await finished;
+    } finally {
+      if (!done) close();
+      if (this._closeSource === close) this._closeSource = null;
+    }
+  }
+
+  async pause(): Promise<void> {
+    this._paused = true;
+    await this.context.suspend();
+  }
+
+  async resume(): Promise<void> {
+    this._paused = false;
+    await this.context.resume();
+  }
+
+  /** Stop playback immediately and drop queued audio. The player can be reused afterwards. */
+  stop(): void {
+    this._generation++;
+    this._closeSource?.();
+    for (const source of this._sources) {
+      source.onended = null;
+      try { source.stop(); } catch { /* never started */ }
+      source.disconnect();
+    }
+    this._sources.clear();
+    this._reset();
+  }
+
+  private _reset(): void {
+    for (const timer of this._timers) clearTimeout(timer);
+    this._timers.clear();
+    this._chunks = [];
+    this._nextStart = 0;
+    this._ending = false;
+    const finished = this._finished;
+    this._finished = null;
+    finished?.();
+  }
+
+  /** Run `fn` once the context clock reaches `time`; re-checks while the context is suspended. */
+  private _at(time: number, fn: () => void): void {
+    const wait = time - this.context.currentTime;
+    if (wait <= 0) {
+      fn();
+      return;
+    }
+    const timer = setTimeout(() => {
+      this._timers.delete(timer);
+      this._at(time, fn);
+    }, Math.max(MIN_TIMER_MS, wait * 1000));
+    this._timers.add(timer);
+  }
+}
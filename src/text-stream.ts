@@ -0,0 +1,117 @@
+/**
+ * Incremental text segmentation for token-by-token input (e.g. LLM output).
+ *
+ * Tokens are accumulated until a sentence end, a line break or — once enough text is pending —
+ * a clause boundary is seen, and each completed piece is emitted immediately. A sentence end is
+ * only confirmed when the following whitespace arrives, so "3." followed by "14" is not cut early;
+ * a period after a possible abbreviation waits for the next word, as "Dr." before a name does not
+ * end the sentence but "etc." before a capital does.
+ */
+
+import { DEFAULT_ABBREVIATIONS, isAbbreviationPeriod, periodWord, type Abbreviation } from './abbreviations.ts';
+
+export interface TextSegmenterOptions {
+  /** Emit at clause punctuation (`,` `;` `:` dashes) once this much text is pending. Default: 80 */
+  clauseMinChars?: number;
+  /** Force a split at the last word boundary beyond this length. Default: the model's chunk size */
+  maxChars?: number;
+  /**
+   * Abbreviations whose period need not end a sentence, keyed as in the preprocessor's
+   * `config.abbreviations`. Default: the built-in table; `streamFromText()` passes its preprocessor's.
+   */
+  abbreviations?: ReadonlyMap<string, Abbreviation>;
+}
+
+const DEFAULT_CLAUSE_MIN_CHARS = 80;
+const DEFAULT_MAX_CHARS = 250;
+
+const SENTENCE_END_RE = /[.!?…]+["'”’)\]]*\s+/g;
+const CLAUSE_END_RE = /[,;:—–]\s+/g;
+const DEFAULT_ABBREVIATION_TABLE: ReadonlyMap<string, Abbreviation> = new Map(Object.entries(DEFAULT_ABBREVIATIONS));
+
+export class TextSegmenter {
+  private _buffer = '';
+  private readonly _clauseMinChars: number;
+  private readonly _maxChars: number;
+  private readonly _abbreviations: ReadonlyMap<string, Abbreviation>;
+
+  constructor(opts: TextSegmenterOptions = {}) {
+    this._clauseMinChars = opts.clauseMinChars ?? DEFAULT_CLAUSE_MIN_CHARS;
+    this._maxChars = opts.maxChars ?? DEFAULT_MAX_CHARS;
+    this._abbreviations = opts.abbreviations ?? DEFAULT_ABBREVIATION_TABLE;
+  }
+
+  /** Add a token; returns the segments it completed (possibly none). */
+  push(token: string): string[] {
+    return this._drain(token, false);
+  }
+
+  /** End of input: returns whatever is still pending. */
+  flush(): string[] {
+    const out = this._drain(' ', true);
+    const rest = this._buffer.trim();
+    this._buffer = '';
+    if (rest) out.push(rest);
+    return out;
+  }
+
+  private _drain(token: string, final: boolean): string[] {
+    this._buffer += token;
+    const out: string[] = [];
+    for (let end = this._boundary(final); end > 0; end = this._boundary(final)) {
+      const segment = this._buffer.slice(0, end).trim();
+      this._buffer = this._buffer.slice(end);
+      if (segment) out.push(segment);
+    }
+    return out;
+  }
+
+  /**
+   * End offset of the first complete segment in the buffer, or -1. Until `final`, a period that
+   * may belong to an abbreviation holds everything back until the next word starts.
+   */
+  private _boundary(final: boolean): number {
+    const buf = this._buffer;
+    let end = -1;
+    let waiting = false;
+    for (const m of buf.matchAll(SENTENCE_END_RE)) {
+      const before = buf.slice(0, m.index! + 1);
+      if (/^\.[^\S\n]+$/.test(m[0]) && periodWord(this._abbreviations, before)) {
+        const after = buf.slice(m.index! + 1);
+        if (!final && !/\S/.test(after)) {
+          waiting = true;
+          break;
+        }
+        if (isAbbreviationPeriod(this._abbreviations, before, after)) continue;
+      }
+      end = m.index! + m[0].length;
+      break;
+    }
+    const newline = buf.indexOf('\n');
+    if (newline !== -1 && (end === -1 || newline < end)) end = newline + 1;
+    if (end !== -1) return end;
+    if (waiting) return -1;
+
+    if (buf.length >= this._clauseMinChars) {
+      for (const m of buf.matchAll(CLAUSE_END_RE)) {
+        const clauseEnd = m.index! + m[0].length;
+        if (clauseEnd >= this._clauseMinChars) return clauseEnd;
+      }
+    }
+    if (buf.length > this._maxChars) {
+      const space = buf.lastIndexOf(' ', this._maxChars);
+      return space > 0 ? space + 1 : this._maxChars;
+    }
+    return -1;
+  }
+}
+
+/** Segment an async (or sync) token stream, yielding each sentence or clause as soon as it completes. */
+export async function* segmentTextStream(
+  tokens: AsyncIterable<string> | Iterable<string>,
+  opts: TextSegmenterOptions = {},
+): AsyncGenerator<string> {
+  const segmenter = new TextSegmenter(opts);
+  for await (const token of tokens) yield* segmenter.push(token);
+  yield* segmenter.flush();
+}
@@ -0,0 +1,238 @@
+/**
+ * Word- and phoneme-level timing metadata.
+ *
+ * When the ONNX graph exposes a per-token duration output, token frames are mapped onto the
+ * waveform directly. Otherwise an alignment pass estimates timings: the voiced region of the
+ * waveform is found by energy and split across tokens using per-symbol duration weights.
+ */
+
+import { textToIds } from './text-cleaner.ts';
+
+export interface PhonemeTiming {
+  phoneme: string;
+  /** Seconds from the start of the audio. */
+  start: number;
+  end: number;
+}
+
+export interface WordTiming {
+  word: string;
+  /** IPA for the word as fed to the model. */
+  phonemes: string;
+  start: number;
+  end: number;
+}
+
+export interface AudioTimings {
+  words: WordTiming[];
+  phonemes: PhonemeTiming[];
+  /** `duration` when read from the model's duration output, `estimate` for the alignment pass. */
+  source: 'duration' | 'estimate';
+}
+
+export interface AlignInput {
+  /** Phoneme string the token ids were built from. */
+  phonemes: string;
+  /** Spoken (post-preprocessing) text used to label words. */
+  text: string;
+  /** Per-token durations in frames, aligned with the padded input ids, if the model exposes them. */
+  durations: ArrayLike<number> | null;
+  /** Waveform length before the end trim; frames are scaled against this. */
+  rawLength: number;
+  audio: Float32Array;
+  sampleRate: number;
+}
+
+const STRESS_MARKS = new Set(['ˈ', 'ˌ']);
+const WORD_BREAKS = /[\s;:,.!?¡¿—…"«»“”]/;
+const PAUSE_WEIGHTS: Record<string, number> = { ',': 3, ';': 3, ':': 3, '—': 3, '.': 4, '!': 4, '?': 4, '…': 4 };
+const VOWELS = new Set([...'aeiouyɑɐɒæɔəɘɚɛɜɝɞɨɪʉʊʌɤøɵœɶʏ']);
+
+function isModifier(ch: string): boolean {
+  return /[\p{Lm}\p{M}]/u.test(ch) && !STRESS_MARKS.has(ch);
+}
+
+function tokenWeight(ch: string): number {
+  if (PAUSE_WEIGHTS[ch] !== undefined) return PAUSE_WEIGHTS[ch];
+  if (ch === ' ') return 0.5;
+  if (STRESS_MARKS.has(ch)) return 0;
+  if (ch === 'ː') return 1;
+  if (isModifier(ch)) return 0.25;
+  return VOWELS.has(ch) ? 2 : 1;
+}
+
+/** Characters of `phonemes` that survive tokenization, in token order. */
+function tokenChars(phonemes: string): string[] {
+  return [...phonemes].filter(ch => textToIds(ch).length === 1);
+}
+
+function voicedRegion(audio: Float32Array): [number, number] {
+  const threshold = 0.01;
+  let first = 0;
+  while (first < audio.length && Math.abs(audio[first]) < threshold) first++;
+  let last = audio.length - 1;
+  while (last > first && Math.abs(audio[last]) < threshold) last--;
+  return first >= audio.length ? [0, audio.length] : [first, last + 1];
+}
+
+/** Start/end sample of every token character. */
+function charSpans(input: AlignInput, chars: string[]): Array<[number, number]> {
+  const { durations, rawLength, audio } = input;
+  // Token 0 is the leading pad; chars map onto tokens 1..n.
+  if (durations && durations.length >= chars.length + 1) {
+    let totalFrames = 0;
+    for (let i = 0; i < durations.length; i++) totalFrames += Number(durations[i]);
+    if (totalFrames > 0) {
+      const samplesPerFrame = rawLength / totalFrames;
+      let cursor = Number(durations[0]);
+      return chars.map((_, i) => {
+        const start = cursor * samplesPerFrame;
+        cursor += Number(durations[i + 1]);
+        return [start, cursor * samplesPerFrame];
+      });
+    }
+  }
+
+  const [from, to] = voicedRegion(audio);
+  const weights = chars.map(tokenWeight);
+  const total = weights.reduce((a, b) => a + b, 0) || 1;
+  const perWeight = (to - from) / total;
+  let cursor = from;
+  return weights.map(w => {
+    const start = cursor;
+    cursor += w * perWeight;
+    return [start, cursor];
+  });
+}
+
+/** Compute timings for a single inference chunk; times are relative to the chunk start. */
+export function alignTimings(input: AlignInput): AudioTimings {
+  const chars = tokenChars(input.phonemes);
+  const spans = charSpans(input, chars);
+  const source = input.durations && input.durations.length >= chars.length + 1 ? 'duration' : 'estimate';
+  const maxSample = input.audio.length;
+  const sec = (s: number) => Math.min(s, maxSample) / input.sampleRate;
+
+  const phonemes: PhonemeTiming[] = [];
+  const ipaWords: WordTiming[] = [];
+  let word: WordTiming | null = null;
+  let pendingStress = '';
+
+  chars.forEach((ch, i) => {
+    const [s, e] = spans[i];
+    if (WORD_BREAKS.test(ch)) {
+      word = null;
+      pendingStress = '';
+      return;
+    }
+    if (!word) {
+      word = { word: '', phonemes: '', start: sec(s), end: sec(e) };
+      ipaWords.push(word);
+    }
+    word.phonemes += ch;
+    word.end = sec(e);
+
+    if (STRESS_MARKS.has(ch)) {
+      pendingStress += ch;
+      return;
+    }
+    const prev = phonemes[phonemes.length - 1];
+    if (isModifier(ch) && prev && !pendingStress && word.phonemes.length > 1) {
+      prev.phoneme += ch;
+      prev.end = sec(e);
+      return;
+    }
+    phonemes.push({ phoneme: pendingStress + ch, start: sec(s), end: sec(e) });
+    pendingStress = '';
+  });
+
+  return { words: labelWords(ipaWords, input.text), phonemes, source };
+}
+
+/**
+ * Attach spoken words to IPA word spans. eSpeak usually keeps a 1:1 word mapping; when it
+ * merges or splits words, spoken words are spread over the span in proportion to their length.
+ */
+function labelWords(ipaWords: WordTiming[], text: string): WordTiming[] {
+  const spoken = text.split(/\s+/).map(w => w.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '')).filter(Boolean);
+  if (!ipaWords.length) return [];
+  if (spoken.length === ipaWords.length) {
+    return ipaWords.map((w, i) => ({ ...w, word: spoken[i] }));
+  }
+  if (!spoken.length) return ipaWords.map(w => ({ ...w, word: w.phonemes }));
+
+  const start = ipaWords[0].start;
+  const end = ipaWords[ipaWords.length - 1].end;
+  const totalChars = spoken.reduce((n, w) => n + w.length, 0);
+  let cursor = start;
+  return spoken.map((w) => {
+    const s = cursor;
+    cursor += ((end - start) * w.length) / totalChars;
+    const covered = ipaWords.filter(iw => iw.end > s && iw.start < cursor).map(iw => iw.phonemes);
+    return { word: w, phonemes: covered.join(' '), start: s, end: cursor };
+  });
+}
+
+/** Shift every timestamp by `seconds`. */
+export function offsetTimings(timings: AudioTimings, seconds: number): AudioTimings {
+  if (!seconds) return timings;
+  return {
+    source: timings.source,
+    words: timings.words.map(w => ({ ...w, start: w.start + seconds, end: w.end + seconds })),
+    phonemes: timings.phonemes.map(p => ({ ...p, start: p.start + seconds, end: p.end + seconds })),
+  };
+}
+
+/** Concatenate per-chunk timings, each shifted by its chunk's start offset in seconds. */
+export function concatTimings(parts: Array<{ timings: AudioTimings; offset: number }>): AudioTimings {
+  const out: AudioTimings = { words: [], phonemes: [], source: 'duration' };
+  for (const { timings, offset } of parts) {
+    const shifted = offsetTimings(timings, offset);
+    out.words.push(...shifted.words);
+    out.phonemes.push(...shifted.phonemes);
+    if (timings.source === 'estimate') out.source = 'estimate';
+  }
+  return out;
+}
+
+/** Entries that lie within [start, end] seconds, re-based so `start` becomes 0. */
+export function sliceTimings(timings: AudioTimings, start: number, end: number): AudioTimings {
+  const inside = <T extends { start: number; end: number }>(t: T) => t.start >= start && t.end <= end;
+  return offsetTimings({
+    source: timings.source,
+    words: timings.words.filter(inside),
+    phonemes: timings.phonemes.filter(inside),
+  }, -start);
+}
+
+/** Pick the per-token duration output from an ORT result map, if the graph has one. */
+export function findDurationOutput(
+  results: Record<string, { data: unknown }>,
+  audioKey: string,
+  seqLen: number,
+): number[] | null {
+  const keys = Object.keys(results).filter(k => k !== audioKey);
+  const key = keys.find(k => /dur/i.test(k)) ?? keys.find(k => (results[k].data as ArrayLike<unknown>)?.length === seqLen);
+  if (!key) return null;
+  const data = results[key].data as ArrayLike<number | bigint>;
+  if (!data || data.length !== seqLen) return null;
+  return Array.from(data, Number);
+}
+
+/** Timings for one synthesized unit, relative to the start of its (pause-padded) audio. */
+export function unitTimings(
+  prepared: { phonemes: string; text: string },
+  output: { audio: Float32Array; durations: number[] | null; rawLength: number },
+  pauseBeforeMs: number,
+  sampleRate: number,
+): AudioTimings {
+  const timings = alignTimings({
+    phonemes: prepared.phonemes,
+    text: prepared.text,
+    durations: output.durations,
+    rawLength: output.rawLength,
+    audio: output.audio,
+    sampleRate,
+  });
+  return offsetTimings(timings, pauseBeforeMs / 1000);
+}
@@ -0,0 +1,151 @@
+/**
+ * Voice embeddings: weighted blending and (de)serialization as .npy, .npz or JSON.
+ *
+ * A voice is a [numStyles, styleDim] matrix of style vectors; synthesis picks one row by input
+ * length. Blending interpolates row by row, so a blend keeps the length-dependent styles of its
+ * sources.
+ */
+
+import JSZip from 'jszip';
+import { loadNpz, parseNpy, type NpyArray } from './npz-loader.ts';
+
+export type VoiceEmbedding = NpyArray;
+
+/** JSON form written by `exportVoice(name, 'json')`. */
+export interface VoiceJson {
+  name?: string;
+  shape: number[];
+  data: number[];
+}
+
+/**
+ * Anything `addVoice` accepts: an embedding, a bare style vector (one style for every length),
+ * `.npy`/`.npz` bytes, a JSON string or a parsed `VoiceJson` object.
+ */
+export type VoiceSource = VoiceEmbedding | Float32Array | number[] | ArrayBuffer | Uint8Array | string | VoiceJson;
+
+export type VoiceFormat = 'npy' | 'npz' | 'json';
+
+export interface VoiceWeight {
+  voice: string;
+  weight: number;
+}
+
+const NPY_MAGIC = [0x93, 0x4e, 0x55, 0x4d, 0x50, 0x59];
+const ZIP_MAGIC = [0x50, 0x4b, 0x03, 0x04];
+
+function startsWith(bytes: Uint8Array, magic: number[]): boolean {
+  return magic.every((b, i) => bytes[i] === b);
+}
+
+function fromJson(json: VoiceJson): VoiceEmbedding {
+  if (!json || !Array.isArray(json.data) || !Array.isArray(json.shape)) {
+    throw new Error('Voice JSON must have numeric "shape" and "data" arrays');
+  }
+  return checkEmbedding({ data: Float32Array.from(json.data), shape: json.shape, dtype: 'f4' });
+}
+
+/** Validate shape against data length and promote 1-D style vectors to a single-row matrix. */
+export function checkEmbedding(embedding: VoiceEmbedding): VoiceEmbedding {
+  const { data } = embedding;
+  const shape = embedding.shape.length === 1 ? [1, embedding.shape[0]] : embedding.shape;
+  if (shape.length !== 2 || shape.some((n) => !Number.isInteger(n) || n <= 0)) {
+    throw new Error(`Voice embedding must be 1-D or 2-D, got shape [${embedding.shape.join(', ')}]`);
+  }
+  if (shape[0] * shape[1] !== data.length) {
+    throw new Error(`Voice embedding shape [${shape.join(', ')}] does not match ${data.length} values`);
+  }
+  return { data, shape, dtype: 'f4' };
+}
+
+/**
+ * Decode a voice from any supported source. `.npz` archives must hold exactly one array, or one
+ * named `name`.
+ */
+export async function decodeVoice(source: VoiceSource, name?: string): Promise<VoiceEmbedding> {
+  if (Array.isArray(source) || source instanceof Float32Array) {
+    const data = Float32Array.from(source);
+    return checkEmbedding({ data, shape: [data.length], dtype: 'f4' });
+  }
+  if (typeof source === 'string') return fromJson(JSON.parse(source) as VoiceJson);
+  if (source instanceof ArrayBuffer || source instanceof Uint8Array) {
+    const bytes = source instanceof Uint8Array ? source : new Uint8Array(source);
+    // Copy to an exact-size buffer: parseNpy views the data section as Float32Array.
+    const buf = bytes.slice().buffer;
+    if (startsWith(bytes, NPY_MAGIC)) return checkEmbedding(parseNpy(buf));
+    if (startsWith(bytes, ZIP_MAGIC)) {
+      const arrays = await loadNpz(buf);
+      const keys = Object.keys(arrays);
+      const key = name !== undefined && arrays[name] ? name : keys.length === 1 ? keys[0] : undefined;
+      if (key === undefined) {
+        throw new Error(`Voice archive has ${keys.length} arrays (${keys.join(', ')}); expected one or one named '${name}'`);
+      }
+      return checkEmbedding(arrays[key]);
+    }
+    return fromJson(JSON.parse(new TextDecoder().decode(bytes)) as VoiceJson);
+  }
+  if ('dtype' in source && source.data instanceof Float32Array) {
+    return checkEmbedding({ ...source, data: Float32Array.from(source.data) });
+  }
+  return fromJson(source as VoiceJson);
+}
+
+/**
+ * Weighted interpolation of voice embeddings. Weights are normalized to sum to 1, so
+ * `[0.7, 0.3]` and `[7, 3]` give the same voice.
+ */
+export function blendEmbeddings(parts: Array<{ embedding: VoiceEmbedding; weight: number }>): VoiceEmbedding {
+  if (parts.length === 0) throw new Error('blendVoices needs at least one voice');
+  const total = parts.reduce((sum, p) => {
+    if (!Number.isFinite(p.weight) || p.weight < 0) {
+      throw new Error(`Voice weights must be non-negative numbers, got ${p.weight}`);
+    }
+    return sum + p.weight;
+  }, 0);
+  if (total <= 0) throw new Error('Voice weights must not all be zero');
+
+  const [rows, cols] = parts[0].embedding.shape;
+  for (const { embedding: { shape } } of parts) {
+    if (shape[0] !== rows || shape[1] !== cols) {
+      throw new Error(`Cannot blend voices of shape [${rows}, ${cols}] and [${shape.join(', ')}]`);
+    }
+  }
+
+  const data = new Float32Array(rows * cols);
+  for (const { embedding, weight } of parts) {
+    const w = weight / total;
+    if (w === 0) continue;
+    for (let i = 0; i < data.length; i++) data[i] += w * embedding.data[i];
+  }
+  return { data, shape: [rows, cols], dtype: 'f4' };
+}
+
+/** Serialize an embedding as a version 1.0 little-endian float32 `.npy` file. */
+export function encodeNpy(embedding: VoiceEmbedding): Uint8Array {
+  const { data, shape } = embedding;
+  const dict = `{'descr': '<f4', 'fortran_order': False, 'shape': (${shape.join(', ')}${shape.length === 1 ? ',' : ''}), }`;
+  // Magic (6) + version (2) + length (2) + header must be a multiple of 64, header ending in '\n'.
+  const headerLen = Math.ceil((10 + dict.length + 1) / 64) * 64 - 10;
+  const header = dict.padEnd(headerLen - 1, ' ') + '\n';
+
+  const out = new Uint8Array(10 + headerLen + data.length * 4);
+  const view = new DataView(out.buffer);
+  out.set(NPY_MAGIC, 0);
+  out[6] = 1;
+  out[7] = 0;
+  view.setUint16(8, headerLen, true);
+  new TextEncoder().encodeInto(header, out.subarray(10));
+  for (let i = 0; i < data.length; i++) view.setFloat32(10 + headerLen + i * 4, data[i], true);
+  return out;
+}
+
+export async function encodeNpz(arrays: Record<string, VoiceEmbedding>): Promise<Uint8Array> {
+  const zip = new JSZip();
+  for (const [key, embedding] of Object.entries(arrays)) zip.file(`${key}.npy`, encodeNpy(embedding));
+  return zip.generateAsync({ type: 'uint8array' });
+}
+
+export function encodeVoiceJson(name: string, embedding: VoiceEmbedding): string {
+  const json: VoiceJson = { name, shape: embedding.shape, data: Array.from(embedding.data) };
+  return JSON.stringify(json);
+}
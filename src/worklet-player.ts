@@ -0,0 +1,336 @@
+/**
+ * Real-time playback through an AudioWorklet. Audio reaches the worklet either through an
+ * `AudioRingBuffer` in shared memory (cross-origin isolated pages) or as messages on a
+ * `MessagePort`; either way the producer can live in a Web Worker and skip the main thread.
+ *
+ * A single output node replaces the per-chunk `AudioBufferSourceNode`s of `StreamingPlayer`, which
+ * keeps the audio thread's work constant no matter how small the chunks are.
+ */
+
+import { AudioRingBuffer, RING_CONSUMED, RING_ENDED, RING_HEADER_INTS, RING_READ, RING_WRITE } from './ring-buffer.ts';
+
+const PROCESSOR_NAME = 'kitten-tts-playback';
+/** Frames between position reports from the worklet (message transport). */
+const REPORT_FRAMES = 4096;
+
+/**
+ * The worklet module, loaded from a Blob URL so no extra file has to be served. It runs in the
+ * AudioWorkletGlobalScope and cannot import; the ring read mirrors `AudioRingBuffer.pull`.
+ */
+export const PROCESSOR_SOURCE = `
+const HEADER = ${RING_HEADER_INTS}, READ = ${RING_READ}, WRITE = ${RING_WRITE}, CONSUMED = ${RING_CONSUMED}, ENDED = ${RING_ENDED};
+const REPORT_FRAMES = ${REPORT_FRAMES};
+
+class KittenPlaybackProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    const ring = options.processorOptions && options.processorOptions.ring;
+    if (ring) {
+      this.header = new Int32Array(ring, 0, HEADER);
+      this.data = new Float32Array(ring, HEADER * 4);
+    }
+    this.queue = [];
+    this.offset = 0;
+    this.queued = 0;
+    this.ended = false;
+    this.active = false;
+    this.consumed = 0;
+    this.sinceReport = 0;
+    this.port.onmessage = (e) => this.onMessage(e.data);
+  }
+
+  onMessage(msg) {
+    switch (msg.type) {
+      case 'port': msg.port.onmessage = (e) => this.onMessage(e.data); break;
+      case 'chunk': this.queue.push(msg.samples); this.queued += msg.samples.length; break;
+      case 'end': this.ended = true; break;
+      case 'clear':
+        this.queue = [];
+        this.offset = 0;
+        this.queued = 0;
+        this.ended = false;
+        this.active = false;
+        if (this.header) {
+          Atomics.store(this.header, READ, Atomics.load(this.header, WRITE));
+          Atomics.store(this.header, ENDED, 0);
+        }
+        break;
+    }
+  }
+
+  buffered() {
+    if (!this.header) return this.queued;
+    const cap = this.data.length;
+    return (Atomics.load(this.header, WRITE) - Atomics.load(this.header, READ) + cap) % cap;
+  }
+
+  readRing(out) {
+    const cap = this.data.length;
+    const read = Atomics.load(this.header, READ);
+    const count = Math.min(out.length, this.buffered());
+    const first = Math.min(count, cap - read);
+    out.set(this.data.subarray(read, read + first));
+    out.set(this.data.subarray(0, count - first), first);
+    Atomics.store(this.header, READ, (read + count) % cap);
+    Atomics.add(this.header, CONSUMED, count);
+    return count;
+  }
+
+  readQueue(out) {
+    let filled = 0;
+    while (filled < out.length && this.queue.length) {
+      const chunk = this.queue[0];
+      const n = Math.min(out.length - filled, chunk.length - this.offset);
+      out.set(chunk.subarray(this.offset, this.offset + n), filled);
+      filled += n;
+      this.offset += n;
+      if (this.offset === chunk.length) {
+        this.queue.shift();
+        this.offset = 0;
+      }
+    }
+    this.queued -= filled;
+    return filled;
+  }
+
+  process(_inputs, outputs) {
+    const channels = outputs[0];
+    const out = channels[0];
+    const filled = this.header ? this.readRing(out) : this.readQueue(out);
+    out.fill(0, filled);
+    for (let c = 1; c < channels.length; c++) channels[c].set(out);
+    this.consumed += filled;
+    if (filled > 0) this.active = true;
+
+    const ended = this.header ? Atomics.load(this.header, ENDED) === 1 : this.ended;
+    if (ended && this.buffered() === 0) {
+      if (this.header) Atomics.store(this.header, ENDED, 0);
+      this.ended = false;
+      this.active = false;
+      this.port.postMessage({ type: 'ended', consumed: this.consumed });
+    } else if (this.active && filled < out.length) {
+      this.active = false;
+      this.port.postMessage({ type: 'underrun', consumed: this.consumed });
+    }
+
+    this.sinceReport += out.length;
+    if (this.sinceReport >= REPORT_FRAMES) {
+      this.sinceReport = 0;
+      this.port.postMessage({ type: 'state', consumed: this.consumed, buffered: this.buffered() });
+    }
+    return true;
+  }
+}
+
+registerProcessor('${PROCESSOR_NAME}', KittenPlaybackProcessor);
+`;
+
+/** How a producer reaches the worklet; post it to a worker along with `transfer`. */
+export type PlaybackHandle =
+  | { transport: 'shared'; ring: SharedArrayBuffer; sampleRate: number }
+  | { transport: 'message'; port: MessagePort };
+
+/** Producer side of a playback handle. */
+export interface PlaybackSink {
+  /**
+   * Queue samples for playback. With the shared transport this waits while the ring is full, so a
+   * producer never runs more than the buffer size ahead of playback.
+   */
+  write(samples: Float32Array, signal?: AbortSignal): Promise<void>;
+  /** The current stream is complete; the player fires `ended` once it has played out. */
+  end(): void;
+}
+
+function throwIfAborted(signal?: AbortSignal): void {
+  if (signal?.aborted) throw signal.reason ?? new DOMException('Playback write aborted', 'AbortError');
+}
+
+/** Open the producer side of a handle from `WorkletPlayer.createSinkHandle()`, e.g. in a Web Worker. */
+export function openPlaybackSink(handle: PlaybackHandle): PlaybackSink {
+  if (handle.transport === 'message') {
+    const { port } = handle;
+    return {
+      async write(samples, signal) {
+        throwIfAborted(signal);
+        const copy = samples.slice();
+        port.postMessage({ type: 'chunk', samples: copy }, [copy.buffer]);
+      },
+      end() {
+        port.postMessage({ type: 'end' });
+      },
+    };
+  }
+
+  const ring = new AudioRingBuffer(handle.ring);
+  return {
+    async write(samples, signal) {
+      let rest = samples;
+      for (;;) {
+        throwIfAborted(signal);
+        rest = rest.subarray(ring.push(rest));
+        if (rest.length === 0) return;
+        // Sleep for about half the time the missing room takes to play out.
+        const ms = ((Math.min(rest.length, ring.capacity - 1) - ring.availableWrite) / handle.sampleRate) * 500;
+        await new Promise(resolve => setTimeout(resolve, Math.min(100, Math.max(5, ms))));
+      }
+    },
+    end() {
+      ring.ended = true;
+    },
+  };
+}
+
+export interface WorkletPlayerOptions {
+  /** Context to play on; its sample rate must equal `sampleRate`. Default: a new `AudioContext` */
+  context?: AudioContext;
+  /** Node the worklet connects to. Default: `context.destination` */
+  destination?: AudioNode;
+  /** Rate of the audio being written. Default: 24000 (KittenTTS output) */
+  sampleRate?: number;
+  /** Ring size for the shared transport, in seconds. Default: 30 */
+  bufferSeconds?: number;
+  /** Default: 'shared' when `SharedArrayBuffer` is usable (`crossOriginIsolated`), else 'message' */
+  transport?: 'shared' | 'message';
+}
+
+function sharedMemoryAvailable(): boolean {
+  return typeof SharedArrayBuffer !== 'undefined' && (globalThis as { crossOriginIsolated?: boolean }).crossOriginIsolated === true;
+}
+
+let processorUrl: string | null = null;
+
+/**
+ * Plays audio written to it — from this thread via `write()`, or from a worker through a
+ * `createSinkHandle()` handle. Events: `ended` after `end()` once everything has played, and
+ * `underrun` when the buffer runs dry before that.
+ */
+export class WorkletPlayer extends EventTarget {
+  readonly context: AudioContext;
+  readonly node: AudioWorkletNode;
+  readonly transport: 'shared' | 'message';
+  readonly sampleRate: number;
+  private readonly _ring: AudioRingBuffer | null;
+  private readonly _ownsContext: boolean;
+  private _sink: PlaybackSink | null = null;
+  private _consumed = 0;
+  private _buffered = 0;
+  private _base = 0;
+
+  static async create(opts: WorkletPlayerOptions = {}): Promise<WorkletPlayer> {
+    const sampleRate = opts.sampleRate ?? 24000;
+    const transport = opts.transport ?? (sharedMemoryAvailable() ? 'shared' : 'message');
+    if (transport === 'shared' && typeof SharedArrayBuffer === 'undefined') {
+      throw new Error('The shared transport needs SharedArrayBuffer; serve the page cross-origin isolated or use transport: "message"');
+    }
+    const bufferSeconds = opts.bufferSeconds ?? 30;
+    if (!(bufferSeconds > 0)) throw new Error(`bufferSeconds must be positive, got ${bufferSeconds}`);
+
+    const context = opts.context ?? new AudioContext({ sampleRate });
+    if (context.sampleRate !== sampleRate) {
+      throw new Error(`AudioContext runs at ${context.sampleRate} Hz but the audio is ${sampleRate} Hz; create it with { sampleRate: ${sampleRate} }`);
+    }
+    processorUrl ??= URL.createObjectURL(new Blob([PROCESSOR_SOURCE], { type: 'text/javascript' }));
+    await context.audioWorklet.addModule(processorUrl);
+
+    const ring = transport === 'shared' ? AudioRingBuffer.allocate(Math.round(bufferSeconds * sampleRate), true) : null;
+    const node = new AudioWorkletNode(context, PROCESSOR_NAME, {
+      numberOfInputs: 0,
+      outputChannelCount: [1],
+      processorOptions: { ring: ring?.buffer },
+    });
+    node.connect(opts.destination ?? context.destination);
+    return new WorkletPlayer(context, node, ring, sampleRate, !opts.context);
+  }
+
+  private constructor(context: AudioContext, node: AudioWorkletNode, ring: AudioRingBuffer | null, sampleRate: number, ownsContext: boolean) {
+    super();
+    this.context = context;
+    this.node = node;
+    this.transport = ring ? 'shared' : 'message';
+    this.sampleRate = sampleRate;
+    this._ring = ring;
+    this._ownsContext = ownsContext;
+    node.port.onmessage = (e: MessageEvent) => this._onMessage(e.data);
+  }
+
+  /** Seconds played since the last `ended` or `stop()`. Reported every ~170 ms with the message transport. */
+  get position(): number {
+    return (this._currentConsumed() - this._base) / this.sampleRate;
+  }
+
+  /** Seconds of audio waiting in the buffer. */
+  get bufferedAhead(): number {
+    return (this._ring ? this._ring.availableRead : this._buffered) / this.sampleRate;
+  }
+
+  /**
+   * A handle for a producer in another thread, plus the objects to transfer with it:
+   * `worker.postMessage({ playback: handle }, transfer)`. Only one producer should write at a time.
+   */
+  createSinkHandle(): { handle: PlaybackHandle; transfer: Transferable[] } {
+    if (this._ring) {
+      return { handle: { transport: 'shared', ring: this._ring.buffer as SharedArrayBuffer, sampleRate: this.sampleRate }, transfer: [] };
+    }
+    const channel = new MessageChannel();
+    this.node.port.postMessage({ type: 'port', port: channel.port1 }, [channel.port1]);
+    return { handle: { transport: 'message', port: channel.port2 }, transfer: [channel.port2] };
+  }
+
+  /** Queue samples from this thread. */
+  write(samples: Float32Array, signal?: AbortSignal): Promise<void> {
+    return this._ownSink().write(samples, signal);
+  }
+
+  /** Mark the current stream complete. */
+  end(): void {
+    this._ownSink().end();
+  }
+
+  async pause(): Promise<void> {
+    await this.context.suspend();
+  }
+
+  async resume(): Promise<void> {
+    await this.context.resume();
+  }
+
+  /** Drop buffered audio. Cancel the producer too, or it keeps filling the buffer. */
+  stop(): void {
+    this.node.port.postMessage({ type: 'clear' });
+    this._buffered = 0;
+    this._base = this._currentConsumed();
+  }
+
+  /** Disconnect the worklet, and close the context if the player created it. */
+  async close(): Promise<void> {
+    this.stop();
+    this.node.disconnect();
+    this.node.port.onmessage = null;
+    if (this._ownsContext) await this.context.close();
+  }
+
+  private _ownSink(): PlaybackSink {
+    this._sink ??= this._ring
+      ? openPlaybackSink({ transport: 'shared', ring: this._ring.buffer as SharedArrayBuffer, sampleRate: this.sampleRate })
+      : openPlaybackSink({ transport: 'message', port: this.node.port });
+    return this._sink;
+  }
+
+  private _currentConsumed(): number {
+    return this._ring ? this._ring.consumed : this._consumed;
+  }
+
+  private _onMessage(msg: { type: string; consumed: number; buffered?: number }): void {
+    this._consumed = msg.consumed;
+    if (msg.type === 'state') {
+      this._buffered = msg.buffered ?? 0;
+    } else if (msg.type === 'ended') {
+      this._buffered = 0;
+      this._base = this._currentConsumed();
+      this.dispatchEvent(new Event('ended'));
+    } else if (msg.type === 'underrun') {
+      this._buffered = 0;
+      this.dispatchEvent(new Event('underrun'));
+    }
+  }
+}
@@ -0,0 +1,120 @@
+import { strict as assert } from 'assert';
+import { test } from 'node:test';
+import { Writable } from 'stream';
+import { RawAudio, encodeWav } from '../src/audio.ts';
+import { encodeAudioStream, pipeTo, toReadableStream } from '../src/audio-stream.ts';
+
+async function* chunks(...lengths: number[]) {
+  for (const n of lengths) yield { text: 'x', audio: new RawAudio(new Float32Array(n).fill(0.5), 24000) };
+}
+
+function concatBytes(parts: Uint8Array[]): Uint8Array {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let offset = 0;
+  for (const p of parts) {
+    out.set(p, offset);
+    offset += p.length;
+  }
+  return out;
+}
+
+test('encodeAudioStream writes an open-ended WAV header, then each chunk', async () => {
+  const parts: Uint8Array[] = [];
+  for await (const part of encodeAudioStream(chunks(3, 0, 2))) parts.push(part);
+  assert.deepEqual(parts.map(p => p.length), [44, 6, 4]);
+  const view = new DataView(parts[0].buffer);
+  assert.equal(view.getUint32(4, true), 0xffffffff);
+  assert.equal(view.getUint32(24, true), 24000);
+  assert.equal(view.getUint32(40, true), 0xffffffff);
+  // Same samples as a one-shot WAV of the whole clip.
+  const whole = new Uint8Array(encodeWav(new Float32Array(5).fill(0.5), 24000));
+  assert.deepEqual(concatBytes(parts.slice(1)), whole.slice(44));
+});
+
+test('encodeAudioStream pcm container skips the header and applies WAV encodings', async () => {
+  const parts: Uint8Array[] = [];
+  for await (const part of encodeAudioStream(chunks(4), { container: 'pcm', encoding: 'mulaw' })) parts.push(part);
+  assert.deepEqual(parts.map(p => p.length), [4]);
+
+  const empty: Uint8Array[] = [];
+  for await (const part of encodeAudioStream(chunks())) empty.push(part);
+  assert.equal(new DataView(empty[0].buffer).getUint32(40, true), 0);
+
+  const mixed = (async function* () {
+    yield new RawAudio(new Float32Array(2), 24000);
+    yield new RawAudio(new Float32Array(2), 16000);
+  })();
+  await assert.rejects(async () => { for await (const _ of encodeAudioStream(mixed)) { /* drain */ } }, /share a sample rate/);
+  await assert.rejects(async () => { for await (const _ of encodeAudioStream(chunks(1), { bitDepth: 12 as 16 })) { /* drain */ } }, /bit depth/);
+});
+
+test('toReadableStream reads on demand and cancel stops the generator', async () => {
+  let produced = 0;
+  let finished = false;
+  const source = (async function* () {
+    try {
+      for (;;) {
+        produced++;
+        yield new RawAudio(new Float32Array(10), 24000);
+      }
+    } finally {
+      finished = true;
+    }
+  })();
+  const reader = toReadableStream(source).getReader();
+  assert.equal((await reader.read()).value!.length, 44);
+  assert.equal((await reader.read()).value!.length, 20);
+  await reader.cancel();
+  assert.ok(finished);
+  assert.ok(produced <= 2);
+});
+
+test('pipeTo waits for drain and ends the Node writable', async () => {
+  const received: Uint8Array[] = [];
+  let writes = 0;
+  let ended = false;
+  const sink = new Writable({
+    highWaterMark: 8,
+    write(chunk, _enc, cb) {
+      writes++;
+      received.push(new Uint8Array(chunk));
+      setTimeout(cb, 1);
+    },
+    final(cb) { ended = true; cb(); },
+  });
+  await pipeTo(chunks(20, 20, 20), sink);
+  await new Promise(resolve => sink.on('finish', resolve));
+  assert.equal(writes, 4);
+  assert.ok(ended);
+  assert.equal(concatBytes(received).length, 44 + 120);
+});
+
+test('pipeTo stops generating when the destination closes early', async () => {
+  let produced = 0;
+  let finished = false;
+  const source = (async function* () {
+    try {
+      for (;;) {
+        produced++;
+        yield new RawAudio(new Float32Array(10), 24000);
+        await new Promise(resolve => setTimeout(resolve, 1));
+      }
+    } finally {
+      finished = true;
+    }
+  })();
+  const sink = new Writable({ write(_chunk, _enc, cb) { cb(); } });
+  setTimeout(() => sink.destroy(), 20);
+  await pipeTo(source, sink);
+  assert.ok(finished);
+  assert.ok(produced > 0);
+});
+
+test('pipeTo rethrows destination errors and accepts web WritableStreams', async () => {
+  const failing = new Writable({ write(_chunk, _enc, cb) { cb(new Error('disk full')); } });
+  await assert.rejects(pipeTo(chunks(10, 10, 10), failing), /disk full/);
+
+  const parts: Uint8Array[] = [];
+  await pipeTo(chunks(2), new WritableStream({ write(part) { parts.push(part); } }), { container: 'pcm' });
+  assert.deepEqual(parts.map(p => p.length), [4]);
+});
@@ -35,3 +35,121 @@ test('RawAudio.toBlob returns a Blob', () => {
   assert.ok(blob instanceof Blob);
   assert.equal(blob.type, 'audio/wav');
 });
+
+function wavHeader(buf: ArrayBuffer) {
+  const view = new DataView(buf);
+  return {
+    format: view.getUint16(20, true),
+    channels: view.getUint16(22, true),
+    rate: view.getUint32(24, true),
+    blockAlign: view.getUint16(32, true),
+    bits: view.getUint16(34, true),
+    riffSize: view.getUint32(4, true),
+  };
+}
+
+test('encodeWav writes int PCM at 8/24/32 bits and interleaves channels', () => {
+  const samples = new Float32Array([0, 1, -1]);
+  const w24 = encodeWav(samples, 48000, { bitDepth: 24, channels: 2 });
+  assert.deepEqual(wavHeader(w24), { format: 1, channels: 2, rate: 48000, blockAlign: 6, bits: 24, riffSize: w24.byteLength - 8 });
+  const b = new Uint8Array(w24, 44);
+  assert.deepEqual([...b.slice(6, 12)], [0xff, 0xff, 0x7f, 0xff, 0xff, 0x7f]); // full scale, both channels
+  assert.deepEqual([...b.slice(12, 15)], [0x00, 0x00, 0x80]);
+
+  const w8 = new Uint8Array(encodeWav(samples, 8000, { bitDepth: 8 }));
+  assert.deepEqual([...w8.slice(44, 47)], [128, 255, 0]);
+  assert.equal(w8.length % 2, 0); // odd data size is padded
+
+  const w32 = new DataView(encodeWav(samples, 8000, { bitDepth: 32 }));
+  assert.equal(w32.getInt32(48, true), 0x7fffffff);
+  assert.equal(w32.getInt32(52, true), -0x80000000);
+});
+
+test('encodeWav writes float and G.711 formats with a fact chunk', () => {
+  const samples = new Float32Array([0, 1, -1, 1.5]);
+  const float = encodeWav(samples, 48000, { encoding: 'float' });
+  assert.deepEqual(wavHeader(float).format, 3);
+  const view = new DataView(float);
+  assert.equal(String.fromCharCode(...new Uint8Array(float, 38, 4)), 'fact');
+  assert.equal(view.getUint32(46, true), 4);
+  assert.equal(view.getFloat32(58 + 12, true), 1.5); // float keeps overs
+
+  const mu = new Uint8Array(encodeWav(samples, 8000, { encoding: 'mulaw' }));
+  assert.deepEqual(wavHeader(mu.buffer).format, 7);
+  assert.deepEqual([...mu.slice(58, 61)], [0xff, 0x80, 0x00]);
+  const a = new Uint8Array(encodeWav(samples, 8000, { encoding: 'alaw' }));
+  assert.deepEqual(wavHeader(a.buffer).format, 6);
+  assert.deepEqual([...a.slice(58, 61)], [0xd5, 0xaa, 0x2a]);
+
+  assert.throws(() => encodeWav(samples, 8000, { bitDepth: 12 as 16 }), /bit depth/);
+  assert.throws(() => encodeWav(samples, 8000, { encoding: 'mulaw', bitDepth: 16 }), /always 8-bit/);
+  assert.throws(() => encodeWav(samples, 8000, { channels: 0 }), /channel count/);
+});
+
+test('RawAudio.resample changes rate and keeps timings', () => {
+  const timings = { words: [], phonemes: [], source: 'estimate' as const };
+  const audio = new RawAudio(new Float32Array(24000), 24000, timings);
+  const down = audio.resample(8000);
+  assert.equal(down.sampling_rate, 8000);
+  assert.equal(down.data.length, 8000);
+  assert.equal(down.timings, timings);
+  assert.equal(audio.resample(24000), audio);
+});
+
+// ─── Editing helpers ─────────────────────────────────────────────────────────
+
+const SR = 1000;
+const clip = (values: number[], timings?: { words: { word: string; phonemes: string; start: number; end: number }[] }) =>
+  new RawAudio(Float32Array.from(values), SR, timings && { words: timings.words, phonemes: [], source: 'duration' });
+
+test('RawAudio.concat joins clips with gaps and shifts timings', () => {
+  const a = clip([1, 1], { words: [{ word: 'a', phonemes: 'a', start: 0, end: 0.002 }] });
+  const b = clip([2, 2, 2], { words: [{ word: 'b', phonemes: 'b', start: 0.001, end: 0.003 }] });
+  const joined = RawAudio.concat([a, b], { gapMs: 3 });
+  assert.deepEqual([...joined.data], [1, 1, 0, 0, 0, 2, 2, 2]);
+  assert.equal(joined.duration, 0.008);
+  assert.deepEqual(joined.timings!.words.map(w => [w.word, w.start]), [['a', 0], ['b', 0.006]]);
+  assert.deepEqual([...a.data], [1, 1]);
+  assert.throws(() => RawAudio.concat([a, new RawAudio(new Float32Array(1), 24000)]), /resample/);
+});
+
+test('RawAudio.slice cuts by seconds and keeps timings inside the range', () => {
+  const audio = clip([0, 1, 2, 3, 4, 5], {
+    words: [{ word: 'x', phonemes: 'x', start: 0, end: 0.002 }, { word: 'y', phonemes: 'y', start: 0.003, end: 0.005 }],
+  });
+  const part = audio.slice(0.002, 0.005);
+  assert.deepEqual([...part.data], [2, 3, 4]);
+  assert.deepEqual(part.timings!.words.map(w => [w.word, w.start, w.end]), [['y', 0.001, 0.003]]);
+  assert.deepEqual([...audio.slice(0.004).data], [4, 5]);
+  assert.throws(() => audio.slice(0.004, 0.001), /before start/);
+});
+
+test('RawAudio fades, gain and normalize return scaled copies', () => {
+  const ones = clip(new Array(10).fill(1));
+  const faded = ones.fadeIn(4).fadeOut(4);
+  assert.ok(faded.data[0] < 0.3 && faded.data[9] < 0.3);
+  assert.equal(faded.data[5], 1);
+  assert.ok(faded.data[0] < faded.data[1] && faded.data[1] < faded.data[2]);
+  assert.deepEqual([...ones.data], new Array(10).fill(1));
+
+  const half = clip([0.5, -0.25]);
+  assert.ok(Math.abs(half.gain(6.0206).data[0] - 1) < 1e-4);
+  const normalized = half.normalize(0);
+  assert.ok(Math.abs(normalized.data[0] - 1) < 1e-6);
+  assert.ok(Math.abs(normalized.data[1] + 0.5) < 1e-6);
+  assert.deepEqual([...clip([0, 0]).normalize().data], [0, 0]);
+});
+
+test('RawAudio.mix overlays at an offset and padSilence extends both ends', () => {
+  const bed = clip([1, 1, 1]);
+  const voice = clip([2, 2], { words: [{ word: 'hi', phonemes: 'hi', start: 0, end: 0.002 }] });
+  const mixed = bed.mix(voice, 0.002);
+  assert.deepEqual([...mixed.data], [1, 1, 3, 2]);
+  assert.equal(mixed.timings!.words[0].start, 0.002);
+  assert.throws(() => bed.mix(voice, -1), /non-negative/);
+
+  const padded = voice.padSilence({ startMs: 2, endMs: 1 });
+  assert.deepEqual([...padded.data], [0, 0, 2, 2, 0]);
+  assert.equal(padded.duration, 0.005);
+  assert.equal(padded.timings!.words[0].start, 0.002);
+});
@@ -0,0 +1,59 @@
+import { strict as assert } from 'assert';
+import { test } from 'node:test';
+import { createWebBackend, executionProvidersUseWebGpu } from '../src/backend.web.ts';
+import { createNodeBackend, resolveNodeExecutionProviders } from '../src/backend.node.ts';
+import type { OrtModule } from '../src/base-kitten-tts.ts';
+
+function fakeOrt(created: unknown[] = []): OrtModule {
+  return {
+    InferenceSession: {
+      async create(_model: ArrayBuffer, options?: Record<string, unknown>) {
+        created.push(options);
+        return { run: async () => ({}) };
+      },
+    },
+    Tensor: class { data = new Float32Array(0); } as unknown as OrtModule['Tensor'],
+    env: { wasm: { numThreads: 0, simd: false } },
+  };
+}
+
+test('web backend configures WASM and creates WASM sessions for auto/cpu', async () => {
+  const created: unknown[] = [];
+  const ort = fakeOrt(created);
+  const backend = createWebBackend(ort, 'model', { wasmSimd: false });
+  assert.ok(ort.env.wasm.wasmPaths);
+  assert.equal(ort.env.wasm.simd, false);
+  const loaded = await backend.createSession(new ArrayBuffer(0), 'auto');
+  assert.deepEqual(loaded.executionProviders, ['wasm']);
+  assert.equal(loaded.runtimeActual, 'cpu');
+  assert.deepEqual(created, [{ executionProviders: ['wasm'] }]);
+});
+
+test('web backend falls back only for WebGPU or gpu requests', () => {
+  const backend = createWebBackend(fakeOrt(), 'model');
+  const err = new Error('boom');
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    assert.equal(backend.fallback!(err, { runtimeRequested: 'auto', executionProviders: ['wasm'] }), null);
+    assert.equal(typeof backend.fallback!(err, { runtimeRequested: 'auto', executionProviders: ['webgpu'] }), 'function');
+    assert.equal(typeof backend.fallback!(err, { runtimeRequested: 'gpu', executionProviders: ['wasm'] }), 'function');
+  } finally {
+    console.warn = warn;
+  }
+});
+
+test('executionProvidersUseWebGpu accepts names and provider objects', () => {
+  assert.equal(executionProvidersUseWebGpu(['wasm', { name: 'WebGPU' }]), true);
+  assert.equal(executionProvidersUseWebGpu(['wasm']), false);
+});
+
+test('node backend is CPU-only and passes the thread count through', async () => {
+  const created: unknown[] = [];
+  const backend = createNodeBackend(fakeOrt(created), { numThreads: 2 });
+  const loaded = await backend.createSession(new ArrayBuffer(0), 'auto');
+  assert.deepEqual(loaded.executionProviders, ['cpu']);
+  assert.deepEqual(created, [{ executionProviders: ['cpu'], intraOpNumThreads: 2 }]);
+  assert.equal(backend.fallback, undefined);
+  assert.throws(() => resolveNodeExecutionProviders({ nodeExecutionProviders: ['coreml'] }), /Node runtime is CPU-only/);
+});
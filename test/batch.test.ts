@@ -0,0 +1,41 @@
+/**
+ * Tests for the batch worker loop and inference lane pool.
+ */
+import { strict as assert } from 'assert';
+import { test } from 'node:test';
+import { LanePool, runConcurrent } from '../src/batch.ts';
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 1));
+
+test('runConcurrent visits every index with bounded concurrency', async () => {
+  const seen: number[] = [];
+  let active = 0;
+  let peak = 0;
+  await runConcurrent(10, 3, async (i) => {
+    active += 1;
+    peak = Math.max(peak, active);
+    await tick();
+    seen.push(i);
+    active -= 1;
+  });
+  assert.deepEqual([...seen].sort((a, b) => a - b), [...Array(10).keys()]);
+  assert.equal(peak, 3);
+});
+
+test('LanePool lends each lane to one caller at a time, in FIFO order', async () => {
+  const pool = new LanePool(['a']);
+  const order: string[] = [];
+  await Promise.all([1, 2, 3].map(n => pool.use(async (lane) => {
+    order.push(`${lane}${n}:start`);
+    await tick();
+    order.push(`${lane}${n}:end`);
+  })));
+  assert.deepEqual(order, ['a1:start', 'a1:end', 'a2:start', 'a2:end', 'a3:start', 'a3:end']);
+  assert.throws(() => new LanePool([]), /at least one lane/);
+});
+
+test('LanePool returns a lane after its user throws', async () => {
+  const pool = new LanePool([0]);
+  await assert.rejects(() => pool.use(async () => { throw new Error('boom'); }), /boom/);
+  assert.equal(await pool.use(async lane => lane + 1), 1);
+});
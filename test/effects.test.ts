@@ -0,0 +1,51 @@
+/**
+ * Tests for waveform post-processing: pitch shift and LUFS loudness.
+ */
+import { strict as assert } from 'assert';
+import { test } from 'node:test';
+import { applyEffects, measureLoudness, normalizeLoudness, pitchShift, validateEffects } from '../src/effects.ts';
+import { RawAudio } from '../src/audio.ts';
+
+const SR = 24000;
+
+function sine(freq: number, amplitude: number, seconds = 1): Float32Array {
+  return Float32Array.from({ length: SR * seconds }, (_, i) => amplitude * Math.sin((2 * Math.PI * freq * i) / SR));
+}
+
+function frequency(samples: Float32Array): number {
+  let crossings = 0;
+  for (let i = 1; i < samples.length; i++) if (samples[i - 1] < 0 && samples[i] >= 0) crossings++;
+  return crossings / (samples.length / SR);
+}
+
+test('measureLoudness reads a full-scale 997 Hz sine as about -3 LUFS', () => {
+  assert.ok(Math.abs(measureLoudness(sine(997, 1), SR) + 3.01) < 0.05);
+  assert.equal(measureLoudness(new Float32Array(SR), SR), -Infinity);
+});
+
+test('normalizeLoudness hits the target and keeps peaks under -1 dBFS', () => {
+  const quiet = normalizeLoudness(sine(997, 0.05), SR, -23);
+  assert.ok(Math.abs(measureLoudness(quiet, SR) + 23) < 0.01);
+  const loud = normalizeLoudness(sine(997, 0.05), SR, -1);
+  assert.ok(Math.max(...loud) <= 10 ** (-1 / 20) + 1e-6);
+});
+
+test('pitchShift moves frequency by semitones without changing length', () => {
+  for (const semitones of [12, -5]) {
+    const shifted = pitchShift(sine(200, 0.5, 2), SR, semitones);
+    assert.equal(shifted.length, SR * 2);
+    const expected = 200 * 2 ** (semitones / 12);
+    assert.ok(Math.abs(frequency(shifted.subarray(2400, -2400)) - expected) < 2, `semitones ${semitones}`);
+  }
+});
+
+test('applyEffects keeps timings and validates options', () => {
+  const timings = { words: [], phonemes: [], source: 'estimate' as const };
+  const audio = new RawAudio(sine(200, 0.5), SR, timings);
+  assert.equal(applyEffects(audio, {}), audio);
+  const out = applyEffects(audio, { pitch: 3, loudness: -16 });
+  assert.equal(out.data.length, audio.data.length);
+  assert.equal(out.timings, timings);
+  assert.throws(() => validateEffects({ pitch: 20 }), /semitones/);
+  assert.throws(() => validateEffects({ loudness: 3 }), /LUFS/);
+});
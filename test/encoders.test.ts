@@ -0,0 +1,157 @@
+/**
+ * Tests for compressed export: FLAC round-trips through a minimal decoder, MP3 and Ogg Opus are
+ * checked structurally and (for Opus) by decoding the packets again.
+ */
+import { strict as assert } from 'assert';
+import { test } from 'node:test';
+import OpusScript from 'opusscript';
+import { encodeFlac } from '../src/flac.ts';
+import { encodeOggOpus } from '../src/ogg-opus.ts';
+import { RawAudio, formatFromPath, toInt16 } from '../src/audio.ts';
+
+const SR = 24000;
+
+function speechLike(seconds: number): Float32Array {
+  return Float32Array.from({ length: Math.round(SR * seconds) }, (_, i) =>
+    0.4 * Math.sin((2 * Math.PI * 220 * i) / SR) + 0.1 * Math.sin((2 * Math.PI * 1330 * i) / SR) + 0.01 * Math.sin(i * i));
+}
+
+/** Decoder for the subset the encoder writes: mono, 16-bit, CONSTANT/VERBATIM/FIXED subframes. */
+function decodeFlac(bytes: Uint8Array): { sampleRate: number; samples: Int16Array } {
+  let pos = 0;
+  const bit = () => (bytes[pos >> 3] >> (7 - (pos++ & 7))) & 1;
+  const read = (n: number) => { let v = 0; for (let i = 0; i < n; i++) v = v * 2 + bit(); return v; };
+  const signed = (n: number) => { const v = read(n); return v >= 2 ** (n - 1) ? v - 2 ** n : v; };
+
+  assert.equal(new TextDecoder().decode(bytes.subarray(0, 4)), 'fLaC');
+  pos = 32;
+  assert.equal(read(1), 1);
+  assert.equal(read(7), 0);
+  assert.equal(read(24), 34);
+  read(16); read(16); read(24); read(24);
+  const sampleRate = read(20);
+  assert.equal(read(3), 0);
+  assert.equal(read(5), 15);
+  const total = read(36);
+  pos += 128;
+
+  const samples = new Int16Array(total);
+  let n = 0;
+  while (n < total) {
+    assert.equal(read(14), 0x3ffe);
+    read(2);
+    assert.equal(read(4), 0b0111);
+    read(4); read(4); read(3); read(1);
+    read(8); // frame number (< 128 frames in these tests)
+    const size = read(16) + 1;
+    read(8); // CRC-8
+    read(1);
+    const type = read(6);
+    read(1);
+    const block = samples.subarray(n, n + size);
+    if (type === 0) {
+      block.fill(signed(16));
+    } else if (type === 1) {
+      for (let i = 0; i < size; i++) block[i] = signed(16);
+    } else {
+      const order = type & 7;
+      for (let i = 0; i < order; i++) block[i] = signed(16);
+      assert.equal(read(2), 0);
+      const partitionOrder = read(4);
+      let i = order;
+      for (let part = 0; part < 1 << partitionOrder; part++) {
+        const k = read(4);
+        const count = (size >> partitionOrder) - (part === 0 ? order : 0);
+        for (let c = 0; c < count; c++, i++) {
+          let q = 0;
+          while (bit() === 0) q++;
+          const u = q * 2 ** k + read(k);
+          const r = u % 2 === 0 ? u / 2 : -(u + 1) / 2;
+          const x = (j: number) => block[i - j];
+          const prediction = [0, x(1), 2 * x(1) - x(2), 3 * x(1) - 3 * x(2) + x(3), 4 * x(1) - 6 * x(2) + 4 * x(3) - x(4)][order];
+          block[i] = prediction + r;
+        }
+      }
+    }
+    n += size;
+    pos = Math.ceil(pos / 8) * 8 + 16; // byte alignment + CRC-16
+  }
+  return { sampleRate, samples };
+}
+
+function frequency(samples: ArrayLike<number>): number {
+  let crossings = 0;
+  for (let i = 1; i < samples.length; i++) if (samples[i - 1] < 0 && samples[i] >= 0) crossings++;
+  return crossings / (samples.length / SR);
+}
+
+test('FLAC round-trips losslessly and is smaller than WAV', () => {
+  const audio = new RawAudio(speechLike(1.3), SR);
+  const flac = audio.toFlac();
+  const decoded = decodeFlac(flac);
+  assert.equal(decoded.sampleRate, SR);
+  assert.deepEqual(decoded.samples, toInt16(audio.data));
+  assert.ok(flac.length < audio.toWav().byteLength * 0.8, `flac ${flac.length} bytes`);
+
+  const silence = decodeFlac(encodeFlac(new Int16Array(100), SR, { blockSize: 64 }));
+  assert.deepEqual(silence.samples, new Int16Array(100));
+  assert.throws(() => encodeFlac(new Int16Array(10), SR, { blockSize: 8 }), /block size/);
+});
+
+test('MP3 export produces MPEG-2 Layer III frames at a fraction of WAV size', async () => {
+  const audio = new RawAudio(speechLike(1), SR);
+  const mp3 = await audio.toMp3({ bitrate: 32 });
+  assert.equal(mp3[0], 0xff);
+  assert.equal(mp3[1] & 0xfe, 0xf2); // sync, MPEG-2, Layer III
+  assert.ok(mp3.length < audio.toWav().byteLength / 8);
+  await assert.rejects(() => audio.toMp3({ bitrate: 1000 }), /bitrate/);
+});
+
+test('Ogg Opus pages carry valid headers and decodable packets', async () => {
+  const pcm = toInt16(Float32Array.from({ length: SR }, (_, i) => 0.3 * Math.sin((2 * Math.PI * 220 * i) / SR)));
+  const ogg = await encodeOggOpus(pcm, SR, { bitrate: 32 });
+
+  const packets: Uint8Array[] = [];
+  let granule = 0;
+  let partial: number[] = [];
+  for (let pos = 0, page = 0; pos < ogg.length; page++) {
+    assert.equal(new TextDecoder().decode(ogg.subarray(pos, pos + 4)), 'OggS');
+    const view = new DataView(ogg.buffer, ogg.byteOffset + pos);
+    assert.equal(view.getUint32(18, true), page);
+    granule = view.getUint32(6, true);
+    const segments = ogg[pos + 26];
+    let body = pos + 27 + segments;
+    for (let s = 0; s < segments; s++) {
+      const len = ogg[pos + 27 + s];
+      partial.push(...ogg.subarray(body, body + len));
+      body += len;
+      if (len < 255) {
+        packets.push(Uint8Array.from(partial));
+        partial = [];
+      }
+    }
+    pos = body;
+  }
+  assert.equal(new TextDecoder().decode(packets[0].subarray(0, 8)), 'OpusHead');
+  assert.equal(new TextDecoder().decode(packets[1].subarray(0, 8)), 'OpusTags');
+  assert.equal(granule, 312 + 48000);
+
+  const decoder = new OpusScript(24000, 1);
+  const decoded: number[] = [];
+  for (const packet of packets.slice(2)) {
+    const out = decoder.decode(packet as Buffer);
+    decoded.push(...new Int16Array(out.buffer, out.byteOffset, out.length / 2));
+  }
+  decoder.delete();
+  assert.ok(Math.abs(frequency(decoded.slice(2400)) - 220) < 3);
+  await assert.rejects(() => encodeOggOpus(pcm, 22050), /sample rate/);
+});
+
+test('formatFromPath picks the encoder from the file extension', () => {
+  assert.equal(formatFromPath('out/clip.MP3'), 'mp3');
+  assert.equal(formatFromPath('clip.ogg'), 'opus');
+  assert.equal(formatFromPath('clip.opus'), 'opus');
+  assert.equal(formatFromPath('clip.flac'), 'flac');
+  assert.equal(formatFromPath('clip.wav'), 'wav');
+  assert.equal(formatFromPath('clip'), 'wav');
+});
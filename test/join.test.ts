@@ -0,0 +1,87 @@
+import { strict as assert } from 'assert';
+import { test } from 'node:test';
+import { speechBounds, joinChunks, boundaryOf, resolveJoin, StreamAssembler, assembleAudio, type SynthesizedUnit } from '../src/join.ts';
+import type { SpeechUnit } from '../src/ssml.ts';
+
+const SR = 1000;
+const unit = (text: string, extra: Partial<SpeechUnit> = {}): SpeechUnit => ({
+  text, parts: [{ text, clean: true }], voice: 'Leo', speed: 1, pauseBeforeMs: 0, pauseAfterMs: 0, ...extra,
+});
+
+/** `lead` ms of silence, `body` ms of a 0.5 tone, `tail` ms of silence at 1 kHz. */
+function chunk(lead: number, body: number, tail: number): Float32Array {
+  const out = new Float32Array(lead + body + tail);
+  out.fill(0.5, lead, lead + body);
+  return out;
+}
+
+const synthesized = (samples: Float32Array, u: SpeechUnit): SynthesizedUnit => ({
+  unit: u,
+  prepared: { phonemes: '', text: u.text },
+  output: { audio: samples.subarray(0, samples.length - 10), raw: samples, durations: null, rawLength: samples.length },
+});
+
+test('speechBounds trims leading and trailing silence by energy and keeps the pad', () => {
+  assert.deepEqual(speechBounds(chunk(200, 300, 400), SR, { padMs: 20 }), [180, 520]);
+  assert.deepEqual(speechBounds(new Float32Array(100), SR), [0, 0]);
+});
+
+test('boundaryOf classifies chunk endings', () => {
+  assert.equal(boundaryOf(unit('Really?')), 'question');
+  assert.equal(boundaryOf(unit('Stop!"')), 'exclamation');
+  assert.equal(boundaryOf(unit('and then,')), 'clause');
+  assert.equal(boundaryOf(unit('Done.')), 'sentence');
+  assert.equal(boundaryOf(unit('Done.', { paragraphEnd: true })), 'paragraph');
+});
+
+test('joinChunks inserts the pause for the previous ending instead of the raw silence', () => {
+  const opts = { padMs: 0, crossfadeMs: 0, pauses: { question: 250, sentence: 100 } };
+  const { audio, offsets } = joinChunks([
+    { samples: chunk(200, 300, 400), unit: unit('Ready?') },
+    { samples: chunk(100, 200, 300), unit: unit('Go.') },
+  ], SR, opts);
+  assert.equal(audio.length, 300 + 250 + 200);
+  assert.equal(audio[299], 0.5);
+  assert.equal(audio[300], 0);
+  assert.equal(audio[550], 0.5);
+  assert.deepEqual(offsets, [-200, 550 - 100]);
+});
+
+test('joinChunks honours SSML breaks over punctuation pauses and pads the outer edges', () => {
+  const { audio } = joinChunks([
+    { samples: chunk(0, 100, 0), unit: unit('One.', { pauseBeforeMs: 50, pauseAfterMs: 500 }) },
+    { samples: chunk(0, 100, 0), unit: unit('Two.', { pauseAfterMs: 30 }) },
+  ], SR, { padMs: 0, crossfadeMs: 0 });
+  assert.equal(audio.length, 50 + 100 + 500 + 100 + 30);
+});
+
+test('joinChunks crossfades overlapping chunks when the pause is zero', () => {
+  const { audio } = joinChunks([
+    { samples: chunk(0, 100, 0), unit: unit('a,') },
+    { samples: chunk(0, 100, 0), unit: unit('b.') },
+  ], SR, { padMs: 0, crossfadeMs: 10, pauses: { clause: 0 } });
+  assert.equal(audio.length, 190);
+  assert.ok(audio[0] < 0.1 && audio[189] < 0.1, 'outer edges fade');
+  for (let i = 85; i < 105; i++) assert.ok(audio[i] > 0.45, `no dip at the join (sample ${i}: ${audio[i]})`);
+});
+
+test('resolveJoin applies defaults and respects false', () => {
+  assert.equal(resolveJoin(undefined, false), null);
+  assert.equal(resolveJoin(false, true), null);
+  const join = resolveJoin({ pauses: { sentence: 50 } }, false)!;
+  assert.equal(join.pauses.sentence, 50);
+  assert.equal(join.pauses.paragraph, 700);
+});
+
+test('assembleAudio without join concatenates the fixed-trimmed output', () => {
+  const audio = assembleAudio([synthesized(chunk(0, 100, 20), unit('a.')), synthesized(chunk(0, 100, 20), unit('b.'))], SR, { join: null });
+  assert.equal(audio.data.length, 2 * 110);
+});
+
+test('StreamAssembler prefixes each chunk with the pause owed to the previous one', () => {
+  const assembler = new StreamAssembler(SR, resolveJoin({ padMs: 0, crossfadeMs: 0, pauses: { question: 250 } }, true));
+  const first = assembler.next(synthesized(chunk(40, 100, 60), unit('Why?')));
+  const second = assembler.next(synthesized(chunk(40, 100, 60), unit('Because.')));
+  assert.equal(first.data.length, 100);
+  assert.equal(second.data.length, 250 + 100);
+});
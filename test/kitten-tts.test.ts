@@ -1,6 +1,7 @@
 import { strict as assert } from 'assert';
 import { test } from 'node:test';
 import { KittenTTS } from '../src/kitten-tts.ts';
+import { phonemize } from '../src/phonemizer.ts';
 
 // Minimal mock instance to test pure helper methods without loading a model
 const tts = new (KittenTTS as unknown as new (...args: unknown[]) => KittenTTS)(null, {}, {});
@@ -34,6 +35,14 @@ test('_chunkText each chunk ends with punctuation', () => {
   }
 });
 
+test('_chunkText does not split after abbreviations and initials', () => {
+  assert.deepEqual(tts._chunkText('Dr. Smith lives on Main St. It is quiet, e.g. at night.'),
+    ['Dr. Smith lives on Main St.', 'It is quiet, e.g. at night.']);
+  assert.deepEqual(tts._chunkText('It takes 20 ms. Then it drops.'), ['It takes 20 ms.', 'Then it drops.']);
+  assert.deepEqual(tts._chunkText('J. R. R. Tolkien wrote it, etc. Then he left.'), ['J. R. R. Tolkien wrote it, etc.', 'Then he left.']);
+  assert.deepEqual(tts._chunkText('So did I. Then he left.'), ['So did I.', 'Then he left.']);
+});
+
 test('_chunkText returns empty array for blank input', () => {
   assert.deepEqual(tts._chunkText(''), []);
   assert.deepEqual(tts._chunkText('   '), []);
@@ -44,3 +53,213 @@ test('_chunkText handles single sentence without delimiter', () => {
   assert.equal(chunks.length, 1);
   assert.equal(chunks[0], 'Just a sentence,');
 });
+
+// ─── Synthesis with a fake ONNX session ──────────────────────────────────────
+
+class FakeTensor {
+  data: Float32Array;
+  constructor(_type: string, data: Float32Array) { this.data = data as Float32Array; }
+  dispose() {}
+}
+
+function fakeTts(onRun: () => void = () => {}) {
+  const session = {
+    runs: 0,
+    async run() {
+      session.runs += 1;
+      onRun();
+      return { waveform: new FakeTensor('float32', new Float32Array(6000).fill(0.1)) };
+    },
+  };
+  const voices = { 'expr-voice-5-m': { data: new Float32Array(4 * 8), shape: [4, 8], dtype: 'f4' } };
+  const backend = {
+    ort: { Tensor: FakeTensor, env: { wasm: {} } },
+    createSession: async () => ({ session, runtimeActual: 'cpu', executionProviders: ['cpu'] }),
+    phonemize,
+    disposeTensor: (t: FakeTensor) => t.dispose(),
+  };
+  const instance = new (KittenTTS as unknown as new (...args: unknown[]) => KittenTTS)(session, voices, {}, backend);
+  return { tts: instance, session };
+}
+
+test('generate rejects with AbortError when the signal is already aborted', async () => {
+  const { tts: t, session } = fakeTts();
+  const controller = new AbortController();
+  controller.abort();
+  await assert.rejects(() => t.generate('Hello there.', { signal: controller.signal }), { name: 'AbortError' });
+  assert.equal(session.runs, 0);
+});
+
+test('stream drops pending chunks once the signal aborts', async () => {
+  const controller = new AbortController();
+  const { tts: t, session } = fakeTts(() => controller.abort());
+  const seen: string[] = [];
+  await assert.rejects(async () => {
+    for await (const { text } of t.stream('One. Two. Three.', { signal: controller.signal })) seen.push(text);
+  }, { name: 'AbortError' });
+  assert.equal(session.runs, 1);
+  assert.deepEqual(seen, []);
+});
+
+test('lowLatency stream yields a short clause first, then the rest', async () => {
+  const { tts: t } = fakeTts();
+  const text = 'Well, that depends on the weather and on how far we want to walk before lunch today.';
+  const chunks: string[] = [];
+  for await (const { text: chunkText } of t.stream(text, { lowLatency: { firstChunkMs: 60, msPerChar: 3 } })) {
+    chunks.push(chunkText);
+  }
+  assert.ok(chunks.length > 1);
+  assert.ok(chunks[0].length <= 20, `first chunk too long: ${chunks[0]}`);
+  assert.equal(chunks.join(' ').replace(/,(?= |$)/g, ''), text.replace(/,/g, ''));
+});
+
+test('streamFromText synthesizes each sentence as soon as it completes', async () => {
+  const { tts: t, session } = fakeTts();
+  const runsWhenPulled: number[] = [];
+  async function* tokens() {
+    yield 'First sentence';
+    yield '. Second';
+    runsWhenPulled.push(session.runs);
+    yield ' one';
+  }
+  const chunks: string[] = [];
+  for await (const { text } of t.streamFromText(tokens())) chunks.push(text);
+  assert.deepEqual(chunks, ['First sentence.', 'Second one,']);
+  assert.deepEqual(runsWhenPulled, [1]);
+});
+
+test('streamFromText splits sentences where _chunkText does, using the preprocessor abbreviations', async () => {
+  const { tts: t } = fakeTts();
+  t.preprocessor.config.abbreviations.set('bldg', { otherwise: 'building' });
+  const text = 'It costs bldg. Ten dollars here. We live on Main St. He said no. Then he left.';
+  const chunks: string[] = [];
+  for await (const { text: chunk } of t.streamFromText(text.split(/(?<= )/))) chunks.push(chunk);
+  assert.deepEqual(chunks, t._chunkText(text));
+  assert.equal(chunks.length, 4);
+});
+
+test('inference falls back once through the backend policy and disposes every tensor', async () => {
+  const disposed: FakeTensor[] = [];
+  const failing = { run: async () => { throw new Error('webgpu expand failed'); }, release: async () => {} };
+  const healthy = {
+    runs: 0,
+    async run() {
+      healthy.runs += 1;
+      return { waveform: new FakeTensor('float32', new Float32Array(6000).fill(0.1)) };
+    },
+  };
+  const reloads: unknown[] = [];
+  const backend = {
+    ort: { Tensor: FakeTensor, env: { wasm: {} } },
+    createSession: async () => ({ session: failing, runtimeActual: 'gpu', executionProviders: ['webgpu'] }),
+    phonemize,
+    disposeTensor: (t: FakeTensor) => { disposed.push(t); },
+    fallback: (error: unknown) => {
+      reloads.push(error);
+      return async () => ({ session: healthy, runtimeActual: 'cpu', executionProviders: ['wasm'] });
+    },
+  };
+  const voices = { 'expr-voice-5-m': { data: new Float32Array(4 * 8), shape: [4, 8], dtype: 'f4' } };
+  const t = new (KittenTTS as unknown as new (...args: unknown[]) => KittenTTS)(
+    failing, voices, {}, backend, { runtimeRequested: 'gpu', runtimeActual: 'gpu', executionProviders: ['webgpu'] },
+  );
+
+  await t.generate('Hello there.');
+  assert.equal(reloads.length, 1);
+  assert.equal(healthy.runs, 1);
+  assert.equal(t.runtime, 'cpu');
+  assert.deepEqual(t.executionProviders, ['wasm']);
+  // 3 inputs for the failed run, 3 inputs + 1 output for the retry.
+  assert.equal(disposed.length, 7);
+});
+
+test('synthesis without a backend fails clearly', async () => {
+  await assert.rejects(() => tts.generate('Hello.'), /No backend attached/);
+});
+
+test('blendVoices registers a voice usable by generate and export', async () => {
+  const { tts: t } = fakeTts();
+  t.blendVoices('Brand', { Leo: 0.5, 'expr-voice-5-m': 0.5 });
+  assert.ok(t.list_voices().includes('Brand'));
+  const audio = await t.generate('Hello there.', { voice: 'Brand' });
+  assert.ok(audio.data.length > 0);
+
+  const json = await t.exportVoice('Brand', 'json');
+  assert.deepEqual(JSON.parse(json).shape, [4, 8]);
+  await t.addVoice('Copy', await t.exportVoice('Brand', 'npy'));
+  await t.generate('Hello there.', { voice: 'Copy' });
+});
+
+test('addVoice refuses to replace voices and rejects mismatched style sizes', async () => {
+  const { tts: t } = fakeTts();
+  await assert.rejects(() => t.addVoice('Leo', new Float32Array(8)), /already exists/);
+  await assert.rejects(() => t.addVoice('Odd', new Float32Array(5)), /expects 8/);
+  await t.addVoice('Leo', new Float32Array(8), { overwrite: true });
+  await t.generate('Hello there.', { voice: 'Leo' });
+  assert.throws(() => t.blendVoices('Mix', { Nobody: 1 }), /not found/);
+});
+
+test('sentencePauseMs sets the gap between sentences and needs joining', async () => {
+  const { tts: t } = fakeTts();
+  const short = await t.generate('One. Two.', { sentencePauseMs: 0 });
+  const long = await t.generate('One. Two.', { sentencePauseMs: 1000, pitch: -2, loudness: -20 });
+  assert.ok(long.data.length - short.data.length >= 24000);
+  await assert.rejects(() => t.generate('One. Two.', { sentencePauseMs: 100, join: false }), /requires chunk joining/);
+  await assert.rejects(() => t.generate('One.', { pitch: 30 }), /semitones/);
+});
+
+test('generateBatch returns results in input order and isolates failures', async () => {
+  const { tts: t, session } = fakeTts();
+  const progress: number[] = [];
+  const results = await t.generateBatch(
+    ['Press one.', { text: 'Press two.', voice: 'Nobody' }, 'Press three.'],
+    { concurrency: 2, onProgress: ({ completed, total }) => progress.push(completed / total) },
+  );
+  assert.deepEqual(results.map(r => r.index), [0, 1, 2]);
+  assert.deepEqual(results.map(r => r.text), ['Press one.', 'Press two.', 'Press three.']);
+  assert.ok(results[0].audio && results[2].audio);
+  assert.match(results[1].error!.message, /not found/);
+  assert.deepEqual(progress, [1 / 3, 2 / 3, 1]);
+  assert.equal(session.runs, 2);
+});
+
+test('generateBatch spreads inference over a session pool, one run per session at a time', async () => {
+  let active = 0;
+  let peak = 0;
+  const makeSession = () => ({
+    runs: 0,
+    async run() {
+      this.runs += 1;
+      active += 1;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      active -= 1;
+      return { waveform: new FakeTensor('float32', new Float32Array(6000).fill(0.1)) };
+    },
+  });
+  const sessions = [makeSession()];
+  const backend = {
+    ort: { Tensor: FakeTensor, env: { wasm: {} } },
+    createSession: async () => {
+      sessions.push(makeSession());
+      return { session: sessions[sessions.length - 1], runtimeActual: 'cpu', executionProviders: ['cpu'] };
+    },
+    phonemize,
+    disposeTensor: () => {},
+  };
+  const voices = { 'expr-voice-5-m': { data: new Float32Array(4 * 8), shape: [4, 8], dtype: 'f4' } };
+  const loads: number[] = [];
+  const t = new (KittenTTS as unknown as new (...args: unknown[]) => KittenTTS)(
+    sessions[0], voices, {}, backend, { loadModel: async () => { loads.push(1); return new ArrayBuffer(0); } },
+  );
+  const items = Array.from({ length: 8 }, (_, i) => `Item number ${i}.`);
+  const results = await t.generateBatch(items, { concurrency: 4, sessions: 2 });
+  assert.ok(results.every(r => r.audio));
+  assert.equal(sessions.length, 2);
+  assert.equal(loads.length, 1);
+  assert.ok(sessions.every(s => s.runs > 0));
+  assert.equal(peak, 2);
+
+  await assert.rejects(() => t.generateBatch(items, { concurrency: 0 }), /concurrency/);
+  await assert.rejects(() => fakeTts().tts.generateBatch(items, { sessions: 2 }), /Extra sessions/);
+});
@@ -0,0 +1,77 @@
+import { strict as assert } from 'assert';
+import { test } from 'node:test';
+import { splitAtClause, LatencyPacer, lowLatencyUnits, createPacer } from '../src/latency.ts';
+import type { SpeechUnit } from '../src/ssml.ts';
+
+const unit = (text: string, extra: Partial<SpeechUnit> = {}): SpeechUnit => ({
+  text, parts: [{ text, clean: true }], voice: 'Leo', speed: 1, pauseBeforeMs: 0, pauseAfterMs: 0, ...extra,
+});
+
+test('splitAtClause prefers clause punctuation within the limit', () => {
+  assert.deepEqual(
+    splitAtClause('First of all, we should eat; then we walk home.', 30, 5),
+    ['First of all, we should eat;', 'then we walk home.'],
+  );
+});
+
+test('splitAtClause splits before a conjunction when there is no punctuation', () => {
+  assert.deepEqual(
+    splitAtClause('The rain kept falling and nobody wanted to go outside', 30, 5),
+    ['The rain kept falling', 'and nobody wanted to go outside'],
+  );
+});
+
+test('splitAtClause falls back to the last word boundary and keeps short text whole', () => {
+  assert.deepEqual(splitAtClause('alpha beta gamma delta', 12, 3), ['alpha beta', 'gamma delta']);
+  assert.deepEqual(splitAtClause('short', 12), ['short', '']);
+});
+
+test('splitAtClause ignores boundaries that would leave a head below minChars', () => {
+  assert.deepEqual(splitAtClause('Oh, the whole thing went wrong', 20, 8), ['Oh, the whole thing', 'went wrong']);
+});
+
+test('LatencyPacer sizes the first chunk from the latency target and grows afterwards', () => {
+  const pacer = new LatencyPacer(250, { firstChunkMs: 120, msPerChar: 4, minChars: 10 });
+  assert.equal(pacer.nextChunkChars(), 30);
+  // 30 chars took 60 ms and produced 10 s of audio: plenty of buffer, so growth caps the next size.
+  pacer.record(30, 60, 10_000);
+  assert.equal(pacer.nextChunkChars(), 60);
+  pacer.record(60, 120, 20_000);
+  assert.equal(pacer.nextChunkChars(), 120);
+  pacer.record(120, 240, 40_000);
+  assert.equal(pacer.nextChunkChars(), 240);
+  pacer.record(240, 480, 80_000);
+  assert.equal(pacer.nextChunkChars(), 250);
+});
+
+test('LatencyPacer does not grow beyond the buffered audio budget', () => {
+  const pacer = new LatencyPacer(250, { firstChunkMs: 120, msPerChar: 4, minChars: 10 });
+  pacer.nextChunkChars();
+  // Slow synthesis (40 ms/char) and little audio: budget is ~0.8 * 400 / 40 = 8 chars, so size holds.
+  pacer.record(30, 1200, 400);
+  assert.equal(pacer.nextChunkChars(), 30);
+});
+
+test('lowLatencyUnits re-splits plain units and keeps pauses at the outer edges', () => {
+  const pacer = new LatencyPacer(250, { firstChunkMs: 60, msPerChar: 3, minChars: 5 });
+  const units = [...lowLatencyUnits([unit('Hello there, my friend and welcome back home.', { pauseBeforeMs: 100, pauseAfterMs: 400 })], pacer)];
+  assert.ok(units.length > 1);
+  assert.equal(units[0].text, 'Hello there,');
+  assert.equal(units[0].pauseBeforeMs, 100);
+  assert.equal(units[0].pauseAfterMs, 0);
+  assert.equal(units[units.length - 1].pauseAfterMs, 400);
+  assert.ok(units.slice(1).every(u => u.pauseBeforeMs === 0));
+  assert.ok(units.every(u => u.parts[0].text === u.text && u.voice === 'Leo'));
+});
+
+test('lowLatencyUnits passes units with inline SSML parts through whole', () => {
+  const inline: SpeechUnit = { ...unit('Code AB1 now,'), parts: [{ text: 'Code', clean: true }, { text: 'ay bee one', clean: false }, { text: 'now,', clean: true }] };
+  const pacer = new LatencyPacer(250, { firstChunkMs: 10, minChars: 1 });
+  assert.deepEqual([...lowLatencyUnits([inline], pacer)], [inline]);
+});
+
+test('createPacer is off unless lowLatency is set', () => {
+  assert.equal(createPacer(undefined, 250), null);
+  assert.equal(createPacer(false, 250), null);
+  assert.ok(createPacer(true, 250) instanceof LatencyPacer);
+});
@@ -0,0 +1,105 @@
+import { strict as assert } from 'assert';
+import { test } from 'node:test';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { applyLexicon, Lexicon } from '../src/lexicon.ts';
+import { phonemizeUnit } from '../src/ssml.ts';
+import { KittenTTS } from '../src/kitten-tts.ts';
+
+const newTts = () => new (KittenTTS as unknown as new (...args: unknown[]) => KittenTTS)(null, {}, {});
+
+test('slash-wrapped values are IPA, anything else a respelling', () => {
+  const lex = new Lexicon({ onnx: '/ˈɒnɪks/', kubectl: 'cube control', gif: { ipa: 'ɡɪf' } });
+  assert.deepEqual(lex.get('onnx'), { ipa: 'ˈɒnɪks' });
+  assert.deepEqual(lex.get('kubectl'), { say: 'cube control' });
+  assert.deepEqual(lex.get('gif'), { ipa: 'ɡɪf' });
+  assert.throws(() => lex.set('x', { sound: 'x' } as never), /must be a string, \{ ipa \} or \{ say \}/);
+});
+
+test('lowercase keys ignore case; keys with capitals match exactly', () => {
+  const lex = new Lexicon({ nginx: 'engine x', US: 'U S' });
+  assert.equal(lex.lookup('NGINX')?.word, 'nginx');
+  assert.equal(lex.lookup('Nginx')?.word, 'nginx');
+  assert.equal(lex.lookup('US')?.word, 'US');
+  assert.equal(lex.lookup('us'), null);
+  assert.deepEqual(lex.matches('Tell us about the US setup').map(m => m.text), ['US']);
+});
+
+test('inflected forms are derived with matching IPA endings', () => {
+  const lex = new Lexicon({ gif: '/ɡɪf/', quokka: '/ˈkwɒkə/', fax: '/fæks/', kubectl: 'cube control', grok: '/ɡɹɒk/', load: '/loʊd/' });
+  assert.deepEqual(lex.lookup('gifs')?.entry, { ipa: 'ɡɪfs' });
+  assert.deepEqual(lex.lookup("Quokka's")?.entry, { ipa: 'ˈkwɒkəz' });
+  assert.deepEqual(lex.lookup('faxes')?.entry, { ipa: 'fæksɪz' });
+  assert.deepEqual(lex.lookup('grokked')?.entry, { ipa: 'ɡɹɒkt' });
+  assert.deepEqual(lex.lookup('groked')?.entry, { ipa: 'ɡɹɒkt' });
+  assert.deepEqual(lex.lookup('loaded')?.entry, { ipa: 'loʊdɪd' });
+  assert.deepEqual(lex.lookup('loading')?.entry, { ipa: 'loʊdɪŋ' });
+  assert.deepEqual(lex.lookup('kubectls')?.entry, { say: 'cube controls' });
+  // An explicit entry for the inflected form wins.
+  lex.set('gifs', '/dʒɪfs/');
+  assert.deepEqual(lex.lookup('gifs')?.entry, { ipa: 'dʒɪfs' });
+});
+
+test('-ing and -ed forms that drop an e or double a consonant are found', () => {
+  const lex = new Lexicon({ bake: '/beɪk/', grok: 'grock' });
+  assert.deepEqual(lex.lookup('baking')?.entry, { ipa: 'beɪkɪŋ' });
+  assert.deepEqual(lex.lookup('Baked')?.entry, { ipa: 'beɪkt' });
+  assert.deepEqual(lex.lookup('grokking')?.entry, { say: 'grocking' });
+  assert.equal(lex.lookup('bak'), null);
+  assert.deepEqual(lex.matches('Baking while grokking, then baked.').map(m => [m.text, m.word]),
+    [['Baking', 'bake'], ['grokking', 'grok'], ['baked', 'bake']]);
+});
+
+test('matches respect word boundaries and prefer the longest phrase', () => {
+  const lex = new Lexicon({ 'new york': 'noo york', york: '/jɔːk/' });
+  assert.deepEqual(lex.matches('New York, Yorkshire and york.').map(m => [m.text, m.index]), [['New York', 0], ['york', 24]]);
+});
+
+test('fromJSON and fromCSV accept maps, records and header rows', () => {
+  assert.deepEqual(Lexicon.fromJSON('{"onnx": "/ˈɒnɪks/"}').toJSON(), { onnx: { ipa: 'ˈɒnɪks' } });
+  assert.deepEqual(Lexicon.fromJSON([{ word: 'sql', say: 'sequel' }]).toJSON(), { sql: { say: 'sequel' } });
+  assert.throws(() => Lexicon.fromJSON('[{"say": "x"}]'), /need a "word"/);
+
+  const plain = Lexicon.fromCSV('# terms\nonnx,/ˈɒnɪks/\n\n"Smith, Jr.",smith junior\n');
+  assert.deepEqual(plain.toJSON(), { onnx: { ipa: 'ˈɒnɪks' }, 'Smith, Jr.': { say: 'smith junior' } });
+  const headed = Lexicon.fromCSV('word,ipa,say\nonnx,ˈɒnɪks,\nsql,,sequel\n');
+  assert.deepEqual(headed.toJSON(), { onnx: { ipa: 'ˈɒnɪks' }, sql: { say: 'sequel' } });
+  assert.throws(() => Lexicon.fromCSV('onnx'), /line 1/);
+});
+
+test('Lexicon.load picks the format from the file extension', async (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'kitten-lexicon-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  writeFileSync(join(dir, 'terms.csv'), 'word,say\nsql,sequel\n');
+  writeFileSync(join(dir, 'terms.json'), '{"onnx": "/ˈɒnɪks/"}');
+  assert.equal((await Lexicon.load(join(dir, 'terms.csv'))).lookup('SQL')?.entry.say, 'sequel');
+  assert.equal((await Lexicon.load(join(dir, 'terms.json'))).size, 1);
+});
+
+test('applyLexicon splits parts and leaves the rest to the preprocessor', async () => {
+  const lex = new Lexicon({ onnx: '/ˈɒnɪks/', kubectl: 'cube control' });
+  const parts = applyLexicon([{ text: 'Run kubectl with ONNX, $5.', clean: true }, { text: 'onnx', clean: false, phonemes: 'x' }], lex);
+  assert.deepEqual(parts, [
+    { text: 'Run', clean: true },
+    { text: 'cube control', clean: false },
+    { text: 'with', clean: true },
+    { text: 'ONNX', clean: false, phonemes: 'ˈɒnɪks' },
+    { text: ', $5.', clean: true },
+    { text: 'onnx', clean: false, phonemes: 'x' },
+  ]);
+  const unit = { text: '', parts, voice: 'Leo', speed: 1, pauseBeforeMs: 0, pauseAfterMs: 0 };
+  const spoken = await phonemizeUnit(unit, async t => `[${t}]`, t => t.toUpperCase());
+  assert.equal(spoken.phonemes, '[RUN] [cube control] [WITH] ˈɒnɪks [, $5.] x');
+});
+
+test('per-call lexicons merge over the instance lexicon', () => {
+  const tts = newTts();
+  tts.lexicon.set('gif', '/ɡɪf/').set('sql', 'sequel');
+  const phonemes = (opts = {}) => tts._planSpeech('The gif and the SQL.', opts)
+    .flatMap(u => u.parts).map(p => p.phonemes ?? p.text);
+  assert.deepEqual(phonemes(), ['The', 'ɡɪf', 'and the', 'sequel', '.']);
+  assert.deepEqual(phonemes({ lexicon: { gif: '/dʒɪf/' } }), ['The', 'dʒɪf', 'and the', 'sequel', '.']);
+  assert.deepEqual(phonemes({ lexicon: new Lexicon({ sql: 'S Q L' }) }), ['The', 'ɡɪf', 'and the', 'S Q L', '.']);
+  assert.equal(tts.lexicon.size, 2);
+});
@@ -0,0 +1,35 @@
+import { strict as assert } from 'assert';
+import { test } from 'node:test';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { RawAudio } from '../src/audio.ts';
+import { configureLogging, log } from '../src/logger.ts';
+
+test('info messages are silent by default and routed to a custom logger when enabled', async (t) => {
+  const messages: string[] = [];
+  const sink = {
+    info: (...args: unknown[]) => messages.push(`info ${args.join(' ')}`),
+    warn: (...args: unknown[]) => messages.push(`warn ${args.join(' ')}`),
+    error: (...args: unknown[]) => messages.push(`error ${args.join(' ')}`),
+  };
+  configureLogging({ logger: sink });
+  t.after(() => configureLogging({ level: 'warn', logger: console }));
+
+  const dir = mkdtempSync(join(tmpdir(), 'kitten-log-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const audio = new RawAudio(new Float32Array(4), 24000);
+  await audio.save(join(dir, 'a.wav'));
+  assert.equal(readFileSync(join(dir, 'a.wav')).length, 44 + 8);
+  log.warn('fallback');
+  assert.deepEqual(messages, ['warn [kitten-tts] fallback']);
+
+  configureLogging({ level: 'info' });
+  await audio.save(join(dir, 'b.wav'));
+  assert.match(messages[1], /^info \[kitten-tts\] Saved WAV: .*b\.wav \(4 samples @ 24000 Hz\)$/);
+
+  configureLogging({ level: 'silent' });
+  log.error('boom');
+  assert.equal(messages.length, 2);
+  assert.throws(() => configureLogging({ level: 'debug' as 'info' }), /Unknown log level/);
+});
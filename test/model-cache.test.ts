@@ -0,0 +1,73 @@
+import { strict as assert } from 'assert';
+import { test } from 'node:test';
+import { existsSync, mkdirSync, mkdtempSync, readdirSync, rmSync, writeFileSync } from 'fs';
+import http from 'http';
+import type { AddressInfo } from 'net';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { CACHE_DIR_ENV } from '../src/cache-store.ts';
+import { ModelCache } from '../src/model-cache.ts';
+import { loadModelSource, modelCacheKey } from '../src/model-loader.ts';
+
+async function serveRepo(t: { after(fn: () => void): void }): Promise<string> {
+  const files: Record<string, string> = {
+    'config.json': JSON.stringify({ model_file: 'm.onnx', voices: 'v.npz' }),
+    'm.onnx': 'MODEL',
+    'v.npz': 'VOICES!',
+  };
+  const server = http.createServer((req, res) => {
+    const body = files[req.url!.replace(/^\/[^/]+\/[^/]+\/resolve\/main\//, '')];
+    res.statusCode = body === undefined ? 404 : 200;
+    res.end(body);
+  });
+  await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+}
+
+test('ModelCache lists, sizes, prefetches and deletes models in cacheDir', async (t) => {
+  const cacheDir = mkdtempSync(join(tmpdir(), 'kitten-cache-'));
+  t.after(() => rmSync(cacheDir, { recursive: true, force: true }));
+  const hubUrl = await serveRepo(t);
+  const cache = new ModelCache({ cacheDir, hubUrl });
+  assert.deepEqual(await cache.list(), []);
+
+  const entry = await cache.prefetch('acme/one');
+  assert.equal(entry!.key, modelCacheKey('acme/one', hubUrl));
+  assert.equal(entry!.source, `${hubUrl}/acme/one`);
+  assert.deepEqual(entry!.files, [{ name: 'config.json', size: 40 }, { name: 'm.onnx', size: 5 }, { name: 'v.npz', size: 7 }]);
+  assert.equal(entry!.size, 52);
+  await loadModelSource('acme/two', { cacheDir, hubUrl });
+
+  // Unrelated folders in a shared directory are left alone.
+  mkdirSync(join(cacheDir, 'other'));
+  writeFileSync(join(cacheDir, 'other', 'keep.txt'), 'x');
+  assert.deepEqual((await cache.list()).map(m => m.source).sort(), [`${hubUrl}/acme/one`, `${hubUrl}/acme/two`]);
+  assert.equal(await cache.size(), 104);
+  assert.equal(await cache.size('acme/two'), 52);
+  // Writes go through temporary files that never outlive the rename.
+  assert.ok(!readdirSync(join(cacheDir, entry!.key)).some(f => f.endsWith('.tmp') || f.endsWith('.partial')));
+
+  assert.equal(await cache.delete('acme/one'), true);
+  assert.equal(await cache.delete('acme/one'), false);
+  assert.equal(await cache.size('acme/one'), 0);
+  await cache.clear();
+  assert.deepEqual(await cache.list(), []);
+  assert.ok(existsSync(join(cacheDir, 'other', 'keep.txt')));
+  await assert.rejects(cache.prefetch('./local-model'), /read in place/);
+});
+
+test('the cache directory comes from the environment when cacheDir is not given', async (t) => {
+  const cacheDir = mkdtempSync(join(tmpdir(), 'kitten-cache-env-'));
+  const previous = process.env[CACHE_DIR_ENV];
+  process.env[CACHE_DIR_ENV] = cacheDir;
+  t.after(() => {
+    if (previous === undefined) delete process.env[CACHE_DIR_ENV];
+    else process.env[CACHE_DIR_ENV] = previous;
+    rmSync(cacheDir, { recursive: true, force: true });
+  });
+  const hubUrl = await serveRepo(t);
+  await loadModelSource('acme/env', { hubUrl });
+  assert.ok(existsSync(join(cacheDir, modelCacheKey('acme/env', hubUrl)!, 'm.onnx')));
+  assert.equal((await new ModelCache().list()).length, 1);
+});
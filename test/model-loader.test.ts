@@ -0,0 +1,220 @@
+import { strict as assert } from 'assert';
+import { test } from 'node:test';
+import { createHash } from 'crypto';
+import { existsSync, mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import http from 'http';
+import type { AddressInfo } from 'net';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { pathToFileURL } from 'url';
+import { configureLogging } from '../src/logger.ts';
+import { downloadModel, loadModelSource, modelCacheKey, MODELS, registerModel, unregisterModel, type DownloadProgress } from '../src/model-loader.ts';
+
+const bytes = (text: string) => new TextEncoder().encode(text);
+const text = (buffer: ArrayBuffer) => new TextDecoder().decode(buffer);
+
+/** A repo laid out like the hub ones: config, model under onnx/, voices at the root. */
+function writeRepo(dir: string): void {
+  mkdirSync(join(dir, 'onnx'), { recursive: true });
+  writeFileSync(join(dir, 'config.json'), JSON.stringify({ model_file: 'tiny.onnx', voices: 'v.npz', sample_rate: 24000 }));
+  writeFileSync(join(dir, 'onnx', 'tiny.onnx'), 'MODEL');
+  writeFileSync(join(dir, 'v.npz'), 'VOICES');
+}
+
+test('loadModelSource reads a local directory by path or file:// URL', async (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'kitten-model-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  writeRepo(dir);
+
+  for (const source of [dir, pathToFileURL(dir).href]) {
+    const { modelBuffer, voicesBuffer, config } = await loadModelSource(source);
+    assert.equal(text(modelBuffer), 'MODEL');
+    assert.equal(text(voicesBuffer), 'VOICES');
+    assert.equal(config.sample_rate, 24000);
+  }
+  await assert.rejects(loadModelSource(join(dir, 'missing')), /Model directory not found/);
+  await assert.rejects(loadModelSource('./no-such-model-dir'), /Model directory not found/);
+});
+
+test('loadModelSource accepts buffers with an optional config', async () => {
+  const model = new Uint8Array([9, 1, 2, 3]).subarray(1);
+  const loaded = await loadModelSource({ model, voices: bytes('V').buffer, config: '{"voice_aliases":{"A":"b"}}' });
+  assert.deepEqual([...new Uint8Array(loaded.modelBuffer)], [1, 2, 3]);
+  assert.deepEqual(loaded.config, { voice_aliases: { A: 'b' } });
+  assert.deepEqual((await loadModelSource({ model, voices: model })).config, {});
+  assert.deepEqual((await loadModelSource({ model, voices: model, config: bytes('{"x":1}') })).config, { x: 1 });
+  await assert.rejects(loadModelSource({ model } as never), /both `model` and `voices`/);
+});
+
+test('downloadModel keeps the allowlist unless a mirror is configured; URLs and mirrors are fetched and cached', async (t) => {
+  await assert.rejects(downloadModel('someone/unknown-model'), /Unknown model: someone\/unknown-model.*hubUrl/);
+
+  const root = mkdtempSync(join(tmpdir(), 'kitten-mirror-'));
+  const home = process.env.HOME;
+  process.env.HOME = join(root, 'home'); // keep the download cache out of the real home directory
+  t.after(() => {
+    process.env.HOME = home;
+    rmSync(root, { recursive: true, force: true });
+  });
+  writeRepo(join(root, 'site', 'acme', 'private-tts', 'resolve', 'main'));
+  writeRepo(join(root, 'site', 'plain'));
+
+  const requests: string[] = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url!);
+    try {
+      const body = readFileSync(join(root, 'site', decodeURIComponent(req.url!)));
+      res.end(body);
+    } catch {
+      res.statusCode = 404;
+      res.end();
+    }
+  });
+  await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+
+  const mirrored = await loadModelSource('acme/private-tts', { hubUrl: base });
+  assert.equal(text(mirrored.modelBuffer), 'MODEL');
+  assert.ok(requests.includes('/acme/private-tts/resolve/main/tiny.onnx')); // 404, then the onnx/ candidate
+  assert.ok(requests.includes('/acme/private-tts/resolve/main/onnx/tiny.onnx'));
+
+  const direct = await loadModelSource(`${base}/plain`);
+  assert.equal(text(direct.voicesBuffer), 'VOICES');
+
+  const count = requests.length;
+  await loadModelSource(`${base}/plain/`);
+  // Found files come from the cache; only the missing candidate is asked for again.
+  assert.deepEqual(requests.slice(count), ['/plain/tiny.onnx']);
+});
+
+test('hub downloads report progress, resume after an interruption and are verified against LFS metadata', async (t) => {
+  const root = mkdtempSync(join(tmpdir(), 'kitten-verify-'));
+  const home = process.env.HOME;
+  process.env.HOME = join(root, 'home');
+  t.after(() => {
+    process.env.HOME = home;
+    rmSync(root, { recursive: true, force: true });
+  });
+  const model = Buffer.alloc(64 * 1024, 7);
+  const files: Record<string, Buffer> = {
+    'config.json': Buffer.from(JSON.stringify({ model_file: 'm.onnx', voices: 'v.npz' })),
+    'm.onnx': model,
+    'v.npz': Buffer.from('VOICES'),
+  };
+  const sha256 = (buf: Buffer) => createHash('sha256').update(buf).digest('hex');
+  const lfs: Record<string, string> = { 'm.onnx': sha256(model), 'v.npz': sha256(files['v.npz']) };
+
+  const requests: { url: string; range?: string }[] = [];
+  let cutAfter = 0; // when set, the next model response is dropped after this many bytes
+  const server = http.createServer((req, res) => {
+    requests.push({ url: req.url!, range: req.headers.range });
+    if (req.url!.startsWith('/api/models/')) {
+      res.end(JSON.stringify(Object.entries(files).map(([path, body]) => ({
+        path, size: body.length, ...(lfs[path] ? { lfs: { oid: lfs[path], size: body.length } } : {}),
+      }))));
+      return;
+    }
+    const body = files[req.url!.replace(/^\/[^/]+\/[^/]+\/resolve\/main\//, '')];
+    if (!body) {
+      res.statusCode = 404;
+      res.end();
+      return;
+    }
+    const start = Number(/^bytes=(\d+)-$/.exec(req.headers.range ?? '')?.[1] ?? 0);
+    res.writeHead(start ? 206 : 200, { 'content-length': body.length - start });
+    if (body === model && cutAfter) {
+      res.write(body.subarray(start, start + cutAfter), () => res.destroy());
+      cutAfter = 0;
+      return;
+    }
+    res.end(body.subarray(start));
+  });
+  await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  const hubUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+
+  cutAfter = 20000;
+  await assert.rejects(loadModelSource('acme/tts', { hubUrl }), /terminated/);
+  const progress: DownloadProgress[] = [];
+  const loaded = await loadModelSource('acme/tts', { hubUrl, onProgress: p => progress.push(p) });
+  assert.ok(Buffer.from(loaded.modelBuffer).equals(model));
+  assert.equal(requests.filter(r => r.url.endsWith('/m.onnx')).at(-1)!.range, 'bytes=20000-');
+  const modelProgress = progress.filter(p => p.file === 'm.onnx');
+  assert.deepEqual(modelProgress[0], { file: 'm.onnx', loaded: 20000, total: model.length });
+  assert.deepEqual(modelProgress.at(-1), { file: 'm.onnx', loaded: model.length, total: model.length });
+
+  // Cache hits report once per file and make no requests.
+  const count = requests.length;
+  progress.length = 0;
+  await loadModelSource('acme/tts', { hubUrl, onProgress: p => progress.push(p) });
+  assert.equal(requests.length, count);
+  assert.deepEqual(progress.map(p => [p.file, p.loaded === p.total]), [['config.json', true], ['m.onnx', true], ['v.npz', true]]);
+
+  // A damaged cache entry is noticed and fetched again.
+  const cacheDir = join(root, 'home', '.cache', 'kitten-tts');
+  const cached = join(cacheDir, modelCacheKey('acme/tts', hubUrl)!, 'm.onnx');
+  writeFileSync(cached, 'garbage');
+  configureLogging({ level: 'silent' });
+  t.after(() => configureLogging({ level: 'warn' }));
+  const repaired = await loadModelSource('acme/tts', { hubUrl });
+  assert.ok(Buffer.from(repaired.modelBuffer).equals(model));
+  assert.equal(requests.length, count + 1);
+  assert.ok(readFileSync(cached).equals(model));
+  assert.equal(readFileSync(`${cached}.sha256`, 'utf8'), `${lfs['m.onnx']} ${model.length}`);
+
+  // Cache hits only compare sizes; an entry without a recorded size is hashed once and gets one.
+  writeFileSync(cached, Buffer.alloc(model.length, 8));
+  assert.equal(Buffer.from((await loadModelSource('acme/tts', { hubUrl })).modelBuffer)[0], 8);
+  writeFileSync(`${cached}.sha256`, lfs['m.onnx']);
+  assert.ok(Buffer.from((await loadModelSource('acme/tts', { hubUrl })).modelBuffer).equals(model));
+  assert.equal(requests.length, count + 2);
+  assert.equal(readFileSync(`${cached}.sha256`, 'utf8'), `${lfs['m.onnx']} ${model.length}`);
+
+  // Bytes that disagree with the hub's checksum are rejected and not cached.
+  // (The file listing is fetched once per repo, so this uses another one.)
+  lfs['v.npz'] = '0'.repeat(64);
+  await assert.rejects(loadModelSource('acme/tts-bad', { hubUrl }), /Checksum mismatch for v\.npz/);
+  assert.ok(!existsSync(join(cacheDir, modelCacheKey('acme/tts-bad', hubUrl)!, 'v.npz')));
+  const unverified = await loadModelSource('acme/tts-bad', { hubUrl, verify: false });
+  assert.equal(text(unverified.voicesBuffer), 'VOICES');
+});
+
+test('registered models load without hubUrl at their pinned revision, cached per revision', async (t) => {
+  const root = mkdtempSync(join(tmpdir(), 'kitten-registry-'));
+  t.after(() => rmSync(root, { recursive: true, force: true }));
+  const requests: string[] = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url!);
+    const [, revision, file] = /^\/acme\/pinned\/resolve\/([^/]+)\/(.+)$/.exec(req.url!) ?? [];
+    const body = file === 'weights/m.onnx' ? `MODEL@${decodeURIComponent(revision)}` : file === 'v.npz' ? 'VOICES' : undefined;
+    res.statusCode = body === undefined ? 404 : 200;
+    res.end(body);
+  });
+  await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  const hubUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+
+  assert.throws(() => registerModel('not-a-repo', { label: 'x' }), /owner\/name/);
+  assert.throws(() => registerModel('acme/pinned', { label: 'x', revision: '../main' }), /Invalid revision/);
+  registerModel('acme/pinned', { label: 'pinned', tier: 'nano', files: { model: 'weights/m.onnx', voices: 'v.npz' }, revision: 'v1.2' });
+  t.after(() => unregisterModel('acme/pinned'));
+  assert.equal(MODELS['acme/pinned'].tier, 'nano');
+
+  const cacheDir = join(root, 'cache');
+  const pinned = await loadModelSource('acme/pinned', { hubUrl, cacheDir });
+  assert.equal(text(pinned.modelBuffer), 'MODEL@v1.2');
+  assert.deepEqual(pinned.config, {}); // files come from the registry, so config.json may be absent
+  assert.ok(requests.includes('/acme/pinned/resolve/v1.2/weights/m.onnx'));
+
+  const other = await loadModelSource('acme/pinned', { hubUrl, cacheDir, revision: 'refs/pr/3' });
+  assert.equal(text(other.modelBuffer), 'MODEL@refs/pr/3');
+  assert.ok(requests.includes('/acme/pinned/resolve/refs%2Fpr%2F3/weights/m.onnx'));
+  assert.notEqual(modelCacheKey('acme/pinned', hubUrl), modelCacheKey('acme/pinned', hubUrl, 'refs/pr/3'));
+  assert.ok(existsSync(join(cacheDir, modelCacheKey('acme/pinned', hubUrl)!, 'weights_m.onnx')));
+  assert.ok(existsSync(join(cacheDir, modelCacheKey('acme/pinned', hubUrl, 'refs/pr/3')!, 'weights_m.onnx')));
+
+  assert.equal(unregisterModel('acme/pinned'), true);
+  assert.equal(unregisterModel('acme/pinned'), false);
+  await assert.rejects(downloadModel('acme/pinned'), /Unknown model/);
+});
@@ -27,6 +27,65 @@ test('expands ordinals', () => {
   assert.ok(out.includes('first'), `got: ${out}`);
 });
 
+test('reads years as years, with ranges and eras', () => {
+  const pre = new TextPreprocessor({ lowercase: false, remove_punctuation: false });
+  assert.equal(pre.process('Orwell wrote it in 1984.'), 'Orwell wrote it in nineteen eighty-four.');
+  assert.equal(pre.process('from 2019–2021 and 1990-95'), 'from twenty nineteen to twenty twenty-one and nineteen ninety to nineteen ninety-five');
+  assert.equal(pre.process('since 1066, 44 BC'), 'since ten sixty-six, forty-four B C');
+  // Counts and measurements stay cardinal.
+  assert.equal(pre.process('1984 people in 2048 MB'), 'one thousand nine hundred eighty-four people in two thousand forty-eight megabytes');
+});
+
+test('expands ISO, numeric and month-name dates', () => {
+  const pre = new TextPreprocessor({ lowercase: false, remove_punctuation: false });
+  assert.equal(pre.process('Released 2024-03-15.'), 'Released March fifteenth, twenty twenty-four.');
+  assert.equal(pre.process('On Mon, March 15th, 2024 we met.'), 'On Monday, March fifteenth, twenty twenty-four we met.');
+  assert.equal(pre.process('On the 5th of May 1999'), 'On the fifth of May nineteen ninety-nine');
+  assert.equal(pre.process('Due 3/4/2024 or 15/03/24'), 'Due March fourth, twenty twenty-four or March fifteenth, twenty twenty-four');
+  assert.equal(pre.process('She may march on.'), 'She may march on.');
+  const dates = new TextPreprocessor({ lowercase: false, remove_punctuation: false, replace_numbers: false });
+  assert.equal(dates.process('Version 1.2.2024 ships.'), 'Version 1.2.2024 ships.');
+  assert.equal(dates.process('Due 15.03.2024, not with build 3.4.2024.'), 'Due March fifteenth, twenty twenty-four, not with build 3.4.2024.');
+  assert.equal(new TextPreprocessor({ lowercase: false, date_order: 'dmy' }).process('3/4/2024'), 'April third, twenty twenty-four');
+  assert.equal(new TextPreprocessor({ lowercase: false, expand_dates: false, expand_years: false }).process('in 1984'), 'in one thousand nine hundred eighty-four');
+});
+
+test('expands Roman numerals by context and leaves the pronoun I alone', () => {
+  const pre = new TextPreprocessor({ lowercase: false, remove_punctuation: false, expand_roman_numerals: true });
+  assert.equal(pre.process('Chapter IV, Part II and World War I'), 'Chapter four, Part two and World War one');
+  assert.equal(pre.process('Louis XIV met Elizabeth II.'), 'Louis the fourteenth met Elizabeth the second.');
+  assert.equal(pre.process('Then I saw Malcolm X buy a CD.'), 'Then I saw Malcolm X buy a see dee.');
+  assert.equal(p.process('Chapter IV'), 'Chapter IV'); // off by default
+});
+
+test('removes accents and stopwords when enabled', () => {
+  const pre = new TextPreprocessor({ remove_accents: true, remove_stopwords: true });
+  assert.equal(pre.process('The café in Łódź is on the corner'), 'cafe lodz corner');
+  assert.equal(new TextPreprocessor({ remove_accents: true }).process('नमस्ते déjà'), 'नमस्ते deja');
+});
+
+test('expands abbreviations by context', () => {
+  const pre = new TextPreprocessor({ lowercase: false, remove_punctuation: false });
+  assert.equal(pre.process('Dr. Smith lives on Main St.'), 'Doctor Smith lives on Main Street.');
+  assert.equal(pre.process('Call Dr. Jones in St. Louis, e.g. tomorrow.'), 'Call Doctor Jones in Saint Louis, for example tomorrow.');
+  assert.equal(pre.process('No. 5 is 6 ft. tall, etc. Come in.'), 'number five is six feet tall, et cetera. Come in.');
+  // "ms" after a number is the unit, including at a sentence end.
+  assert.equal(pre.process('The delay is 5 ms.'), 'The delay is five milliseconds.');
+  assert.equal(pre.process('It takes 20 ms. Then Ms. Lee drops it.'), 'It takes twenty milliseconds. Then Miz Lee drops it.');
+  const custom = new TextPreprocessor({ lowercase: false, abbreviations: { 'Approx.': 'roughly', bldg: { otherwise: 'building', endsSentence: true } } });
+  assert.equal(custom.process('approx. 3 in Bldg. 7'), 'roughly three in building seven');
+});
+
+test('spells initialisms and keeps pronounceable acronyms as words', () => {
+  const pre = new TextPreprocessor({ lowercase: false, remove_punctuation: false });
+  assert.equal(pre.process('The FBI and NASA use HTML and APIs.'), 'The eff bee eye and NASA use aitch tee em el and ay pee eyes.');
+  assert.equal(pre.process('Please DO NOT touch the GIF'), 'Please DO NOT touch the GIF');
+  assert.equal(pre.process('WARNING ALL CAPS TEXT'), 'WARNING ALL CAPS TEXT');
+  assert.equal(pre.process('I saw IT.'), 'I saw IT.');
+  pre.config.acronyms.set('NASA', 'letters').set('SQL', 'word');
+  assert.equal(pre.process('NASA uses SQL'), 'en ay ess ay uses SQL');
+});
+
 test('removes HTML tags', () => {
   assert.equal(p.process('<b>hello</b>').trim(), 'hello');
 });
@@ -39,3 +98,39 @@ test('removes URLs', () => {
 test('normalizes whitespace', () => {
   assert.equal(p.process('hello   world'), 'hello world');
 });
+
+test('built-in rules run in order and config flags still toggle them', () => {
+  const pre = new TextPreprocessor({ lowercase: false, expand_currency: false });
+  assert.deepEqual(pre.rules.slice(0, 3), ['normalize_unicode', 'remove_html', 'remove_urls']);
+  assert.deepEqual(pre.rules.slice(-3), ['remove_punctuation', 'lowercase', 'remove_extra_whitespace']);
+  assert.equal(pre.process('$5'), 'five');
+  pre.config.expand_currency = true;
+  assert.equal(pre.process('$5'), 'five dollars');
+});
+
+test('custom regex and function rules can be inserted, moved, replaced and removed', () => {
+  const pre = new TextPreprocessor({ lowercase: false, expand_acronyms: false, rules: [{ name: 'brand', pattern: /\bKTTS\b/, replacement: 'Kitten T T S' }] });
+  assert.equal(pre.rules.at(-1), 'brand'); // appended after the built-ins
+  assert.equal(pre.process('KTTS rocks'), 'Kitten T T S rocks');
+  // Punctuation removal would drop the `$`, so a ticker rule has to run before the currency rule.
+  pre.addRule({ name: 'ticker', pattern: /\$([A-Z]{2,5})\b/, replacement: (_m, sym) => `ticker ${sym.split('').join(' ')}` }, { before: 'expand_currency' });
+  assert.equal(pre.process('$AAPL up $5'), 'ticker A A P L up five dollars');
+  pre.addRule({ name: 'sku', pattern: /\bSKU-(\d+)/g, replacement: 'S K U $1' }, { before: 'expand_model_names' });
+  assert.equal(pre.process('SKU-42'), 'S K U forty-two');
+  pre.moveRule('sku', { index: 0 });
+  assert.equal(pre.rules[0], 'sku');
+
+  pre.addRule({ name: 'shout', apply: t => t.toUpperCase() }, { after: 'lowercase' });
+  assert.equal(pre.process('hi 2'), 'HI TWO');
+  pre.replaceRule('shout', { name: 'shout', apply: t => `${t}!` });
+  assert.equal(pre.process('hi'), 'hi!');
+
+  assert.throws(() => pre.addRule({ name: 'sku', apply: t => t }), /already exists/);
+  assert.throws(() => pre.moveRule('sku', { before: 'nope' }), /Unknown rule "nope"/);
+  assert.equal(pre.rules[0], 'sku'); // a failed move leaves the order alone
+  assert.throws(() => pre.addRule({ name: 'bad' } as never), /apply\(\) function or a RegExp/);
+  assert.equal(pre.removeRule('shout'), true);
+  assert.equal(pre.removeRule('shout'), false);
+  assert.ok(pre.removeRule('replace_numbers'));
+  assert.equal(pre.process('3 cats'), '3 cats');
+});
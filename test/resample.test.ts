@@ -0,0 +1,43 @@
+/**
+ * Tests for the windowed-sinc resampler.
+ */
+import { strict as assert } from 'assert';
+import { test } from 'node:test';
+import { resample } from '../src/resample.ts';
+
+function sine(freq: number, rate: number, seconds = 0.5): Float32Array {
+  return Float32Array.from({ length: Math.round(rate * seconds) }, (_, i) => 0.5 * Math.sin((2 * Math.PI * freq * i) / rate));
+}
+
+/** Amplitude of `freq` in `x` (single-bin DFT), skipping the edges. */
+function amplitude(x: Float32Array, freq: number, rate: number): number {
+  let re = 0, im = 0;
+  const from = Math.floor(x.length / 4), to = Math.floor((3 * x.length) / 4);
+  for (let i = from; i < to; i++) {
+    re += x[i] * Math.cos((2 * Math.PI * freq * i) / rate);
+    im += x[i] * Math.sin((2 * Math.PI * freq * i) / rate);
+  }
+  return (2 * Math.hypot(re, im)) / (to - from);
+}
+
+test('resample preserves in-band tones up and down', () => {
+  for (const [from, to] of [[24000, 8000], [24000, 48000], [24000, 44100]]) {
+    const out = resample(sine(1000, from), from, to);
+    assert.equal(out.length, Math.round(from * 0.5 * (to / from)));
+    assert.ok(Math.abs(amplitude(out, 1000, to) - 0.5) < 0.005, `${from} → ${to}`);
+  }
+});
+
+test('downsampling removes content above the new Nyquist instead of aliasing it', () => {
+  // 5 kHz would alias to 3 kHz at 8 kHz.
+  const out = resample(sine(5000, 24000), 24000, 8000);
+  assert.ok(amplitude(out, 3000, 8000) < 0.5 * 10 ** (-60 / 20));
+});
+
+test('resample validates rates and copies on identity', () => {
+  const x = sine(440, 24000, 0.01);
+  const same = resample(x, 24000, 24000);
+  assert.deepEqual(same, x);
+  assert.notEqual(same, x);
+  assert.throws(() => resample(x, 24000, 0), /positive/);
+});
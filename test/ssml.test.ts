@@ -0,0 +1,119 @@
+import { strict as assert } from 'assert';
+import { test } from 'node:test';
+import { parseSsml, planSpeech, isSsml, expandSayAs, applyPauses, phonemizeUnit } from '../src/ssml.ts';
+import { KittenTTS } from '../src/kitten-tts.ts';
+
+const tts = new (KittenTTS as unknown as new (...args: unknown[]) => KittenTTS)(null, {}, {});
+const chunk = (t: string) => tts._chunkText(t);
+const defaults = { voice: 'Leo', speed: 1.0, clean: true };
+
+test('isSsml detects a leading <speak> root', () => {
+  assert.equal(isSsml('<speak>Hi</speak>'), true);
+  assert.equal(isSsml('  <?xml version="1.0"?><speak version="1.1">Hi</speak>'), true);
+  assert.equal(isSsml('Hello <b>world</b>'), false);
+});
+
+test('plain text plans one unit per chunk with default voice and speed', () => {
+  const units = planSpeech('Hello world. How are you?', defaults, chunk);
+  assert.deepEqual(units.map(u => u.text), chunk('Hello world. How are you?'));
+  assert.ok(units.every(u => u.voice === 'Leo' && u.speed === 1 && u.parts.length === 1 && u.parts[0].clean));
+});
+
+test('break time attaches silence to the preceding unit', () => {
+  const units = planSpeech('<speak>One.<break time="500ms"/>Two.</speak>', defaults, chunk);
+  assert.equal(units.length, 2);
+  assert.equal(units[0].pauseAfterMs, 500);
+  assert.equal(units[1].pauseAfterMs, 0);
+});
+
+test('leading break becomes pause before the first unit', () => {
+  const units = planSpeech('<speak><break time="1.5s"/>Hi</speak>', defaults, chunk);
+  assert.equal(units[0].pauseBeforeMs, 1500);
+});
+
+test('break strength maps to a pause length', () => {
+  const segs = parseSsml('<speak>a<break strength="strong"/>b<break/>c</speak>');
+  const breaks = segs.filter(s => s.type === 'break');
+  assert.deepEqual(breaks, [{ type: 'break', ms: 750 }, { type: 'break', ms: 400 }]);
+});
+
+test('invalid break time fails clearly', () => {
+  assert.throws(() => parseSsml('<speak>a<break time="soon"/></speak>'), /Invalid SSML break time/);
+});
+
+test('prosody rate and voice override unit speed and voice', () => {
+  const units = planSpeech(
+    '<speak>Normal. <voice name="Bella"><prosody rate="slow">Slow words.</prosody></voice></speak>',
+    { ...defaults, speed: 1.2 },
+    chunk,
+  );
+  assert.equal(units.length, 2);
+  assert.equal(units[0].voice, 'Leo');
+  assert.equal(units[1].voice, 'Bella');
+  assert.ok(Math.abs(units[1].speed - 0.9) < 1e-9);
+});
+
+test('prosody rate accepts percentages', () => {
+  const [seg] = parseSsml('<speak><prosody rate="+20%">x</prosody></speak>');
+  assert.ok(seg.type === 'text' && Math.abs(seg.rate - 1.2) < 1e-9);
+  const [abs] = parseSsml('<speak><prosody rate="80%">x</prosody></speak>');
+  assert.ok(abs.type === 'text' && Math.abs(abs.rate - 0.8) < 1e-9);
+});
+
+test('say-as content bypasses the preprocessor inside the surrounding sentence', () => {
+  const [unit] = planSpeech('<speak>Code <say-as interpret-as="characters">AB1</say-as> now</speak>', defaults, chunk);
+  assert.deepEqual(unit.parts, [
+    { text: 'Code', clean: true },
+    { text: 'ay bee one', clean: false },
+    { text: 'now,', clean: true },
+  ]);
+  assert.equal(unit.text, 'Code AB1 now,');
+});
+
+test('expandSayAs handles cardinal, ordinal and dates', () => {
+  assert.equal(expandSayAs('1,204', 'cardinal'), 'one thousand two hundred four');
+  assert.equal(expandSayAs('3', 'ordinal'), 'third');
+  assert.equal(expandSayAs('2024-03-15', 'date'), 'March fifteenth, twenty twenty-four');
+  assert.equal(expandSayAs('15/03/1999', 'date', 'dmy'), 'March fifteenth, nineteen ninety-nine');
+  assert.equal(expandSayAs('hello', 'unknown'), 'hello');
+});
+
+test('sub speaks the alias and keeps the original as display text', () => {
+  const [unit] = planSpeech('<speak><sub alias="World Wide Web">WWW</sub> rocks</speak>', defaults, chunk);
+  assert.equal(unit.parts[0].text, 'World Wide Web');
+  assert.equal(unit.parts[0].clean, false);
+  assert.ok(unit.text.startsWith('WWW'));
+});
+
+test('phoneme ph is passed through without phonemization', async () => {
+  const [unit] = planSpeech('<speak>say <phoneme alphabet="ipa" ph="təˈmɑːtoʊ">tomato</phoneme></speak>', defaults, chunk);
+  const calls: string[] = [];
+  const { phonemes } = await phonemizeUnit(unit, async (t) => { calls.push(t); return `[${t}]`; }, (t) => t);
+  assert.deepEqual(calls, ['say', ',']);
+  assert.equal(phonemes, '[say] təˈmɑːtoʊ [,]');
+});
+
+test('entities are decoded and unknown tags keep their text', () => {
+  const segs = parseSsml('<speak><emphasis>Tom &amp; Jerry</emphasis></speak>');
+  assert.equal(segs.length, 1);
+  assert.ok(segs[0].type === 'text' && segs[0].text === 'Tom & Jerry');
+});
+
+test('applyPauses pads with silence at the sample rate', () => {
+  const samples = new Float32Array([1, 1]);
+  const out = applyPauses(samples, { text: '', parts: [], voice: 'Leo', speed: 1, pauseBeforeMs: 1, pauseAfterMs: 2 }, 1000);
+  assert.deepEqual(Array.from(out), [0, 1, 1, 0, 0]);
+});
+
+test('ssml: false treats markup as plain text', () => {
+  const units = planSpeech('<speak>Hi</speak>', { ...defaults, ssml: false }, chunk);
+  assert.equal(units[0].parts[0].text, '<speak>Hi</speak>,');
+});
+
+test('blank lines and </p> mark paragraph ends', () => {
+  const plain = planSpeech('First para.\n\nSecond para. Still second.', defaults, chunk);
+  assert.deepEqual(plain.map(u => !!u.paragraphEnd), [true, false, false]);
+  const ssml = planSpeech('<speak><p>One.</p><p>Two.</p></speak>', defaults, chunk);
+  assert.deepEqual(ssml.map(u => !!u.paragraphEnd), [true, true]);
+  assert.deepEqual(ssml.map(u => u.pauseAfterMs), [0, 0]);
+});
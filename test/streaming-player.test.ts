@@ -0,0 +1,175 @@
+import { strict as assert } from 'assert';
+import { test } from 'node:test';
+import { RawAudio } from '../src/audio.ts';
+import { StreamingPlayer, type ChunkStartDetail } from '../src/streaming-player.ts';
+
+/** Just enough of an AudioContext to observe scheduling; the clock is advanced by hand. */
+class FakeContext {
+  currentTime = 0;
+  state: 'running' | 'suspended' = 'running';
+  destination = {};
+  started: { at: number; length: number; rate: number }[] = [];
+  stopped = 0;
+
+  createBuffer(_channels: number, length: number, sampleRate: number) {
+    return { length, sampleRate, duration: length / sampleRate, copyToChannel() {} };
+  }
+
+  createBufferSource() {
+    const ctx = this;
+    return {
+      buffer: null as null | { length: number; sampleRate: number },
+      onended: null as null | (() => void),
+      connect() {},
+      disconnect() {},
+      start(at: number) { ctx.started.push({ at, length: this.buffer!.length, rate: this.buffer!.sampleRate }); },
+      stop() { ctx.stopped++; },
+    };
+  }
+
+  async suspend() { this.state = 'suspended'; }
+  async resume() { this.state = 'running'; }
+}
+
+function setup(t: { mock: { timers: { enable(o: { apis: string[] }): void; tick(ms: number): void } } }) {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const ctx = new FakeContext();
+  const player = new StreamingPlayer({ context: ctx as unknown as AudioContext, startDelayMs: 100 });
+  const advance = (sec: number) => {
+    if (ctx.state === 'running') ctx.currentTime += sec;
+    t.mock.timers.tick(sec * 1000);
+  };
+  return { ctx, player, advance };
+}
+
+const clip = (seconds: number, rate = 1000) => new RawAudio(new Float32Array(seconds * rate), rate);
+
+test('StreamingPlayer schedules chunks back to back and reports position', (t) => {
+  const { ctx, player, advance } = setup(t);
+  const starts: ChunkStartDetail[] = [];
+  player.addEventListener('chunkstart', (e) => starts.push((e as CustomEvent<ChunkStartDetail>).detail));
+
+  player.enqueue({ text: 'one', audio: clip(1) });
+  player.enqueue({ floatArr: new Float32Array(500), sampleRate: 1000, text: 'two' });
+  assert.deepEqual(ctx.started.map(s => s.at), [0.1, 1.1]);
+  assert.equal(player.state, 'playing');
+  assert.equal(player.position, 0);
+  assert.equal(player.bufferedAhead, 1.5);
+
+  advance(0.6);
+  assert.deepEqual(starts.map(s => s.text), ['one']);
+  assert.ok(Math.abs(player.position - 0.5) < 1e-9);
+  advance(0.6);
+  assert.deepEqual(starts.map(s => [s.index, s.text, s.offset]), [[0, 'one', 0], [1, 'two', 1]]);
+  assert.ok(Math.abs(player.bufferedAhead - 0.4) < 1e-9);
+
+  // Playback has caught up: a late chunk starts after the lead time, at the next stream offset.
+  advance(1);
+  player.enqueue(clip(1));
+  assert.ok(Math.abs(ctx.started[2].at - 2.3) < 1e-9);
+  assert.equal(player.position, 1.5);
+});
+
+test('StreamingPlayer pause freezes the clock and end() fires ended after the queue drains', async (t) => {
+  const { ctx, player, advance } = setup(t);
+  let ended = 0;
+  player.addEventListener('ended', () => ended++);
+  player.enqueue(clip(1));
+  player.end();
+  assert.throws(() => player.enqueue(clip(1)), /after end/);
+
+  advance(0.5);
+  await player.pause();
+  assert.equal(player.state, 'paused');
+  advance(5);
+  assert.equal(ended, 0);
+  assert.ok(Math.abs(player.position - 0.4) < 1e-9);
+
+  await player.resume();
+  advance(0.7);
+  assert.equal(ended, 1);
+  assert.equal(player.state, 'idle');
+  assert.equal(ctx.state, 'running');
+});
+
+test('StreamingPlayer.play consumes a generator and stop() ends it early', async (t) => {
+  const { ctx, player, advance } = setup(t);
+  let closed = false;
+  async function* chunks() {
+    try {
+      for (let i = 0; ; i++) yield { text: String(i), audio: clip(1) };
+    } finally {
+      closed = true;
+    }
+  }
+  let resolved = false;
+  const playing = player.play((async function* () {
+    let n = 0;
+    for await (const c of chunks()) {
+      if (n++ === 3) player.stop();
+      yield c;
+    }
+  })()).then(() => { resolved = true; });
+  await playing;
+  assert.ok(resolved);
+  assert.equal(ctx.started.length, 3);
+  assert.equal(ctx.stopped, 3);
+  assert.equal(player.state, 'idle');
+  assert.ok(closed);
+
+  const done = player.play([clip(1), clip(1)]);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(ctx.started.length, 5);
+  advance(1);
+  advance(1.2);
+  await done;
+  assert.equal(player.state, 'idle');
+});
+
+test('StreamingPlayer.play after stop() ignores chunks the stopped source yields later', async (t) => {
+  const { ctx, player } = setup(t);
+  let release!: () => void;
+  const gate = new Promise<void>(resolve => { release = resolve; });
+  let closed = false;
+  const old = player.play((async function* () {
+    try {
+      yield clip(0.111);
+      await gate;
+      yield clip(0.222);
+    } finally {
+      closed = true;
+    }
+  })());
+  await new Promise(resolve => setImmediate(resolve));
+  player.stop();
+  await old; // resolves without waiting for the blocked generator
+
+  const next = player.play((async function* () {
+    yield clip(0.333);
+    await new Promise(resolve => setImmediate(resolve));
+  })());
+  release();
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(ctx.started.map(s => s.length), [111, 333]);
+  assert.ok(closed);
+  player.stop();
+  await next;
+});
+
+test('StreamingPlayer.play while an earlier play() drains its last audio replaces it', async (t) => {
+  const { ctx, player, advance } = setup(t);
+  let firstDone = false;
+  const first = player.play([clip(1)]).then(() => { firstDone = true; });
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(player.state, 'playing'); // end() has run; the clip is still playing
+
+  const second = player.play([clip(0.5)]);
+  await first;
+  assert.ok(firstDone);
+  assert.equal(ctx.stopped, 1);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(ctx.started.map(s => s.length), [1000, 500]);
+  advance(0.7);
+  await second;
+  assert.equal(player.state, 'idle');
+});
@@ -0,0 +1,65 @@
+import { strict as assert } from 'assert';
+import { test } from 'node:test';
+import { TextSegmenter, segmentTextStream } from '../src/text-stream.ts';
+
+function feed(tokens: string[], opts = {}): string[][] {
+  const segmenter = new TextSegmenter(opts);
+  return [...tokens.map(t => segmenter.push(t)), segmenter.flush()];
+}
+
+test('a sentence is emitted once the whitespace after its end arrives', () => {
+  assert.deepEqual(feed(['Hel', 'lo there', '.', ' How', ' are you?']), [[], [], [], ['Hello there.'], [], ['How are you?']]);
+});
+
+test('decimals, abbreviations and initials do not end a sentence', () => {
+  const out = feed(['It costs 3.', '14 dollars, says Dr. Smith and J. ', 'Doe. Done']).flat();
+  assert.deepEqual(out, ['It costs 3.14 dollars, says Dr. Smith and J. Doe.', 'Done']);
+});
+
+test('the pronoun I is not an initial', () => {
+  assert.deepEqual(feed(['So did I. ', 'Then he left.']).flat(), ['So did I.', 'Then he left.']);
+});
+
+test('a unit abbreviation after a number can end a sentence', () => {
+  assert.deepEqual(feed(['It takes 20 ms. Then Ms. ', 'Lee drops it.']).flat(), ['It takes 20 ms.', 'Then Ms. Lee drops it.']);
+});
+
+test('a period after a possible abbreviation waits for the next word', () => {
+  assert.deepEqual(feed(['We live on Main St.', ' ', 'He waits. He said no.', ' Then', ' he left.']),
+    [[], [], ['We live on Main St.', 'He waits.'], ['He said no.'], [], ['Then he left.']]);
+});
+
+test('the abbreviation table can be replaced', () => {
+  const abbreviations = new Map([['bldg', { otherwise: 'building' }]]);
+  const text = ['It costs bldg. ', 'Ten dollars, Dr. ', 'Who knows.'];
+  assert.deepEqual(feed(text, { abbreviations }).flat(), ['It costs bldg. Ten dollars, Dr.', 'Who knows.']);
+  assert.deepEqual(feed(text).flat(), ['It costs bldg.', 'Ten dollars, Dr. Who knows.']);
+});
+
+test('line breaks end a segment', () => {
+  assert.deepEqual(feed(['- first item\n- second', ' item']).flat(), ['- first item', '- second item']);
+});
+
+test('clause punctuation splits only once enough text is pending', () => {
+  const text = 'Short, then a much longer clause that keeps going for quite a while, and finally the end';
+  assert.deepEqual(feed([text], { clauseMinChars: 30 }).flat(), [
+    'Short, then a much longer clause that keeps going for quite a while,',
+    'and finally the end',
+  ]);
+});
+
+test('overlong text without punctuation is split at a word boundary', () => {
+  const out = feed(['word '.repeat(20)], { maxChars: 24, clauseMinChars: 1000 }).flat();
+  assert.ok(out.every(s => s.length <= 24));
+  assert.equal(out.join(' '), 'word '.repeat(20).trim());
+});
+
+test('segmentTextStream consumes async iterables and flushes at the end', async () => {
+  async function* tokens() {
+    yield 'One. Tw';
+    yield 'o';
+  }
+  const out: string[] = [];
+  for await (const s of segmentTextStream(tokens())) out.push(s);
+  assert.deepEqual(out, ['One.', 'Two']);
+});
@@ -0,0 +1,78 @@
+import { strict as assert } from 'assert';
+import { test } from 'node:test';
+import { alignTimings, concatTimings, findDurationOutput, offsetTimings } from '../src/timings.ts';
+
+const SR = 1000;
+
+test('alignTimings uses duration output when it covers every token', () => {
+  // tokens: pad, h, i, ␠, j, o, end-marker, pad
+  const durations = [1, 1, 1, 1, 1, 1, 2, 2];
+  const timings = alignTimings({
+    phonemes: 'hi jo',
+    text: 'hi jo',
+    durations,
+    rawLength: 1000,
+    audio: new Float32Array(1000),
+    sampleRate: SR,
+  });
+  assert.equal(timings.source, 'duration');
+  assert.deepEqual(timings.words.map(w => w.word), ['hi', 'jo']);
+  assert.deepEqual(timings.phonemes.map(p => p.phoneme), ['h', 'i', 'j', 'o']);
+  // 10 frames over 1000 samples → 100 samples (0.1 s) per frame; "h" starts after the leading pad.
+  assert.ok(Math.abs(timings.words[0].start - 0.1) < 1e-9);
+  assert.ok(Math.abs(timings.words[0].end - 0.3) < 1e-9);
+  assert.ok(Math.abs(timings.words[1].start - 0.4) < 1e-9);
+});
+
+test('alignTimings estimates within the voiced region without durations', () => {
+  const audio = new Float32Array(1000);
+  audio.fill(0.5, 200, 800);
+  const timings = alignTimings({ phonemes: 'ab', text: 'ab', durations: null, rawLength: 1000, audio, sampleRate: SR });
+  assert.equal(timings.source, 'estimate');
+  assert.equal(timings.words.length, 1);
+  assert.ok(Math.abs(timings.words[0].start - 0.2) < 1e-9);
+  assert.ok(Math.abs(timings.words[0].end - 0.8) < 1e-9);
+});
+
+test('stress marks prefix and length marks suffix their phoneme', () => {
+  const timings = alignTimings({
+    phonemes: 'hˈiː',
+    text: 'he',
+    durations: null,
+    rawLength: 100,
+    audio: new Float32Array(100).fill(1),
+    sampleRate: SR,
+  });
+  assert.deepEqual(timings.phonemes.map(p => p.phoneme), ['h', 'ˈiː']);
+});
+
+test('spoken words are spread over the span when eSpeak merges words', () => {
+  const timings = alignTimings({
+    phonemes: 'ʌvðə',
+    text: 'of the',
+    durations: null,
+    rawLength: 100,
+    audio: new Float32Array(100).fill(1),
+    sampleRate: SR,
+  });
+  assert.deepEqual(timings.words.map(w => w.word), ['of', 'the']);
+  assert.ok(timings.words[0].end <= timings.words[1].start + 1e-9);
+});
+
+test('concatTimings shifts chunks and reports estimate if any chunk was estimated', () => {
+  const a = { words: [{ word: 'a', phonemes: 'a', start: 0, end: 1 }], phonemes: [], source: 'duration' as const };
+  const b = { words: [{ word: 'b', phonemes: 'b', start: 0, end: 1 }], phonemes: [], source: 'estimate' as const };
+  const out = concatTimings([{ timings: a, offset: 0 }, { timings: b, offset: 2 }]);
+  assert.deepEqual(out.words.map(w => [w.start, w.end]), [[0, 1], [2, 3]]);
+  assert.equal(out.source, 'estimate');
+  assert.equal(offsetTimings(a, 0), a);
+});
+
+test('findDurationOutput picks a per-token output and converts bigint data', () => {
+  const results = {
+    waveform: { data: new Float32Array(10) },
+    duration: { data: BigInt64Array.from([1n, 2n, 3n]) },
+  };
+  assert.deepEqual(findDurationOutput(results, 'waveform', 3), [1, 2, 3]);
+  assert.equal(findDurationOutput({ waveform: results.waveform }, 'waveform', 3), null);
+});
@@ -0,0 +1,40 @@
+/**
+ * Tests for voice blending and .npy/.npz/JSON voice serialization.
+ */
+import { strict as assert } from 'assert';
+import { test } from 'node:test';
+import { blendEmbeddings, decodeVoice, encodeNpy, encodeNpz, encodeVoiceJson } from '../src/voices.ts';
+
+const a = { data: Float32Array.from([0, 0, 10, 10]), shape: [2, 2], dtype: 'f4' };
+const b = { data: Float32Array.from([10, 10, 0, 0]), shape: [2, 2], dtype: 'f4' };
+
+test('blendEmbeddings interpolates row by row with normalized weights', () => {
+  const blended = blendEmbeddings([{ embedding: a, weight: 7 }, { embedding: b, weight: 3 }]);
+  assert.deepEqual(blended.shape, [2, 2]);
+  assert.deepEqual(Array.from(blended.data), [3, 3, 7, 7]);
+});
+
+test('blendEmbeddings rejects mismatched shapes and bad weights', () => {
+  const c = { data: new Float32Array(6), shape: [3, 2], dtype: 'f4' };
+  assert.throws(() => blendEmbeddings([{ embedding: a, weight: 1 }, { embedding: c, weight: 1 }]), /Cannot blend/);
+  assert.throws(() => blendEmbeddings([{ embedding: a, weight: -1 }]), /non-negative/);
+  assert.throws(() => blendEmbeddings([{ embedding: a, weight: 0 }]), /all be zero/);
+  assert.throws(() => blendEmbeddings([]), /at least one/);
+});
+
+test('npy, npz and JSON encodings round-trip through decodeVoice', async () => {
+  const npy = encodeNpy(a);
+  assert.equal((npy.length - a.data.length * 4) % 64, 0);
+  for (const source of [npy, await encodeNpz({ Mine: a }), encodeVoiceJson('Mine', a)]) {
+    const decoded = await decodeVoice(source, 'Mine');
+    assert.deepEqual(decoded.shape, [2, 2]);
+    assert.deepEqual(Array.from(decoded.data), [0, 0, 10, 10]);
+  }
+});
+
+test('decodeVoice promotes a style vector and validates shapes', async () => {
+  const single = await decodeVoice([1, 2, 3]);
+  assert.deepEqual(single.shape, [1, 3]);
+  await assert.rejects(() => decodeVoice({ shape: [2, 2], data: [1, 2, 3] }), /does not match/);
+  await assert.rejects(async () => decodeVoice(await encodeNpz({ x: a, y: b })), /expected one/);
+});
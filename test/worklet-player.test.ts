@@ -0,0 +1,137 @@
+import { strict as assert } from 'assert';
+import { test } from 'node:test';
+import { AudioRingBuffer } from '../src/ring-buffer.ts';
+import { PROCESSOR_SOURCE, openPlaybackSink } from '../src/worklet-player.ts';
+
+const ramp = (from: number, n: number) => Float32Array.from({ length: n }, (_, i) => from + i);
+
+test('AudioRingBuffer wraps around and is shared between wrappers of the same memory', () => {
+  const producer = AudioRingBuffer.allocate(5);
+  const consumer = new AudioRingBuffer(producer.buffer);
+  assert.ok(producer.buffer instanceof SharedArrayBuffer);
+  assert.equal(producer.availableWrite, 5);
+
+  assert.equal(producer.push(ramp(0, 4)), 4);
+  const out = new Float32Array(3);
+  assert.equal(consumer.pull(out), 3);
+  assert.deepEqual([...out], [0, 1, 2]);
+  assert.equal(producer.push(ramp(4, 10)), 4); // only the free room is taken
+  assert.equal(consumer.availableRead, 5);
+  const rest = new Float32Array(8);
+  assert.equal(consumer.pull(rest), 5);
+  assert.deepEqual([...rest.subarray(0, 5)], [3, 4, 5, 6, 7]);
+  assert.equal(consumer.consumed, 8);
+
+  producer.push(ramp(0, 2));
+  producer.ended = true;
+  consumer.discard();
+  assert.equal(consumer.availableRead, 0);
+  assert.equal(producer.ended, false);
+  assert.throws(() => new AudioRingBuffer(new ArrayBuffer(10)), /Not an AudioRingBuffer/);
+  assert.throws(() => AudioRingBuffer.allocate(0), /positive integer/);
+});
+
+interface FakeProcessor {
+  port: { posted: { type: string; consumed: number; buffered?: number }[]; onmessage: (e: { data: unknown }) => void };
+  process(inputs: unknown[], outputs: Float32Array[][]): boolean;
+}
+
+/** Evaluate the worklet module against stand-ins for the AudioWorkletGlobalScope. */
+function loadProcessor(): new (options: { processorOptions?: { ring?: SharedArrayBuffer } }) => FakeProcessor {
+  let registered: unknown = null;
+  class AudioWorkletProcessor {
+    port = { posted: [] as unknown[], onmessage: null, postMessage(msg: unknown) { this.posted.push(msg); } };
+  }
+  new Function('AudioWorkletProcessor', 'registerProcessor', PROCESSOR_SOURCE)(
+    AudioWorkletProcessor,
+    (name: string, cls: unknown) => { assert.equal(name, 'kitten-tts-playback'); registered = cls; },
+  );
+  return registered as ReturnType<typeof loadProcessor>;
+}
+
+function render(processor: FakeProcessor, frames = 4): Float32Array[] {
+  const outputs = [[new Float32Array(frames), new Float32Array(frames)]];
+  processor.process([], outputs);
+  return outputs[0];
+}
+
+test('worklet processor plays from the shared ring and reports underrun and ended', () => {
+  const Processor = loadProcessor();
+  const ring = AudioRingBuffer.allocate(16);
+  const processor = new Processor({ processorOptions: { ring: ring.buffer as SharedArrayBuffer } });
+
+  ring.push(ramp(1, 6));
+  assert.deepEqual([...render(processor)[0]], [1, 2, 3, 4]);
+  const [left, right] = render(processor);
+  assert.deepEqual([...left], [5, 6, 0, 0]);
+  assert.deepEqual([...right], [...left]); // mono is copied to every output channel
+  assert.deepEqual(processor.port.posted.map(m => m.type), ['underrun']);
+
+  ring.push(ramp(7, 2));
+  ring.ended = true;
+  render(processor);
+  assert.deepEqual(processor.port.posted.map(m => [m.type, m.consumed]), [['underrun', 6], ['ended', 8]]);
+  assert.equal(ring.ended, false);
+  assert.equal(ring.consumed, 8);
+
+  ring.push(ramp(0, 3));
+  processor.port.onmessage({ data: { type: 'clear' } });
+  assert.equal(ring.availableRead, 0);
+});
+
+test('worklet processor queues chunks posted on its port or an attached port', () => {
+  const Processor = loadProcessor();
+  const processor = new Processor({});
+  processor.port.onmessage({ data: { type: 'chunk', samples: ramp(1, 3) } });
+  processor.port.onmessage({ data: { type: 'chunk', samples: ramp(4, 3) } });
+  assert.deepEqual([...render(processor)[0]], [1, 2, 3, 4]);
+
+  const attached = { onmessage: null as null | ((e: { data: unknown }) => void) };
+  processor.port.onmessage({ data: { type: 'port', port: attached } });
+  attached.onmessage!({ data: { type: 'end' } });
+  assert.deepEqual([...render(processor)[0]], [5, 6, 0, 0]);
+  assert.deepEqual(processor.port.posted.map(m => m.type), ['ended']);
+
+  // Position reports go out every 4096 frames.
+  for (let i = 0; i < 1024; i++) render(processor);
+  assert.deepEqual(processor.port.posted.at(-1), { type: 'state', consumed: 6, buffered: 0 });
+});
+
+test('openPlaybackSink waits for room in the shared ring and honours abort', async () => {
+  const ring = AudioRingBuffer.allocate(8);
+  const sink = openPlaybackSink({ transport: 'shared', ring: ring.buffer as SharedArrayBuffer, sampleRate: 1000 });
+  const played: number[] = [];
+  const consumer = new AudioRingBuffer(ring.buffer);
+  const drain = setInterval(() => {
+    const out = new Float32Array(4);
+    played.push(...out.subarray(0, consumer.pull(out)));
+  }, 2);
+  try {
+    await sink.write(ramp(0, 20));
+    sink.end();
+    assert.ok(ring.ended);
+    while (consumer.availableRead) await new Promise(resolve => setTimeout(resolve, 2));
+    assert.deepEqual(played, [...ramp(0, 20)]);
+  } finally {
+    clearInterval(drain);
+  }
+
+  ring.push(ramp(0, 8));
+  const controller = new AbortController();
+  const blocked = sink.write(ramp(0, 4), controller.signal);
+  controller.abort();
+  await assert.rejects(blocked, { name: 'AbortError' });
+});
+
+test('openPlaybackSink posts copies of the samples over a message port', async () => {
+  const posted: { msg: { type: string; samples?: Float32Array }; transfer?: unknown[] }[] = [];
+  const port = { postMessage: (msg: { type: string }, transfer?: unknown[]) => posted.push({ msg, transfer }) } as unknown as MessagePort;
+  const sink = openPlaybackSink({ transport: 'message', port });
+  const samples = ramp(0, 3);
+  await sink.write(samples);
+  sink.end();
+  assert.deepEqual([...posted[0].msg.samples!], [0, 1, 2]);
+  assert.notEqual(posted[0].msg.samples, samples);
+  assert.equal(posted[0].transfer![0], posted[0].msg.samples!.buffer);
+  assert.equal(posted[1].msg.type, 'end');
+});
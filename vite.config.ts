@@ -20,6 +20,8 @@ export default defineConfig({
         'jszip',
         'phonemizer',
         'wav-encoder',
+        '@breezystack/lamejs',
+        'opusscript',
         'fs',
         'path',
         'os',